@@ -0,0 +1,542 @@
+const { ref, errorProperties } = require('./schemas');
+
+// Summaries and responses for each route, keyed by 'METHOD /path' with
+// OpenAPI path parameters. services/openapi.js adds the request side from
+// the routes' validate() schemas, plus the 400/401/403/500 answers every
+// validated, authenticated or permission-checked route can give.
+//
+// responses: { status: schema } for JSON bodies, { status: 'description' }
+// for error answers (validation failures for 400), or a full OpenAPI
+// response object.
+// upload: multipart file fields, { field: { maxItems, required } }.
+
+const string = { type: 'string' };
+const integer = { type: 'integer' };
+
+const body = (properties) => ({
+  type: 'object',
+  properties,
+  required: Object.keys(properties),
+  additionalProperties: false,
+});
+
+// { message, ... } answers of the auth, user and parts routes
+const message = (properties = {}) => body({ message: string, ...properties });
+
+// { success: true, ... } answers of the task and notification routes
+const success = (properties = {}) => body({ success: { const: true }, ...properties });
+
+const listOf = (name) => ({ type: 'array', items: ref(name) });
+
+// An error answer that can carry fields of its own
+const errorWith = (description, properties) => ({
+  description,
+  content: {
+    'application/json': {
+      schema: { ...body({ ...errorProperties, ...properties }), required: Object.keys(errorProperties) },
+    },
+  },
+});
+
+const TOO_MANY_REQUESTS = 'Too many requests from this address';
+
+// A response body that is not JSON: exports, downloads and images
+const file = (description, types) => ({
+  description,
+  content: Object.fromEntries(types.map(type => [type, { schema: { type: 'string', format: 'binary' } }])),
+});
+
+// Routes outside the documented areas list their success without a body schema
+const OK = { description: 'Success' };
+const CREATED = { description: 'Created' };
+
+module.exports = {
+  // --- Auth ---
+  'POST /api/login': {
+    summary: 'Sign in with email and password',
+    description: 'Starts a session. Repeated failures lock the account for a while.',
+    responses: {
+      200: message({ accessToken: string, refreshToken: string, user: ref('SignedInUser') }),
+      401: 'Invalid email or password',
+      403: 'The account is pending, invited, rejected or disabled',
+      423: errorWith('The account is temporarily locked', { locked_until: { type: 'string', format: 'date-time' } }),
+      429: TOO_MANY_REQUESTS,
+    },
+  },
+  'POST /api/login/refresh-token': {
+    summary: 'Exchange a refresh token for new access and refresh tokens',
+    description: 'Refresh tokens are single use; reusing one revokes its session.',
+    responses: {
+      200: body({ accessToken: string, refreshToken: string }),
+      401: 'Invalid, expired or reused refresh token, or inactive user',
+    },
+  },
+  'POST /api/login/logout': {
+    summary: 'End the session a refresh token belongs to',
+    responses: { 200: message() },
+  },
+  'POST /api/login/logout-all': {
+    summary: 'End every session of the signed-in user',
+    responses: { 200: message({ revoked: integer }) },
+  },
+  'GET /api/login/sessions': {
+    summary: 'List the signed-in user\'s active sessions',
+    responses: { 200: message({ sessions: listOf('Session') }) },
+  },
+  'DELETE /api/login/sessions/{id}': {
+    summary: 'End one of the signed-in user\'s sessions',
+    responses: { 200: message(), 404: 'Session not found' },
+  },
+  'POST /api/password/forgot': {
+    summary: 'Email a password reset link',
+    description: 'Answers the same whether or not the account exists.',
+    responses: { 200: message(), 429: TOO_MANY_REQUESTS },
+  },
+  'POST /api/password/reset': {
+    summary: 'Set a new password with a reset token',
+    responses: { 200: message(), 400: 'Passwords do not match, or the token is invalid or expired', 429: TOO_MANY_REQUESTS },
+  },
+
+  // --- Users ---
+  'POST /api/register': {
+    summary: 'Register an account',
+    description: 'New accounts wait for approval unless self-registration is open; invitation-only deployments refuse it.',
+    responses: {
+      201: message({ user: ref('User') }),
+      400: 'Passwords do not match, or the email already exists',
+      403: 'Registration is by invitation only, or a role was requested',
+      429: TOO_MANY_REQUESTS,
+      503: 'The default role for new accounts is unknown or grants a management permission',
+    },
+  },
+  'POST /api/register/invite': {
+    summary: 'Invite a user by email',
+    responses: { 201: message({ user: ref('User') }), 400: 'Invalid role, or the email is taken' },
+  },
+  'POST /api/register/accept-invite': {
+    summary: 'Accept an invitation and set a password',
+    responses: {
+      200: message({ user: ref('User') }),
+      400: 'Passwords do not match, or the invitation is invalid or expired',
+      429: TOO_MANY_REQUESTS,
+    },
+  },
+  'GET /api/register': {
+    summary: 'List users',
+    responses: { 200: message({ users: listOf('User'), pagination: ref('Pagination') }) },
+  },
+  'GET /api/register/pending': {
+    summary: 'List registrations awaiting approval',
+    responses: { 200: message({ users: listOf('User') }) },
+  },
+  'GET /api/register/login-history': {
+    summary: 'List sign-in attempts',
+    responses: { 200: message({ history: listOf('LoginHistoryEntry'), pagination: ref('Pagination') }) },
+  },
+  'GET /api/register/archived': {
+    summary: 'List archived users',
+    responses: {
+      200: message({ retention_days: integer, users: listOf('ArchivedUser'), pagination: ref('Pagination') }),
+    },
+  },
+  'POST /api/register/archived/{id}/restore': {
+    summary: 'Restore an archived user',
+    responses: { 200: message({ user: ref('User') }), 404: 'Archived user not found' },
+  },
+  'DELETE /api/register/archived': {
+    summary: 'Purge archived users past the retention period',
+    responses: { 200: message({ purged: integer }) },
+  },
+  'DELETE /api/register/archived/{id}': {
+    summary: 'Purge an archived user',
+    responses: {
+      200: message(),
+      404: 'Archived user not found',
+      409: errorWith('The user is still within the retention period', { purge_after: { type: 'string', format: 'date-time' } }),
+    },
+  },
+  'POST /api/register/{id}/approve': {
+    summary: 'Approve a pending registration',
+    responses: { 200: message({ user: ref('User') }), 400: 'Invalid role', 404: 'Pending user not found' },
+  },
+  'POST /api/register/{id}/reject': {
+    summary: 'Reject a pending registration',
+    responses: { 200: message({ user: ref('User') }), 404: 'Pending user not found' },
+  },
+  'POST /api/register/{id}/disable': {
+    summary: 'Disable a user and end their sessions',
+    responses: { 200: message({ user: ref('User') }), 400: 'Users cannot disable themselves', 404: 'Active user not found' },
+  },
+  'POST /api/register/{id}/enable': {
+    summary: 'Re-enable a disabled user',
+    responses: { 200: message({ user: ref('User') }), 404: 'Disabled user not found' },
+  },
+  'POST /api/register/{id}/unlock': {
+    summary: 'Clear a user\'s failed sign-in lock',
+    responses: { 200: message({ user: ref('User') }), 404: 'User not found' },
+  },
+  'GET /api/register/{id}': {
+    summary: 'Get a user',
+    description: 'Users may read their own account; anyone else needs `users:manage`.',
+    responses: { 200: message({ user: ref('User') }), 403: 'Access denied', 404: 'User not found' },
+  },
+  'PUT /api/register/{id}': {
+    summary: 'Update a user',
+    description: 'Users may update their own profile and password; roles and other users need `users:manage`.',
+    responses: {
+      200: message({ user: ref('User') }),
+      400: 'Invalid role, email in use, passwords do not match, or nothing to update',
+      403: 'Access denied',
+      404: 'User not found',
+    },
+  },
+  'DELETE /api/register/{id}': {
+    summary: 'Archive a user',
+    responses: { 200: message(), 400: 'Users cannot delete themselves', 404: 'User not found' },
+  },
+
+  // --- Parts ---
+  'POST /api/parts': {
+    summary: 'Create a part',
+    responses: { 201: message({ part: ref('Part') }), 400: 'SAP Code already exists' },
+  },
+  'GET /api/parts': {
+    summary: 'List parts',
+    responses: { 200: message({ count: integer, parts: listOf('Part'), pagination: ref('Pagination') }) },
+  },
+  'GET /api/parts/export': {
+    summary: 'Export parts as CSV or XLSX',
+    description: 'Takes the same filters as the part list, without pagination.',
+    responses: {
+      200: file('The parts file', ['text/csv', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']),
+    },
+  },
+  'POST /api/parts/import': {
+    summary: 'Import parts from a CSV or XLSX file',
+    description: 'Rows are checked first; nothing is written if any row fails. `dry_run` only checks, `upsert` updates existing SAP codes.',
+    upload: { file: { required: true } },
+    responses: {
+      200: ref('PartImport'),
+      201: ref('PartImport'),
+      400: {
+        description: 'No file, an unreadable file, too many rows, or invalid rows (with the per-row report)',
+        content: { 'application/json': { schema: ref('PartImport') } },
+      },
+    },
+  },
+  'GET /api/parts/archived': {
+    summary: 'List archived parts',
+    responses: {
+      200: message({ retention_days: integer, parts: listOf('ArchivedPart'), pagination: ref('Pagination') }),
+    },
+  },
+  'POST /api/parts/archived/{id}/restore': {
+    summary: 'Restore an archived part',
+    responses: { 200: message({ part: ref('Part') }), 404: 'Archived part not found' },
+  },
+  'DELETE /api/parts/archived': {
+    summary: 'Purge archived parts past the retention period',
+    description: 'Parts still referenced by quality tasks are kept.',
+    responses: { 200: message({ purged: integer, skipped_referenced: integer }) },
+  },
+  'DELETE /api/parts/archived/{id}': {
+    summary: 'Purge an archived part',
+    responses: {
+      200: message(),
+      404: 'Archived part not found',
+      409: errorWith('The part is still within the retention period or referenced by quality tasks', {
+        purge_after: { type: 'string', format: 'date-time' },
+      }),
+    },
+  },
+  'GET /api/parts/{id}': {
+    summary: 'Get a part',
+    responses: { 200: message({ part: ref('Part') }), 404: 'Part not found' },
+  },
+  'PUT /api/parts/{id}': {
+    summary: 'Update a part',
+    responses: {
+      200: message({ part: ref('Part') }),
+      400: 'Nothing to update, or the SAP Code is in use',
+      404: 'Part not found',
+    },
+  },
+  'DELETE /api/parts/{id}': {
+    summary: 'Archive a part',
+    responses: { 200: message(), 404: 'Part not found' },
+  },
+
+  // --- Maintenance ---
+  'GET /api/parts/{partId}/maintenance': {
+    summary: 'List a die\'s maintenance history',
+    responses: { 200: OK, 404: 'Part not found' },
+  },
+  'POST /api/parts/{partId}/maintenance': {
+    summary: 'Record maintenance work on a die',
+    responses: { 201: CREATED, 400: 'Maintenance plan not found for this part', 404: 'Part not found' },
+  },
+  'GET /api/parts/{partId}/maintenance-plans': {
+    summary: 'List a die\'s preventive maintenance plans and when each is due',
+    responses: { 200: OK, 404: 'Part not found' },
+  },
+  'POST /api/parts/{partId}/maintenance-plans': {
+    summary: 'Create a preventive maintenance plan',
+    responses: { 201: CREATED, 400: 'A calendar interval or stroke interval is required', 404: 'Part not found' },
+  },
+  'PUT /api/parts/{partId}/maintenance-plans/{planId}': {
+    summary: 'Update a preventive maintenance plan',
+    responses: { 200: OK, 400: 'A calendar interval or stroke interval is required', 404: 'Part or maintenance plan not found' },
+  },
+  'DELETE /api/parts/{partId}/maintenance-plans/{planId}': {
+    summary: 'Delete a preventive maintenance plan',
+    responses: { 200: OK, 404: 'Part or maintenance plan not found' },
+  },
+
+  // --- Tasks ---
+  'POST /api/tasks': {
+    summary: 'Raise a quality task with photos',
+    description: 'Notifies the roles that can assign or work on tasks over Socket.IO (`notification:${role}`).',
+    upload: { images: { maxItems: 5 } },
+    responses: { 201: success({ task: ref('CreatedTask') }), 400: 'Unknown SAP Code, or an image could not be processed' },
+  },
+  'GET /api/tasks': {
+    summary: 'List quality tasks',
+    responses: { 200: success({ tasks: listOf('TaskSummary'), pagination: ref('Pagination') }) },
+  },
+  'GET /api/tasks/{id}': {
+    summary: 'Get a task with its part, people and images',
+    responses: { 200: success({ task: ref('Task') }), 404: 'Task not found' },
+  },
+  'PATCH /api/tasks/{id}': {
+    summary: 'Edit a task, adding or removing photos',
+    description: 'Only the user who raised the task or a holder of `tasks:manage` may edit it.',
+    upload: { images: { maxItems: 5 } },
+    responses: {
+      200: success({ task: ref('Task') }),
+      400: 'Nothing to update, unknown SAP Code, foreign images, or too many images',
+      403: 'Not the raiser or a task manager',
+      404: 'Task not found',
+      409: 'Verified tasks cannot be edited',
+    },
+  },
+  'DELETE /api/tasks/{id}': {
+    summary: 'Delete a task',
+    description: 'The raiser may delete an Open or Assigned task; holders of `tasks:manage` may delete any task.',
+    responses: {
+      200: success({ message: string }),
+      403: 'Not the raiser or a task manager',
+      404: 'Task not found',
+      409: 'The task is past the stage where it can be deleted',
+    },
+  },
+  'PATCH /api/tasks/{id}/assign': {
+    summary: 'Assign a task',
+    responses: {
+      200: success({ task: ref('TaskRecord'), transition: ref('Transition') }),
+      400: 'The assignee cannot work on tasks',
+      404: 'Task not found',
+      409: 'The task cannot be assigned in its current status',
+    },
+  },
+  'PATCH /api/tasks/{id}/start': {
+    summary: 'Start work on an assigned task',
+    responses: {
+      200: success({ task: ref('TaskRecord'), transition: ref('Transition') }),
+      403: 'Only the assignee can start the task',
+      404: 'Task not found',
+      409: 'The task cannot be started in its current status',
+    },
+  },
+  'PATCH /api/tasks/{id}/resolve': {
+    summary: 'Resolve a task',
+    responses: {
+      200: success({ task: ref('TaskRecord'), transition: ref('Transition') }),
+      403: 'Only the assignee can resolve the task',
+      404: 'Task not found',
+      409: 'The task cannot be resolved in its current status',
+    },
+  },
+  'PATCH /api/tasks/{id}/verify': {
+    summary: 'Verify a resolved task',
+    responses: {
+      200: success({ task: ref('TaskRecord'), transition: ref('Transition') }),
+      404: 'Task not found',
+      409: 'The task cannot be verified in its current status',
+    },
+  },
+  'PATCH /api/tasks/{id}/reopen': {
+    summary: 'Reopen a resolved task',
+    responses: {
+      200: success({ task: ref('TaskRecord'), transition: ref('Transition') }),
+      404: 'Task not found',
+      409: 'The task cannot be reopened in its current status',
+    },
+  },
+  'GET /api/tasks/{id}/comments': {
+    summary: 'List a task\'s comments, oldest first',
+    responses: { 200: success({ comments: listOf('Comment') }), 404: 'Task not found' },
+  },
+  'POST /api/tasks/{id}/comments': {
+    summary: 'Comment on a task with optional photos and @-mentions',
+    upload: { images: { maxItems: 5 } },
+    responses: {
+      201: success({ comment: ref('Comment') }),
+      400: 'The comment has neither text nor images, or an image could not be processed',
+      404: 'Task not found',
+    },
+  },
+  'GET /api/tasks/{id}/activity': {
+    summary: 'Status changes and comments of a task in one timeline',
+    responses: { 200: success({ activity: listOf('ActivityItem') }), 404: 'Task not found' },
+  },
+  'GET /api/tasks/{id}/history': {
+    summary: 'Status changes of a task',
+    responses: { 200: success({ history: listOf('HistoryEntry') }) },
+  },
+
+  // --- Notifications ---
+  'GET /api/notifications': {
+    summary: 'List the signed-in user\'s notifications',
+    responses: { 200: success({ notifications: listOf('Notification'), pagination: ref('Pagination') }) },
+  },
+  'GET /api/notifications/unread-count': {
+    summary: 'Count the signed-in user\'s unread notifications',
+    responses: { 200: success({ count: integer }) },
+  },
+  'PATCH /api/notifications/read-all': {
+    summary: 'Mark every notification read',
+    responses: { 200: success({ updated: integer }) },
+  },
+  'PATCH /api/notifications/{id}/read': {
+    summary: 'Mark a notification read',
+    responses: {
+      200: success({
+        notification: body({ id: integer, read: { const: true }, read_at: { type: 'string', format: 'date-time' } }),
+      }),
+      404: 'Notification not found or not accessible',
+    },
+  },
+  'DELETE /api/notifications/clear': {
+    summary: 'Dismiss every notification',
+    responses: { 200: success({ message: string }) },
+  },
+  'DELETE /api/notifications/{id}': {
+    summary: 'Dismiss a notification',
+    responses: { 200: success({ message: string }), 404: 'Notification not found or not accessible' },
+  },
+
+  // --- Strokes ---
+  'POST /api/strokes': {
+    summary: 'Record stroke counter readings, singly or in a batch',
+    description: 'Press machines may send the `x-api-key` header instead of a user token.',
+    responses: { 200: { description: 'Every reading was a duplicate' }, 201: CREATED, 400: 'Unknown SAP codes in the readings' },
+  },
+  'GET /api/strokes/{sapCode}': {
+    summary: 'A die\'s stroke count and recent readings',
+    responses: { 200: OK, 404: 'Part not found' },
+  },
+  'GET /api/strokes/{sapCode}/series': {
+    summary: 'A die\'s strokes per hour, day or week',
+    responses: { 200: OK, 404: 'Part not found' },
+  },
+  'PUT /api/strokes/{sapCode}/threshold': {
+    summary: 'Set or clear a die\'s stroke alert threshold',
+    responses: { 200: OK, 404: 'Part not found' },
+  },
+
+  // --- Roles ---
+  'GET /api/roles': {
+    summary: 'List roles with their permissions',
+    responses: { 200: OK },
+  },
+  'GET /api/roles/permissions': {
+    summary: 'List every permission',
+    responses: { 200: OK },
+  },
+  'POST /api/roles': {
+    summary: 'Create a role',
+    responses: { 201: CREATED, 400: 'Unknown permissions, or the role already exists' },
+  },
+  'PUT /api/roles/{name}/permissions': {
+    summary: 'Replace a role\'s permissions',
+    responses: { 200: OK, 400: 'Unknown permissions, or Admin would lose role management', 404: 'Role not found' },
+  },
+  'DELETE /api/roles/{name}': {
+    summary: 'Delete a custom role',
+    responses: { 200: OK, 400: 'Built-in roles cannot be deleted', 404: 'Role not found', 409: 'The role is assigned to users' },
+  },
+
+  // --- Audit ---
+  'GET /api/audit': {
+    summary: 'List audit log entries',
+    responses: { 200: OK },
+  },
+
+  // --- Images ---
+  'GET /api/images/{id}': {
+    summary: 'Download a task or comment photo',
+    responses: {
+      200: file('The image', ['image/jpeg', 'image/png', 'image/webp']),
+      404: 'Image not found',
+    },
+  },
+
+  // --- Analytics ---
+  'GET /api/analytics/tasks-over-time': {
+    summary: 'Tasks raised per interval, grouped by die, company or category',
+    responses: { 200: OK },
+  },
+  'GET /api/analytics/top-dies': {
+    summary: 'Dies with the most quality tasks',
+    responses: { 200: OK },
+  },
+  'GET /api/analytics/resolution-time': {
+    summary: 'Mean and median time to resolve tasks',
+    responses: { 200: OK },
+  },
+  'GET /api/analytics/open-task-aging': {
+    summary: 'Open tasks bucketed by age',
+    responses: { 200: OK },
+  },
+  'GET /api/analytics/notification-response': {
+    summary: 'How quickly each role reads and acts on notifications',
+    responses: { 200: OK },
+  },
+
+  // --- Reports ---
+  'GET /api/reports/subscriptions': {
+    summary: 'List scheduled report subscriptions',
+    responses: { 200: OK },
+  },
+  'POST /api/reports/subscriptions': {
+    summary: 'Subscribe a user to a scheduled report',
+    responses: { 201: CREATED, 400: 'Invalid schedule or recipient', 403: 'Only report managers may subscribe other users' },
+  },
+  'PUT /api/reports/subscriptions/{id}': {
+    summary: 'Update a report subscription',
+    responses: { 200: OK, 400: 'Invalid schedule', 404: 'Subscription not found' },
+  },
+  'DELETE /api/reports/subscriptions/{id}': {
+    summary: 'Delete a report subscription',
+    responses: { 200: OK, 404: 'Subscription not found' },
+  },
+  'POST /api/reports/generate': {
+    summary: 'Generate a report now',
+    responses: { 201: CREATED, 400: "'from' must be before 'to'" },
+  },
+  'GET /api/reports': {
+    summary: 'List archived reports',
+    responses: { 200: OK },
+  },
+  'GET /api/reports/{id}/download': {
+    summary: 'Download an archived report',
+    responses: {
+      200: file('The report', ['application/pdf', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet']),
+      404: 'Report, format or file not found',
+    },
+  },
+  'DELETE /api/reports/{id}': {
+    summary: 'Delete an archived report',
+    responses: { 200: OK, 404: 'Report not found' },
+  },
+};
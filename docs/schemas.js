@@ -0,0 +1,326 @@
+// Response schemas for the OpenAPI document (components.schemas).
+//
+// Objects list every field the API may send and reject any other, so a
+// column added to a query shows up as drift in test/openapi.test.js until it
+// is documented here. `required` holds the fields every variant carries.
+
+const timestamp = { type: 'string', format: 'date-time' };
+const integer = { type: 'integer' };
+const string = { type: 'string' };
+const boolean = { type: 'boolean' };
+
+// pg returns BIGINT and BIGSERIAL columns as strings
+const bigint = { type: 'string', pattern: '^-?\\d+$', description: '64-bit integer sent as a string' };
+
+const nullable = (schema) => ({ ...schema, type: [schema.type, 'null'] });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const record = (properties, required = Object.keys(properties)) => ({
+  type: 'object',
+  properties,
+  required,
+  additionalProperties: false,
+});
+
+const TASK_STATUSES = ['Open', 'Assigned', 'In Progress', 'Resolved', 'Verified', 'Reopened'];
+const USER_STATUSES = ['active', 'invited', 'pending', 'rejected', 'disabled'];
+
+// One entry of a validation error's `details`
+const validationDetail = (locations) => record({
+  location: { type: 'string', enum: locations },
+  field: nullable(string),
+  code: {
+    type: 'string',
+    enum: [
+      'required', 'invalid_type', 'invalid_format', 'invalid_value', 'too_short', 'too_long',
+      'too_small', 'too_large', 'too_few', 'too_many', 'duplicate', 'unknown_field', 'invalid_json', 'invalid',
+    ],
+  },
+  message: string,
+});
+
+const historyEntry = record({
+  id: integer,
+  from_status: nullable(string),
+  to_status: string,
+  note: nullable(string),
+  created_at: timestamp,
+  actor_id: nullable(integer),
+  actor_name: nullable(string),
+  actor_role: nullable(string),
+});
+
+const comment = record({
+  id: integer,
+  task_id: integer,
+  body: string,
+  images: { type: 'array', items: ref('Image') },
+  created_at: timestamp,
+  author_id: nullable(integer),
+  author_name: nullable(string),
+  author_role: nullable(string),
+  mentions: {
+    type: 'array',
+    items: record({ id: integer, name: string, email: string }),
+  },
+});
+
+// Error answers (middleware/errors.js); some add fields of their own, such
+// as `locked_until`
+const errorProperties = {
+  success: { const: false },
+  error: string,
+  code: { type: 'string', enum: ['UNAUTHORIZED', 'FORBIDDEN', 'NOT_FOUND', 'CONFLICT', 'LOCKED', 'TOO_MANY_REQUESTS'] },
+};
+
+const schemas = {
+  Error: record(errorProperties),
+
+  ServerError: {
+    type: 'object',
+    properties: {
+      success: { const: false },
+      error: string,
+    },
+    required: ['error'],
+  },
+
+  ValidationError: record({
+    success: { const: false },
+    error: string,
+    code: { const: 'VALIDATION_ERROR' },
+    details: {
+      type: 'array',
+      minItems: 1,
+      items: validationDetail(['params', 'query', 'body']),
+    },
+  }),
+
+  Pagination: record({
+    page: integer,
+    limit: integer,
+    total: integer,
+    total_pages: integer,
+  }),
+
+  // Users as the various /api/register responses return them; each sends a
+  // subset of these fields
+  User: record({
+    id: integer,
+    email: { type: 'string', format: 'email' },
+    name: string,
+    role: string,
+    designation: nullable(string),
+    phone_number: nullable(string),
+    status: { type: 'string', enum: USER_STATUSES },
+    failed_login_attempts: integer,
+    locked_until: nullable(timestamp),
+    created_at: timestamp,
+    updated_at: timestamp,
+  }, ['id', 'email', 'name', 'role']),
+
+  ArchivedUser: record({
+    id: integer,
+    email: { type: 'string', format: 'email' },
+    name: string,
+    role: string,
+    designation: nullable(string),
+    phone_number: nullable(string),
+    status: { type: 'string', enum: USER_STATUSES },
+    created_at: timestamp,
+    deleted_at: timestamp,
+    deleted_by_email: nullable(string),
+    purge_after: timestamp,
+  }),
+
+  SignedInUser: record({
+    id: integer,
+    email: string,
+    name: string,
+    role: string,
+    permissions: { type: 'array', items: string },
+  }),
+
+  Session: record({
+    id: { type: 'string', format: 'uuid' },
+    user_agent: nullable(string),
+    ip: nullable(string),
+    created_at: timestamp,
+    last_used_at: timestamp,
+    current: boolean,
+  }),
+
+  LoginHistoryEntry: record({
+    id: bigint,
+    user_id: nullable(integer),
+    user_name: nullable(string),
+    email: string,
+    success: boolean,
+    reason: nullable(string),
+    ip: nullable(string),
+    user_agent: nullable(string),
+    created_at: timestamp,
+  }),
+
+  Part: record({
+    id: integer,
+    part_name: string,
+    company_name: nullable(string),
+    sap_code: string,
+    stroke_count: bigint,
+    stroke_alert_threshold: nullable(bigint),
+    created_at: timestamp,
+    updated_at: timestamp,
+    deleted_at: nullable(timestamp),
+    deleted_by: nullable(integer),
+  }),
+
+  ArchivedPart: record({
+    id: integer,
+    part_name: string,
+    company_name: nullable(string),
+    sap_code: string,
+    stroke_count: bigint,
+    stroke_alert_threshold: nullable(bigint),
+    created_at: timestamp,
+    updated_at: timestamp,
+    deleted_at: timestamp,
+    deleted_by: nullable(integer),
+    deleted_by_email: nullable(string),
+    purge_after: timestamp,
+    task_count: integer,
+  }),
+
+  PartImport: record({
+    message: string,
+    dry_run: boolean,
+    summary: record({
+      total: integer,
+      created: integer,
+      updated: integer,
+      errors: integer,
+    }),
+    rows: {
+      type: 'array',
+      items: record({
+        row: integer,
+        sap_code: nullable(string),
+        action: { type: 'string', enum: ['create', 'update', 'error'] },
+        error: string,
+        details: { type: 'array', items: validationDetail(['row']) },
+      }, ['row', 'sap_code', 'action']),
+    },
+  }),
+
+  Image: record({
+    id: { type: 'string', format: 'uuid' },
+    url: string,
+    medium_url: string,
+    thumbnail_url: string,
+    width: integer,
+    height: integer,
+  }),
+
+  // POST /api/tasks answers in the camelCase of its form fields
+  CreatedTask: record({
+    id: integer,
+    partName: string,
+    companyName: nullable(string),
+    sapCode: string,
+    location: string,
+    comments: nullable(string),
+    images: { type: 'array', items: ref('Image') },
+    status: { type: 'string', enum: TASK_STATUSES },
+    created_at: timestamp,
+  }),
+
+  TaskSummary: record({
+    id: integer,
+    location: string,
+    comments: nullable(string),
+    images: { type: 'array', items: ref('Image') },
+    status: { type: 'string', enum: TASK_STATUSES },
+    assigned_to: nullable(integer),
+    resolution: nullable(string),
+    created_at: timestamp,
+    updated_at: nullable(timestamp),
+    part_name: string,
+    company_name: nullable(string),
+    sap_code: string,
+  }),
+
+  Task: record({
+    id: integer,
+    location: string,
+    comments: nullable(string),
+    images: { type: 'array', items: ref('Image') },
+    status: { type: 'string', enum: TASK_STATUSES },
+    assigned_to: nullable(integer),
+    resolution: nullable(string),
+    resolved_at: nullable(timestamp),
+    verified_at: nullable(timestamp),
+    created_by: nullable(integer),
+    created_at: timestamp,
+    updated_at: nullable(timestamp),
+    part_id: integer,
+    part_name: string,
+    company_name: nullable(string),
+    sap_code: string,
+    created_by_name: nullable(string),
+    assigned_to_name: nullable(string),
+  }),
+
+  // The quality_tasks row itself, as status transitions return it
+  TaskRecord: record({
+    id: integer,
+    part_id: integer,
+    location: string,
+    comments: nullable(string),
+    status: { type: 'string', enum: TASK_STATUSES },
+    assigned_to: nullable(integer),
+    resolution: nullable(string),
+    resolved_at: nullable(timestamp),
+    verified_at: nullable(timestamp),
+    created_by: nullable(integer),
+    created_at: timestamp,
+    updated_at: nullable(timestamp),
+  }),
+
+  Transition: record({
+    id: integer,
+    from_status: nullable({ type: 'string', enum: TASK_STATUSES }),
+    to_status: { type: 'string', enum: TASK_STATUSES },
+    actor_id: nullable(integer),
+    note: nullable(string),
+    created_at: timestamp,
+  }),
+
+  HistoryEntry: historyEntry,
+
+  Comment: comment,
+
+  // A transition or a comment, told apart by `type`
+  ActivityItem: {
+    oneOf: [
+      record({ type: { const: 'transition' }, ...historyEntry.properties }),
+      record({ type: { const: 'comment' }, ...comment.properties }),
+    ],
+  },
+
+  Notification: record({
+    id: integer,
+    task_id: nullable(integer),
+    comment_id: nullable(integer),
+    part_name: nullable(string),
+    company_name: nullable(string),
+    sap_code: nullable(string),
+    location: nullable(string),
+    comments: nullable(string),
+    recipient_role: nullable(string),
+    read: boolean,
+    read_at: nullable(timestamp),
+    created_at: timestamp,
+  }),
+};
+
+module.exports = { schemas, ref, errorProperties };
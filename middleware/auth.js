@@ -1,30 +1,78 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const { getUserPermissions } = require('../services/permissions');
+const { getSessionUser } = require('../services/sessions');
+const { getLogger } = require('../services/logger');
+const { sendError } = require('./errors');
 
+const logger = getLogger('middleware/auth');
 
-const verifyToken = (req, res, next) => {
+// Besides the signature, the token's session must still be open and its user
+// active; the role comes from the database, not from the token
+const verifyToken = async (req, res, next) => {
   const token = req.headers['authorization']?.split(' ')[1]; // Expecting "Bearer <token>"
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return sendError(res, 401, 'Access token required');
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-    req.user = decoded; // Attach user info to request
-    next();
+    decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
   } catch (error) {
-    console.error('JWT verification error:', error);
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    logger.warn(`JWT verification error: ${error.message}`);
+    return sendError(res, 401, 'Invalid or expired token');
   }
+
+  try {
+    const user = await getSessionUser(decoded.sid, decoded.id);
+    if (!user) {
+      logger.warn(`Access token for user_id ${decoded.id} rejected: session ${decoded.sid} is revoked or the user is inactive`);
+      return sendError(res, 401, 'Invalid or expired token');
+    }
+    req.user = { ...decoded, email: user.email, role: user.role }; // Attach user info to request
+  } catch (error) {
+    logger.error(`Session lookup error: ${error.message}`);
+    return res.status(500).json({ error: 'Server error' });
+  }
+  next();
+};
+
+// Press machines authenticate with a shared key instead of a user JWT
+const verifyTokenOrMachineKey = (req, res, next) => {
+  const apiKey = Buffer.from(String(req.headers['x-api-key'] || ''));
+  const expected = Buffer.from(process.env.MACHINE_API_KEY || '');
+
+  if (apiKey.length > 0 && expected.length > 0 && apiKey.length === expected.length &&
+      crypto.timingSafeEqual(apiKey, expected)) {
+    req.user = { id: null, email: 'machine', role: 'Machine', permissions: ['strokes:record'] };
+    return next();
+  }
+
+  return verifyToken(req, res, next);
 };
 
-const restrictTo = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user || !roles.includes(req.user.role)) {
-      return res.status(403).json({ error: 'Access denied: Insufficient permissions' });
+// Require every listed permission, e.g. requirePermission('parts:create')
+const requirePermission = (...permissions) => {
+  const middleware = async (req, res, next) => {
+    if (!req.user) {
+      return sendError(res, 403, 'Access denied: Insufficient permissions');
+    }
+
+    try {
+      const granted = await getUserPermissions(req.user);
+      if (!permissions.every(permission => granted.has(permission))) {
+        return sendError(res, 403, 'Access denied: Insufficient permissions');
+      }
+      next();
+    } catch (error) {
+      logger.error(`Permission lookup error: ${error.message}`);
+      return res.status(500).json({ error: 'Server error' });
     }
-    next();
   };
+  // Listed in the API docs
+  middleware.permissions = permissions;
+  return middleware;
 };
 
-module.exports = { verifyToken, restrictTo };
\ No newline at end of file
+module.exports = { verifyToken, verifyTokenOrMachineKey, requirePermission };
\ No newline at end of file
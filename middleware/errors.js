@@ -0,0 +1,26 @@
+// Error answers other than validation failures share one envelope:
+//
+//   { success: false, error, code }
+//
+// where `error` is the message for people and `code` is stable for clients,
+// one per status. Validation failures (400) use sendValidationError from
+// ./validate, which adds `details`.
+
+const ERROR_CODES = {
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  423: 'LOCKED',
+  429: 'TOO_MANY_REQUESTS',
+};
+
+// Send the error envelope; `extra` adds fields such as `locked_until`
+const sendError = (res, status, error, extra = {}) => res.status(status).json({
+  success: false,
+  error,
+  code: ERROR_CODES[status],
+  ...extra,
+});
+
+module.exports = { sendError, ERROR_CODES };
@@ -0,0 +1,16 @@
+const { httpRequests, httpRequestDuration } = require('../services/metrics');
+const { routeOf } = require('./requestLogger');
+
+// Count every request and time it, labelled by route template so ids in the
+// path don't create a series per record
+const httpMetrics = (req, res, next) => {
+  const endTimer = httpRequestDuration.startTimer();
+  res.on('finish', () => {
+    const labels = { method: req.method, route: routeOf(req) || 'unmatched', status: res.statusCode };
+    endTimer(labels);
+    httpRequests.inc(labels);
+  });
+  next();
+};
+
+module.exports = { httpMetrics };
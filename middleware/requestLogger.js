@@ -0,0 +1,61 @@
+const crypto = require('crypto');
+const { AsyncResource } = require('async_hooks');
+const { getLogger, redactUrl, runWithContext } = require('../services/logger');
+
+const logger = getLogger('http');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+// A caller-supplied id is kept (so a proxy or client can correlate its own
+// logs) as long as it is short and plain
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+// Route template such as "/api/tasks/:id", or null when nothing matched
+const routeOf = (req) => (req.route ? `${req.baseUrl}${req.route.path === '/' ? '' : req.route.path}` || '/' : null);
+
+// Give each request an id, return it in X-Request-Id and log one line per
+// request with its status, latency and user once the response is sent.
+const requestLogger = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = requestId;
+  res.setHeader(REQUEST_ID_HEADER, requestId);
+
+  const log = (aborted) => {
+    const durationMs = Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10;
+    const status = aborted ? null : res.statusCode;
+    const url = redactUrl(req.originalUrl);
+    const entry = {
+      request_id: requestId,
+      user_id: req.user ? req.user.id : null,
+      method: req.method,
+      url,
+      route: routeOf(req),
+      status,
+      duration_ms: durationMs,
+      ip: req.ip,
+      user_agent: req.get('user-agent') || null,
+    };
+    if (aborted) {
+      logger.warn(`${req.method} ${url} aborted after ${durationMs}ms`, { ...entry, aborted: true });
+    } else {
+      const level = status >= 500 ? 'error' : status >= 400 ? 'warn' : 'info';
+      logger.log(level, `${req.method} ${url} ${status} ${durationMs}ms`, entry);
+    }
+  };
+
+  res.on('finish', () => log(false));
+  res.on('close', () => {
+    if (!res.writableFinished) log(true);
+  });
+
+  runWithContext({ requestId, req }, () => {
+    // Upload parsers call next() from request stream events, which run outside
+    // this context; emitting them inside it keeps route logs tagged
+    req.emit = AsyncResource.bind(req.emit.bind(req));
+    next();
+  });
+};
+
+module.exports = { requestLogger, routeOf, REQUEST_ID_HEADER };
@@ -0,0 +1,198 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const multer = require('multer');
+const validator = require('validator');
+
+// Declarative request validation. Routes describe the params, query string
+// and body they accept as JSON Schemas:
+//
+//   router.put('/:id', verifyToken, validate({ params: idParams, body: partUpdate }), handler)
+//
+// Query strings, route params and multipart fields arrive as strings and are
+// coerced to the declared types in place, so handlers get numbers and
+// booleans. Array fields also accept a comma-separated string, the way
+// multipart forms send lists. Empty query parameters count as absent.
+//
+// A request that does not match gets a 400 with
+//   { success: false, error, code: 'VALIDATION_ERROR',
+//     details: [{ location: 'params'|'query'|'body', field, code, message }] }
+// where `error` repeats the first detail's message and each detail `code`
+// is one of DETAIL_CODES.
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true, allowUnionTypes: true });
+addFormats(ajv, ['uuid']);
+
+// Blank contact fields mean "not given", as the handlers have always treated
+// them; required ones also set minLength
+ajv.addFormat('email', (value) => value === '' || validator.isEmail(value));
+ajv.addFormat('phone', (value) => value === '' || validator.isMobilePhone(value, 'any', { strictMode: true }));
+// Anything Date.parse understands, e.g. 2024-05-01 or 2024-05-01T08:00:00Z
+ajv.addFormat('timestamp', (value) => !Number.isNaN(Date.parse(value)));
+
+// Stable codes the front end maps to messages, by JSON Schema keyword
+const DETAIL_CODES = {
+  required: 'required',
+  type: 'invalid_type',
+  format: 'invalid_format',
+  pattern: 'invalid_format',
+  enum: 'invalid_value',
+  minLength: 'too_short',
+  maxLength: 'too_long',
+  minimum: 'too_small',
+  exclusiveMinimum: 'too_small',
+  maximum: 'too_large',
+  exclusiveMaximum: 'too_large',
+  minItems: 'too_few',
+  maxItems: 'too_many',
+  uniqueItems: 'duplicate',
+  additionalProperties: 'unknown_field',
+};
+
+const TYPE_NAMES = {
+  integer: 'a whole number',
+  number: 'a number',
+  string: 'text',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+  null: 'null',
+};
+
+const FORMAT_NAMES = {
+  email: 'email address',
+  phone: 'phone number',
+  timestamp: 'date',
+  uuid: 'id',
+};
+
+// Fields that only need to contain something other than whitespace
+const NOT_BLANK = '\\S';
+
+const describe = ({ keyword, params }) => {
+  switch (keyword) {
+    case 'required': return 'is required';
+    case 'type': return `must be ${[].concat(params.type).map(type => TYPE_NAMES[type] || type).join(' or ')}`;
+    case 'format': return `must be a valid ${FORMAT_NAMES[params.format] || params.format}`;
+    case 'pattern': return params.pattern === NOT_BLANK ? 'must not be blank' : 'is not in the expected format';
+    case 'enum': return `must be one of: ${params.allowedValues.join(', ')}`;
+    case 'minLength': return params.limit === 1 ? 'must not be empty' : `must be at least ${params.limit} characters`;
+    case 'maxLength': return `must be at most ${params.limit} characters`;
+    case 'minimum': return `must be at least ${params.limit}`;
+    case 'exclusiveMinimum': return `must be greater than ${params.limit}`;
+    case 'maximum': return `must be at most ${params.limit}`;
+    case 'exclusiveMaximum': return `must be less than ${params.limit}`;
+    case 'minItems': return `must contain at least ${params.limit} item${params.limit === 1 ? '' : 's'}`;
+    case 'maxItems': return `must contain at most ${params.limit} items`;
+    case 'uniqueItems': return 'must not contain duplicates';
+    case 'additionalProperties': return 'is not allowed';
+    default: return 'is invalid';
+  }
+};
+
+// '/readings/2/strokes' -> 'readings[2].strokes'
+const fieldName = (instancePath, property) => {
+  const segments = instancePath.split('/').slice(1);
+  if (property !== undefined) segments.push(property);
+  return segments.reduce((name, segment) => {
+    if (/^\d+$/.test(segment)) return `${name}[${segment}]`;
+    return name ? `${name}.${segment}` : segment;
+  }, '') || null;
+};
+
+const toDetail = (location, error) => {
+  const { keyword, params, instancePath } = error;
+  const field = fieldName(instancePath, params.missingProperty ?? params.additionalProperty);
+  const code = keyword === 'pattern' && params.pattern === NOT_BLANK ? 'required' : DETAIL_CODES[keyword] || 'invalid';
+  return { location, field, code, message: `${field || location} ${describe(error)}` };
+};
+
+// Send the validation envelope for `details`
+const sendValidationError = (res, details) => res.status(400).json({
+  success: false,
+  error: details[0].message,
+  code: 'VALIDATION_ERROR',
+  details,
+});
+
+// Validation details for errors raised before a route runs: malformed JSON
+// from express.json() and upload limits from multer. Null for anything else.
+const requestErrorDetails = (err) => {
+  if (err.type === 'entity.parse.failed') {
+    return [{ location: 'body', field: null, code: 'invalid_json', message: 'body is not valid JSON' }];
+  }
+  if (err instanceof multer.MulterError) {
+    const codes = { LIMIT_FILE_SIZE: 'too_large', LIMIT_FILE_COUNT: 'too_many', LIMIT_UNEXPECTED_FILE: 'too_many' };
+    const field = err.field || null;
+    const message = err.code === 'LIMIT_UNEXPECTED_FILE'
+      ? `${field || 'body'} has too many files or is not an upload field`
+      : `${field || 'body'} ${err.message.toLowerCase()}`;
+    return [{ location: 'body', field, code: codes[err.code] || 'invalid', message }];
+  }
+  return null;
+};
+
+// Lists sent as "a,b,c" become arrays before they are checked
+const splitLists = (data, schema) => {
+  for (const [key, property] of Object.entries(schema.properties || {})) {
+    if (property.type === 'array' && typeof data[key] === 'string') {
+      data[key] = data[key].split(',').map(item => item.trim()).filter(Boolean);
+    }
+  }
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Build middleware that validates `schemas` ({ params, query, body }, each
+// optional). The schemas stay on the middleware for the API docs.
+const validate = (schemas) => {
+  const compiled = LOCATIONS
+    .filter(location => schemas[location])
+    .map(location => ({ location, schema: schemas[location], check: ajv.compile(schemas[location]) }));
+
+  const middleware = (req, res, next) => {
+    const details = [];
+    for (const { location, schema, check } of compiled) {
+      if (location === 'query') {
+        for (const key of Object.keys(req.query)) {
+          if (req.query[key] === '') delete req.query[key];
+        }
+      }
+      if (location === 'body' && (req.body === undefined || req.body === null)) {
+        req.body = {};
+      }
+      splitLists(req[location], schema);
+      if (!check(req[location])) {
+        // `if` only reports that its `then` branch failed, which has its own errors
+        const errors = check.errors.filter(error => error.keyword !== 'if');
+        details.push(...errors.map(error => toDetail(location, error)));
+      }
+    }
+
+    if (details.length > 0) {
+      return sendValidationError(res, details);
+    }
+    next();
+  };
+  middleware.schemas = schemas;
+  return middleware;
+};
+
+// Check values that do not arrive as params, query or body (e.g. rows of an
+// uploaded spreadsheet) against `schema`. The returned function gives the
+// validation details for a value, empty when it is valid.
+const checker = (schema, location) => {
+  const check = ajv.compile(schema);
+  return (value) => (check(value) ? [] : check.errors.filter(error => error.keyword !== 'if').map(error => toDetail(location, error)));
+};
+
+// Schema building blocks shared by the routes
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+// Serial primary keys
+const id = { type: 'integer', minimum: 1, maximum: 2147483647 };
+const idParams = object({ id }, ['id']);
+
+// Text that must contain something other than whitespace
+const text = (maxLength) => ({ type: 'string', pattern: NOT_BLANK, ...(maxLength ? { maxLength } : {}) });
+
+module.exports = { validate, checker, sendValidationError, requestErrorDetails, object, id, idParams, text };
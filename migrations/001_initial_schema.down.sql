@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS refresh_tokens;
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS quality_tasks;
+DROP TABLE IF EXISTS parts;
+DROP TABLE IF EXISTS users;
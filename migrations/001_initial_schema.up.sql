@@ -0,0 +1,61 @@
+-- Tables the original routes rely on: users, parts, quality_tasks,
+-- notifications and refresh_tokens.
+
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) NOT NULL UNIQUE,
+  name VARCHAR(255) NOT NULL,
+  phone_number VARCHAR(20),
+  role VARCHAR(20) NOT NULL CHECK (role IN ('Admin', 'HOD', 'Employee', 'Quality', 'PDC')),
+  designation VARCHAR(255),
+  password VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS parts (
+  id SERIAL PRIMARY KEY,
+  part_name VARCHAR(255) NOT NULL,
+  company_name VARCHAR(255),
+  sap_code VARCHAR(100) NOT NULL UNIQUE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- No cascade: deleting a part that has tasks fails with 23503 (409 in the API)
+CREATE TABLE IF NOT EXISTS quality_tasks (
+  id SERIAL PRIMARY KEY,
+  part_id INTEGER NOT NULL REFERENCES parts(id),
+  location VARCHAR(255) NOT NULL,
+  comments TEXT,
+  image_urls TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_quality_tasks_part_id ON quality_tasks (part_id);
+CREATE INDEX IF NOT EXISTS idx_quality_tasks_created_at ON quality_tasks (created_at DESC);
+
+CREATE TABLE IF NOT EXISTS notifications (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER REFERENCES quality_tasks(id) ON DELETE CASCADE,
+  part_name VARCHAR(255),
+  company_name VARCHAR(255),
+  sap_code VARCHAR(100),
+  location VARCHAR(255),
+  comments TEXT,
+  recipient_role VARCHAR(20) NOT NULL,
+  read BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_role_created ON notifications (recipient_role, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_task_id ON notifications (task_id);
+
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token TEXT NOT NULL,
+  expires_at TIMESTAMP NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens (user_id);
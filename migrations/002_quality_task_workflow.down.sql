@@ -0,0 +1,10 @@
+DROP TABLE IF EXISTS task_transitions;
+
+ALTER TABLE quality_tasks DROP CONSTRAINT IF EXISTS quality_tasks_status_check;
+ALTER TABLE quality_tasks
+  DROP COLUMN IF EXISTS status,
+  DROP COLUMN IF EXISTS assigned_to,
+  DROP COLUMN IF EXISTS resolution,
+  DROP COLUMN IF EXISTS resolved_at,
+  DROP COLUMN IF EXISTS verified_at,
+  DROP COLUMN IF EXISTS updated_at;
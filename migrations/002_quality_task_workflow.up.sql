@@ -0,0 +1,29 @@
+-- Quality task lifecycle: Open -> Assigned -> In Progress -> Resolved -> Verified/Reopened
+
+ALTER TABLE quality_tasks
+  ADD COLUMN IF NOT EXISTS status VARCHAR(20) NOT NULL DEFAULT 'Open',
+  ADD COLUMN IF NOT EXISTS assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS resolution TEXT,
+  ADD COLUMN IF NOT EXISTS resolved_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+ALTER TABLE quality_tasks
+  ADD CONSTRAINT quality_tasks_status_check
+  CHECK (status IN ('Open', 'Assigned', 'In Progress', 'Resolved', 'Verified', 'Reopened'));
+
+CREATE INDEX IF NOT EXISTS idx_quality_tasks_status ON quality_tasks (status);
+CREATE INDEX IF NOT EXISTS idx_quality_tasks_assigned_to ON quality_tasks (assigned_to);
+
+-- One row per status change, with who made it and when
+CREATE TABLE IF NOT EXISTS task_transitions (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES quality_tasks(id) ON DELETE CASCADE,
+  from_status VARCHAR(20),
+  to_status VARCHAR(20) NOT NULL,
+  actor_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  note TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_transitions_task_id ON task_transitions (task_id);
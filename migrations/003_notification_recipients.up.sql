@@ -0,0 +1,21 @@
+-- Per-user delivery and read state for notifications. Role-targeted
+-- notifications fan out to one row per user in that role.
+
+CREATE TABLE IF NOT EXISTS notification_recipients (
+  notification_id INTEGER NOT NULL REFERENCES notifications(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  read_at TIMESTAMP,
+  dismissed_at TIMESTAMP,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (notification_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notification_recipients_user
+  ON notification_recipients (user_id) WHERE dismissed_at IS NULL;
+
+-- Backfill existing role-shared notifications, keeping their shared read flag
+INSERT INTO notification_recipients (notification_id, user_id, read_at)
+SELECT n.id, u.id, CASE WHEN n.read THEN n.created_at END
+FROM notifications n
+JOIN users u ON u.role = n.recipient_role OR n.recipient_role = 'all'
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS maintenance_records;
+DROP TABLE IF EXISTS maintenance_plans;
+
+ALTER TABLE parts DROP COLUMN IF EXISTS stroke_count;
@@ -0,0 +1,45 @@
+-- Die maintenance history and preventive maintenance (PM) plans
+
+-- Cumulative stroke/shot counter per die, used by stroke-based PM plans
+ALTER TABLE parts
+  ADD COLUMN IF NOT EXISTS stroke_count BIGINT NOT NULL DEFAULT 0;
+
+CREATE TABLE IF NOT EXISTS maintenance_plans (
+  id SERIAL PRIMARY KEY,
+  part_id INTEGER NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+  name VARCHAR(255) NOT NULL,
+  description TEXT,
+  interval_days INTEGER CHECK (interval_days > 0),
+  interval_strokes INTEGER CHECK (interval_strokes > 0),
+  grace_days INTEGER NOT NULL DEFAULT 0 CHECK (grace_days >= 0),
+  grace_strokes INTEGER NOT NULL DEFAULT 0 CHECK (grace_strokes >= 0),
+  location VARCHAR(255),
+  last_performed_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_performed_strokes BIGINT NOT NULL DEFAULT 0,
+  due_task_id INTEGER REFERENCES quality_tasks(id) ON DELETE SET NULL,
+  overdue_notified_at TIMESTAMP,
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (interval_days IS NOT NULL OR interval_strokes IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_part_id ON maintenance_plans (part_id);
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_active ON maintenance_plans (active) WHERE active;
+
+CREATE TABLE IF NOT EXISTS maintenance_records (
+  id SERIAL PRIMARY KEY,
+  part_id INTEGER NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+  plan_id INTEGER REFERENCES maintenance_plans(id) ON DELETE SET NULL,
+  performed_at TIMESTAMP NOT NULL,
+  work_done TEXT NOT NULL,
+  technician VARCHAR(255) NOT NULL,
+  downtime_minutes INTEGER NOT NULL DEFAULT 0 CHECK (downtime_minutes >= 0),
+  spares_used JSONB NOT NULL DEFAULT '[]',
+  stroke_count BIGINT,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_records_part_id ON maintenance_records (part_id, performed_at DESC);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS stroke_readings;
+
+ALTER TABLE parts DROP COLUMN IF EXISTS stroke_alert_threshold;
@@ -0,0 +1,17 @@
+-- Production stroke/shot readings per die
+
+ALTER TABLE parts
+  ADD COLUMN IF NOT EXISTS stroke_alert_threshold BIGINT CHECK (stroke_alert_threshold > 0);
+
+CREATE TABLE IF NOT EXISTS stroke_readings (
+  id BIGSERIAL PRIMARY KEY,
+  part_id INTEGER NOT NULL REFERENCES parts(id) ON DELETE CASCADE,
+  strokes INTEGER NOT NULL CHECK (strokes > 0),
+  recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  idempotency_key VARCHAR(255) UNIQUE,
+  source VARCHAR(255),
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_stroke_readings_part_time ON stroke_readings (part_id, recorded_at);
@@ -0,0 +1,7 @@
+DROP TABLE IF EXISTS user_tokens;
+
+-- Accounts without a password cannot exist once it is required again
+DELETE FROM users WHERE password IS NULL;
+ALTER TABLE users ALTER COLUMN password SET NOT NULL;
+
+ALTER TABLE users DROP COLUMN IF EXISTS status;
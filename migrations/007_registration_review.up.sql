@@ -0,0 +1,11 @@
+-- Account statuses for invite-only and Admin-approval registration
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP;
+
+ALTER TABLE users
+  ADD CONSTRAINT users_status_check
+  CHECK (status IN ('active', 'invited', 'pending', 'rejected', 'disabled'));
+
+CREATE INDEX IF NOT EXISTS idx_users_status ON users (status);
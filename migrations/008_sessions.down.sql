@@ -0,0 +1,11 @@
+-- Hashed tokens cannot be turned back into plaintext; users sign in again
+DELETE FROM refresh_tokens;
+
+ALTER TABLE refresh_tokens
+  DROP COLUMN IF EXISTS session_id,
+  DROP COLUMN IF EXISTS token_hash,
+  DROP COLUMN IF EXISTS used_at,
+  DROP COLUMN IF EXISTS created_at;
+ALTER TABLE refresh_tokens ADD COLUMN IF NOT EXISTS token TEXT NOT NULL;
+
+DROP TABLE IF EXISTS user_sessions;
@@ -0,0 +1,27 @@
+-- Login sessions with rotating, hashed refresh tokens. Each login starts a
+-- session (a token family); every refresh replaces the token within it.
+
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  user_agent TEXT,
+  ip VARCHAR(64),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  revoked_reason VARCHAR(50)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_id ON user_sessions (user_id) WHERE revoked_at IS NULL;
+
+-- Plaintext refresh tokens cannot be carried over; existing users sign in again
+DELETE FROM refresh_tokens;
+
+ALTER TABLE refresh_tokens DROP COLUMN IF EXISTS token;
+ALTER TABLE refresh_tokens
+  ADD COLUMN IF NOT EXISTS session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS token_hash CHAR(64) NOT NULL UNIQUE,
+  ADD COLUMN IF NOT EXISTS used_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session_id ON refresh_tokens (session_id);
@@ -0,0 +1,20 @@
+-- Per-account brute-force protection and login history
+
+ALTER TABLE users
+  ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER NOT NULL DEFAULT 0,
+  ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMP,
+  ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS login_history (
+  id BIGSERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  email VARCHAR(255) NOT NULL,
+  success BOOLEAN NOT NULL,
+  reason VARCHAR(50),
+  ip VARCHAR(64),
+  user_agent TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_login_history_user_id ON login_history (user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_history_created_at ON login_history (created_at DESC);
@@ -0,0 +1,10 @@
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_fkey;
+
+-- Users in custom roles cannot satisfy the original fixed list
+UPDATE users SET role = 'Employee' WHERE role NOT IN ('Admin', 'HOD', 'Employee', 'Quality', 'PDC');
+ALTER TABLE users
+  ADD CONSTRAINT users_role_check CHECK (role IN ('Admin', 'HOD', 'Employee', 'Quality', 'PDC'));
+
+DROP TABLE IF EXISTS role_permissions;
+DROP TABLE IF EXISTS permissions;
+DROP TABLE IF EXISTS roles;
@@ -0,0 +1,65 @@
+-- Named permissions mapped to roles, replacing hard-coded role lists
+
+CREATE TABLE IF NOT EXISTS roles (
+  name VARCHAR(50) PRIMARY KEY,
+  description TEXT,
+  built_in BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS permissions (
+  name VARCHAR(100) PRIMARY KEY,
+  description TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role VARCHAR(50) NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  permission VARCHAR(100) NOT NULL REFERENCES permissions(name) ON DELETE CASCADE,
+  PRIMARY KEY (role, permission)
+);
+
+INSERT INTO roles (name, description, built_in) VALUES
+  ('Admin', 'Full access, manages users and roles', TRUE),
+  ('HOD', 'Head of department', TRUE),
+  ('PDC', 'Production die control', TRUE),
+  ('Employee', 'Maintenance technician', TRUE),
+  ('Quality', 'Quality inspector', TRUE)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO permissions (name, description) VALUES
+  ('parts:create', 'Create parts and import new parts'),
+  ('parts:update', 'Edit parts and upsert parts on import'),
+  ('parts:delete', 'Delete parts'),
+  ('maintenance:record', 'Log maintenance work on a die'),
+  ('maintenance:plan', 'Create, edit and delete preventive maintenance plans'),
+  ('strokes:record', 'Post stroke counter readings'),
+  ('strokes:configure', 'Set stroke alert thresholds'),
+  ('tasks:create', 'Raise quality tasks'),
+  ('tasks:assign', 'Assign quality tasks'),
+  ('tasks:work', 'Be assigned, start and resolve quality tasks'),
+  ('tasks:verify', 'Verify or reopen resolved quality tasks'),
+  ('users:manage', 'List, invite, approve, edit, lock and delete users'),
+  ('roles:manage', 'Create roles and change role permissions')
+ON CONFLICT (name) DO NOTHING;
+
+-- Matches the access the routes granted before permissions existed
+INSERT INTO role_permissions (role, permission) VALUES
+  ('Admin', 'parts:create'), ('Admin', 'parts:update'), ('Admin', 'parts:delete'),
+  ('Admin', 'maintenance:record'), ('Admin', 'maintenance:plan'),
+  ('Admin', 'strokes:record'), ('Admin', 'strokes:configure'),
+  ('Admin', 'tasks:create'), ('Admin', 'users:manage'), ('Admin', 'roles:manage'),
+  ('HOD', 'parts:create'), ('HOD', 'parts:update'),
+  ('HOD', 'maintenance:record'), ('HOD', 'maintenance:plan'),
+  ('HOD', 'strokes:record'), ('HOD', 'strokes:configure'),
+  ('HOD', 'tasks:create'), ('HOD', 'tasks:assign'),
+  ('PDC', 'maintenance:record'), ('PDC', 'strokes:record'),
+  ('PDC', 'tasks:create'), ('PDC', 'tasks:assign'),
+  ('Employee', 'maintenance:record'), ('Employee', 'strokes:record'),
+  ('Employee', 'tasks:create'), ('Employee', 'tasks:work'),
+  ('Quality', 'tasks:create'), ('Quality', 'tasks:verify')
+ON CONFLICT DO NOTHING;
+
+-- Roles now come from the roles table instead of a fixed list
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+ALTER TABLE users
+  ADD CONSTRAINT users_role_fkey FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
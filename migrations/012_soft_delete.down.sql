@@ -0,0 +1,15 @@
+-- Archived rows would reappear as live records, so remove them first
+DELETE FROM users WHERE deleted_at IS NOT NULL;
+DELETE FROM parts WHERE deleted_at IS NOT NULL
+  AND NOT EXISTS (SELECT 1 FROM quality_tasks qt WHERE qt.part_id = parts.id);
+
+DROP INDEX IF EXISTS idx_users_deleted_at;
+DROP INDEX IF EXISTS idx_parts_deleted_at;
+
+ALTER TABLE users
+  DROP COLUMN IF EXISTS deleted_by,
+  DROP COLUMN IF EXISTS deleted_at;
+
+ALTER TABLE parts
+  DROP COLUMN IF EXISTS deleted_by,
+  DROP COLUMN IF EXISTS deleted_at;
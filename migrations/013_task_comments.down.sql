@@ -0,0 +1,13 @@
+DELETE FROM permissions WHERE name = 'tasks:comment';
+
+-- User-targeted notifications have no role to fall back to
+DELETE FROM notifications WHERE recipient_role IS NULL;
+
+ALTER TABLE notifications
+  DROP CONSTRAINT IF EXISTS notifications_recipient_check,
+  ALTER COLUMN recipient_role SET NOT NULL,
+  DROP COLUMN IF EXISTS comment_id,
+  DROP COLUMN IF EXISTS recipient_user_id;
+
+DROP TABLE IF EXISTS task_comment_mentions;
+DROP TABLE IF EXISTS task_comments;
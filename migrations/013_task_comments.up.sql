@@ -0,0 +1,36 @@
+-- Discussion thread on quality tasks, with @-mentions that notify one user
+
+CREATE TABLE IF NOT EXISTS task_comments (
+  id SERIAL PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES quality_tasks(id) ON DELETE CASCADE,
+  author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL DEFAULT '',
+  image_urls TEXT[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_comments_task_id ON task_comments (task_id, created_at);
+
+CREATE TABLE IF NOT EXISTS task_comment_mentions (
+  comment_id INTEGER NOT NULL REFERENCES task_comments(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  PRIMARY KEY (comment_id, user_id)
+);
+
+-- Notifications can now target a single user instead of a role
+ALTER TABLE notifications
+  ADD COLUMN IF NOT EXISTS recipient_user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS comment_id INTEGER REFERENCES task_comments(id) ON DELETE CASCADE,
+  ALTER COLUMN recipient_role DROP NOT NULL;
+
+ALTER TABLE notifications
+  ADD CONSTRAINT notifications_recipient_check CHECK (recipient_role IS NOT NULL OR recipient_user_id IS NOT NULL);
+
+INSERT INTO permissions (name, description) VALUES
+  ('tasks:comment', 'Comment on quality tasks and mention other users')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('HOD', 'tasks:comment'), ('PDC', 'tasks:comment'),
+  ('Employee', 'tasks:comment'), ('Quality', 'tasks:comment')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,25 @@
+DELETE FROM permissions WHERE name = 'tasks:view';
+
+ALTER TABLE quality_tasks ADD COLUMN IF NOT EXISTS image_urls TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE task_comments ADD COLUMN IF NOT EXISTS image_urls TEXT[] NOT NULL DEFAULT '{}';
+
+-- Point image_urls back at the original file of each local upload
+UPDATE quality_tasks qt
+SET image_urls = images.urls
+FROM (
+  SELECT task_id, array_agg(COALESCE(variants->'original'->>'legacy_path', 'Uploads/' || (variants->'original'->>'key')) ORDER BY created_at) AS urls
+  FROM task_images WHERE comment_id IS NULL
+  GROUP BY task_id
+) images
+WHERE images.task_id = qt.id;
+
+UPDATE task_comments tc
+SET image_urls = images.urls
+FROM (
+  SELECT comment_id, array_agg(COALESCE(variants->'original'->>'legacy_path', 'Uploads/' || (variants->'original'->>'key')) ORDER BY created_at) AS urls
+  FROM task_images WHERE comment_id IS NOT NULL
+  GROUP BY comment_id
+) images
+WHERE images.comment_id = tc.id;
+
+DROP TABLE IF EXISTS task_images;
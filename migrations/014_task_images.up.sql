@@ -0,0 +1,55 @@
+-- Task photos move from raw file paths in image_urls to stored, processed
+-- images that are only served through the authenticated /api/images endpoint
+
+CREATE TABLE IF NOT EXISTS task_images (
+  id UUID PRIMARY KEY,
+  task_id INTEGER NOT NULL REFERENCES quality_tasks(id) ON DELETE CASCADE,
+  comment_id INTEGER REFERENCES task_comments(id) ON DELETE CASCADE,
+  variants JSONB NOT NULL,
+  content_type VARCHAR(50) NOT NULL,
+  original_name TEXT,
+  uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_task_images_task_id ON task_images (task_id);
+CREATE INDEX IF NOT EXISTS idx_task_images_comment_id ON task_images (comment_id) WHERE comment_id IS NOT NULL;
+
+-- Existing uploads only have the original file, stored relative to the
+-- local storage root ("Uploads/images/x.jpg" -> "images/x.jpg")
+INSERT INTO task_images (id, task_id, comment_id, variants, content_type, created_at)
+SELECT md5(legacy.path || legacy.task_id || COALESCE(legacy.comment_id, 0))::uuid,
+       legacy.task_id,
+       legacy.comment_id,
+       jsonb_build_object('original', jsonb_build_object(
+         'key', regexp_replace(replace(legacy.path, E'\\', '/'), '^[Uu]ploads/', ''),
+         'legacy_path', legacy.path
+       )),
+       CASE
+         WHEN legacy.path ~* '\.png$' THEN 'image/png'
+         WHEN legacy.path ~* '\.webp$' THEN 'image/webp'
+         WHEN legacy.path ~* '\.gif$' THEN 'image/gif'
+         ELSE 'image/jpeg'
+       END,
+       legacy.created_at
+FROM (
+  SELECT qt.id AS task_id, NULL::integer AS comment_id, url AS path, qt.created_at
+  FROM quality_tasks qt, unnest(qt.image_urls) AS url
+  UNION ALL
+  SELECT tc.task_id, tc.id, url, tc.created_at
+  FROM task_comments tc, unnest(tc.image_urls) AS url
+) legacy
+ON CONFLICT (id) DO NOTHING;
+
+ALTER TABLE quality_tasks DROP COLUMN IF EXISTS image_urls;
+ALTER TABLE task_comments DROP COLUMN IF EXISTS image_urls;
+
+-- Seeing a task (and its photos) becomes a permission of its own
+INSERT INTO permissions (name, description) VALUES
+  ('tasks:view', 'View quality tasks, their history, comments and photos')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('Admin', 'tasks:view'), ('HOD', 'tasks:view'), ('PDC', 'tasks:view'),
+  ('Employee', 'tasks:view'), ('Quality', 'tasks:view')
+ON CONFLICT DO NOTHING;
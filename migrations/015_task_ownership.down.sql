@@ -0,0 +1,5 @@
+DELETE FROM permissions WHERE name = 'tasks:manage';
+
+DROP INDEX IF EXISTS idx_quality_tasks_created_by;
+
+ALTER TABLE quality_tasks DROP COLUMN IF EXISTS created_by;
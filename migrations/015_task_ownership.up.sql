@@ -0,0 +1,20 @@
+-- Who raised each quality task, so the raiser can edit or delete it
+
+ALTER TABLE quality_tasks
+  ADD COLUMN IF NOT EXISTS created_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+-- The initial transition (from_status NULL) was recorded by the raiser
+UPDATE quality_tasks qt
+SET created_by = tt.actor_id
+FROM task_transitions tt
+WHERE tt.task_id = qt.id AND tt.from_status IS NULL AND qt.created_by IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_quality_tasks_created_by ON quality_tasks (created_by);
+
+INSERT INTO permissions (name, description) VALUES
+  ('tasks:manage', 'Edit and delete quality tasks raised by other users')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('Admin', 'tasks:manage'), ('HOD', 'tasks:manage')
+ON CONFLICT DO NOTHING;
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_quality_tasks_resolved_at;
+
+DELETE FROM permissions WHERE name = 'analytics:view';
@@ -0,0 +1,13 @@
+-- Dashboard analytics over tasks, parts and notifications
+
+INSERT INTO permissions (name, description) VALUES
+  ('analytics:view', 'View quality dashboards and trend analytics')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('Admin', 'analytics:view'), ('HOD', 'analytics:view')
+ON CONFLICT DO NOTHING;
+
+-- Mean time to resolve is filtered and averaged over resolved tasks only
+CREATE INDEX IF NOT EXISTS idx_quality_tasks_resolved_at
+  ON quality_tasks (resolved_at) WHERE resolved_at IS NOT NULL;
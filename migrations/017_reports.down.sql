@@ -0,0 +1,4 @@
+DELETE FROM permissions WHERE name IN ('reports:view', 'reports:manage');
+
+DROP TABLE IF EXISTS reports;
+DROP TABLE IF EXISTS report_subscriptions;
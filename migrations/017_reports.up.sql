@@ -0,0 +1,52 @@
+-- Scheduled die-quality reports: per-recipient schedules and an archive of
+-- generated PDF/XLSX files
+
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  period VARCHAR(10) NOT NULL CHECK (period IN ('weekly', 'monthly')),
+  cron_expression VARCHAR(100) NOT NULL,
+  timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+  formats TEXT[] NOT NULL DEFAULT '{pdf,xlsx}',
+  company_name VARCHAR(255),
+  active BOOLEAN NOT NULL DEFAULT TRUE,
+  last_run_at TIMESTAMP,
+  next_run_at TIMESTAMP,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CHECK (formats <@ ARRAY['pdf', 'xlsx']::TEXT[] AND cardinality(formats) > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_user_id ON report_subscriptions (user_id);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_next_run ON report_subscriptions (next_run_at) WHERE active;
+
+-- `files` maps each format to its storage key and size
+CREATE TABLE IF NOT EXISTS reports (
+  id SERIAL PRIMARY KEY,
+  subscription_id INTEGER REFERENCES report_subscriptions(id) ON DELETE SET NULL,
+  period VARCHAR(10) NOT NULL,
+  range_start TIMESTAMP NOT NULL,
+  range_end TIMESTAMP NOT NULL,
+  company_name VARCHAR(255),
+  files JSONB NOT NULL DEFAULT '{}'::jsonb,
+  summary JSONB NOT NULL DEFAULT '{}'::jsonb,
+  recipient_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  delivered_at TIMESTAMP,
+  delivery_error TEXT,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reports_created_at ON reports (created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reports_recipient_id ON reports (recipient_id, created_at DESC);
+
+INSERT INTO permissions (name, description) VALUES
+  ('reports:view', 'Download archived reports, generate reports and manage own report schedules'),
+  ('reports:manage', 'Manage report schedules for other users')
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, permission) VALUES
+  ('Admin', 'reports:view'), ('Admin', 'reports:manage'),
+  ('HOD', 'reports:view')
+ON CONFLICT DO NOTHING;
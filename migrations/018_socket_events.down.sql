@@ -0,0 +1,4 @@
+ALTER TABLE notification_recipients DROP COLUMN IF EXISTS delivered_at;
+
+DROP TABLE IF EXISTS socket_event_cursors;
+DROP TABLE IF EXISTS socket_events;
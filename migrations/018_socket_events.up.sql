@@ -0,0 +1,26 @@
+-- Log of every Socket.IO event sent, so reconnecting clients can replay what
+-- they missed, plus the last event each user acknowledged
+
+CREATE TABLE IF NOT EXISTS socket_events (
+  id BIGSERIAL PRIMARY KEY,
+  rooms TEXT[],
+  event VARCHAR(100) NOT NULL,
+  payload JSONB NOT NULL,
+  notification_id INTEGER REFERENCES notifications(id) ON DELETE SET NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- rooms IS NULL means the event went to every connected client
+CREATE INDEX IF NOT EXISTS idx_socket_events_rooms ON socket_events USING GIN (rooms);
+CREATE INDEX IF NOT EXISTS idx_socket_events_created_at ON socket_events (created_at);
+CREATE INDEX IF NOT EXISTS idx_socket_events_notification_id ON socket_events (notification_id) WHERE notification_id IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS socket_event_cursors (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  last_event_id BIGINT NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Set when the recipient's client acknowledges the notification's event
+ALTER TABLE notification_recipients
+  ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMP;
@@ -0,0 +1,268 @@
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validate, object } = require('../middleware/validate');
+
+const router = express.Router();
+
+const logger = getLogger('routes/analytics');
+
+// Every endpoint accepts ?from=&to= (ISO dates) and ?company= to narrow the
+// data set; all aggregation happens in SQL.
+
+const INTERVALS = ['day', 'week', 'month'];
+
+// Dimensions tasks can be counted by in /tasks-over-time
+const GROUP_BY = {
+  part: { key: 'p.sap_code', label: 'p.part_name' },
+  company: { key: 'p.company_name', label: 'p.company_name' },
+  location: { key: 'qt.location', label: 'qt.location' },
+};
+
+const MAX_TOP = 100;
+
+// Open-task age buckets in days; the last has no upper bound
+const AGING_BUCKETS = [
+  { label: '0-1 days', min: 0, max: 1 },
+  { label: '1-3 days', min: 1, max: 3 },
+  { label: '3-7 days', min: 3, max: 7 },
+  { label: '7-30 days', min: 7, max: 30 },
+  { label: '30+ days', min: 30, max: null },
+];
+
+const FILTERS = {
+  from: { type: 'string', format: 'timestamp' },
+  to: { type: 'string', format: 'timestamp' },
+  company: { type: 'string', maxLength: 255 },
+};
+const topCount = { type: 'integer', minimum: 1, maximum: MAX_TOP, default: 10 };
+
+const filtersQuery = object(FILTERS);
+const tasksOverTimeQuery = object({
+  ...FILTERS,
+  interval: { type: 'string', enum: INTERVALS, default: 'week' },
+  group_by: { type: 'string', enum: Object.keys(GROUP_BY), default: 'part' },
+  top: topCount,
+});
+const topDiesQuery = object({ ...FILTERS, limit: topCount });
+
+// Build the WHERE clause for the shared filters. `dateColumn` and
+// `companyColumn` name the columns the current query filters on.
+const buildFilters = (query, { dateColumn, companyColumn }, conditions = [], values = []) => {
+  conditions = [...conditions];
+  values = [...values];
+
+  for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+    if (!query[key]) continue;
+    values.push(query[key]);
+    conditions.push(`${dateColumn} ${operator} $${values.length}`);
+  }
+
+  if (query.company) {
+    values.push(query.company);
+    conditions.push(`${companyColumn} = $${values.length}`);
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values,
+  };
+};
+
+// GET /api/analytics/tasks-over-time?group_by=part|company|location&interval=day|week|month&top=
+// Task counts per bucket and dimension value. Only the `top` values with the
+// most tasks in the range are broken out; the rest are summed as "Other".
+router.get('/tasks-over-time', verifyToken, requirePermission('analytics:view'), validate({ query: tasksOverTimeQuery }), async (req, res) => {
+  const { interval, group_by: groupBy, top } = req.query;
+  const filters = buildFilters(req.query, { dateColumn: 'qt.created_at', companyColumn: 'p.company_name' });
+
+  const { key, label } = GROUP_BY[groupBy];
+  const values = [...filters.values, top];
+  try {
+    const query = `
+      WITH filtered AS (
+        SELECT date_trunc('${interval}', qt.created_at) AS bucket, ${key} AS key, ${label} AS label
+        FROM quality_tasks qt
+        JOIN parts p ON p.id = qt.part_id
+        ${filters.where}
+      ),
+      ranked AS (
+        SELECT key FROM filtered
+        GROUP BY key
+        ORDER BY COUNT(*) DESC, key
+        LIMIT $${values.length}
+      )
+      SELECT f.bucket,
+             CASE WHEN r.key IS NULL THEN NULL ELSE f.key END AS key,
+             CASE WHEN r.key IS NULL THEN 'Other' ELSE MIN(f.label) END AS label,
+             COUNT(*)::int AS count
+      FROM filtered f
+      LEFT JOIN ranked r ON r.key IS NOT DISTINCT FROM f.key
+      GROUP BY f.bucket, r.key, CASE WHEN r.key IS NULL THEN NULL ELSE f.key END
+      ORDER BY f.bucket, count DESC, label
+    `;
+    const result = await pool.query(query, values);
+    logger.info(`Fetched task trend by ${groupBy}/${interval} for ${req.user.email}`);
+    res.json({ message: 'Task trend retrieved successfully', interval, group_by: groupBy, series: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching task trend: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/analytics/top-dies?limit= - Parts with the most quality tasks
+router.get('/top-dies', verifyToken, requirePermission('analytics:view'), validate({ query: topDiesQuery }), async (req, res) => {
+  const { limit } = req.query;
+  const filters = buildFilters(req.query, { dateColumn: 'qt.created_at', companyColumn: 'p.company_name' });
+
+  const values = [...filters.values, limit];
+  try {
+    const query = `
+      SELECT p.id AS part_id, p.part_name, p.company_name, p.sap_code,
+             COUNT(*)::int AS task_count,
+             COUNT(*) FILTER (WHERE qt.status NOT IN ('Resolved', 'Verified'))::int AS open_count,
+             COALESCE(SUM(reopens.count), 0)::int AS reopen_count,
+             MAX(qt.created_at) AS last_task_at
+      FROM quality_tasks qt
+      JOIN parts p ON p.id = qt.part_id
+      LEFT JOIN LATERAL (
+        SELECT COUNT(*) AS count FROM task_transitions tt
+        WHERE tt.task_id = qt.id AND tt.to_status = 'Reopened'
+      ) reopens ON TRUE
+      ${filters.where}
+      GROUP BY p.id
+      ORDER BY task_count DESC, reopen_count DESC, p.sap_code
+      LIMIT $${values.length}
+    `;
+    const result = await pool.query(query, values);
+    logger.info(`Fetched top ${limit} problem dies for ${req.user.email}`);
+    res.json({ message: 'Top problem dies retrieved successfully', dies: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching top problem dies: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/analytics/resolution-time - Mean (and median) hours from raising
+// a task to its resolution, overall and per company. The date range applies
+// to when tasks were resolved.
+router.get('/resolution-time', verifyToken, requirePermission('analytics:view'), validate({ query: filtersQuery }), async (req, res) => {
+  const filters = buildFilters(
+    req.query,
+    { dateColumn: 'qt.resolved_at', companyColumn: 'p.company_name' },
+    ['qt.resolved_at IS NOT NULL']
+  );
+
+  const hours = 'EXTRACT(EPOCH FROM (qt.resolved_at - qt.created_at)) / 3600';
+  try {
+    const query = `
+      SELECT p.company_name,
+             COUNT(*)::int AS resolved_count,
+             ROUND(AVG(${hours})::numeric, 2)::float AS mean_hours,
+             ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${hours}))::numeric, 2)::float AS median_hours,
+             GROUPING(p.company_name) = 1 AS is_total
+      FROM quality_tasks qt
+      JOIN parts p ON p.id = qt.part_id
+      ${filters.where}
+      GROUP BY ROLLUP (p.company_name)
+      ORDER BY is_total DESC, mean_hours DESC
+    `;
+    const result = await pool.query(query, filters.values);
+    const total = result.rows.find(row => row.is_total);
+    const strip = ({ is_total: isTotal, ...row }) => row;
+    res.json({
+      message: 'Resolution time retrieved successfully',
+      overall: total
+        ? { resolved_count: total.resolved_count, mean_hours: total.mean_hours, median_hours: total.median_hours }
+        : { resolved_count: 0, mean_hours: null, median_hours: null },
+      by_company: result.rows.filter(row => !row.is_total).map(strip),
+    });
+  } catch (error) {
+    logger.error(`Error fetching resolution time: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/analytics/open-task-aging - Unresolved tasks by how long they have
+// been open, with a per-status breakdown
+router.get('/open-task-aging', verifyToken, requirePermission('analytics:view'), validate({ query: filtersQuery }), async (req, res) => {
+  const filters = buildFilters(
+    req.query,
+    { dateColumn: 'qt.created_at', companyColumn: 'p.company_name' },
+    ["qt.status NOT IN ('Resolved', 'Verified')"]
+  );
+
+  const values = [...filters.values, JSON.stringify(AGING_BUCKETS)];
+  try {
+    const query = `
+      WITH buckets AS (
+        SELECT position, bucket->>'label' AS label,
+               (bucket->>'min')::int AS min_days, (bucket->>'max')::int AS max_days
+        FROM jsonb_array_elements($${values.length}::jsonb) WITH ORDINALITY AS b(bucket, position)
+      ),
+      bucketed AS (
+        SELECT b.position, qt.status, COUNT(*)::int AS count
+        FROM quality_tasks qt
+        JOIN parts p ON p.id = qt.part_id
+        JOIN buckets b
+          ON CURRENT_TIMESTAMP - qt.created_at >= make_interval(days => b.min_days)
+         AND (b.max_days IS NULL OR CURRENT_TIMESTAMP - qt.created_at < make_interval(days => b.max_days))
+        ${filters.where}
+        GROUP BY b.position, qt.status
+      )
+      SELECT b.label, b.min_days, b.max_days,
+             COALESCE(SUM(x.count), 0)::int AS count,
+             COALESCE(jsonb_object_agg(x.status, x.count) FILTER (WHERE x.status IS NOT NULL), '{}') AS by_status
+      FROM buckets b
+      LEFT JOIN bucketed x ON x.position = b.position
+      GROUP BY b.position, b.label, b.min_days, b.max_days
+      ORDER BY b.position
+    `;
+    const result = await pool.query(query, values);
+    res.json({
+      message: 'Open task aging retrieved successfully',
+      total: result.rows.reduce((sum, row) => sum + row.count, 0),
+      buckets: result.rows,
+    });
+  } catch (error) {
+    logger.error(`Error fetching open task aging: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/analytics/notification-response - Per role a notification was sent
+// to ('all' for broadcasts): how many deliveries were read or dismissed, and
+// how quickly. Notifications addressed to one user (@-mentions) are left out.
+router.get('/notification-response', verifyToken, requirePermission('analytics:view'), validate({ query: filtersQuery }), async (req, res) => {
+  const filters = buildFilters(req.query, { dateColumn: 'n.created_at', companyColumn: 'n.company_name' }, ['n.recipient_user_id IS NULL']);
+
+  // A recipient has responded once they read or dismissed the notification
+  const respondedAt = 'LEAST(nr.read_at, nr.dismissed_at)';
+  const minutes = `EXTRACT(EPOCH FROM (${respondedAt} - n.created_at)) / 60`;
+  try {
+    const query = `
+      SELECT n.recipient_role AS role,
+             COUNT(*)::int AS delivered,
+             COUNT(nr.read_at)::int AS read,
+             COUNT(nr.dismissed_at)::int AS dismissed,
+             COUNT(${respondedAt})::int AS responded,
+             ROUND(COUNT(nr.read_at) * 100.0 / COUNT(*), 1)::float AS read_rate,
+             ROUND(COUNT(${respondedAt}) * 100.0 / COUNT(*), 1)::float AS response_rate,
+             ROUND(AVG(${minutes})::numeric, 1)::float AS mean_minutes_to_respond,
+             ROUND((PERCENTILE_CONT(0.5) WITHIN GROUP (ORDER BY ${minutes}))::numeric, 1)::float AS median_minutes_to_respond
+      FROM notification_recipients nr
+      JOIN notifications n ON n.id = nr.notification_id
+      ${filters.where}
+      GROUP BY n.recipient_role
+      ORDER BY n.recipient_role
+    `;
+    const result = await pool.query(query, filters.values);
+    res.json({ message: 'Notification response rates retrieved successfully', roles: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching notification response rates: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { buildListQuery, listQuerySchema, paginationMeta } = require('../services/listing');
+const { validate, sendValidationError } = require('../middleware/validate');
+
+const router = express.Router();
+
+const logger = getLogger('routes/audit');
+
+const AUDIT_LIST_OPTIONS = {
+  search: ['actor_email', 'entity_id', 'action'],
+  dateColumn: 'created_at',
+  filters: {
+    entity_type: { column: 'entity_type' },
+    entity_id: { column: 'entity_id' },
+    actor_id: { column: 'actor_id', type: 'integer' },
+    actor_email: { column: 'actor_email' },
+    action: { column: 'action' },
+  },
+  sort: {
+    created_at: 'created_at',
+  },
+  defaultSort: 'created_at',
+  tieBreaker: 'id',
+};
+
+// GET /api/audit?entity_type=&entity_id=&actor_id=&actor_email=&action=&search=&from=&to=&sort=&order=&page=&limit=
+// Query the audit trail - requires audit:read
+router.get('/', verifyToken, requirePermission('audit:read'), validate({ query: listQuerySchema(AUDIT_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, AUDIT_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
+  try {
+    const query = `
+      SELECT id, actor_id, actor_email, actor_role, action, entity_type, entity_id, changes, metadata, ip, user_agent, created_at
+      FROM audit_log ${list.where} ${list.orderBy} ${list.paginate}
+    `;
+    const countQuery = `SELECT COUNT(*)::int AS total FROM audit_log ${list.where}`;
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
+    logger.info(`Fetched ${result.rows.length} audit entries by ${req.user.email}`);
+    res.json({
+      message: 'Audit log retrieved successfully',
+      entries: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
+  } catch (error) {
+    logger.error(`Error fetching audit log: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
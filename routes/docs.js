@@ -0,0 +1,19 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const apiRoutes = require('./index');
+const { buildSpec } = require('../services/openapi');
+
+const router = express.Router();
+
+const spec = buildSpec(apiRoutes);
+
+// GET /api/docs/openapi.json - The OpenAPI document
+router.get('/openapi.json', (req, res) => {
+  res.json(spec);
+});
+
+// GET /api/docs - Browsable API docs
+router.use('/', swaggerUi.serve);
+router.get('/', swaggerUi.setup(spec, { customSiteTitle: 'DieCare API' }));
+
+module.exports = router;
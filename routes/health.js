@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const { sendError } = require('../middleware/errors');
+const pool = require('../db');
+const { probeWrite } = require('../services/storage');
+const { register, poolInUse } = require('../services/metrics');
+
+const router = express.Router();
+
+const logger = getLogger('routes/health');
+
+// Probes for load balancers and orchestrators, and the Prometheus scrape.
+//   READY_TIMEOUT_MS - how long each readiness check may take (default 2000)
+//   METRICS_TOKEN    - when set, /metrics requires "Authorization: Bearer <token>"
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS, 10) || 2000;
+
+const withTimeout = (promise, what) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error(`${what} timed out after ${READY_TIMEOUT_MS}ms`)), READY_TIMEOUT_MS);
+  promise.then(resolve, reject).finally(() => clearTimeout(timer));
+});
+
+// Run one readiness check; { ok, duration_ms, ...details } or { ok: false, error }
+const runCheck = async (what, check) => {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(check(), what);
+    return { ok: true, duration_ms: Date.now() - started, ...details };
+  } catch (error) {
+    return { ok: false, duration_ms: Date.now() - started, error: error.message };
+  }
+};
+
+// Pool usage; not ok once every connection is busy and queries queue for one
+const poolStats = () => {
+  const max = pool.options.max;
+  const stats = {
+    total: pool.totalCount,
+    idle: pool.idleCount,
+    in_use: poolInUse(),
+    waiting: pool.waitingCount,
+    max,
+  };
+  const saturated = stats.waiting > 0 && stats.total >= max;
+  return { ok: !saturated, ...stats, saturation: Math.round((stats.in_use / max) * 100) / 100, ...(saturated && { error: 'Pool saturated' }) };
+};
+
+// GET /health - Liveness: the process is up and serving requests
+router.get('/health', (req, res) => {
+  res.json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// GET /ready - Readiness: Postgres answers, the pool is not saturated and
+// uploads can be written. 503 with the failing checks otherwise.
+router.get('/ready', async (req, res) => {
+  const [database, uploads] = await Promise.all([
+    runCheck('Database ping', async () => {
+      await pool.query('SELECT 1');
+    }),
+    runCheck('Upload storage write', async () => {
+      await probeWrite();
+      return { driver: process.env.STORAGE_DRIVER || 'local' };
+    }),
+  ]);
+  const checks = { database, pool: poolStats(), uploads };
+
+  const failing = Object.keys(checks).filter(name => !checks[name].ok);
+  if (failing.length > 0) {
+    logger.warn(`Not ready: ${failing.map(name => `${name} (${checks[name].error})`).join(', ')}`);
+    return res.status(503).json({ status: 'not_ready', checks });
+  }
+  res.json({ status: 'ready', checks });
+});
+
+const tokenMatches = (header) => {
+  const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+  const given = Buffer.from(String(header || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+// GET /metrics - Prometheus text exposition
+router.get('/metrics', async (req, res) => {
+  if (process.env.METRICS_TOKEN && !tokenMatches(req.headers['authorization'])) {
+    return sendError(res, 401, 'Metrics token required');
+  }
+
+  try {
+    const metrics = await register.metrics();
+    res.set('Content-Type', register.contentType);
+    res.send(metrics);
+  } catch (error) {
+    logger.error(`Error collecting metrics: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,65 @@
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validate, object } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { getObject } = require('../services/storage');
+const { VARIANTS } = require('../services/images');
+
+const router = express.Router();
+
+const logger = getLogger('routes/images');
+
+// Ids backfilled from legacy uploads are md5 hashes, not versioned UUIDs,
+// which the `uuid` format accepts
+const imageParams = object({ id: { type: 'string', format: 'uuid' } }, ['id']);
+const imageQuery = object({
+  variant: { type: 'string', enum: Object.keys(VARIANTS), default: 'original' },
+});
+
+// GET /api/images/:id?variant=original|medium|thumbnail
+// Streams a task or comment photo to users who can view tasks
+router.get('/:id', verifyToken, requirePermission('tasks:view'), validate({ params: imageParams, query: imageQuery }), async (req, res) => {
+  const { id } = req.params;
+  const { variant } = req.query;
+
+  try {
+    // The parent task must still exist for its photos to be visible
+    const result = await pool.query(
+      `SELECT ti.variants, ti.content_type
+       FROM task_images ti
+       JOIN quality_tasks qt ON qt.id = ti.task_id
+       WHERE ti.id = $1`,
+      [id]
+    );
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Image not found.');
+    }
+
+    // Uploads from before image processing only have the original
+    const { variants, content_type: contentType } = result.rows[0];
+    const file = variants[variant] || variants.original;
+
+    const stored = await getObject(file.key);
+    res.setHeader('Content-Type', contentType);
+    if (stored.size) res.setHeader('Content-Length', stored.size);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+
+    stored.stream.on('error', (error) => {
+      logger.error(`Error streaming image ${id} (${variant}): ${error.message}`);
+      res.destroy(error);
+    });
+    stored.stream.pipe(res);
+  } catch (error) {
+    if (error.code === 'NotFound') {
+      logger.warn(`Stored file missing for image ${id} (${variant})`);
+      return sendError(res, 404, 'Image not found.');
+    }
+    logger.error(`Error fetching image ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while fetching image.' });
+  }
+});
+
+module.exports = router;
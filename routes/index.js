@@ -0,0 +1,17 @@
+// API routers in the order server.js mounts them, with the tag they are
+// grouped under in the API docs
+module.exports = [
+  { path: '/api/register', router: require('./register'), tag: 'Users' },
+  { path: '/api/login', router: require('./login'), tag: 'Auth' },
+  { path: '/api/password', router: require('./password'), tag: 'Auth' },
+  { path: '/api/parts', router: require('./parts'), tag: 'Parts' },
+  { path: '/api/parts/:partId', router: require('./maintenance'), tag: 'Maintenance' },
+  { path: '/api/tasks', router: require('./tasks'), tag: 'Tasks' },
+  { path: '/api/notifications', router: require('./notifications'), tag: 'Notifications' },
+  { path: '/api/strokes', router: require('./strokes'), tag: 'Strokes' },
+  { path: '/api/roles', router: require('./roles'), tag: 'Roles' },
+  { path: '/api/audit', router: require('./audit'), tag: 'Audit' },
+  { path: '/api/images', router: require('./images'), tag: 'Images' },
+  { path: '/api/analytics', router: require('./analytics'), tag: 'Analytics' },
+  { path: '/api/reports', router: require('./reports'), tag: 'Reports' },
+];
@@ -1,25 +1,25 @@
+const crypto = require('crypto');
 const express = require('express');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
-const validator = require('validator');
 const rateLimit = require('express-rate-limit');
-const winston = require('winston');
+const { getLogger } = require('../services/logger');
 const pool = require('../db');
+const { verifyToken } = require('../middleware/auth');
+const { validate, object } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const {
+  createSession,
+  rotateRefreshToken,
+  findSessionByToken,
+  revokeSession,
+  revokeAllSessions,
+} = require('../services/sessions');
+const { getRolePermissions } = require('../services/permissions');
 
 const router = express.Router();
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: process.env.LOG_FILE_PATH }),
-    new winston.transports.Console()
-  ],
-});
+const logger = getLogger('routes/login');
 
 // Rate limiter for login
 const limiter = rateLimit({
@@ -27,70 +27,152 @@ const limiter = rateLimit({
   max: parseInt(process.env.RATE_LIMIT_MAX, 10),
   handler: (req, res) => {
     logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
-    res.status(429).json({ error: 'Too many requests, please try again later.' });
+    sendError(res, 429, 'Too many requests, please try again later.');
   },
 });
 
-// Login Endpoint
-router.post('/', limiter, async (req, res) => {
-  const { email, password } = req.body;
+const INACTIVE_ACCOUNT_ERRORS = {
+  pending: 'Account is awaiting Admin approval',
+  rejected: 'Account registration was rejected',
+  disabled: 'Account is disabled',
+};
 
-  // Input validation
-  if (!email || !password) {
-    logger.warn(`Login attempt with missing fields: ${JSON.stringify(req.body)}`);
-    return res.status(400).json({ error: 'Email and password are required' });
-  }
+// Access tokens carry the session id so a session can tell itself apart
+const signAccessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_ACCESS_SECRET,
+  { expiresIn: '1h' }
+);
+
+const sessionMeta = (req) => ({ userAgent: req.headers['user-agent'], ip: req.ip });
+
+// Per-account brute-force protection
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const DELAY_BASE_MS = parseInt(process.env.LOGIN_DELAY_BASE_MS, 10) || 500;
+const DELAY_MAX_MS = parseInt(process.env.LOGIN_DELAY_MAX_MS, 10) || 8000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Compared against when there is no stored hash, so unknown emails and
+// invited accounts take as long to check as a wrong password
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomUUID(), 10);
+
+// Failed attempt n waits DELAY_BASE_MS * 2^(n-1), capped at DELAY_MAX_MS
+const failureDelay = (attempts) => Math.min(DELAY_BASE_MS * 2 ** Math.max(attempts - 1, 0), DELAY_MAX_MS);
 
-  if (!validator.isEmail(String(email))) {
-    logger.warn(`Invalid email format: ${email}`);
-    return res.status(400).json({ error: 'Invalid email format' });
+// Record a login attempt; history problems must never block a login
+const recordLogin = async (req, { userId = null, email, success, reason = null }) => {
+  try {
+    await pool.query(
+      'INSERT INTO login_history (user_id, email, success, reason, ip, user_agent) VALUES ($1, $2, $3, $4, $5, $6)',
+      [userId, String(email), success, reason, req.ip, req.headers['user-agent'] || null]
+    );
+  } catch (error) {
+    logger.error(`Error recording login history for ${email}: ${error.message}`);
   }
+};
+
+const loginBody = object({
+  email: { type: 'string', format: 'email', minLength: 1, maxLength: 255 },
+  password: { type: 'string', minLength: 1, maxLength: 255 },
+}, ['email', 'password']);
+
+const refreshTokenBody = object({
+  refreshToken: { type: 'string', minLength: 1 },
+}, ['refreshToken']);
+
+// Login Endpoint
+router.post('/', limiter, validate({ body: loginBody }), async (req, res) => {
+  const { email, password } = req.body;
 
   try {
     // Check if user exists
-    const query = 'SELECT * FROM users WHERE email = $1';
+    const query = 'SELECT * FROM users WHERE email = $1 AND deleted_at IS NULL';
     const result = await pool.query(query, [email]);
     if (result.rows.length === 0) {
+      await bcrypt.compare(password, DUMMY_HASH);
       logger.warn(`Login failed: Invalid email ${email}`);
-      return res.status(401).json({ error: 'Invalid email or password' });
+      await recordLogin(req, { email, success: false, reason: 'unknown_email' });
+
+      // Back off like an account would, counting this email's recent misses
+      const misses = await pool.query(
+        `SELECT COUNT(*)::int AS attempts FROM login_history
+         WHERE created_at > CURRENT_TIMESTAMP - make_interval(mins => $1) AND email = $2 AND reason = 'unknown_email'`,
+        [LOCKOUT_MINUTES, email]
+      );
+      await sleep(failureDelay(misses.rows[0].attempts));
+      return sendError(res, 401, 'Invalid email or password');
     }
 
     const user = result.rows[0];
 
-    // Verify password
-    const isMatch = await bcrypt.compare(password, user.password);
+    // Temporarily locked after too many failed attempts
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      logger.warn(`Login failed: Account ${email} is locked until ${user.locked_until.toISOString()}`);
+      await recordLogin(req, { userId: user.id, email, success: false, reason: 'locked' });
+      return sendError(res, 423, 'Account is temporarily locked due to too many failed login attempts', { locked_until: user.locked_until });
+    }
+
+    // Verify password; invited accounts have none until they accept
+    const isMatch = await bcrypt.compare(password, user.password ?? DUMMY_HASH) && user.password !== null;
     if (!isMatch) {
-      logger.warn(`Login failed: Invalid password for ${email}`);
-      return res.status(401).json({ error: 'Invalid email or password' });
+      // An expired lockout starts the count again
+      const failure = await pool.query(
+        `UPDATE users u
+         SET failed_login_attempts = prior.attempts + 1,
+             last_failed_login_at = CURRENT_TIMESTAMP,
+             locked_until = CASE
+               WHEN prior.attempts + 1 >= $1 THEN CURRENT_TIMESTAMP + make_interval(mins => $2)
+               ELSE prior.locked_until
+             END
+         FROM (
+           SELECT id,
+                  CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN 0 ELSE failed_login_attempts END AS attempts,
+                  CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN NULL ELSE locked_until END AS locked_until
+           FROM users WHERE id = $3
+         ) prior
+         WHERE u.id = prior.id
+         RETURNING u.failed_login_attempts, u.locked_until`,
+        [MAX_FAILED_ATTEMPTS, LOCKOUT_MINUTES, user.id]
+      );
+      const { failed_login_attempts: attempts, locked_until: lockedUntil } = failure.rows[0];
+
+      logger.warn(`Login failed: Invalid password for ${email} (attempt ${attempts})`);
+      await recordLogin(req, { userId: user.id, email, success: false, reason: 'invalid_password' });
+      await sleep(failureDelay(attempts));
+
+      if (lockedUntil && new Date(lockedUntil) > new Date()) {
+        logger.warn(`Account ${email} locked until ${lockedUntil.toISOString()}`);
+        return sendError(res, 423, 'Account is temporarily locked due to too many failed login attempts', { locked_until: lockedUntil });
+      }
+      return sendError(res, 401, 'Invalid email or password');
     }
 
-    // Generate access token
-    const accessToken = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: '1h' }
-    );
+    // Pending, rejected and disabled accounts cannot sign in. Checked
+    // after the password so the answer does not reveal an account's status.
+    if (user.status !== 'active') {
+      logger.warn(`Login failed: Account ${email} is ${user.status}`);
+      await recordLogin(req, { userId: user.id, email, success: false, reason: `account_${user.status}` });
+      return sendError(res, 403, INACTIVE_ACCOUNT_ERRORS[user.status] || 'Account is not active');
+    }
 
-    // Generate refresh token
-    const refreshToken = jwt.sign(
-      { id: user.id },
-      process.env.JWT_REFRESH_SECRET,
-      { expiresIn: '7d' }
-    );
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await pool.query('UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = $1', [user.id]);
+    }
+    await recordLogin(req, { userId: user.id, email, success: true });
 
-    // Store refresh token in database
-    const expiresAt = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000); // 7 days
-    await pool.query(
-      'INSERT INTO refresh_tokens (user_id, token, expires_at) VALUES ($1, $2, $3)',
-      [user.id, refreshToken, expiresAt]
-    );
+    // Start a session with its first refresh token
+    const { sessionId, refreshToken } = await createSession(pool, user.id, sessionMeta(req));
+    const accessToken = signAccessToken(user, sessionId);
+    const permissions = [...await getRolePermissions(user.role)].sort();
 
     logger.info(`User logged in: ${email}`);
     res.json({
       message: 'Login successful',
       accessToken,
       refreshToken,
-      user: { id: user.id, email: user.email, name: user.name, role: user.role },
+      user: { id: user.id, email: user.email, name: user.name, role: user.role, permissions },
     });
   } catch (error) {
     logger.error(`Login error for ${email}: ${error.message}`);
@@ -98,49 +180,125 @@ router.post('/', limiter, async (req, res) => {
   }
 });
 
-// Refresh Token Endpoint
-router.post('/refresh-token', async (req, res) => {
+// Refresh Token Endpoint - rotates the refresh token on every call
+router.post('/refresh-token', validate({ body: refreshTokenBody }), async (req, res) => {
   const { refreshToken } = req.body;
 
-  if (!refreshToken) {
-    logger.warn('Refresh token request without token');
-    return res.status(400).json({ error: 'Refresh token required' });
+  let decoded;
+  try {
+    decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
+  } catch (error) {
+    logger.warn(`Refresh token verification failed: ${error.message}`);
+    return sendError(res, 401, 'Invalid or expired refresh token');
   }
 
+  const client = await pool.connect();
   try {
-    // Verify refresh token
-    const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-
-    // Check if refresh token exists in database
-    const tokenQuery = 'SELECT * FROM refresh_tokens WHERE token = $1 AND user_id = $2 AND expires_at > NOW()';
-    const tokenResult = await pool.query(tokenQuery, [refreshToken, decoded.id]);
-    if (tokenResult.rows.length === 0) {
-      logger.warn(`Invalid or expired refresh token for user_id: ${decoded.id}`);
-      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    await client.query('BEGIN');
+
+    const rotation = await rotateRefreshToken(client, refreshToken, decoded.id, sessionMeta(req));
+    if (rotation.status !== 'ok') {
+      // Keep the revocation of a reused token's session
+      await client.query(rotation.status === 'reused' ? 'COMMIT' : 'ROLLBACK');
+      if (rotation.status === 'reused') {
+        logger.warn(`Refresh token reuse detected for user_id: ${decoded.id}, session ${rotation.sessionId} revoked`);
+      } else {
+        logger.warn(`Invalid or expired refresh token for user_id: ${decoded.id}`);
+      }
+      return sendError(res, 401, 'Invalid or expired refresh token');
     }
 
     // Fetch user
-    const userQuery = 'SELECT id, email, name, role FROM users WHERE id = $1';
-    const userResult = await pool.query(userQuery, [decoded.id]);
+    const userQuery = "SELECT id, email, name, role FROM users WHERE id = $1 AND status = 'active' AND deleted_at IS NULL";
+    const userResult = await client.query(userQuery, [decoded.id]);
     if (userResult.rows.length === 0) {
-      logger.warn(`User not found for id: ${decoded.id}`);
-      return res.status(401).json({ error: 'User not found' });
+      await client.query('ROLLBACK');
+      logger.warn(`Active user not found for id: ${decoded.id}`);
+      return sendError(res, 401, 'User not found or inactive');
     }
 
     const user = userResult.rows[0];
-
-    // Generate new access token
-    const newAccessToken = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_ACCESS_SECRET,
-      { expiresIn: '1h' }
-    );
+    await client.query('COMMIT');
 
     logger.info(`Access token refreshed for user: ${user.email}`);
-    res.json({ accessToken: newAccessToken });
+    res.json({ accessToken: signAccessToken(user, rotation.sessionId), refreshToken: rotation.refreshToken });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Refresh token error: ${error.message}`);
-    res.status(401).json({ error: 'Invalid or expired refresh token' });
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Logout Endpoint - ends the session the refresh token belongs to
+router.post('/logout', validate({ body: refreshTokenBody }), async (req, res) => {
+  const { refreshToken } = req.body;
+
+  try {
+    const session = await findSessionByToken(pool, refreshToken);
+    if (session) {
+      await revokeSession(pool, session.id, 'logout');
+      logger.info(`Session ${session.id} logged out for user_id: ${session.user_id}`);
+    }
+    // Logging out an unknown or already revoked token is not an error
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Logout Everywhere Endpoint - ends all of the user's sessions
+router.post('/logout-all', verifyToken, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(pool, req.user.id, 'logout_all');
+    logger.info(`${revoked} sessions logged out for ${req.user.email}`);
+    res.json({ message: 'Logged out of all sessions', revoked });
+  } catch (error) {
+    logger.error(`Logout-all error for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// My Sessions Endpoint - active sessions for the current user
+router.get('/sessions', verifyToken, async (req, res) => {
+  try {
+    const query = `
+      SELECT id, user_agent, ip, created_at, last_used_at
+      FROM user_sessions
+      WHERE user_id = $1 AND revoked_at IS NULL
+        AND EXISTS (
+          SELECT 1 FROM refresh_tokens rt
+          WHERE rt.session_id = user_sessions.id AND rt.used_at IS NULL AND rt.expires_at > NOW()
+        )
+      ORDER BY last_used_at DESC
+    `;
+    const result = await pool.query(query, [req.user.id]);
+    const sessions = result.rows.map(session => ({ ...session, current: session.id === req.user.sid }));
+    res.json({ message: 'Sessions retrieved successfully', sessions });
+  } catch (error) {
+    logger.error(`Error fetching sessions for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Revoke Session Endpoint - ends one of the current user's sessions
+const sessionParams = object({ id: { type: 'string', format: 'uuid' } }, ['id']);
+
+router.delete('/sessions/:id', verifyToken, validate({ params: sessionParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const revoked = await revokeSession(pool, id, 'revoked_by_user', req.user.id);
+    if (!revoked) {
+      return sendError(res, 404, 'Session not found');
+    }
+    logger.info(`Session ${id} revoked by ${req.user.email}`);
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    logger.error(`Error revoking session ${id} for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
   }
 });
 
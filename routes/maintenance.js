@@ -0,0 +1,349 @@
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validate, sendValidationError, object, id, text } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { getPlanStatus } = require('../services/maintenance');
+const { recordAudit } = require('../services/audit');
+
+// Mounted under /api/parts/:partId
+const router = express.Router({ mergeParams: true });
+
+const logger = getLogger('routes/maintenance');
+
+const partParams = object({ partId: id }, ['partId']);
+const planParams = object({ partId: id, planId: id }, ['partId', 'planId']);
+
+const count = { type: 'integer', minimum: 0, maximum: 2147483647 };
+
+const recordBody = object({
+  performed_at: { type: 'string', format: 'timestamp' },
+  work_done: text(),
+  technician: text(255),
+  downtime_minutes: count,
+  spares_used: { type: 'array' },
+  plan_id: { ...id, type: ['integer', 'null'] },
+}, ['performed_at', 'work_done', 'technician']);
+
+// An interval of 0 or null means the plan has no interval of that kind
+const PLAN_FIELDS = {
+  name: text(255),
+  description: { type: ['string', 'null'] },
+  interval_days: { ...count, type: ['integer', 'null'] },
+  interval_strokes: { ...count, type: ['integer', 'null'] },
+  grace_days: count,
+  grace_strokes: count,
+  location: { type: ['string', 'null'], maxLength: 255 },
+};
+const createPlanBody = object({
+  ...PLAN_FIELDS,
+  last_performed_at: { type: 'string', format: 'timestamp' },
+}, ['name']);
+const updatePlanBody = object({
+  ...PLAN_FIELDS,
+  active: { type: 'boolean' },
+});
+
+// Attach the plan's due status to a maintenance_plans row
+const withStatus = (plan, strokeCount) => ({ ...plan, ...getPlanStatus(plan, strokeCount) });
+
+const findPart = async (partId) => {
+  const result = await pool.query('SELECT id, part_name, stroke_count FROM parts WHERE id = $1 AND deleted_at IS NULL', [partId]);
+  return result.rows[0];
+};
+
+// 1. READ maintenance history for a part (GET /api/parts/:partId/maintenance)
+// Accessible to any authenticated user
+router.get('/maintenance', verifyToken, validate({ params: partParams }), async (req, res) => {
+  const { partId } = req.params;
+  try {
+    const part = await findPart(partId);
+    if (!part) {
+      return sendError(res, 404, 'Part not found');
+    }
+
+    const query = `
+      SELECT mr.*, mp.name AS plan_name
+      FROM maintenance_records mr
+      LEFT JOIN maintenance_plans mp ON mp.id = mr.plan_id
+      WHERE mr.part_id = $1
+      ORDER BY mr.performed_at DESC
+    `;
+    const result = await pool.query(query, [partId]);
+
+    const totalDowntime = result.rows.reduce((sum, record) => sum + record.downtime_minutes, 0);
+    logger.info(`Maintenance history for part ${partId} retrieved by ${req.user.email}.`);
+    res.json({
+      message: 'Maintenance records retrieved successfully',
+      count: result.rows.length,
+      total_downtime_minutes: totalDowntime,
+      records: result.rows,
+    });
+  } catch (error) {
+    logger.error(`Error fetching maintenance records for part ${partId}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 2. CREATE a maintenance record (POST /api/parts/:partId/maintenance)
+// Requires maintenance:record
+router.post('/maintenance', verifyToken, requirePermission('maintenance:record'), validate({ params: partParams, body: recordBody }), async (req, res) => {
+  const { partId } = req.params;
+  const { performed_at, work_done, technician, downtime_minutes, spares_used, plan_id } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const partResult = await client.query('SELECT id, stroke_count FROM parts WHERE id = $1 AND deleted_at IS NULL', [partId]);
+    if (partResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Part not found');
+    }
+    const part = partResult.rows[0];
+
+    if (plan_id) {
+      const planCheck = await client.query('SELECT id FROM maintenance_plans WHERE id = $1 AND part_id = $2 FOR UPDATE', [plan_id, partId]);
+      if (planCheck.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return sendValidationError(res, [{
+          location: 'body', field: 'plan_id', code: 'invalid_value', message: 'Maintenance plan not found for this part',
+        }]);
+      }
+    }
+
+    const query = `
+      INSERT INTO maintenance_records
+        (part_id, plan_id, performed_at, work_done, technician, downtime_minutes, spares_used, stroke_count, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+    const values = [
+      partId,
+      plan_id || null,
+      performed_at,
+      work_done,
+      technician,
+      downtime_minutes || 0,
+      JSON.stringify(spares_used || []),
+      part.stroke_count,
+      req.user.id,
+    ];
+    const result = await client.query(query, values);
+    await recordAudit(client, req, { action: 'create', entityType: 'maintenance_record', entityId: result.rows[0].id, after: result.rows[0] });
+
+    // Performing planned maintenance restarts the plan's interval
+    if (plan_id) {
+      await client.query(
+        `UPDATE maintenance_plans
+         SET last_performed_at = $1, last_performed_strokes = $2, due_task_id = NULL,
+             overdue_notified_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [performed_at, part.stroke_count, plan_id]
+      );
+    }
+
+    await client.query('COMMIT');
+    logger.info(`Maintenance record ${result.rows[0].id} for part ${partId} created by ${req.user.email}.`);
+    res.status(201).json({ message: 'Maintenance record created successfully', record: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error creating maintenance record for part ${partId}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// 3. READ preventive maintenance plans for a part (GET /api/parts/:partId/maintenance-plans)
+// Accessible to any authenticated user
+router.get('/maintenance-plans', verifyToken, validate({ params: partParams }), async (req, res) => {
+  const { partId } = req.params;
+  try {
+    const part = await findPart(partId);
+    if (!part) {
+      return sendError(res, 404, 'Part not found');
+    }
+
+    const result = await pool.query('SELECT * FROM maintenance_plans WHERE part_id = $1 ORDER BY created_at', [partId]);
+    const plans = result.rows.map(plan => withStatus(plan, part.stroke_count));
+
+    logger.info(`Maintenance plans for part ${partId} retrieved by ${req.user.email}.`);
+    res.json({ message: 'Maintenance plans retrieved successfully', count: plans.length, plans });
+  } catch (error) {
+    logger.error(`Error fetching maintenance plans for part ${partId}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// 4. CREATE a preventive maintenance plan (POST /api/parts/:partId/maintenance-plans)
+// Requires maintenance:plan
+router.post('/maintenance-plans', verifyToken, requirePermission('maintenance:plan'), validate({ params: partParams, body: createPlanBody }), async (req, res) => {
+  const { partId } = req.params;
+  const { name, description, interval_days, interval_strokes, grace_days, grace_strokes, location, last_performed_at } = req.body;
+
+  if (!interval_days && !interval_strokes) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'interval_days', code: 'required', message: 'A calendar interval or stroke interval is required',
+    }]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const partResult = await client.query('SELECT id, stroke_count FROM parts WHERE id = $1 AND deleted_at IS NULL', [partId]);
+    if (partResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Part not found');
+    }
+    const part = partResult.rows[0];
+
+    const query = `
+      INSERT INTO maintenance_plans
+        (part_id, name, description, interval_days, interval_strokes, grace_days, grace_strokes, location,
+         last_performed_at, last_performed_strokes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9, CURRENT_TIMESTAMP), $10, $11)
+      RETURNING *
+    `;
+    const values = [
+      partId,
+      name,
+      description || null,
+      interval_days || null,
+      interval_strokes || null,
+      grace_days || 0,
+      grace_strokes || 0,
+      location || null,
+      last_performed_at || null,
+      part.stroke_count,
+      req.user.id,
+    ];
+    const result = await client.query(query, values);
+    await recordAudit(client, req, { action: 'create', entityType: 'maintenance_plan', entityId: result.rows[0].id, after: result.rows[0] });
+    await client.query('COMMIT');
+
+    logger.info(`Maintenance plan ${result.rows[0].id} for part ${partId} created by ${req.user.email}.`);
+    res.status(201).json({ message: 'Maintenance plan created successfully', plan: withStatus(result.rows[0], part.stroke_count) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error creating maintenance plan for part ${partId}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// 5. UPDATE a preventive maintenance plan (PUT /api/parts/:partId/maintenance-plans/:planId)
+// Requires maintenance:plan
+router.put('/maintenance-plans/:planId', verifyToken, requirePermission('maintenance:plan'), validate({ params: planParams, body: updatePlanBody }), async (req, res) => {
+  const { partId, planId } = req.params;
+  const { name, description, interval_days, interval_strokes, grace_days, grace_strokes, location, active } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const partResult = await client.query('SELECT id, stroke_count FROM parts WHERE id = $1 AND deleted_at IS NULL', [partId]);
+    if (partResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Part not found');
+    }
+    const part = partResult.rows[0];
+
+    const planCheck = await client.query('SELECT * FROM maintenance_plans WHERE id = $1 AND part_id = $2 FOR UPDATE', [planId, partId]);
+    if (planCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.warn(`Update failed: Maintenance plan ${planId} not found for part ${partId}.`);
+      return sendError(res, 404, 'Maintenance plan not found');
+    }
+
+    const oldPlan = planCheck.rows[0];
+    const newPlan = {
+      name: name || oldPlan.name,
+      description: description !== undefined ? description : oldPlan.description,
+      interval_days: interval_days !== undefined ? interval_days || null : oldPlan.interval_days,
+      interval_strokes: interval_strokes !== undefined ? interval_strokes || null : oldPlan.interval_strokes,
+      grace_days: grace_days !== undefined ? grace_days : oldPlan.grace_days,
+      grace_strokes: grace_strokes !== undefined ? grace_strokes : oldPlan.grace_strokes,
+      location: location !== undefined ? location : oldPlan.location,
+      active: active !== undefined ? Boolean(active) : oldPlan.active,
+    };
+
+    if (!newPlan.interval_days && !newPlan.interval_strokes) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, [{
+        location: 'body', field: 'interval_days', code: 'required', message: 'A calendar interval or stroke interval is required',
+      }]);
+    }
+
+    const query = `
+      UPDATE maintenance_plans
+      SET name = $1, description = $2, interval_days = $3, interval_strokes = $4, grace_days = $5,
+          grace_strokes = $6, location = $7, active = $8, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $9
+      RETURNING *
+    `;
+    const values = [
+      newPlan.name,
+      newPlan.description,
+      newPlan.interval_days,
+      newPlan.interval_strokes,
+      newPlan.grace_days,
+      newPlan.grace_strokes,
+      newPlan.location,
+      newPlan.active,
+      planId,
+    ];
+    const result = await client.query(query, values);
+    await recordAudit(client, req, { action: 'update', entityType: 'maintenance_plan', entityId: planId, before: oldPlan, after: result.rows[0] });
+    await client.query('COMMIT');
+
+    logger.info(`Maintenance plan ${planId} updated by ${req.user.email}.`);
+    res.json({ message: 'Maintenance plan updated successfully', plan: withStatus(result.rows[0], part.stroke_count) });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error updating maintenance plan ${planId}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// 6. DELETE a preventive maintenance plan (DELETE /api/parts/:partId/maintenance-plans/:planId)
+// Requires maintenance:plan
+router.delete('/maintenance-plans/:planId', verifyToken, requirePermission('maintenance:plan'), validate({ params: planParams }), async (req, res) => {
+  const { partId, planId } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const partResult = await client.query('SELECT id FROM parts WHERE id = $1 AND deleted_at IS NULL', [partId]);
+    if (partResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Part not found');
+    }
+
+    const result = await client.query('DELETE FROM maintenance_plans WHERE id = $1 AND part_id = $2 RETURNING *', [planId, partId]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.warn(`Delete failed: Maintenance plan ${planId} not found for part ${partId}.`);
+      return sendError(res, 404, 'Maintenance plan not found');
+    }
+    await recordAudit(client, req, { action: 'delete', entityType: 'maintenance_plan', entityId: planId, before: result.rows[0] });
+    await client.query('COMMIT');
+
+    logger.info(`Maintenance plan ${planId} (${result.rows[0].name}) deleted by ${req.user.email}.`);
+    res.json({ message: 'Maintenance plan deleted successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error deleting maintenance plan ${planId}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,68 +1,219 @@
 const express = require('express');
-const winston = require('winston');
+const { getLogger } = require('../services/logger');
 const pool = require('../db');
 const { verifyToken } = require('../middleware/auth');
+const { buildListQuery, listQuerySchema, paginationMeta } = require('../services/listing');
+const { validate, sendValidationError, idParams } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { recordAudit } = require('../services/audit');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: process.env.LOG_FILE_PATH }),
-    new winston.transports.Console()
-  ],
-});
+const logger = getLogger('routes/notifications');
+
+const NOTIFICATION_LIST_OPTIONS = {
+  search: ['n.part_name', 'n.company_name', 'n.sap_code', 'n.location', 'n.comments'],
+  dateColumn: 'n.created_at',
+  filters: {
+    read: { column: '(nr.read_at IS NOT NULL)', type: 'boolean' },
+    task_id: { column: 'n.task_id', type: 'integer' },
+  },
+  sort: {
+    created_at: 'n.created_at',
+    part_name: 'n.part_name',
+    sap_code: 'n.sap_code',
+  },
+  defaultSort: 'created_at',
+  tieBreaker: 'n.id',
+};
+
+// GET /api/notifications?search=&read=&task_id=&from=&to=&sort=&order=&page=&limit=
+// Fetch the user's own inbox
+router.get('/', verifyToken, validate({ query: listQuerySchema(NOTIFICATION_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, {
+    ...NOTIFICATION_LIST_OPTIONS,
+    conditions: ['nr.user_id = $1', 'nr.dismissed_at IS NULL'],
+    values: [req.user.id],
+  });
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
 
-// GET /api/notifications - Fetch notifications for the user
-router.get('/', verifyToken, async (req, res) => {
   try {
     const query = `
-      SELECT id, task_id, part_name, company_name, sap_code, location, comments, recipient_role, read, created_at
-      FROM notifications
-      WHERE recipient_role = $1 OR recipient_role = 'all'
-      ORDER BY created_at DESC
+      SELECT n.id, n.task_id, n.comment_id, n.part_name, n.company_name, n.sap_code, n.location, n.comments, n.recipient_role,
+             nr.read_at IS NOT NULL AS read, nr.read_at, n.created_at
+      FROM notification_recipients nr
+      JOIN notifications n ON n.id = nr.notification_id
+      ${list.where}
+      ${list.orderBy}
+      ${list.paginate}
+    `;
+    const countQuery = `
+      SELECT COUNT(*)::int AS total
+      FROM notification_recipients nr
+      JOIN notifications n ON n.id = nr.notification_id
+      ${list.where}
     `;
-    const result = await pool.query(query, [req.user.role]);
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
     logger.info(`Fetched ${result.rows.length} notifications for user ${req.user.email}`);
-    res.json({ success: true, notifications: result.rows });
+    res.json({
+      success: true,
+      notifications: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
   } catch (error) {
     logger.error(`Error fetching notifications for ${req.user.email}: ${error.message}`);
     res.status(500).json({ success: false, error: 'Server error' });
   }
 });
 
-// PATCH /api/notifications/:id/read - Mark a notification as read
-router.patch('/:id/read', verifyToken, async (req, res) => {
+// GET /api/notifications/unread-count - Number of unread notifications for the user
+router.get('/unread-count', verifyToken, async (req, res) => {
+  try {
+    const query = `
+      SELECT COUNT(*)::int AS count
+      FROM notification_recipients
+      WHERE user_id = $1 AND read_at IS NULL AND dismissed_at IS NULL
+    `;
+    const result = await pool.query(query, [req.user.id]);
+    res.json({ success: true, count: result.rows[0].count });
+  } catch (error) {
+    logger.error(`Error counting unread notifications for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error' });
+  }
+});
+
+// PATCH /api/notifications/read-all - Mark all of the user's notifications as read
+router.patch('/read-all', verifyToken, async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const query = `
+      UPDATE notification_recipients SET read_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND read_at IS NULL AND dismissed_at IS NULL
+      RETURNING notification_id
+    `;
+    const result = await client.query(query, [req.user.id]);
+    if (result.rowCount > 0) {
+      await recordAudit(client, req, {
+        action: 'read_all', entityType: 'notification',
+        metadata: { count: result.rowCount, notification_ids: result.rows.map(row => row.notification_id) },
+      });
+    }
+    await client.query('COMMIT');
+    logger.info(`Marked ${result.rowCount} notifications as read for ${req.user.email}`);
+    res.json({ success: true, updated: result.rowCount });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error marking all notifications as read for ${req.user.email}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// PATCH /api/notifications/:id/read - Mark a notification as read for the user
+router.patch('/:id/read', verifyToken, validate({ params: idParams }), async (req, res) => {
   const { id } = req.params;
+  const client = await pool.connect();
   try {
-    const query = 'UPDATE notifications SET read = TRUE WHERE id = $1 AND (recipient_role = $2 OR recipient_role = \'all\') RETURNING *';
-    const result = await pool.query(query, [id, req.user.role]);
-    if (result.rows.length === 0) {
+    await client.query('BEGIN');
+    const current = await client.query(
+      'SELECT read_at FROM notification_recipients WHERE notification_id = $1 AND user_id = $2 AND dismissed_at IS NULL FOR UPDATE',
+      [id, req.user.id]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
       logger.warn(`Notification ${id} not found or not accessible for ${req.user.email}`);
-      return res.status(404).json({ error: 'Notification not found or not accessible' });
+      return sendError(res, 404, 'Notification not found or not accessible');
+    }
+    const query = `
+      UPDATE notification_recipients SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP)
+      WHERE notification_id = $1 AND user_id = $2
+      RETURNING notification_id, read_at
+    `;
+    const result = await client.query(query, [id, req.user.id]);
+    const { read_at } = result.rows[0];
+    if (!current.rows[0].read_at) {
+      await recordAudit(client, req, {
+        action: 'read', entityType: 'notification', entityId: id, before: { read_at: null }, after: { read_at },
+      });
     }
+    await client.query('COMMIT');
     logger.info(`Notification ${id} marked as read by ${req.user.email}`);
-    res.json({ success: true, notification: result.rows[0] });
+    res.json({ success: true, notification: { id: result.rows[0].notification_id, read: true, read_at } });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Error marking notification ${id} as read: ${error.message}`);
     res.status(500).json({ success: false, error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
-// DELETE /api/notifications/clear - Clear all notifications for the user
+// DELETE /api/notifications/clear - Dismiss all notifications for the user
 router.delete('/clear', verifyToken, async (req, res) => {
+  const client = await pool.connect();
   try {
-    const query = 'DELETE FROM notifications WHERE recipient_role = $1 OR recipient_role = \'all\'';
-    await pool.query(query, [req.user.role]);
+    await client.query('BEGIN');
+    const query = `
+      UPDATE notification_recipients SET dismissed_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND dismissed_at IS NULL
+      RETURNING notification_id
+    `;
+    const result = await client.query(query, [req.user.id]);
+    if (result.rowCount > 0) {
+      await recordAudit(client, req, {
+        action: 'dismiss_all', entityType: 'notification',
+        metadata: { count: result.rowCount, notification_ids: result.rows.map(row => row.notification_id) },
+      });
+    }
+    await client.query('COMMIT');
     logger.info(`Cleared notifications for ${req.user.email}`);
     res.json({ success: true, message: 'Notifications cleared' });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Error clearing notifications for ${req.user.email}: ${error.message}`);
     res.status(500).json({ success: false, error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/notifications/:id - Dismiss a single notification for the user
+router.delete('/:id', verifyToken, validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const query = `
+      UPDATE notification_recipients SET dismissed_at = CURRENT_TIMESTAMP
+      WHERE notification_id = $1 AND user_id = $2 AND dismissed_at IS NULL
+      RETURNING notification_id, dismissed_at
+    `;
+    const result = await client.query(query, [id, req.user.id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.warn(`Notification ${id} not found or not accessible for ${req.user.email}`);
+      return sendError(res, 404, 'Notification not found or not accessible');
+    }
+    await recordAudit(client, req, {
+      action: 'dismiss', entityType: 'notification', entityId: id,
+      before: { dismissed_at: null }, after: { dismissed_at: result.rows[0].dismissed_at },
+    });
+    await client.query('COMMIT');
+    logger.info(`Notification ${id} dismissed by ${req.user.email}`);
+    res.json({ success: true, message: 'Notification dismissed' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error dismissing notification ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
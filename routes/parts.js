@@ -1,39 +1,109 @@
 const express = require('express');
-const winston = require('winston');
+const { getLogger } = require('../services/logger');
 const pool = require('../db'); // Assuming db.js is in the parent directory
-const { verifyToken, restrictTo } = require('../middleware/auth'); // Import auth middleware
+const { verifyToken, requirePermission } = require('../middleware/auth'); // Import auth middleware
+const multer = require('multer');
+const { FORMATS, readRows, writeRows } = require('../services/spreadsheets');
+const { buildListQuery, listQuerySchema, paginationMeta } = require('../services/listing');
+const { validate, sendValidationError, checker, object, idParams, text } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { recordAudit } = require('../services/audit');
+const { RETENTION_DAYS, purgeAfterSql } = require('../services/archive');
 const router = express.Router();
 
-// Logger setup (consistent with your other files)
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: process.env.LOG_FILE_PATH || 'app.log' }),
-    new winston.transports.Console()
-  ],
+const logger = getLogger('routes/parts');
+
+// Bulk import files are parsed in memory, never written to disk
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024 },
+});
+
+const MAX_IMPORT_ROWS = 5000;
+
+const EXPORT_COLUMNS = [
+  { header: 'ID', key: 'id', width: 10 },
+  { header: 'Part Name', key: 'part_name', width: 30 },
+  { header: 'Company Name', key: 'company_name', width: 30 },
+  { header: 'SAP Code', key: 'sap_code' },
+  { header: 'Created At', key: 'created_at' },
+  { header: 'Updated At', key: 'updated_at' },
+];
+
+// SAP Codes stay unique across live and archived parts
+const sapCodeTakenError = (part) => (part.deleted_at ? 'SAP Code belongs to an archived part' : 'SAP Code already exists');
+
+// Filters, search and sort fields shared by GET /api/parts and GET /api/parts/export
+const PART_LIST_OPTIONS = {
+  conditions: ['deleted_at IS NULL'],
+  search: ['part_name', 'company_name', 'sap_code'],
+  dateColumn: 'created_at',
+  filters: {
+    company_name: { column: 'company_name' },
+  },
+  sort: {
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    part_name: 'part_name',
+    company_name: 'company_name',
+    sap_code: 'sap_code',
+  },
+  defaultSort: 'created_at',
+  tieBreaker: 'id',
+};
+
+const ARCHIVED_PART_LIST_OPTIONS = {
+  conditions: ['p.deleted_at IS NOT NULL'],
+  search: ['p.part_name', 'p.company_name', 'p.sap_code'],
+  dateColumn: 'p.deleted_at',
+  filters: {
+    company_name: { column: 'p.company_name' },
+  },
+  sort: {
+    deleted_at: 'p.deleted_at',
+    part_name: 'p.part_name',
+    sap_code: 'p.sap_code',
+  },
+  defaultSort: 'deleted_at',
+  tieBreaker: 'p.id',
+};
+
+// Part fields as clients send them
+const PART_FIELDS = {
+  part_name: text(255),
+  company_name: { type: 'string', maxLength: 255 },
+  sap_code: text(100),
+};
+
+const newPartBody = object(PART_FIELDS, ['part_name', 'sap_code']);
+
+// Bulk import rows are held to the same rules as POST /api/parts; returns
+// the row's validation details, empty when it is valid
+const validatePart = checker(newPartBody, 'row');
+
+// Import options, from the query string or as form fields
+const importOptions = object({
+  dry_run: { type: 'boolean' },
+  upsert: { type: 'boolean' },
 });
 
 // 1. CREATE a new part (POST /api/parts)
-// Restricted to Admin and HOD roles
-router.post('/', verifyToken, restrictTo('Admin', 'HOD'), async (req, res) => {
+// Requires parts:create
+router.post('/', verifyToken, requirePermission('parts:create'), validate({ body: newPartBody }), async (req, res) => {
   const { part_name, company_name, sap_code } = req.body;
 
-  // --- Validation ---
-  if (!part_name || !sap_code) {
-    logger.warn(`Part creation failed: Missing required fields.`);
-    return res.status(400).json({ error: 'Part Name and SAP Code are required' });
-  }
-
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+
     // Check for duplicate SAP Code
-    const sapCheck = await pool.query('SELECT id FROM parts WHERE sap_code = $1', [sap_code]);
+    const sapCheck = await client.query('SELECT id, deleted_at FROM parts WHERE sap_code = $1', [sap_code]);
     if (sapCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
       logger.warn(`Part creation failed: SAP Code '${sap_code}' already exists.`);
-      return res.status(400).json({ error: 'SAP Code already exists' });
+      return sendValidationError(res, [{
+        location: 'body', field: 'sap_code', code: 'duplicate', message: sapCodeTakenError(sapCheck.rows[0]),
+      }]);
     }
 
     // --- Insert into database ---
@@ -43,27 +113,48 @@ router.post('/', verifyToken, restrictTo('Admin', 'HOD'), async (req, res) => {
       RETURNING *
     `;
     const values = [part_name, company_name || null, sap_code];
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
+    const part = result.rows[0];
 
-    logger.info(`New part created by ${req.user.email}: ${JSON.stringify(result.rows[0])}`);
-    res.status(201).json({ message: 'Part created successfully', part: result.rows[0] });
+    await recordAudit(client, req, { action: 'create', entityType: 'part', entityId: part.id, after: part });
+    await client.query('COMMIT');
+
+    logger.info(`New part created by ${req.user.email}: ${JSON.stringify(part)}`);
+    res.status(201).json({ message: 'Part created successfully', part });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Error creating part: ${error.message}`);
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
 
-// 2. READ all parts (GET /api/parts)
+// 2. READ all parts (GET /api/parts?search=&company_name=&from=&to=&sort=&order=&page=&limit=)
 // Accessible to any authenticated user
-router.get('/', verifyToken, async (req, res) => {
+router.get('/', verifyToken, validate({ query: listQuerySchema(PART_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, PART_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
   try {
-    const query = 'SELECT * FROM parts ORDER BY created_at DESC';
-    const result = await pool.query(query);
+    const query = `SELECT * FROM parts ${list.where} ${list.orderBy} ${list.paginate}`;
+    const countQuery = `SELECT COUNT(*)::int AS total FROM parts ${list.where}`;
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
 
-    logger.info(`All parts retrieved by ${req.user.email}.`);
-    res.json({ message: 'Parts retrieved successfully', count: result.rows.length, parts: result.rows });
+    logger.info(`Parts page ${list.page} retrieved by ${req.user.email}.`);
+    res.json({
+      message: 'Parts retrieved successfully',
+      count: result.rows.length,
+      parts: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
 
   } catch (error) {
     logger.error(`Error fetching parts: ${error.message}`);
@@ -72,17 +163,326 @@ router.get('/', verifyToken, async (req, res) => {
 });
 
 
+// EXPORT parts as CSV or XLSX (GET /api/parts/export?format=csv|xlsx)
+// Accepts the same filters as GET /api/parts
+const exportQuery = listQuerySchema(PART_LIST_OPTIONS, {
+  format: { type: 'string', enum: Object.keys(FORMATS), default: 'csv' },
+});
+
+router.get('/export', verifyToken, validate({ query: exportQuery }), async (req, res) => {
+  const { format } = req.query;
+
+  const list = buildListQuery(req.query, PART_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
+  try {
+    // Export the whole filtered set, not just one page
+    const query = `SELECT id, part_name, company_name, sap_code, created_at, updated_at FROM parts ${list.where} ${list.orderBy}`;
+    const result = await pool.query(query, list.values);
+
+    const buffer = await writeRows(format, 'Parts', EXPORT_COLUMNS, result.rows);
+    const filename = `parts-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`;
+
+    logger.info(`${result.rows.length} parts exported as ${format} by ${req.user.email}.`);
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(Buffer.from(buffer));
+
+  } catch (error) {
+    logger.error(`Error exporting parts: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+
+// IMPORT parts from CSV or XLSX (POST /api/parts/import?dry_run=true&upsert=true)
+// Requires parts:create and parts:update. The file goes in the `file` field.
+router.post('/import', verifyToken, requirePermission('parts:create', 'parts:update'), importUpload.single('file'), validate({ query: importOptions, body: importOptions }), async (req, res) => {
+  const dryRun = (req.query.dry_run ?? req.body.dry_run) === true;
+  const upsert = (req.query.upsert ?? req.body.upsert) === true;
+
+  if (!req.file) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'file', code: 'required', message: 'A CSV or XLSX file is required',
+    }]);
+  }
+
+  let rows;
+  try {
+    rows = await readRows(req.file);
+  } catch (error) {
+    logger.warn(`Part import failed: could not read ${req.file.originalname}: ${error.message}`);
+    return sendValidationError(res, [{
+      location: 'body', field: 'file', code: 'invalid_format', message: error.message,
+    }]);
+  }
+
+  if (rows.length === 0) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'file', code: 'too_few', message: 'The file contains no rows',
+    }]);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'file', code: 'too_many', message: `A maximum of ${MAX_IMPORT_ROWS} rows can be imported at once`,
+    }]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const sapCodes = rows.map(row => row.sap_code).filter(Boolean);
+    const existingResult = await client.query('SELECT * FROM parts WHERE sap_code = ANY($1)', [sapCodes]);
+    const existing = new Map(existingResult.rows.map(part => [part.sap_code, part]));
+
+    // --- Validate every row before writing anything ---
+    const seen = new Set();
+    const results = rows.map(row => {
+      const details = validatePart(row);
+      if (details.length > 0) {
+        const error = details.map(detail => detail.message).join('; ');
+        return { row: row.rowNumber, sap_code: row.sap_code || null, action: 'error', error, details };
+      }
+      if (seen.has(row.sap_code)) {
+        return { row: row.rowNumber, sap_code: row.sap_code, action: 'error', error: 'Duplicate SAP Code in file' };
+      }
+      seen.add(row.sap_code);
+      if (existing.has(row.sap_code) && existing.get(row.sap_code).deleted_at) {
+        return { row: row.rowNumber, sap_code: row.sap_code, action: 'error', error: 'SAP Code belongs to an archived part' };
+      }
+      if (existing.has(row.sap_code)) {
+        return upsert
+          ? { row: row.rowNumber, sap_code: row.sap_code, action: 'update' }
+          : { row: row.rowNumber, sap_code: row.sap_code, action: 'error', error: 'SAP Code already exists' };
+      }
+      return { row: row.rowNumber, sap_code: row.sap_code, action: 'create' };
+    });
+
+    const errors = results.filter(result => result.action === 'error');
+    const summary = {
+      total: rows.length,
+      created: results.filter(result => result.action === 'create').length,
+      updated: results.filter(result => result.action === 'update').length,
+      errors: errors.length,
+    };
+
+    if (dryRun || errors.length > 0) {
+      await client.query('ROLLBACK');
+      logger.info(`Part import ${dryRun ? 'dry run' : 'rejected'} for ${req.user.email}: ${JSON.stringify(summary)}`);
+      return res.status(errors.length > 0 && !dryRun ? 400 : 200).json({
+        message: errors.length > 0 ? 'Import contains invalid rows' : 'Dry run completed, no changes were made',
+        dry_run: dryRun,
+        summary,
+        rows: results,
+      });
+    }
+
+    // --- Write all rows in one transaction ---
+    const importMetadata = { source: 'import', file: req.file.originalname };
+    for (const [index, row] of rows.entries()) {
+      if (results[index].action === 'update') {
+        const updated = await client.query(
+          'UPDATE parts SET part_name = $1, company_name = COALESCE($2, company_name), updated_at = CURRENT_TIMESTAMP WHERE sap_code = $3 RETURNING *',
+          [row.part_name, row.company_name || null, row.sap_code]
+        );
+        const before = existing.get(row.sap_code);
+        await recordAudit(client, req, {
+          action: 'update', entityType: 'part', entityId: before.id, before, after: updated.rows[0], metadata: importMetadata,
+        });
+      } else {
+        const created = await client.query(
+          'INSERT INTO parts (part_name, company_name, sap_code) VALUES ($1, $2, $3) RETURNING *',
+          [row.part_name, row.company_name || null, row.sap_code]
+        );
+        await recordAudit(client, req, {
+          action: 'create', entityType: 'part', entityId: created.rows[0].id, after: created.rows[0], metadata: importMetadata,
+        });
+      }
+    }
+
+    await client.query('COMMIT');
+    logger.info(`Part import by ${req.user.email}: ${JSON.stringify(summary)}`);
+    res.status(201).json({ message: 'Parts imported successfully', dry_run: false, summary, rows: results });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error importing parts: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+
+// ARCHIVED parts (GET /api/parts/archived?search=&from=&to=&sort=&order=&page=&limit=)
+// Requires parts:delete. `from`/`to` filter on when the part was archived.
+router.get('/archived', verifyToken, requirePermission('parts:delete'), validate({ query: listQuerySchema(ARCHIVED_PART_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, ARCHIVED_PART_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
+  try {
+    const query = `
+      SELECT p.*, u.email AS deleted_by_email, ${purgeAfterSql('p.deleted_at')} AS purge_after,
+             (SELECT COUNT(*)::int FROM quality_tasks qt WHERE qt.part_id = p.id) AS task_count
+      FROM parts p
+      LEFT JOIN users u ON u.id = p.deleted_by
+      ${list.where} ${list.orderBy} ${list.paginate}
+    `;
+    const countQuery = `SELECT COUNT(*)::int AS total FROM parts p ${list.where}`;
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
+
+    logger.info(`Archived parts page ${list.page} retrieved by ${req.user.email}.`);
+    res.json({
+      message: 'Archived parts retrieved successfully',
+      retention_days: RETENTION_DAYS,
+      parts: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
+
+  } catch (error) {
+    logger.error(`Error fetching archived parts: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+
+// RESTORE an archived part (POST /api/parts/archived/:id/restore)
+// Requires parts:delete
+router.post('/archived/:id/restore', verifyToken, requirePermission('parts:delete'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const partCheck = await client.query('SELECT * FROM parts WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+    if (partCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Archived part not found');
+    }
+
+    const query = 'UPDATE parts SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *';
+    const result = await client.query(query, [id]);
+
+    await recordAudit(client, req, { action: 'restore', entityType: 'part', entityId: id, before: partCheck.rows[0], after: result.rows[0] });
+    await client.query('COMMIT');
+
+    logger.info(`Part ID ${id} restored by ${req.user.email}.`);
+    res.json({ message: 'Part restored successfully', part: result.rows[0] });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error restoring part ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+
+// PURGE every archived part past the retention period (DELETE /api/parts/archived)
+// Requires parts:delete. Parts still referenced by quality tasks are kept.
+router.delete('/archived', verifyToken, requirePermission('parts:delete'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      DELETE FROM parts p
+      WHERE p.deleted_at IS NOT NULL AND ${purgeAfterSql('p.deleted_at')} <= NOW()
+        AND NOT EXISTS (SELECT 1 FROM quality_tasks qt WHERE qt.part_id = p.id)
+      RETURNING *
+    `);
+    for (const part of result.rows) {
+      await recordAudit(client, req, { action: 'purge', entityType: 'part', entityId: part.id, before: part });
+    }
+
+    const skipped = await client.query(`
+      SELECT COUNT(*)::int AS count FROM parts p
+      WHERE p.deleted_at IS NOT NULL AND ${purgeAfterSql('p.deleted_at')} <= NOW()
+    `);
+
+    await client.query('COMMIT');
+
+    logger.info(`${result.rows.length} archived parts purged by ${req.user.email}.`);
+    res.json({
+      message: 'Archived parts purged successfully',
+      purged: result.rows.length,
+      skipped_referenced: skipped.rows[0].count,
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error purging archived parts: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+
+// PURGE one archived part past the retention period (DELETE /api/parts/archived/:id)
+// Requires parts:delete
+router.delete('/archived/:id', verifyToken, requirePermission('parts:delete'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const partCheck = await client.query(
+      `SELECT *, ${purgeAfterSql()} AS purge_after FROM parts WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+      [id]
+    );
+    if (partCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Archived part not found');
+    }
+    const { purge_after: purgeAfter, ...part } = partCheck.rows[0];
+    if (new Date(purgeAfter) > new Date()) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, 'Part is still within the retention period', { purge_after: purgeAfter });
+    }
+
+    await client.query('DELETE FROM parts WHERE id = $1', [id]);
+    await recordAudit(client, req, { action: 'purge', entityType: 'part', entityId: id, before: part });
+    await client.query('COMMIT');
+
+    logger.info(`Part ID ${id} (${part.part_name}) purged by ${req.user.email}.`);
+    res.json({ message: 'Part purged permanently' });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    // Quality tasks keep their part, so a referenced part cannot be purged
+    if (error.code === '23503') {
+        logger.error(`Attempt to purge part ${id} failed due to existing references: ${error.detail}`);
+        return sendError(res, 409, 'Cannot purge part because it is referenced by quality tasks.');
+    }
+    logger.error(`Error purging part ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+
 // 3. READ a single part by ID (GET /api/parts/:id)
 // Accessible to any authenticated user
-router.get('/:id', verifyToken, async (req, res) => {
+router.get('/:id', verifyToken, validate({ params: idParams }), async (req, res) => {
   const { id } = req.params;
   try {
-    const query = 'SELECT * FROM parts WHERE id = $1';
+    const query = 'SELECT * FROM parts WHERE id = $1 AND deleted_at IS NULL';
     const result = await pool.query(query, [id]);
 
     if (result.rows.length === 0) {
       logger.warn(`Part with ID ${id} not found. Attempted access by ${req.user.email}.`);
-      return res.status(404).json({ error: 'Part not found' });
+      return sendError(res, 404, 'Part not found');
     }
 
     logger.info(`Part ID ${id} retrieved by ${req.user.email}.`);
@@ -96,30 +496,38 @@ router.get('/:id', verifyToken, async (req, res) => {
 
 
 // 4. UPDATE a part by ID (PUT /api/parts/:id)
-// Restricted to Admin and HOD roles
-router.put('/:id', verifyToken, restrictTo('Admin', 'HOD'), async (req, res) => {
+// Requires parts:update
+router.put('/:id', verifyToken, requirePermission('parts:update'), validate({ params: idParams, body: object(PART_FIELDS) }), async (req, res) => {
   const { id } = req.params;
   const { part_name, company_name, sap_code } = req.body;
 
   // --- Validation ---
   if (!part_name && !company_name && !sap_code) {
-      return res.status(400).json({ error: 'At least one field to update is required.' });
+      return sendValidationError(res, [{
+        location: 'body', field: null, code: 'required', message: 'At least one field to update is required.',
+      }]);
   }
 
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+
     // Check if part exists
-    const partCheck = await pool.query('SELECT * FROM parts WHERE id = $1', [id]);
+    const partCheck = await client.query('SELECT * FROM parts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
     if (partCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       logger.warn(`Update failed: Part with ID ${id} not found.`);
-      return res.status(404).json({ error: 'Part not found' });
+      return sendError(res, 404, 'Part not found');
     }
 
     // Check if the new sap_code is already taken by another part
     if (sap_code) {
-      const sapCheck = await pool.query('SELECT id FROM parts WHERE sap_code = $1 AND id != $2', [sap_code, id]);
+      const sapCheck = await client.query('SELECT id, deleted_at FROM parts WHERE sap_code = $1 AND id != $2', [sap_code, id]);
       if (sapCheck.rows.length > 0) {
+          await client.query('ROLLBACK');
           logger.warn(`Update failed: SAP Code '${sap_code}' is already in use.`);
-          return res.status(400).json({ error: 'SAP Code already in use' });
+          const message = sapCheck.rows[0].deleted_at ? sapCodeTakenError(sapCheck.rows[0]) : 'SAP Code already in use';
+          return sendValidationError(res, [{ location: 'body', field: 'sap_code', code: 'duplicate', message }]);
       }
     }
 
@@ -138,42 +546,54 @@ router.put('/:id', verifyToken, restrictTo('Admin', 'HOD'), async (req, res) =>
       RETURNING *
     `;
     const values = [newPart.part_name, newPart.company_name, newPart.sap_code, id];
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
+
+    await recordAudit(client, req, { action: 'update', entityType: 'part', entityId: id, before: oldPart, after: result.rows[0] });
+    await client.query('COMMIT');
 
     logger.info(`Part ID ${id} updated by ${req.user.email}.`);
     res.json({ message: 'Part updated successfully', part: result.rows[0] });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Error updating part ${id}: ${error.message}`);
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
 
-// 5. DELETE a part by ID (DELETE /api/parts/:id)
-// Restricted to Admin role only
-router.delete('/:id', verifyToken, restrictTo('Admin'), async (req, res) => {
+// 5. ARCHIVE a part by ID (DELETE /api/parts/:id)
+// Requires parts:delete. The part is hidden but stays linked to its tasks and history.
+router.delete('/:id', verifyToken, requirePermission('parts:delete'), validate({ params: idParams }), async (req, res) => {
   const { id } = req.params;
+  const client = await pool.connect();
   try {
-    const query = 'DELETE FROM parts WHERE id = $1 RETURNING *';
-    const result = await pool.query(query, [id]);
+    await client.query('BEGIN');
 
-    if (result.rows.length === 0) {
+    const partCheck = await client.query('SELECT * FROM parts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+    if (partCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       logger.warn(`Delete failed: Part with ID ${id} not found. Attempt by ${req.user.email}.`);
-      return res.status(404).json({ error: 'Part not found' });
+      return sendError(res, 404, 'Part not found');
     }
 
-    logger.info(`Part ID ${id} (${result.rows[0].part_name}) deleted by ${req.user.email}.`);
+    const query = 'UPDATE parts SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE id = $2 RETURNING *';
+    const result = await client.query(query, [req.user.id, id]);
+
+    await recordAudit(client, req, { action: 'archive', entityType: 'part', entityId: id, before: partCheck.rows[0], after: result.rows[0] });
+    await client.query('COMMIT');
+
+    logger.info(`Part ID ${id} (${result.rows[0].part_name}) archived by ${req.user.email}.`);
     res.json({ message: 'Part deleted successfully' });
     
   } catch (error) {
-    // Catch potential foreign key constraint errors if parts are linked to other tables
-    if (error.code === '23503') { 
-        logger.error(`Attempt to delete part ${id} failed due to existing references: ${error.detail}`);
-        return res.status(409).json({ error: 'Cannot delete part because it is referenced by other records.' });
-    }
+    await client.query('ROLLBACK');
     logger.error(`Error deleting part ${id}: ${error.message}`);
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
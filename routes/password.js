@@ -0,0 +1,137 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { issueToken, consumeToken } = require('../services/userTokens');
+const { sendMail } = require('../services/mailer');
+const { revokeAllSessions } = require('../services/sessions');
+const { recordAudit } = require('../services/audit');
+const { validate, sendValidationError, object } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+
+const router = express.Router();
+
+const logger = getLogger('routes/password');
+
+// Rate limiter for password reset requests
+const limiter = rateLimit({
+  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS, 10),
+  max: parseInt(process.env.RATE_LIMIT_MAX, 10),
+  handler: (req, res) => {
+    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
+    sendError(res, 429, 'Too many requests, please try again later.');
+  },
+});
+
+const RESET_TTL_MS = (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000;
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Forgot Password Endpoint (POST /api/password/forgot)
+const forgotBody = object({
+  email: { type: 'string', format: 'email', minLength: 1, maxLength: 255 },
+}, ['email']);
+
+router.post('/forgot', limiter, validate({ body: forgotBody }), async (req, res) => {
+  const { email } = req.body;
+
+  // Same response whether or not the account exists
+  const response = { message: 'If the account exists, a password reset link has been sent' };
+
+  let user;
+  let token;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query("SELECT id, email, name FROM users WHERE email = $1 AND status = 'active' AND deleted_at IS NULL", [email]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.warn(`Password reset requested for unknown or inactive email: ${email}`);
+      return res.json(response);
+    }
+    user = result.rows[0];
+
+    token = await issueToken(client, user.id, 'password_reset', RESET_TTL_MS);
+    await client.query('COMMIT');
+    res.json(response);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Password reset request error for ${email}: ${error.message}`);
+    return res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+
+  // Sent after responding, so neither the time taken nor a mail failure shows
+  // whether the account exists
+  const link = `${APP_URL}/reset-password?token=${token}`;
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your DieCare password',
+      text: `Hello ${user.name},\n\nUse the link below to reset your password. It expires in ${RESET_TTL_MS / 60000} minutes and can only be used once.\n\n${link}\n\nIf you did not request this, you can ignore this email.`,
+    });
+    logger.info(`Password reset link sent to ${email}`);
+  } catch (error) {
+    logger.error(`Error sending password reset link to ${email}: ${error.message}`);
+  }
+});
+
+// Reset Password Endpoint (POST /api/password/reset)
+const resetBody = object({
+  token: { type: 'string', minLength: 1, maxLength: 255 },
+  password: { type: 'string', minLength: 1, maxLength: 255 },
+  confirm_password: { type: 'string', minLength: 1, maxLength: 255 },
+}, ['token', 'password', 'confirm_password']);
+
+router.post('/reset', limiter, validate({ body: resetBody }), async (req, res) => {
+  const { token, password, confirm_password } = req.body;
+
+  if (password !== confirm_password) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'confirm_password', code: 'invalid_value', message: 'Passwords do not match',
+    }]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const resetToken = await consumeToken(client, token, 'password_reset');
+    if (!resetToken) {
+      await client.query('ROLLBACK');
+      logger.warn('Password reset attempted with invalid or expired token');
+      return sendValidationError(res, [{
+        location: 'body', field: 'token', code: 'invalid_value', message: 'Invalid or expired reset token',
+      }]);
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const updated = await client.query(
+      'UPDATE users SET password = $1, failed_login_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, email, role',
+      [hashedPassword, resetToken.user_id]
+    );
+
+    // Sign out existing sessions
+    await revokeAllSessions(client, resetToken.user_id, 'password_reset');
+
+    await recordAudit(client, req, {
+      action: 'password_reset', entityType: 'user', entityId: resetToken.user_id,
+      metadata: { password_changed: true }, actor: updated.rows[0],
+    });
+
+    await client.query('COMMIT');
+    logger.info(`Password reset for user ${resetToken.user_id}`);
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Password reset error: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -1,70 +1,170 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
-const validator = require('validator');
 const rateLimit = require('express-rate-limit');
-const winston = require('winston');
+const { getLogger } = require('../services/logger');
 const pool = require('../db');
-const { verifyToken, restrictTo } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { buildListQuery, listQuerySchema, paginationMeta } = require('../services/listing');
+const { validate, sendValidationError, object, idParams, text } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { issueToken, consumeToken } = require('../services/userTokens');
+const { sendMail } = require('../services/mailer');
+const { revokeAllSessions } = require('../services/sessions');
+const { getRolePermissions, hasPermission, roleExists } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { RETENTION_DAYS, purgeAfterSql } = require('../services/archive');
 
 const router = express.Router();
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: process.env.LOG_FILE_PATH }),
-    new winston.transports.Console()
-  ],
-});
+const logger = getLogger('routes/register');
 
 // Rate limiter for registration
 const limiter = rateLimit({
   windowMs: process.env.RATE_LIMIT_WINDOW_MS,
   max: process.env.RATE_LIMIT_MAX,
-  message: 'Too many requests, please try again later.',
+  handler: (req, res) => {
+    logger.warn(`Rate limit exceeded for IP: ${req.ip}`);
+    sendError(res, 429, 'Too many requests, please try again later.');
+  },
 });
 
-// Create User (POST /api/register)
-router.post('/', limiter, async (req, res) => {
-  const { email, name, phone_number, role, designation, password, confirm_password } = req.body;
+const INVITE_TTL_MS = (parseInt(process.env.INVITE_TTL_HOURS, 10) || 72) * 60 * 60 * 1000;
+const APP_URL = process.env.APP_URL || process.env.CORS_ORIGIN || 'http://localhost:3000';
+
+// Self-registration mode:
+//   open     - accounts are active immediately with REGISTRATION_DEFAULT_ROLE
+//   approval - accounts wait as 'pending' until an Admin approves or rejects them
+//   invite   - self-registration is disabled; Admins invite users instead
+const REGISTRATION_MODES = ['open', 'approval', 'invite'];
+const REGISTRATION_MODE = process.env.REGISTRATION_MODE || 'approval';
+const DEFAULT_ROLE = process.env.REGISTRATION_DEFAULT_ROLE || 'Employee';
+
+if (!REGISTRATION_MODES.includes(REGISTRATION_MODE)) {
+  throw new Error(`Invalid REGISTRATION_MODE '${REGISTRATION_MODE}', expected one of ${REGISTRATION_MODES.join(', ')}`);
+}
+
+// Self-registration must never hand out a role that manages users, roles or
+// other people's work. Checked on every registration, as role permissions can
+// change at runtime.
+const registrationRoleAllowed = async () => {
+  if (!(await roleExists(DEFAULT_ROLE))) return false;
+  return ![...await getRolePermissions(DEFAULT_ROLE)].some(permission => permission.endsWith(':manage'));
+};
+
+// Columns returned to clients and captured in audit snapshots
+const USER_COLUMNS = 'id, email, name, role, designation, phone_number, status';
+
+// Profile fields as clients send them; every one is optional on update
+const USER_FIELDS = {
+  email: { type: 'string', format: 'email', maxLength: 255 },
+  name: text(255),
+  phone_number: { type: 'string', format: 'phone', maxLength: 20 },
+  role: { type: 'string', maxLength: 50 },
+  designation: { type: 'string', maxLength: 255 },
+  password: { type: 'string', maxLength: 255 },
+};
+const PASSWORD_CONFIRMATION = {
+  password: { type: 'string', minLength: 1, maxLength: 255 },
+  confirm_password: { type: 'string', minLength: 1, maxLength: 255 },
+};
+
+const USER_LIST_OPTIONS = {
+  conditions: ['deleted_at IS NULL'],
+  search: ['name', 'email', 'designation'],
+  dateColumn: 'created_at',
+  filters: {
+    role: { column: 'role' },
+  },
+  sort: {
+    created_at: 'created_at',
+    updated_at: 'updated_at',
+    name: 'name',
+    email: 'email',
+    role: 'role',
+  },
+  defaultSort: 'created_at',
+  tieBreaker: 'id',
+};
+
+const LOGIN_HISTORY_LIST_OPTIONS = {
+  search: ['lh.email', 'lh.ip', 'lh.user_agent'],
+  dateColumn: 'lh.created_at',
+  filters: {
+    user_id: { column: 'lh.user_id', type: 'integer' },
+    email: { column: 'lh.email' },
+    success: { column: 'lh.success', type: 'boolean' },
+    ip: { column: 'lh.ip' },
+  },
+  sort: {
+    created_at: 'lh.created_at',
+  },
+  defaultSort: 'created_at',
+  tieBreaker: 'lh.id',
+};
+
+const ARCHIVED_USER_LIST_OPTIONS = {
+  conditions: ['u.deleted_at IS NOT NULL'],
+  search: ['u.name', 'u.email', 'u.designation'],
+  dateColumn: 'u.deleted_at',
+  filters: {
+    role: { column: 'u.role' },
+  },
+  sort: {
+    deleted_at: 'u.deleted_at',
+    name: 'u.name',
+    email: 'u.email',
+  },
+  defaultSort: 'deleted_at',
+  tieBreaker: 'u.id',
+};
 
-  // Input sanitization and validation
-  if (!email || !name || !role || !password || !confirm_password) {
-    logger.warn(`Registration attempt with missing fields: ${JSON.stringify(req.body)}`);
-    return res.status(400).json({ error: 'All required fields must be provided' });
-  }
+// Create User (POST /api/register)
+const registerBody = object({
+  ...USER_FIELDS,
+  ...PASSWORD_CONFIRMATION,
+  email: { ...USER_FIELDS.email, minLength: 1 },
+}, ['email', 'name', 'password', 'confirm_password']);
 
-  if (!validator.isEmail(email)) {
-    logger.warn(`Invalid email format: ${email}`);
-    return res.status(400).json({ error: 'Invalid email format' });
-  }
+router.post('/', limiter, validate({ body: registerBody }), async (req, res) => {
+  const { email, name, phone_number, role, designation, password, confirm_password } = req.body;
 
-  if (phone_number && !validator.isMobilePhone(String(phone_number), 'any', { strictMode: true })) {
-    logger.warn(`Invalid phone number format: ${phone_number}`);
-    return res.status(400).json({ error: 'Invalid phone number format' });
+  if (REGISTRATION_MODE === 'invite') {
+    logger.warn(`Self-registration attempt while invite-only: ${email}`);
+    return sendError(res, 403, 'Registration is by invitation only');
   }
 
   if (password !== confirm_password) {
     logger.warn(`Password mismatch for email: ${email}`);
-    return res.status(400).json({ error: 'Passwords do not match' });
+    return sendValidationError(res, [{
+      location: 'body', field: 'confirm_password', code: 'invalid_value', message: 'Passwords do not match',
+    }]);
   }
 
-  const validRoles = ['Admin', 'HOD', 'Employee', 'Quality','PDC'];
-  if (!validRoles.includes(role)) {
-    logger.warn(`Invalid role: ${role}`);
-    return res.status(400).json({ error: 'Invalid role' });
+  // Roles are assigned by Admins; self-registered users get the default role
+  if (role && role !== DEFAULT_ROLE) {
+    logger.warn(`Self-registration with role ${role} refused for ${email}`);
+    return sendError(res, 403, 'Only Admin can assign roles');
   }
 
+  const status = REGISTRATION_MODE === 'approval' ? 'pending' : 'active';
+
+  const client = await pool.connect();
   try {
+    if (!(await registrationRoleAllowed())) {
+      logger.error(`Self-registration refused: REGISTRATION_DEFAULT_ROLE ${DEFAULT_ROLE} is unknown or grants a management permission`);
+      return res.status(503).json({ error: 'Self-registration is not available' });
+    }
+
+    await client.query('BEGIN');
+
     // Check if email already exists
-    const emailCheck = await pool.query('SELECT email FROM users WHERE email = $1', [email]);
+    const emailCheck = await client.query('SELECT email FROM users WHERE email = $1', [email]);
     if (emailCheck.rows.length > 0) {
+      await client.query('ROLLBACK');
       logger.warn(`Email already exists: ${email}`);
-      return res.status(400).json({ error: 'Email already exists' });
+      return sendValidationError(res, [{
+        location: 'body', field: 'email', code: 'duplicate', message: 'Email already exists',
+      }]);
     }
 
     // Hash password
@@ -73,52 +173,602 @@ router.post('/', limiter, async (req, res) => {
 
     // Insert user into database
     const query = `
-      INSERT INTO users (email, name, phone_number, role, designation, password, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-      RETURNING id, email, name, role, designation, phone_number
+      INSERT INTO users (email, name, phone_number, role, designation, password, status, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING ${USER_COLUMNS}
     `;
-    const values = [email, name, phone_number || null, role, designation || null, hashedPassword];
-    const result = await pool.query(query, values);
-
-    logger.info(`User registered: ${email}`);
-    res.status(201).json({ message: 'User registered successfully', user: result.rows[0] });
+    const values = [email, name, phone_number || null, DEFAULT_ROLE, designation || null, hashedPassword, status];
+    const result = await client.query(query, values);
+    const user = result.rows[0];
+
+    await recordAudit(client, req, { action: 'register', entityType: 'user', entityId: user.id, after: user, actor: user });
+    await client.query('COMMIT');
+
+    logger.info(`User registered (${status}): ${email}`);
+    res.status(201).json({
+      message: status === 'pending' ? 'Registration submitted and awaiting Admin approval' : 'User registered successfully',
+      user,
+    });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Registration error for ${email}: ${error.message}`);
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
-// Read All Users (GET /api/register) - Admin only
-router.get('/', verifyToken, restrictTo('Admin'), async (req, res) => {
+// Invite User (POST /api/register/invite) - requires users:manage
+// Creates a pending account; the user sets their own password from the emailed link
+const inviteBody = object({
+  email: { ...USER_FIELDS.email, minLength: 1 },
+  name: USER_FIELDS.name,
+  phone_number: USER_FIELDS.phone_number,
+  role: { ...USER_FIELDS.role, minLength: 1 },
+  designation: USER_FIELDS.designation,
+}, ['email', 'name', 'role']);
+
+router.post('/invite', verifyToken, requirePermission('users:manage'), validate({ body: inviteBody }), async (req, res) => {
+  const { email, name, phone_number, role, designation } = req.body;
+
+  const client = await pool.connect();
   try {
-    const query = 'SELECT id, email, name, role, designation, phone_number, created_at, updated_at FROM users';
-    const result = await pool.query(query);
+    if (!(await roleExists(role))) {
+      logger.warn(`Invalid role: ${role}`);
+      return sendValidationError(res, [{
+        location: 'body', field: 'role', code: 'invalid_value', message: 'Invalid role',
+      }]);
+    }
+
+    await client.query('BEGIN');
+
+    // Re-inviting a user who has not accepted yet just issues a fresh link
+    const existing = await client.query(`SELECT ${USER_COLUMNS}, deleted_at FROM users WHERE email = $1 FOR UPDATE`, [email]);
+    let user;
+    if (existing.rows.length > 0) {
+      if (existing.rows[0].deleted_at) {
+        await client.query('ROLLBACK');
+        logger.warn(`Invitation failed: ${email} belongs to an archived user`);
+        return sendValidationError(res, [{
+          location: 'body', field: 'email', code: 'duplicate', message: 'Email belongs to an archived user',
+        }]);
+      }
+      if (existing.rows[0].status !== 'invited') {
+        await client.query('ROLLBACK');
+        logger.warn(`Email already exists: ${email}`);
+        return sendValidationError(res, [{
+          location: 'body', field: 'email', code: 'duplicate', message: 'Email already exists',
+        }]);
+      }
+      const updated = await client.query(
+        `UPDATE users SET name = $1, phone_number = $2, role = $3, designation = $4, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5
+         RETURNING ${USER_COLUMNS}`,
+        [name, phone_number || null, role, designation || null, existing.rows[0].id]
+      );
+      user = updated.rows[0];
+    } else {
+      const inserted = await client.query(
+        `INSERT INTO users (email, name, phone_number, role, designation, password, status, created_at, updated_at)
+         VALUES ($1, $2, $3, $4, $5, NULL, 'invited', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+         RETURNING ${USER_COLUMNS}`,
+        [email, name, phone_number || null, role, designation || null]
+      );
+      user = inserted.rows[0];
+    }
+
+    const token = await issueToken(client, user.id, 'invitation', INVITE_TTL_MS);
+    await recordAudit(client, req, {
+      action: 'invite', entityType: 'user', entityId: user.id, before: existing.rows[0] || null, after: user,
+    });
+    await client.query('COMMIT');
+
+    const link = `${APP_URL}/accept-invite?token=${token}`;
+    await sendMail({
+      to: user.email,
+      subject: 'You have been invited to DieCare',
+      text: `Hello ${user.name},\n\n${req.user.email} has invited you to DieCare as ${user.role}. Use the link below to set your password. It expires in ${INVITE_TTL_MS / 3600000} hours.\n\n${link}`,
+    });
+
+    logger.info(`User ${email} invited by Admin: ${req.user.email}`);
+    res.status(201).json({ message: 'Invitation sent successfully', user });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Invitation error for ${email}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Accept Invitation (POST /api/register/accept-invite)
+const acceptInviteBody = object({
+  token: { type: 'string', minLength: 1, maxLength: 255 },
+  ...PASSWORD_CONFIRMATION,
+}, ['token', 'password', 'confirm_password']);
+
+router.post('/accept-invite', limiter, validate({ body: acceptInviteBody }), async (req, res) => {
+  const { token, password, confirm_password } = req.body;
+
+  if (password !== confirm_password) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'confirm_password', code: 'invalid_value', message: 'Passwords do not match',
+    }]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const invitation = await consumeToken(client, token, 'invitation');
+    if (!invitation) {
+      await client.query('ROLLBACK');
+      logger.warn('Invitation accepted with invalid or expired token');
+      return sendValidationError(res, [{
+        location: 'body', field: 'token', code: 'invalid_value', message: 'Invalid or expired invitation',
+      }]);
+    }
+
+    const saltRounds = 10;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+    const result = await client.query(
+      `UPDATE users SET password = $1, status = 'active', updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 AND status = 'invited' AND deleted_at IS NULL
+       RETURNING id, email, name, role, designation, phone_number`,
+      [hashedPassword, invitation.user_id]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, [{
+        location: 'body', field: 'token', code: 'invalid_value', message: 'Invalid or expired invitation',
+      }]);
+    }
+
+    const user = result.rows[0];
+    await recordAudit(client, req, {
+      action: 'accept_invite', entityType: 'user', entityId: user.id,
+      before: { status: 'invited' }, after: { status: 'active' }, actor: user,
+    });
+    await client.query('COMMIT');
+    logger.info(`Invitation accepted: ${result.rows[0].email}`);
+    res.json({ message: 'Account activated successfully', user: result.rows[0] });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error accepting invitation: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Read All Users (GET /api/register?search=&role=&from=&to=&sort=&order=&page=&limit=) - requires users:manage
+router.get('/', verifyToken, requirePermission('users:manage'), validate({ query: listQuerySchema(USER_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, USER_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
+  try {
+    const query = `
+      SELECT id, email, name, role, designation, phone_number, status, created_at, updated_at
+      FROM users ${list.where} ${list.orderBy} ${list.paginate}
+    `;
+    const countQuery = `SELECT COUNT(*)::int AS total FROM users ${list.where}`;
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
     logger.info(`Fetched ${result.rows.length} users by Admin: ${req.user.email}`);
-    res.json({ message: 'Users retrieved successfully', users: result.rows });
+    res.json({
+      message: 'Users retrieved successfully',
+      users: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
   } catch (error) {
     logger.error(`Error fetching users: ${error.message}`);
     res.status(500).json({ error: 'Server error' });
   }
 });
 
-// Read Single User (GET /api/register/:id) - Admin or self
-router.get('/:id', verifyToken, async (req, res) => {
+// Read Pending Registrations (GET /api/register/pending) - requires users:manage
+router.get('/pending', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const query = `
+      SELECT id, email, name, role, designation, phone_number, status, created_at
+      FROM users WHERE status = 'pending' AND deleted_at IS NULL ORDER BY created_at ASC
+    `;
+    const result = await pool.query(query);
+    logger.info(`Fetched ${result.rows.length} pending users by Admin: ${req.user.email}`);
+    res.json({ message: 'Pending users retrieved successfully', users: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching pending users: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Read Login History (GET /api/register/login-history?user_id=&email=&success=&ip=&from=&to=&page=&limit=) - requires users:manage
+router.get('/login-history', verifyToken, requirePermission('users:manage'), validate({ query: listQuerySchema(LOGIN_HISTORY_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, LOGIN_HISTORY_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
+  try {
+    const query = `
+      SELECT lh.id, lh.user_id, u.name AS user_name, lh.email, lh.success, lh.reason, lh.ip, lh.user_agent, lh.created_at
+      FROM login_history lh
+      LEFT JOIN users u ON u.id = lh.user_id
+      ${list.where} ${list.orderBy} ${list.paginate}
+    `;
+    const countQuery = `SELECT COUNT(*)::int AS total FROM login_history lh ${list.where}`;
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
+    logger.info(`Fetched ${result.rows.length} login history entries by Admin: ${req.user.email}`);
+    res.json({
+      message: 'Login history retrieved successfully',
+      history: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
+  } catch (error) {
+    logger.error(`Error fetching login history: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Read Archived Users (GET /api/register/archived?search=&role=&from=&to=&sort=&order=&page=&limit=) - requires users:manage
+// `from`/`to` filter on when the user was archived
+router.get('/archived', verifyToken, requirePermission('users:manage'), validate({ query: listQuerySchema(ARCHIVED_USER_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, ARCHIVED_USER_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
+  try {
+    const query = `
+      SELECT u.id, u.email, u.name, u.role, u.designation, u.phone_number, u.status, u.created_at,
+             u.deleted_at, d.email AS deleted_by_email, ${purgeAfterSql('u.deleted_at')} AS purge_after
+      FROM users u
+      LEFT JOIN users d ON d.id = u.deleted_by
+      ${list.where} ${list.orderBy} ${list.paginate}
+    `;
+    const countQuery = `SELECT COUNT(*)::int AS total FROM users u ${list.where}`;
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
+    logger.info(`Fetched ${result.rows.length} archived users by Admin: ${req.user.email}`);
+    res.json({
+      message: 'Archived users retrieved successfully',
+      retention_days: RETENTION_DAYS,
+      users: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
+  } catch (error) {
+    logger.error(`Error fetching archived users: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Restore Archived User (POST /api/register/archived/:id/restore) - requires users:manage
+// The account returns with the status it had when it was archived
+router.post('/archived/:id/restore', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const userCheck = await client.query(
+      `SELECT ${USER_COLUMNS}, deleted_at FROM users WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+      [id]
+    );
+    if (userCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Archived user not found');
+    }
+
+    const result = await client.query(
+      `UPDATE users SET deleted_at = NULL, deleted_by = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${USER_COLUMNS}, deleted_at`,
+      [id]
+    );
+
+    await recordAudit(client, req, { action: 'restore', entityType: 'user', entityId: id, before: userCheck.rows[0], after: result.rows[0] });
+    await client.query('COMMIT');
+
+    const { deleted_at, ...user } = result.rows[0];
+    logger.info(`User ${id} restored by Admin: ${req.user.email}`);
+    res.json({ message: 'User restored successfully', user });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error restoring user ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Purge Archived Users (DELETE /api/register/archived) - requires users:manage
+// Permanently deletes every archived user past the retention period
+router.delete('/archived', verifyToken, requirePermission('users:manage'), async (req, res) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      DELETE FROM users
+      WHERE deleted_at IS NOT NULL AND ${purgeAfterSql()} <= NOW()
+      RETURNING ${USER_COLUMNS}, deleted_at
+    `);
+    for (const user of result.rows) {
+      await recordAudit(client, req, { action: 'purge', entityType: 'user', entityId: user.id, before: user });
+    }
+
+    await client.query('COMMIT');
+
+    logger.info(`${result.rows.length} archived users purged by Admin: ${req.user.email}`);
+    res.json({ message: 'Archived users purged successfully', purged: result.rows.length });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error purging archived users: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Purge Archived User (DELETE /api/register/archived/:id) - requires users:manage
+// Only allowed once the retention period has passed
+router.delete('/archived/:id', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const userCheck = await client.query(
+      `SELECT ${USER_COLUMNS}, deleted_at, ${purgeAfterSql()} AS purge_after
+       FROM users WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+      [id]
+    );
+    if (userCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Archived user not found');
+    }
+    const { purge_after: purgeAfter, ...user } = userCheck.rows[0];
+    if (new Date(purgeAfter) > new Date()) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, 'User is still within the retention period', { purge_after: purgeAfter });
+    }
+
+    await client.query('DELETE FROM users WHERE id = $1', [id]);
+    await recordAudit(client, req, { action: 'purge', entityType: 'user', entityId: id, before: user });
+    await client.query('COMMIT');
+
+    logger.info(`User ${id} purged by Admin: ${req.user.email}`);
+    res.json({ message: 'User purged permanently' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error purging user ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Move a user between account statuses on behalf of an Admin and audit it
+// as `action`. Returns the updated user, or null when the user is not in an
+// allowed status.
+const reviewUser = async (req, id, fromStatuses, toStatus, action, { role = null, metadata = null } = {}) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      `SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND status = ANY($2) AND deleted_at IS NULL FOR UPDATE`,
+      [id, fromStatuses]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const query = `
+      UPDATE users
+      SET status = $1, role = COALESCE($2, role), reviewed_by = $3, reviewed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING ${USER_COLUMNS}
+    `;
+    const result = await client.query(query, [toStatus, role, req.user.id, id]);
+    const user = result.rows[0];
+
+    await recordAudit(client, req, { action, entityType: 'user', entityId: id, before: current.rows[0], after: user, metadata });
+    await client.query('COMMIT');
+    return user;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Approve Registration (POST /api/register/:id/approve) - requires users:manage
+// An optional `role` replaces the one the user registered with
+const approveBody = object({ role: USER_FIELDS.role });
+
+router.post('/:id/approve', verifyToken, requirePermission('users:manage'), validate({ params: idParams, body: approveBody }), async (req, res) => {
+  const { id } = req.params;
+  const { role } = req.body;
+
+  try {
+    if (role && !(await roleExists(role))) {
+      logger.warn(`Invalid role: ${role}`);
+      return sendValidationError(res, [{
+        location: 'body', field: 'role', code: 'invalid_value', message: 'Invalid role',
+      }]);
+    }
+
+    const user = await reviewUser(req, id, ['pending'], 'active', 'approve', { role: role || null });
+    if (!user) {
+      logger.warn(`Approval failed: user ${id} is not pending`);
+      return sendError(res, 404, 'Pending user not found');
+    }
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your DieCare account has been approved',
+      text: `Hello ${user.name},\n\nYour DieCare account has been approved with the role ${user.role}. You can now sign in at ${APP_URL}.`,
+    });
+
+    logger.info(`User ${id} approved by Admin: ${req.user.email}`);
+    res.json({ message: 'User approved successfully', user });
+  } catch (error) {
+    logger.error(`Error approving user ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Reject Registration (POST /api/register/:id/reject) - requires users:manage
+const rejectBody = object({ reason: { type: 'string', maxLength: 1000 } });
+
+router.post('/:id/reject', verifyToken, requirePermission('users:manage'), validate({ params: idParams, body: rejectBody }), async (req, res) => {
+  const { id } = req.params;
+  const { reason } = req.body;
+
+  try {
+    const user = await reviewUser(req, id, ['pending'], 'rejected', 'reject', { metadata: reason ? { reason } : null });
+    if (!user) {
+      logger.warn(`Rejection failed: user ${id} is not pending`);
+      return sendError(res, 404, 'Pending user not found');
+    }
+
+    await sendMail({
+      to: user.email,
+      subject: 'Your DieCare registration was not approved',
+      text: `Hello ${user.name},\n\nYour DieCare registration was not approved.${reason ? `\n\nReason: ${reason}` : ''}`,
+    });
+
+    logger.info(`User ${id} rejected by Admin: ${req.user.email}`);
+    res.json({ message: 'User rejected successfully', user });
+  } catch (error) {
+    logger.error(`Error rejecting user ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Disable User (POST /api/register/:id/disable) - requires users:manage
+router.post('/:id/disable', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  if (parseInt(id) === req.user.id) {
+    return sendValidationError(res, [{
+      location: 'params', field: 'id', code: 'invalid_value', message: 'You cannot disable your own account',
+    }]);
+  }
+
+  try {
+    const user = await reviewUser(req, id, ['active'], 'disabled', 'disable');
+    if (!user) {
+      logger.warn(`Disable failed: user ${id} is not active`);
+      return sendError(res, 404, 'Active user not found');
+    }
+
+    // Sign the user out everywhere
+    await revokeAllSessions(pool, id, 'account_disabled');
+
+    logger.info(`User ${id} disabled by Admin: ${req.user.email}`);
+    res.json({ message: 'User disabled successfully', user });
+  } catch (error) {
+    logger.error(`Error disabling user ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Enable User (POST /api/register/:id/enable) - requires users:manage
+router.post('/:id/enable', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const user = await reviewUser(req, id, ['disabled', 'rejected'], 'active', 'enable');
+    if (!user) {
+      logger.warn(`Enable failed: user ${id} is not disabled or rejected`);
+      return sendError(res, 404, 'Disabled user not found');
+    }
+
+    logger.info(`User ${id} enabled by Admin: ${req.user.email}`);
+    res.json({ message: 'User enabled successfully', user });
+  } catch (error) {
+    logger.error(`Error enabling user ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// Unlock User (POST /api/register/:id/unlock) - requires users:manage
+// Clears a temporary lockout caused by failed login attempts
+router.post('/:id/unlock', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT failed_login_attempts, locked_until FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+      [id]
+    );
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.warn(`User not found for unlock: ${id}`);
+      return sendError(res, 404, 'User not found');
+    }
+
+    const query = `
+      UPDATE users SET failed_login_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, email, name, role, status, failed_login_attempts, locked_until
+    `;
+    const result = await client.query(query, [id]);
+    const { failed_login_attempts, locked_until, ...user } = result.rows[0];
+
+    await recordAudit(client, req, {
+      action: 'unlock', entityType: 'user', entityId: id,
+      before: current.rows[0], after: { failed_login_attempts, locked_until },
+    });
+    await client.query('COMMIT');
+
+    logger.info(`User ${id} unlocked by Admin: ${req.user.email}`);
+    res.json({ message: 'User unlocked successfully', user });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error unlocking user ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// Read Single User (GET /api/register/:id) - users:manage or self
+router.get('/:id', verifyToken, validate({ params: idParams }), async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id; // From JWT
 
   try {
-    const query = 'SELECT id, email, name, role, designation, phone_number, created_at, updated_at FROM users WHERE id = $1';
+    const query = 'SELECT id, email, name, role, designation, phone_number, status, failed_login_attempts, locked_until, created_at, updated_at FROM users WHERE id = $1 AND deleted_at IS NULL';
     const result = await pool.query(query, [id]);
 
     if (result.rows.length === 0) {
       logger.warn(`User not found: ${id}`);
-      return res.status(404).json({ error: 'User not found' });
+      return sendError(res, 404, 'User not found');
     }
 
-    // Allow Admin or the user themselves to access
-    if (req.user.role !== 'Admin' && parseInt(id) !== userId) {
+    // Allow user managers or the user themselves to access
+    if (parseInt(id) !== userId && !(await hasPermission(req.user, 'users:manage'))) {
       logger.warn(`Access denied for user ${req.user.email} to fetch user ${id}`);
-      return res.status(403).json({ error: 'Access denied' });
+      return sendError(res, 403, 'Access denied');
     }
 
     logger.info(`User ${id} fetched by ${req.user.email}`);
@@ -129,54 +779,54 @@ router.get('/:id', verifyToken, async (req, res) => {
   }
 });
 
-// Update User (PUT /api/register/:id) - Admin or self
-router.put('/:id', verifyToken, async (req, res) => {
+// Update User (PUT /api/register/:id) - users:manage or self
+router.put('/:id', verifyToken, validate({ params: idParams, body: object(USER_FIELDS) }), async (req, res) => {
   const { id } = req.params;
   const userId = req.user.id; // From JWT
   const { email, name, phone_number, role, designation, password } = req.body;
 
-  // Input validation
-  if (email && !validator.isEmail(email)) {
-    logger.warn(`Invalid email format: ${email}`);
-    return res.status(400).json({ error: 'Invalid email format' });
-  }
+  const client = await pool.connect();
+  try {
+    const canManageUsers = await hasPermission(req.user, 'users:manage');
 
-  if (phone_number && !validator.isMobilePhone(String(phone_number), 'any', { strictMode: true })) {
-    logger.warn(`Invalid phone number format: ${phone_number}`);
-    return res.status(400).json({ error: 'Invalid phone number format' });
-  }
+    if (role && !(await roleExists(role))) {
+      logger.warn(`Invalid role: ${role}`);
+      return sendValidationError(res, [{
+        location: 'body', field: 'role', code: 'invalid_value', message: 'Invalid role',
+      }]);
+    }
 
-  if (role && !['Admin', 'HOD', 'Employee', 'Quality','PDC'].includes(role)) {
-    logger.warn(`Invalid role: ${role}`);
-    return res.status(400).json({ error: 'Invalid role' });
-  }
+    // Only user managers can change role
+    if (role && !canManageUsers) {
+      logger.warn(`${req.user.email} attempted to change role for user ${id} without users:manage`);
+      return sendError(res, 403, 'Only Admin can change roles');
+    }
 
-  // Only Admin can change role
-  if (role && req.user.role !== 'Admin') {
-    logger.warn(`Non-Admin ${req.user.email} attempted to change role for user ${id}`);
-    return res.status(403).json({ error: 'Only Admin can change roles' });
-  }
+    // Allow user managers or the user themselves to update
+    if (!canManageUsers && parseInt(id) !== userId) {
+      logger.warn(`Access denied for user ${req.user.email} to update user ${id}`);
+      return sendError(res, 403, 'Access denied');
+    }
 
-  // Allow Admin or the user themselves to update
-  if (req.user.role !== 'Admin' && parseInt(id) !== userId) {
-    logger.warn(`Access denied for user ${req.user.email} to update user ${id}`);
-    return res.status(403).json({ error: 'Access denied' });
-  }
+    await client.query('BEGIN');
 
-  try {
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    const userCheck = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
     if (userCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       logger.warn(`User not found for update: ${id}`);
-      return res.status(404).json({ error: 'User not found' });
+      return sendError(res, 404, 'User not found');
     }
 
     // Check if email is taken by another user
     if (email) {
-      const emailCheck = await pool.query('SELECT id FROM users WHERE email = $1 AND id != $2', [email, id]);
+      const emailCheck = await client.query('SELECT id FROM users WHERE email = $1 AND id != $2', [email, id]);
       if (emailCheck.rows.length > 0) {
+        await client.query('ROLLBACK');
         logger.warn(`Email already in use: ${email}`);
-        return res.status(400).json({ error: 'Email already in use' });
+        return sendValidationError(res, [{
+          location: 'body', field: 'email', code: 'duplicate', message: 'Email already in use',
+        }]);
       }
     }
 
@@ -197,7 +847,7 @@ router.put('/:id', verifyToken, async (req, res) => {
       updates.push(`phone_number = $${paramIndex++}`);
       values.push(phone_number);
     }
-    if (role && req.user.role === 'Admin') {
+    if (role && canManageUsers) {
       updates.push(`role = $${paramIndex++}`);
       values.push(role);
     }
@@ -215,44 +865,86 @@ router.put('/:id', verifyToken, async (req, res) => {
     values.push(id);
 
     if (updates.length === 1) {
+      await client.query('ROLLBACK');
       logger.warn(`No fields to update for user ${id}`);
-      return res.status(400).json({ error: 'No valid fields provided for update' });
+      return sendValidationError(res, [{
+        location: 'body', field: null, code: 'required', message: 'No valid fields provided for update',
+      }]);
+    }
+
+    const query = `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING ${USER_COLUMNS}`;
+    const result = await client.query(query, values);
+
+    // A new password or role invalidates every existing session
+    let revoked = 0;
+    if (password || (role && canManageUsers)) {
+      revoked = await revokeAllSessions(client, id, password ? 'password_changed' : 'role_changed');
     }
 
-    const query = `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING id, email, name, role, designation, phone_number`;
-    const result = await pool.query(query, values);
+    await recordAudit(client, req, {
+      action: 'update', entityType: 'user', entityId: id, before: userCheck.rows[0], after: result.rows[0],
+      metadata: password ? { password_changed: true } : null,
+    });
+    await client.query('COMMIT');
 
+    if (revoked > 0) {
+      logger.info(`Revoked ${revoked} sessions for user ${id} after credential change`);
+    }
     logger.info(`User ${id} updated by ${req.user.email}`);
     res.json({ message: 'User updated successfully', user: result.rows[0] });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Error updating user ${id}: ${error.message}`);
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
-// Delete User (DELETE /api/register/:id) - Admin only
-router.delete('/:id', verifyToken, restrictTo('Admin'), async (req, res) => {
+// Delete User (DELETE /api/register/:id) - requires users:manage
+// Archives the account: it can no longer sign in but stays linked to its history
+router.delete('/:id', verifyToken, requirePermission('users:manage'), validate({ params: idParams }), async (req, res) => {
   const { id } = req.params;
 
+  if (parseInt(id) === req.user.id) {
+    return sendValidationError(res, [{
+      location: 'params', field: 'id', code: 'invalid_value', message: 'You cannot delete your own account',
+    }]);
+  }
+
+  const client = await pool.connect();
   try {
+    await client.query('BEGIN');
+
     // Check if user exists
-    const userCheck = await pool.query('SELECT id FROM users WHERE id = $1', [id]);
+    const userCheck = await client.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`, [id]);
     if (userCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
       logger.warn(`User not found for deletion: ${id}`);
-      return res.status(404).json({ error: 'User not found' });
+      return sendError(res, 404, 'User not found');
     }
 
-    // Delete associated refresh tokens
-    await pool.query('DELETE FROM refresh_tokens WHERE user_id = $1', [id]);
+    const result = await client.query(
+      `UPDATE users SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING ${USER_COLUMNS}, deleted_at`,
+      [req.user.id, id]
+    );
+
+    // Sign the user out everywhere
+    await revokeAllSessions(client, id, 'account_deleted');
 
-    // Delete user
-    await pool.query('DELETE FROM users WHERE id = $1', [id]);
+    await recordAudit(client, req, { action: 'archive', entityType: 'user', entityId: id, before: userCheck.rows[0], after: result.rows[0] });
+    await client.query('COMMIT');
 
-    logger.info(`User ${id} deleted by Admin: ${req.user.email}`);
+    logger.info(`User ${id} archived by Admin: ${req.user.email}`);
     res.json({ message: 'User deleted successfully' });
   } catch (error) {
+    await client.query('ROLLBACK');
     logger.error(`Error deleting user ${id}: ${error.message}`);
     res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
   }
 });
 
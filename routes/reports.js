@@ -0,0 +1,379 @@
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { buildListQuery, listQuerySchema, paginationMeta } = require('../services/listing');
+const { validate, sendValidationError, object, id, idParams } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { hasPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { getObject, deleteObject } = require('../services/storage');
+const { PERIODS, FORMATS, validateSchedule, periodRange, generateReport, deliverReport } = require('../services/reports');
+
+const router = express.Router();
+
+const logger = getLogger('routes/reports');
+
+const REPORT_COLUMNS = `
+  r.id, r.subscription_id, r.period, r.range_start, r.range_end, r.company_name,
+  (SELECT COALESCE(array_agg(format ORDER BY format), '{}') FROM jsonb_object_keys(r.files) AS format) AS formats,
+  r.summary, r.recipient_id, r.requested_by, r.delivered_at, r.delivery_error, r.created_at
+`;
+
+const SUBSCRIPTION_COLUMNS = `
+  rs.id, rs.user_id, u.email AS user_email, u.name AS user_name, rs.period, rs.cron_expression, rs.timezone,
+  rs.formats, rs.company_name, rs.active, rs.last_run_at, rs.next_run_at, rs.created_by, rs.created_at, rs.updated_at
+`;
+
+const REPORT_LIST_OPTIONS = {
+  dateColumn: 'r.created_at',
+  filters: {
+    period: { column: 'r.period' },
+    company_name: { column: 'r.company_name' },
+    recipient_id: { column: 'r.recipient_id', type: 'integer' },
+    subscription_id: { column: 'r.subscription_id', type: 'integer' },
+  },
+  sort: {
+    created_at: 'r.created_at',
+    range_end: 'r.range_end',
+  },
+  defaultSort: 'created_at',
+  tieBreaker: 'r.id',
+};
+
+const period = { type: 'string', enum: Object.keys(PERIODS) };
+const formatList = { type: 'array', minItems: 1, items: { type: 'string', enum: Object.keys(FORMATS) } };
+const SUBSCRIPTION_FIELDS = {
+  period,
+  cron_expression: { type: 'string', maxLength: 100 },
+  timezone: { type: 'string', maxLength: 64 },
+  formats: formatList,
+  company_name: { type: ['string', 'null'], maxLength: 255 },
+};
+const createSubscriptionBody = object({ ...SUBSCRIPTION_FIELDS, user_id: id }, ['period']);
+const updateSubscriptionBody = object({ ...SUBSCRIPTION_FIELDS, active: { type: 'boolean' } });
+const generateBody = object({
+  period,
+  from: { type: 'string', format: 'timestamp' },
+  to: { type: 'string', format: 'timestamp' },
+  company_name: SUBSCRIPTION_FIELDS.company_name,
+  formats: formatList,
+  email: { type: 'boolean' },
+}, ['period']);
+const downloadQuery = object({
+  format: { type: 'string', enum: Object.keys(FORMATS), default: 'pdf' },
+});
+
+// Requested formats without duplicates, defaulting to every format
+const parseFormats = (formats) => (formats === undefined ? Object.keys(FORMATS) : [...new Set(formats)]);
+
+// Load a subscription the current user may change: their own, or anyone's
+// with reports:manage. Returns { subscription } or { status, error }.
+const findSubscription = async (client, req, id) => {
+  const result = await client.query('SELECT * FROM report_subscriptions WHERE id = $1 FOR UPDATE', [id]);
+  if (result.rows.length === 0) {
+    return { status: 404, error: 'Report subscription not found' };
+  }
+  const subscription = result.rows[0];
+  if (subscription.user_id !== req.user.id && !(await hasPermission(req.user, 'reports:manage'))) {
+    return { status: 403, error: 'Access denied' };
+  }
+  return { subscription };
+};
+
+// LIST report subscriptions (GET /api/reports/subscriptions?user_id=)
+// Your own, or everyone's (optionally one user's) with reports:manage
+router.get('/subscriptions', verifyToken, requirePermission('reports:view'), validate({ query: object({ user_id: id }) }), async (req, res) => {
+  try {
+    const manager = await hasPermission(req.user, 'reports:manage');
+    const conditions = [];
+    const values = [];
+    if (!manager) {
+      values.push(req.user.id);
+      conditions.push(`rs.user_id = $${values.length}`);
+    } else if (req.query.user_id) {
+      values.push(req.query.user_id);
+      conditions.push(`rs.user_id = $${values.length}`);
+    }
+
+    const result = await pool.query(
+      `SELECT ${SUBSCRIPTION_COLUMNS}
+       FROM report_subscriptions rs JOIN users u ON u.id = rs.user_id
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY rs.user_id, rs.id`,
+      values
+    );
+    res.json({ message: 'Report subscriptions retrieved successfully', subscriptions: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching report subscriptions: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// CREATE a report subscription (POST /api/reports/subscriptions)
+// Body: { period, cron_expression?, timezone?, formats?, company_name?, user_id? }
+// Subscribing another user requires reports:manage; they must be able to view reports.
+router.post('/subscriptions', verifyToken, requirePermission('reports:view'), validate({ body: createSubscriptionBody }), async (req, res) => {
+  const { period, timezone = 'UTC', company_name: companyName } = req.body;
+  const userId = req.body.user_id === undefined ? req.user.id : req.body.user_id;
+  const formats = parseFormats(req.body.formats);
+  const cronExpression = String(req.body.cron_expression || PERIODS[period].defaultCron).trim();
+  const schedule = validateSchedule(cronExpression, timezone);
+  if (schedule.details) {
+    return sendValidationError(res, schedule.details);
+  }
+
+  try {
+    if (userId !== req.user.id && !(await hasPermission(req.user, 'reports:manage'))) {
+      logger.warn(`User ${req.user.email} tried to subscribe user ${userId} to reports`);
+      return sendError(res, 403, 'Access denied');
+    }
+
+    const userResult = await pool.query(
+      "SELECT id, email, role FROM users WHERE id = $1 AND status = 'active' AND deleted_at IS NULL",
+      [userId]
+    );
+    if (userResult.rows.length === 0 || !(await hasPermission(userResult.rows[0], 'reports:view'))) {
+      return sendValidationError(res, [{
+        location: 'body', field: 'user_id', code: 'invalid_value', message: 'Recipient must be an active user who can view reports',
+      }]);
+    }
+  } catch (error) {
+    logger.error(`Error checking report recipient ${userId}: ${error.message}`);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `INSERT INTO report_subscriptions (user_id, period, cron_expression, timezone, formats, company_name, next_run_at, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [userId, period, cronExpression, timezone, formats, companyName || null, schedule.nextRunAt, req.user.id]
+    );
+    const subscription = result.rows[0];
+    await recordAudit(client, req, { action: 'create', entityType: 'report_subscription', entityId: subscription.id, after: subscription });
+    await client.query('COMMIT');
+
+    logger.info(`Report subscription ${subscription.id} (${period}, ${cronExpression}) created for user ${userId} by ${req.user.email}`);
+    res.status(201).json({ message: 'Report subscription created successfully', subscription });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error creating report subscription: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// UPDATE a report subscription (PUT /api/reports/subscriptions/:id)
+// Body: any of { period, cron_expression, timezone, formats, company_name, active }
+router.put('/subscriptions/:id', verifyToken, requirePermission('reports:view'), validate({ params: idParams, body: updateSubscriptionBody }), async (req, res) => {
+  const { id } = req.params;
+  const { period, cron_expression: cronInput, timezone, company_name: companyName, active } = req.body;
+  const formats = req.body.formats === undefined ? undefined : parseFormats(req.body.formats);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const found = await findSubscription(client, req, id);
+    if (found.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, found.status, found.error);
+    }
+    const before = found.subscription;
+
+    const cronExpression = cronInput === undefined ? before.cron_expression : String(cronInput).trim();
+    const zone = timezone === undefined ? before.timezone : timezone;
+    const schedule = validateSchedule(cronExpression, zone);
+    if (schedule.details) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, schedule.details);
+    }
+
+    const result = await client.query(
+      `UPDATE report_subscriptions
+       SET period = $1, cron_expression = $2, timezone = $3, formats = $4, company_name = $5, active = $6,
+           next_run_at = $7, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $8
+       RETURNING *`,
+      [
+        period || before.period,
+        cronExpression,
+        zone,
+        formats || before.formats,
+        companyName === undefined ? before.company_name : (companyName || null),
+        active === undefined ? before.active : active,
+        schedule.nextRunAt,
+        before.id,
+      ]
+    );
+    const subscription = result.rows[0];
+    await recordAudit(client, req, { action: 'update', entityType: 'report_subscription', entityId: subscription.id, before, after: subscription });
+    await client.query('COMMIT');
+
+    logger.info(`Report subscription ${id} updated by ${req.user.email}`);
+    res.json({ message: 'Report subscription updated successfully', subscription });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error updating report subscription ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE a report subscription (DELETE /api/reports/subscriptions/:id)
+// Reports it already produced stay in the archive
+router.delete('/subscriptions/:id', verifyToken, requirePermission('reports:view'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const found = await findSubscription(client, req, id);
+    if (found.error) {
+      await client.query('ROLLBACK');
+      return sendError(res, found.status, found.error);
+    }
+
+    await client.query('DELETE FROM report_subscriptions WHERE id = $1', [found.subscription.id]);
+    await recordAudit(client, req, { action: 'delete', entityType: 'report_subscription', entityId: found.subscription.id, before: found.subscription });
+    await client.query('COMMIT');
+
+    logger.info(`Report subscription ${id} deleted by ${req.user.email}`);
+    res.json({ message: 'Report subscription deleted successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error deleting report subscription ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// GENERATE a report now (POST /api/reports/generate)
+// Body: { period, from?, to?, company_name?, formats?, email? } - `from`/`to`
+// default to the period leading up to now; `email: true` mails it to you
+router.post('/generate', verifyToken, requirePermission('reports:view'), validate({ body: generateBody }), async (req, res) => {
+  const { period, company_name: companyName, email } = req.body;
+  const formats = parseFormats(req.body.formats);
+  const to = req.body.to ? new Date(req.body.to) : new Date();
+  const from = req.body.from ? new Date(req.body.from) : periodRange(period, to).from;
+  if (from >= to) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'from', code: 'invalid_value', message: "'from' must be before 'to'",
+    }]);
+  }
+
+  try {
+    const { report, files } = await generateReport({
+      period, from, to, company: companyName || null, formats,
+      recipientId: email ? req.user.id : null, requestedBy: req.user.id,
+    });
+    await recordAudit(pool, req, {
+      action: 'generate', entityType: 'report', entityId: report.id,
+      metadata: { period, from, to, company_name: companyName || null, formats, email: Boolean(email) },
+    });
+
+    const delivered = email ? await deliverReport(report, files, req.user) : false;
+    const result = await pool.query(`SELECT ${REPORT_COLUMNS} FROM reports r WHERE r.id = $1`, [report.id]);
+
+    logger.info(`Report ${report.id} (${period}) generated by ${req.user.email}`);
+    res.status(201).json({ message: 'Report generated successfully', report: result.rows[0], emailed: delivered });
+  } catch (error) {
+    logger.error(`Error generating report: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// LIST archived reports (GET /api/reports?period=&company_name=&recipient_id=&from=&to=&sort=&order=&page=&limit=)
+router.get('/', verifyToken, requirePermission('reports:view'), validate({ query: listQuerySchema(REPORT_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, REPORT_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
+  try {
+    const [result, countResult] = await Promise.all([
+      pool.query(`SELECT ${REPORT_COLUMNS} FROM reports r ${list.where} ${list.orderBy} ${list.paginate}`, list.values),
+      pool.query(`SELECT COUNT(*)::int AS total FROM reports r ${list.where}`, list.values),
+    ]);
+    res.json({
+      message: 'Reports retrieved successfully',
+      reports: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
+  } catch (error) {
+    logger.error(`Error fetching reports: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DOWNLOAD an archived report (GET /api/reports/:id/download?format=pdf|xlsx)
+router.get('/:id/download', verifyToken, requirePermission('reports:view'), validate({ params: idParams, query: downloadQuery }), async (req, res) => {
+  const { id } = req.params;
+  const { format } = req.query;
+
+  try {
+    const result = await pool.query('SELECT files FROM reports WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Report not found');
+    }
+    const file = result.rows[0].files[format];
+    if (!file) {
+      return sendError(res, 404, `This report was not generated as ${format}`);
+    }
+
+    const stored = await getObject(file.key);
+    res.setHeader('Content-Type', FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+    if (stored.size) res.setHeader('Content-Length', stored.size);
+    stored.stream.on('error', (error) => {
+      logger.error(`Error streaming report ${id} (${format}): ${error.message}`);
+      res.destroy(error);
+    });
+    stored.stream.pipe(res);
+    logger.info(`Report ${id} (${format}) downloaded by ${req.user.email}`);
+  } catch (error) {
+    if (error.code === 'NotFound') {
+      logger.warn(`Stored file missing for report ${id} (${format})`);
+      return sendError(res, 404, 'Report file not found');
+    }
+    logger.error(`Error downloading report ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// DELETE an archived report and its files (DELETE /api/reports/:id) - reports:manage
+router.delete('/:id', verifyToken, requirePermission('reports:manage'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query('DELETE FROM reports WHERE id = $1 RETURNING *', [id]);
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Report not found');
+    }
+    const report = result.rows[0];
+    await recordAudit(client, req, { action: 'delete', entityType: 'report', entityId: report.id, before: report });
+    await client.query('COMMIT');
+
+    for (const file of Object.values(report.files)) {
+      await deleteObject(file.key).catch(() => {});
+    }
+    logger.info(`Report ${id} deleted by ${req.user.email}`);
+    res.json({ message: 'Report deleted successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error deleting report ${id}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,215 @@
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { invalidatePermissions } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { validate, sendValidationError, object } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+
+const router = express.Router();
+
+const logger = getLogger('routes/roles');
+
+// Admin keeps these so nobody can lock everyone out of role management
+const PROTECTED_ADMIN_PERMISSIONS = ['roles:manage', 'users:manage'];
+
+// Role names start with a letter and are at most 50 characters
+const roleName = { type: 'string', pattern: '^[A-Za-z][A-Za-z0-9 _-]*$', maxLength: 50 };
+const permissionList = { type: 'array', items: { type: 'string', maxLength: 100 } };
+
+const roleParams = object({ name: { type: 'string', maxLength: 50 } }, ['name']);
+const createRoleBody = object({
+  name: roleName,
+  description: { type: 'string' },
+  permissions: { ...permissionList, default: [] },
+}, ['name']);
+const permissionsBody = object({ permissions: permissionList }, ['permissions']);
+
+// Check that every name in `permissions` exists; returns the unknown ones
+const findUnknownPermissions = async (client, permissions) => {
+  const result = await client.query('SELECT name FROM permissions WHERE name = ANY($1)', [permissions]);
+  const known = new Set(result.rows.map(row => row.name));
+  return permissions.filter(permission => !known.has(permission));
+};
+
+const fetchRole = async (client, name) => {
+  const result = await client.query(`
+    SELECT r.name, r.description, r.built_in, r.created_at,
+           COALESCE(array_agg(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role = r.name
+    WHERE r.name = $1
+    GROUP BY r.name
+  `, [name]);
+  return result.rows[0] || null;
+};
+
+// GET /api/roles - Roles with their permissions
+router.get('/', verifyToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT r.name, r.description, r.built_in, r.created_at,
+             COALESCE(array_agg(rp.permission ORDER BY rp.permission) FILTER (WHERE rp.permission IS NOT NULL), '{}') AS permissions,
+             (SELECT COUNT(*)::int FROM users u WHERE u.role = r.name) AS user_count
+      FROM roles r
+      LEFT JOIN role_permissions rp ON rp.role = r.name
+      GROUP BY r.name
+      ORDER BY r.built_in DESC, r.name
+    `);
+    res.json({ message: 'Roles retrieved successfully', roles: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching roles: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// GET /api/roles/permissions - Every permission that can be granted
+router.get('/permissions', verifyToken, requirePermission('roles:manage'), async (req, res) => {
+  try {
+    const result = await pool.query('SELECT name, description FROM permissions ORDER BY name');
+    res.json({ message: 'Permissions retrieved successfully', permissions: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching permissions: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  }
+});
+
+// POST /api/roles - Create a role, optionally with permissions
+router.post('/', verifyToken, requirePermission('roles:manage'), validate({ body: createRoleBody }), async (req, res) => {
+  const { name, description, permissions } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const unknown = await findUnknownPermissions(client, permissions);
+    if (unknown.length > 0) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, [{
+        location: 'body', field: 'permissions', code: 'invalid_value', message: `Unknown permissions: ${unknown.join(', ')}`,
+      }]);
+    }
+
+    const existing = await client.query('SELECT name FROM roles WHERE LOWER(name) = LOWER($1)', [name]);
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, [{
+        location: 'body', field: 'name', code: 'duplicate', message: 'Role already exists',
+      }]);
+    }
+
+    await client.query('INSERT INTO roles (name, description) VALUES ($1, $2)', [name, description || null]);
+    for (const permission of permissions) {
+      await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING', [name, permission]);
+    }
+    const role = await fetchRole(client, name);
+
+    await recordAudit(client, req, { action: 'create', entityType: 'role', entityId: name, after: role });
+    await client.query('COMMIT');
+    invalidatePermissions();
+
+    logger.info(`Role ${name} created by ${req.user.email} with permissions: ${permissions.join(', ')}`);
+    res.status(201).json({ message: 'Role created successfully', role });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error creating role ${name}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// PUT /api/roles/:name/permissions - Replace the permissions granted to a role
+router.put('/:name/permissions', verifyToken, requirePermission('roles:manage'), validate({ params: roleParams, body: permissionsBody }), async (req, res) => {
+  const { name } = req.params;
+  const { permissions } = req.body;
+  if (name === 'Admin' && !PROTECTED_ADMIN_PERMISSIONS.every(permission => permissions.includes(permission))) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'permissions', code: 'invalid_value', message: `Admin must keep ${PROTECTED_ADMIN_PERMISSIONS.join(' and ')}`,
+    }]);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const roleCheck = await client.query('SELECT name FROM roles WHERE name = $1 FOR UPDATE', [name]);
+    if (roleCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Role not found');
+    }
+    const before = await fetchRole(client, name);
+
+    const unknown = await findUnknownPermissions(client, permissions);
+    if (unknown.length > 0) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, [{
+        location: 'body', field: 'permissions', code: 'invalid_value', message: `Unknown permissions: ${unknown.join(', ')}`,
+      }]);
+    }
+
+    await client.query('DELETE FROM role_permissions WHERE role = $1', [name]);
+    for (const permission of permissions) {
+      await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING', [name, permission]);
+    }
+    const role = await fetchRole(client, name);
+
+    await recordAudit(client, req, { action: 'update_permissions', entityType: 'role', entityId: name, before, after: role });
+    await client.query('COMMIT');
+    invalidatePermissions();
+
+    logger.info(`Permissions for role ${name} set by ${req.user.email}: ${permissions.join(', ')}`);
+    res.json({ message: 'Role permissions updated successfully', role });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error updating permissions for role ${name}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/roles/:name - Delete a custom role that no user holds
+router.delete('/:name', verifyToken, requirePermission('roles:manage'), validate({ params: roleParams }), async (req, res) => {
+  const { name } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const role = await fetchRole(client, name);
+    if (!role) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Role not found');
+    }
+    if (role.built_in) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, [{
+        location: 'params', field: 'name', code: 'invalid_value', message: 'Built-in roles cannot be deleted',
+      }]);
+    }
+
+    const usage = await client.query('SELECT COUNT(*)::int AS count FROM users WHERE role = $1', [name]);
+    if (usage.rows[0].count > 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, `Role is assigned to ${usage.rows[0].count} users`);
+    }
+
+    await client.query('DELETE FROM roles WHERE name = $1', [name]);
+    await recordAudit(client, req, { action: 'delete', entityType: 'role', entityId: name, before: role });
+    await client.query('COMMIT');
+    invalidatePermissions();
+
+    logger.info(`Role ${name} deleted by ${req.user.email}`);
+    res.json({ message: 'Role deleted successfully' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error deleting role ${name}: ${error.message}`);
+    res.status(500).json({ error: 'Server error' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,259 @@
+const express = require('express');
+const { getLogger } = require('../services/logger');
+const pool = require('../db');
+const { verifyToken, verifyTokenOrMachineKey, requirePermission } = require('../middleware/auth');
+const { validate, sendValidationError, object, text } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { createNotification, emitNotification } = require('../services/notifications');
+const { recordAudit } = require('../services/audit');
+const { rolesWithPermission } = require('../services/permissions');
+
+const router = express.Router();
+
+const logger = getLogger('routes/strokes');
+
+const MAX_BATCH_SIZE = 1000;
+const BUCKETS = ['hour', 'day', 'week', 'month'];
+
+// Roles granted this are told when a die's counter crosses its stroke threshold
+const STROKE_ALERT_PERMISSION = 'tasks:assign';
+
+// Per-part threshold, falling back to STROKE_ALERT_THRESHOLD
+const getThreshold = (part) => {
+  const threshold = part.stroke_alert_threshold || parseInt(process.env.STROKE_ALERT_THRESHOLD, 10);
+  return threshold > 0 ? Number(threshold) : null;
+};
+
+const sapCodeParams = object({ sapCode: { type: 'string', maxLength: 100 } }, ['sapCode']);
+
+const READING_FIELDS = {
+  sap_code: text(100),
+  strokes: { type: 'integer', minimum: 1, maximum: 2147483647 },
+  recorded_at: { type: 'string', format: 'timestamp' },
+  idempotency_key: { type: 'string', minLength: 1, maxLength: 255 },
+  source: { type: 'string', maxLength: 255 },
+};
+
+// One reading as the body, or a batch as { readings: [...] }
+const recordBody = {
+  type: 'object',
+  properties: {
+    ...READING_FIELDS,
+    readings: {
+      type: 'array',
+      minItems: 1,
+      maxItems: MAX_BATCH_SIZE,
+      items: object(READING_FIELDS, ['sap_code', 'strokes']),
+    },
+  },
+  if: { required: ['readings'] },
+  else: { required: ['sap_code', 'strokes'] },
+};
+
+const seriesQuery = object({
+  from: { type: 'string', format: 'timestamp' },
+  to: { type: 'string', format: 'timestamp' },
+  bucket: { type: 'string', enum: BUCKETS, default: 'day' },
+});
+
+const thresholdBody = object({
+  threshold: { type: ['integer', 'null'], minimum: 1, maximum: 2147483647 },
+}, ['threshold']);
+
+// POST /api/strokes - Record one reading or a batch ({ readings: [...] })
+router.post('/', verifyTokenOrMachineKey, requirePermission('strokes:record'), validate({ body: recordBody }), async (req, res) => {
+  const batch = Array.isArray(req.body.readings);
+  const readings = batch
+    ? req.body.readings
+    : [{ ...req.body, idempotency_key: req.body.idempotency_key || req.headers['idempotency-key'] }];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const sapCodes = [...new Set(readings.map(reading => reading.sap_code))];
+    const partResult = await client.query(
+      'SELECT id, part_name, company_name, sap_code, stroke_count, stroke_alert_threshold FROM parts WHERE sap_code = ANY($1) AND deleted_at IS NULL FOR UPDATE',
+      [sapCodes]
+    );
+    const parts = new Map(partResult.rows.map(part => [part.sap_code, part]));
+
+    const missing = readings
+      .map((reading, index) => ({ index, sap_code: reading.sap_code }))
+      .filter(reading => !parts.has(reading.sap_code))
+      .map(reading => ({
+        location: 'body',
+        field: batch ? `readings[${reading.index}].sap_code` : 'sap_code',
+        code: 'invalid_value',
+        message: `Part with SAP Code '${reading.sap_code}' not found`,
+      }));
+    if (missing.length > 0) {
+      await client.query('ROLLBACK');
+      return sendValidationError(res, missing);
+    }
+
+    const results = [];
+    const notifications = [];
+    for (const [index, reading] of readings.entries()) {
+      const part = parts.get(reading.sap_code);
+
+      const insertResult = await client.query(
+        `INSERT INTO stroke_readings (part_id, strokes, recorded_at, idempotency_key, source, created_by)
+         VALUES ($1, $2, COALESCE($3, CURRENT_TIMESTAMP), $4, $5, $6)
+         ON CONFLICT (idempotency_key) DO NOTHING
+         RETURNING id`,
+        [part.id, reading.strokes, reading.recorded_at || null, reading.idempotency_key || null, reading.source || null, req.user.id]
+      );
+      if (insertResult.rows.length === 0) {
+        results.push({ index, status: 'duplicate', idempotency_key: reading.idempotency_key });
+        continue;
+      }
+
+      const previous = Number(part.stroke_count);
+      const updateResult = await client.query(
+        'UPDATE parts SET stroke_count = stroke_count + $1 WHERE id = $2 RETURNING stroke_count',
+        [reading.strokes, part.id]
+      );
+      part.stroke_count = Number(updateResult.rows[0].stroke_count);
+
+      // Alert each time the counter passes another multiple of the threshold
+      const threshold = getThreshold(part);
+      if (threshold && Math.floor(previous / threshold) < Math.floor(part.stroke_count / threshold)) {
+        for (const role of await rolesWithPermission(STROKE_ALERT_PERMISSION)) {
+          notifications.push(await createNotification(client, {
+            part_name: part.part_name,
+            company_name: part.company_name,
+            sap_code: part.sap_code,
+            comments: `Stroke count reached ${part.stroke_count} (threshold every ${threshold} strokes)`,
+            recipient_role: role
+          }));
+        }
+        logger.info(`Part ${part.sap_code} crossed stroke threshold ${threshold} at ${part.stroke_count}`);
+      }
+
+      results.push({ index, status: 'accepted', id: insertResult.rows[0].id, sap_code: part.sap_code, stroke_count: part.stroke_count });
+    }
+
+    await client.query('COMMIT');
+    for (const notification of notifications) {
+      await emitNotification(req.io, notification);
+    }
+
+    const accepted = results.filter(result => result.status === 'accepted').length;
+    logger.info(`Recorded ${accepted} stroke readings (${results.length - accepted} duplicates) from ${req.user.email}`);
+    const body = batch
+      ? { success: true, accepted, duplicates: results.length - accepted, results }
+      : { success: true, ...results[0] };
+    res.status(accepted > 0 ? 201 : 200).json(body);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error recording stroke readings: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while recording strokes.' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/strokes/:sapCode - Cumulative stroke counter for a part
+router.get('/:sapCode', verifyToken, validate({ params: sapCodeParams }), async (req, res) => {
+  const { sapCode } = req.params;
+  try {
+    const query = `
+      SELECT p.id, p.part_name, p.sap_code, p.stroke_count, p.stroke_alert_threshold,
+             MAX(sr.recorded_at) AS last_recorded_at
+      FROM parts p
+      LEFT JOIN stroke_readings sr ON sr.part_id = p.id
+      WHERE p.sap_code = $1 AND p.deleted_at IS NULL
+      GROUP BY p.id
+    `;
+    const result = await pool.query(query, [sapCode]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Part not found.');
+    }
+
+    const part = result.rows[0];
+    res.json({
+      success: true,
+      counter: {
+        part_id: part.id,
+        part_name: part.part_name,
+        sap_code: part.sap_code,
+        stroke_count: Number(part.stroke_count),
+        threshold: getThreshold(part),
+        last_recorded_at: part.last_recorded_at,
+      }
+    });
+  } catch (error) {
+    logger.error(`Error fetching stroke counter for ${sapCode}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while fetching strokes.' });
+  }
+});
+
+// GET /api/strokes/:sapCode/series?from=&to=&bucket=day - Strokes per time bucket
+router.get('/:sapCode/series', verifyToken, validate({ params: sapCodeParams, query: seriesQuery }), async (req, res) => {
+  const { sapCode } = req.params;
+  const { from, to, bucket } = req.query;
+
+  try {
+    const partResult = await pool.query('SELECT id FROM parts WHERE sap_code = $1 AND deleted_at IS NULL', [sapCode]);
+    if (partResult.rows.length === 0) {
+      return sendError(res, 404, 'Part not found.');
+    }
+
+    const query = `
+      SELECT date_trunc($2, recorded_at) AS bucket_start, SUM(strokes)::bigint AS strokes, COUNT(*)::int AS readings
+      FROM stroke_readings
+      WHERE part_id = $1
+        AND ($3::timestamp IS NULL OR recorded_at >= $3)
+        AND ($4::timestamp IS NULL OR recorded_at < $4)
+      GROUP BY bucket_start
+      ORDER BY bucket_start
+    `;
+    const result = await pool.query(query, [partResult.rows[0].id, bucket, from || null, to || null]);
+    const series = result.rows.map(row => ({ ...row, strokes: Number(row.strokes) }));
+
+    res.json({ success: true, sap_code: sapCode, bucket, series });
+  } catch (error) {
+    logger.error(`Error fetching stroke series for ${sapCode}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while fetching strokes.' });
+  }
+});
+
+// PUT /api/strokes/:sapCode/threshold - Set the stroke alert threshold for a part
+router.put('/:sapCode/threshold', verifyToken, requirePermission('strokes:configure'), validate({ params: sapCodeParams, body: thresholdBody }), async (req, res) => {
+  const { sapCode } = req.params;
+  const { threshold } = req.body;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const partCheck = await client.query('SELECT * FROM parts WHERE sap_code = $1 AND deleted_at IS NULL FOR UPDATE', [sapCode]);
+    if (partCheck.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Part not found.');
+    }
+    const oldPart = partCheck.rows[0];
+
+    const result = await client.query(
+      'UPDATE parts SET stroke_alert_threshold = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+      [threshold, oldPart.id]
+    );
+    const part = result.rows[0];
+
+    await recordAudit(client, req, { action: 'update', entityType: 'part', entityId: part.id, before: oldPart, after: part });
+    await client.query('COMMIT');
+
+    logger.info(`Stroke threshold for ${sapCode} set to ${threshold} by ${req.user.email}`);
+    const { id, sap_code, stroke_count, stroke_alert_threshold } = part;
+    res.json({ success: true, part: { id, sap_code, stroke_count, stroke_alert_threshold } });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error setting stroke threshold for ${sapCode}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while updating threshold.' });
+  } finally {
+    client.release();
+  }
+});
+
+module.exports = router;
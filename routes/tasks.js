@@ -1,110 +1,173 @@
 const express = require('express');
-const winston = require('winston');
+const { getLogger } = require('../services/logger');
 const pool = require('../db');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validate, sendValidationError, object, id, idParams, text } = require('../middleware/validate');
+const { sendError } = require('../middleware/errors');
+const { createNotification, emitNotification } = require('../services/notifications');
+const { tasksCreated } = require('../services/metrics');
+const { publish } = require('../services/events');
+const { createTask } = require('../services/tasks');
+const { buildListQuery, listQuerySchema, paginationMeta } = require('../services/listing');
+const { hasPermission, rolesWithPermission } = require('../services/permissions');
+const { recordAudit } = require('../services/audit');
+const { saveImages, attachImages, discardImages, imagesJsonSql } = require('../services/images');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
 
 const router = express.Router();
 
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: process.env.LOG_FILE_PATH }),
-    new winston.transports.Console()
-  ],
-});
+const logger = getLogger('routes/tasks');
 
-const uploadDir = 'Uploads/images';
-fs.mkdirSync(uploadDir, { recursive: true });
+// Workflow: Open -> Assigned -> In Progress -> Resolved -> Verified/Reopened.
+// `permission` is required to make the move; roles granted any of the `notify`
+// permissions receive the Socket.IO event.
+const TRANSITIONS = {
+  assign: {
+    from: ['Open', 'Assigned', 'Reopened'],
+    to: 'Assigned',
+    permission: 'tasks:assign',
+    event: 'task:assigned',
+    notify: ['tasks:assign', 'tasks:work'],
+  },
+  start: {
+    from: ['Assigned'],
+    to: 'In Progress',
+    permission: 'tasks:work',
+    assigneeOnly: true,
+    event: 'task:started',
+    notify: ['tasks:assign'],
+  },
+  resolve: {
+    from: ['In Progress'],
+    to: 'Resolved',
+    permission: 'tasks:work',
+    assigneeOnly: true,
+    event: 'task:resolved',
+    notify: ['tasks:assign', 'tasks:verify'],
+  },
+  verify: {
+    from: ['Resolved'],
+    to: 'Verified',
+    permission: 'tasks:verify',
+    event: 'task:verified',
+    notify: ['tasks:assign', 'tasks:work'],
+  },
+  reopen: {
+    from: ['Resolved'],
+    to: 'Reopened',
+    permission: 'tasks:verify',
+    event: 'task:reopened',
+    notify: ['tasks:assign', 'tasks:work'],
+  },
+};
 
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, uploadDir);
+const TASK_LIST_OPTIONS = {
+  search: ['p.part_name', 'p.company_name', 'p.sap_code', 'qt.location', 'qt.comments'],
+  dateColumn: 'qt.created_at',
+  filters: {
+    status: { column: 'qt.status' },
+    assigned_to: { column: 'qt.assigned_to', type: 'integer' },
+    company_name: { column: 'p.company_name' },
+    sap_code: { column: 'p.sap_code' },
   },
-  filename: (req, file, cb) => {
-    const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
-    cb(null, file.fieldname + '-' + uniqueSuffix + path.extname(file.originalname));
-  }
-});
+  sort: {
+    created_at: 'qt.created_at',
+    updated_at: 'qt.updated_at',
+    status: 'qt.status',
+    location: 'qt.location',
+    part_name: 'p.part_name',
+    sap_code: 'p.sap_code',
+  },
+  defaultSort: 'created_at',
+  tieBreaker: 'qt.id',
+};
 
+// Photos are kept in memory until services/images has checked their content,
+// processed them and written them to storage
 const upload = multer({
-  storage: storage,
+  storage: multer.memoryStorage(),
   limits: { fileSize: 10 * 1024 * 1024 },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Not an image! Please upload only images.'), false);
-    }
-  }
 });
 
-router.post('/', verifyToken, upload.array('images', 5), async (req, res) => {
+// Most images a task itself may carry, across its create and later edits
+const MAX_TASK_IMAGES = 5;
+
+// Images of a task itself, not of its comments
+const TASK_IMAGES_SQL = imagesJsonSql('ti.task_id = qt.id AND ti.comment_id IS NULL');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+// Task fields as forms send them; photos come in the `images` file field
+const TASK_FIELDS = {
+  partName: text(255),
+  companyName: { type: 'string', maxLength: 255 },
+  sapCode: text(100),
+  location: text(255),
+  comments: { type: 'string' },
+};
+const createTaskBody = object(TASK_FIELDS, ['partName', 'sapCode', 'location']);
+const updateTaskBody = object({
+  location: TASK_FIELDS.location,
+  comments: TASK_FIELDS.comments,
+  sapCode: TASK_FIELDS.sapCode,
+  removeImages: { type: 'array', items: { type: 'string', format: 'uuid' } },
+});
+
+const noteBody = object({ note: { type: 'string' } });
+const assignBody = object({ assigneeId: id, note: { type: 'string' } }, ['assigneeId']);
+const resolveBody = object({ resolution: text() }, ['resolution']);
+const reopenBody = object({ reason: text() }, ['reason']);
+const commentBody = object({
+  body: { type: 'string', maxLength: MAX_COMMENT_LENGTH },
+  mentions: { type: 'array', items: id },
+});
+
+router.post('/', verifyToken, requirePermission('tasks:create'), upload.array('images', MAX_TASK_IMAGES), validate({ body: createTaskBody }), async (req, res) => {
   const { partName, companyName, sapCode, location, comments } = req.body;
 
-  if (!partName || !sapCode || !location) {
-    if (req.files) req.files.forEach(file => fs.unlinkSync(file.path));
-    return res.status(400).json({ error: 'Part Name, SAP Code, and Location are required.' });
+  let saved;
+  try {
+    saved = await saveImages(req.files);
+  } catch (error) {
+    logger.error(`Error storing task images: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error while creating task.' });
+  }
+  if (saved.details) {
+    return sendValidationError(res, saved.details);
   }
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    const partResult = await client.query('SELECT id, part_name, company_name, sap_code FROM parts WHERE sap_code = $1', [sapCode]);
+    const partResult = await client.query('SELECT id, part_name, company_name, sap_code FROM parts WHERE sap_code = $1 AND deleted_at IS NULL', [sapCode]);
     if (partResult.rows.length === 0) {
-      throw new Error('Part with the given SAP Code not found.');
+      await client.query('ROLLBACK');
+      await discardImages(saved.images);
+      return sendValidationError(res, [{
+        location: 'body', field: 'sapCode', code: 'invalid_value', message: 'Part with the given SAP Code not found.',
+      }]);
     }
     const part = partResult.rows[0];
 
-    const imageUrls = req.files ? req.files.map(file => file.path) : [];
-
-    const query = `
-      INSERT INTO quality_tasks (part_id, location, comments, image_urls, created_at)
-      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
-      RETURNING id, part_id, location, comments, image_urls, created_at
-    `;
-    const values = [part.id, location, comments || null, imageUrls];
-    const taskResult = await client.query(query, values);
-    const task = taskResult.rows[0];
-
-    // Create notifications
-    const roles = ['HOD', 'PDC', 'Employee'];
-    const notificationQuery = `
-      INSERT INTO notifications (task_id, part_name, company_name, sap_code, location, comments, recipient_role, read, created_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, FALSE, CURRENT_TIMESTAMP)
-    `;
-    for (const role of roles) {
-      await client.query(notificationQuery, [
-        task.id,
-        part.part_name,
-        part.company_name,
-        part.sap_code,
-        task.location,
-        task.comments,
-        role
-      ]);
-      req.io.to(`role:${role}`).emit(`notification:${role}`, {
-        id: task.id, // Use task.id as a placeholder; actual notification ID would be better
-        task_id: task.id,
-        part_name: part.part_name,
-        company_name: part.company_name,
-        sap_code: part.sap_code,
-        location: task.location,
-        comments: task.comments,
-        recipient_role: role,
-        read: false,
-        created_at: new Date()
-      });
-    }
+    const { task, notifications } = await createTask(client, {
+      part,
+      location,
+      comments,
+      actorId: req.user.id
+    });
+    await attachImages(client, saved.images, { taskId: task.id, uploadedBy: req.user.id });
+    const images = (await client.query(`SELECT ${TASK_IMAGES_SQL} AS images FROM quality_tasks qt WHERE qt.id = $1`, [task.id])).rows[0].images;
 
+    await recordAudit(client, req, {
+      action: 'create', entityType: 'task', entityId: task.id, after: task,
+      metadata: images.length > 0 ? { images: images.map(image => image.id) } : null,
+    });
     await client.query('COMMIT');
+    tasksCreated.inc({ source: 'user' });
+    for (const notification of notifications) {
+      await emitNotification(req.io, notification);
+    }
     logger.info(`New quality task created by ${req.user.email} for part ID ${part.id}`);
     res.status(201).json({
       success: true,
@@ -115,13 +178,14 @@ router.post('/', verifyToken, upload.array('images', 5), async (req, res) => {
         sapCode: part.sap_code,
         location: task.location,
         comments: task.comments,
-        image_urls: task.image_urls,
+        images,
+        status: task.status,
         created_at: task.created_at
       }
     });
   } catch (error) {
     await client.query('ROLLBACK');
-    if (req.files) req.files.forEach(file => fs.unlinkSync(file.path));
+    await discardImages(saved.images);
     logger.error(`Error creating task: ${error.message}`);
     res.status(500).json({ success: false, error: 'Server error while creating task.' });
   } finally {
@@ -129,15 +193,25 @@ router.post('/', verifyToken, upload.array('images', 5), async (req, res) => {
   }
 });
 
-router.get('/', verifyToken, async (req, res) => {
+// GET /api/tasks?search=&status=&assigned_to=&company_name=&sap_code=&from=&to=&sort=&order=&page=&limit=
+router.get('/', verifyToken, requirePermission('tasks:view'), validate({ query: listQuerySchema(TASK_LIST_OPTIONS) }), async (req, res) => {
+  const list = buildListQuery(req.query, TASK_LIST_OPTIONS);
+  if (list.details) {
+    return sendValidationError(res, list.details);
+  }
+
   try {
     const query = `
       SELECT
         qt.id,
         qt.location,
         qt.comments,
-        qt.image_urls,
+        ${TASK_IMAGES_SQL} AS images,
+        qt.status,
+        qt.assigned_to,
+        qt.resolution,
         qt.created_at,
+        qt.updated_at,
         p.part_name,
         p.company_name,
         p.sap_code
@@ -145,16 +219,580 @@ router.get('/', verifyToken, async (req, res) => {
         quality_tasks qt
       JOIN
         parts p ON qt.part_id = p.id
-      ORDER BY
-        qt.created_at DESC
+      ${list.where}
+      ${list.orderBy}
+      ${list.paginate}
+    `;
+    const countQuery = `
+      SELECT COUNT(*)::int AS total
+      FROM quality_tasks qt
+      JOIN parts p ON qt.part_id = p.id
+      ${list.where}
     `;
-    const result = await pool.query(query);
+    const [result, countResult] = await Promise.all([
+      pool.query(query, list.values),
+      pool.query(countQuery, list.values),
+    ]);
     logger.info(`Fetched ${result.rows.length} tasks for user ${req.user.email}`);
-    res.status(200).json({ success: true, tasks: result.rows });
+    res.status(200).json({
+      success: true,
+      tasks: result.rows,
+      pagination: paginationMeta(list, countResult.rows[0].total),
+    });
   } catch (error) {
     logger.error(`Error fetching tasks: ${error.message}`);
     res.status(500).json({ success: false, error: 'Server error while fetching tasks.' });
   }
 });
 
+const TASK_DETAIL_SELECT = `
+  SELECT
+    qt.id, qt.location, qt.comments, ${TASK_IMAGES_SQL} AS images,
+    qt.status, qt.assigned_to, qt.resolution, qt.resolved_at, qt.verified_at,
+    qt.created_by, qt.created_at, qt.updated_at,
+    p.id AS part_id, p.part_name, p.company_name, p.sap_code,
+    creator.name AS created_by_name, assignee.name AS assigned_to_name
+  FROM quality_tasks qt
+  JOIN parts p ON qt.part_id = p.id
+  LEFT JOIN users creator ON creator.id = qt.created_by
+  LEFT JOIN users assignee ON assignee.id = qt.assigned_to
+`;
+
+// Statuses in which the user who raised a task may still delete it
+const DELETABLE_BY_RAISER = ['Open', 'Assigned'];
+
+// How `user` may change `task`: 'manager' with tasks:manage, 'raiser' for the
+// user who raised it (while they hold tasks:create), otherwise null
+const taskAccess = async (user, task) => {
+  if (await hasPermission(user, 'tasks:manage')) return 'manager';
+  if (task.created_by === user.id && await hasPermission(user, 'tasks:create')) return 'raiser';
+  return null;
+};
+
+// GET /api/tasks/:id - A single task with its part, people and images
+router.get('/:id', verifyToken, requirePermission('tasks:view'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const result = await pool.query(`${TASK_DETAIL_SELECT} WHERE qt.id = $1`, [id]);
+    if (result.rows.length === 0) {
+      return sendError(res, 404, 'Task not found.');
+    }
+    logger.info(`Fetched task ${id} for user ${req.user.email}`);
+    res.json({ success: true, task: result.rows[0] });
+  } catch (error) {
+    logger.error(`Error fetching task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while fetching task.' });
+  }
+});
+
+// PATCH /api/tasks/:id - Edit location, comments or the linked part (sapCode),
+// remove images by id (`removeImages`) and upload more (field `images`)
+router.patch('/:id', verifyToken, upload.array('images', MAX_TASK_IMAGES), validate({ params: idParams, body: updateTaskBody }), async (req, res) => {
+  const { id } = req.params;
+  const { sapCode, comments } = req.body;
+  const location = req.body.location === undefined ? undefined : req.body.location.trim();
+  const removeIds = req.body.removeImages || [];
+  const files = req.files || [];
+
+  if (location === undefined && comments === undefined && sapCode === undefined && removeIds.length === 0 && files.length === 0) {
+    return sendValidationError(res, [{
+      location: 'body', field: null, code: 'required', message: 'Nothing to update.',
+    }]);
+  }
+
+  let saved;
+  try {
+    saved = await saveImages(files);
+  } catch (error) {
+    logger.error(`Error storing task images: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error while updating task.' });
+  }
+  if (saved.details) {
+    return sendValidationError(res, saved.details);
+  }
+
+  const client = await pool.connect();
+  // Undo the transaction and the images stored for it, then answer with an
+  // error, or a validation failure of `field`
+  const undo = async () => {
+    await client.query('ROLLBACK');
+    await discardImages(saved.images);
+  };
+  const reject = async (status, error) => {
+    await undo();
+    return sendError(res, status, error);
+  };
+  const rejectInvalid = async (field, code, message) => {
+    await undo();
+    return sendValidationError(res, [{ location: 'body', field, code, message }]);
+  };
+
+  try {
+    await client.query('BEGIN');
+
+    const taskResult = await client.query('SELECT * FROM quality_tasks WHERE id = $1 FOR UPDATE', [id]);
+    if (taskResult.rows.length === 0) {
+      return await reject(404, 'Task not found.');
+    }
+    const task = taskResult.rows[0];
+
+    if (!(await taskAccess(req.user, task))) {
+      logger.warn(`User ${req.user.email} may not edit task ${id}`);
+      return await reject(403, 'Only the user who raised this task or a task manager can edit it.');
+    }
+    if (task.status === 'Verified') {
+      return await reject(409, 'Verified tasks cannot be edited.');
+    }
+
+    let part = null;
+    if (sapCode !== undefined) {
+      const partResult = await client.query(
+        'SELECT id, part_name, company_name, sap_code FROM parts WHERE sap_code = $1 AND deleted_at IS NULL',
+        [String(sapCode).trim()]
+      );
+      if (partResult.rows.length === 0) {
+        return await rejectInvalid('sapCode', 'invalid_value', 'Part with the given SAP Code not found.');
+      }
+      part = partResult.rows[0];
+    }
+
+    const currentImages = (await client.query(
+      'SELECT id, variants FROM task_images WHERE task_id = $1 AND comment_id IS NULL',
+      [task.id]
+    )).rows;
+    const removed = currentImages.filter(image => removeIds.includes(image.id));
+    if (removed.length !== new Set(removeIds).size) {
+      return await rejectInvalid('removeImages', 'invalid_value', 'removeImages contains images that do not belong to this task.');
+    }
+    if (currentImages.length - removed.length + saved.images.length > MAX_TASK_IMAGES) {
+      return await rejectInvalid('images', 'too_many', `A task can have at most ${MAX_TASK_IMAGES} images.`);
+    }
+
+    const updateResult = await client.query(
+      `UPDATE quality_tasks
+       SET location = COALESCE($1, location),
+           comments = CASE WHEN $2::boolean THEN $3 ELSE comments END,
+           part_id = COALESCE($4, part_id),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $5
+       RETURNING *`,
+      [location ?? null, comments !== undefined, comments || null, part ? part.id : null, task.id]
+    );
+    const updatedTask = updateResult.rows[0];
+
+    if (removed.length > 0) {
+      await client.query('DELETE FROM task_images WHERE id = ANY($1::uuid[])', [removed.map(image => image.id)]);
+    }
+    await attachImages(client, saved.images, { taskId: task.id, uploadedBy: req.user.id });
+
+    // Notifications carry a copy of the part and location they were raised for
+    if (part || location !== undefined) {
+      await client.query(
+        `UPDATE notifications n
+         SET part_name = p.part_name, company_name = p.company_name, sap_code = p.sap_code, location = qt.location
+         FROM quality_tasks qt JOIN parts p ON p.id = qt.part_id
+         WHERE qt.id = n.task_id AND n.task_id = $1`,
+        [task.id]
+      );
+    }
+
+    const imageChanges = {};
+    if (saved.images.length > 0) imageChanges.images_added = saved.images.map(image => image.id);
+    if (removed.length > 0) imageChanges.images_removed = removed.map(image => image.id);
+    await recordAudit(client, req, {
+      action: 'update', entityType: 'task', entityId: task.id, before: task, after: updatedTask,
+      metadata: Object.keys(imageChanges).length > 0 ? imageChanges : null,
+    });
+
+    const fullTask = (await client.query(`${TASK_DETAIL_SELECT} WHERE qt.id = $1`, [task.id])).rows[0];
+    await client.query('COMMIT');
+
+    // The removed images are no longer referenced anywhere
+    await discardImages(removed);
+
+    await publish(req.io, { rooms: [`task:${task.id}`], event: 'task:updated', payload: fullTask });
+    logger.info(`Task ${id} edited by ${req.user.email} (${saved.images.length} images added, ${removed.length} removed)`);
+    res.json({ success: true, task: fullTask });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await discardImages(saved.images);
+    logger.error(`Error editing task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while updating task.' });
+  } finally {
+    client.release();
+  }
+});
+
+// DELETE /api/tasks/:id - Remove a task with its comments, images and
+// notifications. The raiser can do so until work starts; tasks:manage always.
+router.delete('/:id', verifyToken, validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const taskResult = await client.query('SELECT * FROM quality_tasks WHERE id = $1 FOR UPDATE', [id]);
+    if (taskResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return sendError(res, 404, 'Task not found.');
+    }
+    const task = taskResult.rows[0];
+
+    const access = await taskAccess(req.user, task);
+    if (!access) {
+      await client.query('ROLLBACK');
+      logger.warn(`User ${req.user.email} may not delete task ${id}`);
+      return sendError(res, 403, 'Only the user who raised this task or a task manager can delete it.');
+    }
+    if (access === 'raiser' && !DELETABLE_BY_RAISER.includes(task.status)) {
+      await client.query('ROLLBACK');
+      return sendError(res, 409, `Cannot delete a task that is ${task.status}.`);
+    }
+
+    // Task and comment images go with the task; their files are removed after COMMIT
+    const images = (await client.query('SELECT id, variants FROM task_images WHERE task_id = $1', [task.id])).rows;
+    const notificationResult = await client.query('DELETE FROM notifications WHERE task_id = $1 RETURNING id', [task.id]);
+    const notificationIds = notificationResult.rows.map(row => row.id);
+    await client.query('DELETE FROM quality_tasks WHERE id = $1', [task.id]);
+
+    await recordAudit(client, req, {
+      action: 'delete', entityType: 'task', entityId: task.id, before: task,
+      metadata: { notifications: notificationIds.length, images: images.map(image => image.id) },
+    });
+    await client.query('COMMIT');
+
+    await discardImages(images);
+
+    // Lets clients drop the task and its notifications from their lists
+    await publish(req.io, { event: 'task:deleted', payload: { task_id: task.id, notification_ids: notificationIds } });
+    logger.info(`Task ${id} deleted by ${req.user.email} (${notificationIds.length} notifications, ${images.length} images)`);
+    res.json({ success: true, message: 'Task deleted.' });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error deleting task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while deleting task.' });
+  } finally {
+    client.release();
+  }
+});
+
+// Apply a workflow transition to a task inside a transaction, record it in
+// task_transitions and notify the affected roles.
+const transitionTask = async (req, res, action, changes = {}, note = null) => {
+  const { id } = req.params;
+  const transition = TRANSITIONS[action];
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const taskResult = await client.query('SELECT * FROM quality_tasks WHERE id = $1 FOR UPDATE', [id]);
+    if (taskResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      logger.warn(`Task ${id} not found for ${action} by ${req.user.email}`);
+      return sendError(res, 404, 'Task not found.');
+    }
+    const task = taskResult.rows[0];
+
+    if (!transition.from.includes(task.status)) {
+      await client.query('ROLLBACK');
+      logger.warn(`Invalid transition '${action}' for task ${id} in status ${task.status}`);
+      return sendError(res, 409, `Cannot ${action} a task that is ${task.status}.`);
+    }
+
+    if (transition.assigneeOnly && task.assigned_to !== req.user.id) {
+      await client.query('ROLLBACK');
+      logger.warn(`User ${req.user.email} is not the assignee of task ${id}`);
+      return sendError(res, 403, 'Only the assigned user can update this task.');
+    }
+
+    const updates = ['status = $1', 'updated_at = CURRENT_TIMESTAMP'];
+    const values = [transition.to];
+    let paramIndex = 2;
+    for (const [column, value] of Object.entries(changes)) {
+      updates.push(`${column} = $${paramIndex++}`);
+      values.push(value);
+    }
+    values.push(id);
+
+    const updateResult = await client.query(
+      `UPDATE quality_tasks SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      values
+    );
+    const updatedTask = updateResult.rows[0];
+
+    const historyResult = await client.query(
+      `INSERT INTO task_transitions (task_id, from_status, to_status, actor_id, note)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING id, from_status, to_status, actor_id, note, created_at`,
+      [task.id, task.status, transition.to, req.user.id, note]
+    );
+    const history = historyResult.rows[0];
+
+    await recordAudit(client, req, {
+      action, entityType: 'task', entityId: task.id, before: task, after: updatedTask,
+      metadata: note ? { note } : null,
+    });
+    await client.query('COMMIT');
+
+    // Clients viewing the task get the change as well as the notified roles
+    const notifyRoles = await rolesWithPermission(...transition.notify);
+    await publish(req.io, {
+      rooms: [...notifyRoles.map(role => `role:${role}`), `task:${updatedTask.id}`],
+      event: transition.event,
+      payload: {
+        task_id: updatedTask.id,
+        from_status: history.from_status,
+        status: updatedTask.status,
+        assigned_to: updatedTask.assigned_to,
+        actor: { id: req.user.id, email: req.user.email, role: req.user.role },
+        note: history.note,
+        created_at: history.created_at,
+      },
+    });
+
+    logger.info(`Task ${id} moved from ${task.status} to ${transition.to} by ${req.user.email}`);
+    res.json({ success: true, task: updatedTask, transition: history });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error applying '${action}' to task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while updating task.' });
+  } finally {
+    client.release();
+  }
+};
+
+// PATCH /api/tasks/:id/assign - Assign a task to a user who can work tasks
+router.patch('/:id/assign', verifyToken, requirePermission(TRANSITIONS.assign.permission), validate({ params: idParams, body: assignBody }), async (req, res) => {
+  const { assigneeId, note } = req.body;
+
+  try {
+    const assigneeResult = await pool.query("SELECT id, role FROM users WHERE id = $1 AND status = 'active' AND deleted_at IS NULL", [assigneeId]);
+    if (assigneeResult.rows.length === 0 || !(await hasPermission(assigneeResult.rows[0], 'tasks:work'))) {
+      logger.warn(`Invalid assignee ${assigneeId} for task ${req.params.id}`);
+      return sendValidationError(res, [{
+        location: 'body', field: 'assigneeId', code: 'invalid_value', message: 'Assignee must be an active user who can work on tasks.',
+      }]);
+    }
+  } catch (error) {
+    logger.error(`Error checking assignee ${assigneeId}: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error while updating task.' });
+  }
+
+  await transitionTask(req, res, 'assign', { assigned_to: assigneeId }, note || null);
+});
+
+// PATCH /api/tasks/:id/start - Assignee starts work
+router.patch('/:id/start', verifyToken, requirePermission(TRANSITIONS.start.permission), validate({ params: idParams, body: noteBody }), async (req, res) => {
+  await transitionTask(req, res, 'start', {}, req.body.note || null);
+});
+
+// PATCH /api/tasks/:id/resolve - Assignee records the resolution
+router.patch('/:id/resolve', verifyToken, requirePermission(TRANSITIONS.resolve.permission), validate({ params: idParams, body: resolveBody }), async (req, res) => {
+  const { resolution } = req.body;
+
+  await transitionTask(req, res, 'resolve', { resolution, resolved_at: new Date() }, resolution);
+});
+
+// PATCH /api/tasks/:id/verify - Quality confirms the resolution
+router.patch('/:id/verify', verifyToken, requirePermission(TRANSITIONS.verify.permission), validate({ params: idParams, body: noteBody }), async (req, res) => {
+  await transitionTask(req, res, 'verify', { verified_at: new Date() }, req.body.note || null);
+});
+
+// PATCH /api/tasks/:id/reopen - Quality rejects the resolution
+router.patch('/:id/reopen', verifyToken, requirePermission(TRANSITIONS.reopen.permission), validate({ params: idParams, body: reopenBody }), async (req, res) => {
+  const { reason } = req.body;
+
+  await transitionTask(req, res, 'reopen', { resolved_at: null }, reason);
+});
+
+// @-mentions are written as @email, e.g. "@jane.doe@example.com please check"
+const MENTION_PATTERN = /@([^\s@]+@[^\s@]+\.[A-Za-z0-9-]+)/g;
+
+const parseMentionEmails = (body) => [...body.matchAll(MENTION_PATTERN)].map(match => match[1].toLowerCase());
+
+
+const COMMENT_SELECT = `
+  SELECT tc.id, tc.task_id, tc.body, ${imagesJsonSql('ti.comment_id = tc.id')} AS images, tc.created_at,
+         u.id AS author_id, u.name AS author_name, u.role AS author_role,
+         COALESCE(
+           (SELECT json_agg(json_build_object('id', mu.id, 'name', mu.name, 'email', mu.email) ORDER BY mu.name)
+            FROM task_comment_mentions tcm JOIN users mu ON mu.id = tcm.user_id
+            WHERE tcm.comment_id = tc.id),
+           '[]'
+         ) AS mentions
+  FROM task_comments tc
+  LEFT JOIN users u ON u.id = tc.author_id
+`;
+
+// GET /api/tasks/:id/comments - Discussion thread for a task, oldest first
+router.get('/:id/comments', verifyToken, requirePermission('tasks:view'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const taskResult = await pool.query('SELECT id FROM quality_tasks WHERE id = $1', [id]);
+    if (taskResult.rows.length === 0) {
+      return sendError(res, 404, 'Task not found.');
+    }
+
+    const result = await pool.query(`${COMMENT_SELECT} WHERE tc.task_id = $1 ORDER BY tc.created_at ASC, tc.id ASC`, [id]);
+    logger.info(`Fetched ${result.rows.length} comments for task ${id} for user ${req.user.email}`);
+    res.json({ success: true, comments: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching comments for task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while fetching comments.' });
+  }
+});
+
+// POST /api/tasks/:id/comments - Add a comment with optional images (field `images`)
+// Mentioned users (@email in the body, or `mentions` user ids) get a notification.
+router.post('/:id/comments', verifyToken, requirePermission('tasks:comment'), upload.array('images', 5), validate({ params: idParams, body: commentBody }), async (req, res) => {
+  const { id } = req.params;
+  const body = (req.body.body || '').trim();
+
+  if (!body && (!req.files || req.files.length === 0)) {
+    return sendValidationError(res, [{
+      location: 'body', field: 'body', code: 'required', message: 'A comment needs text or at least one image.',
+    }]);
+  }
+
+  let saved;
+  try {
+    saved = await saveImages(req.files);
+  } catch (error) {
+    logger.error(`Error storing comment images: ${error.message}`);
+    return res.status(500).json({ success: false, error: 'Server error while adding comment.' });
+  }
+  if (saved.details) {
+    return sendValidationError(res, saved.details);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const taskResult = await client.query(
+      `SELECT qt.id, qt.location, p.part_name, p.company_name, p.sap_code
+       FROM quality_tasks qt JOIN parts p ON p.id = qt.part_id
+       WHERE qt.id = $1`,
+      [id]
+    );
+    if (taskResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      await discardImages(saved.images);
+      return sendError(res, 404, 'Task not found.');
+    }
+    const task = taskResult.rows[0];
+
+    const commentResult = await client.query(
+      'INSERT INTO task_comments (task_id, author_id, body) VALUES ($1, $2, $3) RETURNING *',
+      [task.id, req.user.id, body]
+    );
+    const comment = commentResult.rows[0];
+    await attachImages(client, saved.images, { taskId: task.id, commentId: comment.id, uploadedBy: req.user.id });
+
+    // Only active users can be mentioned, and never the author themselves
+    const mentionResult = await client.query(
+      `SELECT id, name, email FROM users
+       WHERE (LOWER(email) = ANY($1) OR id = ANY($2))
+         AND status = 'active' AND deleted_at IS NULL AND id <> $3`,
+      [parseMentionEmails(body), req.body.mentions || [], req.user.id]
+    );
+    const mentioned = mentionResult.rows;
+
+    const notifications = [];
+    for (const user of mentioned) {
+      await client.query('INSERT INTO task_comment_mentions (comment_id, user_id) VALUES ($1, $2)', [comment.id, user.id]);
+      notifications.push(await createNotification(client, {
+        task_id: task.id,
+        part_name: task.part_name,
+        company_name: task.company_name,
+        sap_code: task.sap_code,
+        location: task.location,
+        comments: `${req.user.email} mentioned you on task #${task.id}: ${body.slice(0, 200)}`,
+        recipient_user_id: user.id,
+        comment_id: comment.id,
+      }));
+    }
+
+    await recordAudit(client, req, {
+      action: 'comment', entityType: 'task', entityId: task.id,
+      metadata: { comment_id: comment.id, images: saved.images.map(image => image.id), mentions: mentioned.map(user => user.id) },
+    });
+
+    const fullComment = (await client.query(`${COMMENT_SELECT} WHERE tc.id = $1`, [comment.id])).rows[0];
+    await client.query('COMMIT');
+
+    await publish(req.io, { rooms: [`task:${task.id}`], event: 'task:comment', payload: fullComment });
+    for (const notification of notifications) {
+      await emitNotification(req.io, notification);
+    }
+
+    logger.info(`Comment ${comment.id} added to task ${task.id} by ${req.user.email} (${mentioned.length} mentions)`);
+    res.status(201).json({ success: true, comment: fullComment });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await discardImages(saved.images);
+    logger.error(`Error adding comment to task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while adding comment.' });
+  } finally {
+    client.release();
+  }
+});
+
+// GET /api/tasks/:id/activity - Status changes and comments in one timeline
+router.get('/:id/activity', verifyToken, requirePermission('tasks:view'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const taskResult = await pool.query('SELECT id FROM quality_tasks WHERE id = $1', [id]);
+    if (taskResult.rows.length === 0) {
+      return sendError(res, 404, 'Task not found.');
+    }
+
+    const [transitions, comments] = await Promise.all([
+      pool.query(
+        `SELECT tt.id, tt.from_status, tt.to_status, tt.note, tt.created_at,
+                u.id AS actor_id, u.name AS actor_name, u.role AS actor_role
+         FROM task_transitions tt
+         LEFT JOIN users u ON tt.actor_id = u.id
+         WHERE tt.task_id = $1`,
+        [id]
+      ),
+      pool.query(`${COMMENT_SELECT} WHERE tc.task_id = $1`, [id]),
+    ]);
+
+    const activity = [
+      ...transitions.rows.map(transition => ({ type: 'transition', ...transition })),
+      ...comments.rows.map(comment => ({ type: 'comment', ...comment })),
+    ].sort((a, b) => new Date(a.created_at) - new Date(b.created_at) || (a.type === 'transition' ? -1 : 1));
+
+    res.json({ success: true, activity });
+  } catch (error) {
+    logger.error(`Error fetching activity for task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while fetching task activity.' });
+  }
+});
+
+// GET /api/tasks/:id/history - Status transitions for a task
+router.get('/:id/history', verifyToken, requirePermission('tasks:view'), validate({ params: idParams }), async (req, res) => {
+  const { id } = req.params;
+  try {
+    const query = `
+      SELECT tt.id, tt.from_status, tt.to_status, tt.note, tt.created_at,
+             u.id AS actor_id, u.name AS actor_name, u.role AS actor_role
+      FROM task_transitions tt
+      LEFT JOIN users u ON tt.actor_id = u.id
+      WHERE tt.task_id = $1
+      ORDER BY tt.created_at ASC, tt.id ASC
+    `;
+    const result = await pool.query(query, [id]);
+    logger.info(`Fetched history for task ${id} for user ${req.user.email}`);
+    res.json({ success: true, history: result.rows });
+  } catch (error) {
+    logger.error(`Error fetching history for task ${id}: ${error.message}`);
+    res.status(500).json({ success: false, error: 'Server error while fetching task history.' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
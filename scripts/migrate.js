@@ -0,0 +1,136 @@
+// Versioned schema migrations.
+//
+//   node scripts/migrate.js up          apply all pending migrations
+//   node scripts/migrate.js down [n]    revert the last n migrations (default 1)
+//   node scripts/migrate.js status      list applied and pending migrations
+//
+// Migrations live in migrations/ as NNN_name.up.sql / NNN_name.down.sql pairs
+// and each one runs in its own transaction.
+const fs = require('fs');
+const path = require('path');
+const pool = require('../db');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Any constant works; it only has to be the same for every runner
+const LOCK_ID = 727274;
+
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .map(file => file.match(/^(\d+)_(.+)\.up\.sql$/))
+  .filter(Boolean)
+  .map(([file, version, name]) => ({
+    version: parseInt(version, 10),
+    name,
+    label: file.replace(/\.up\.sql$/, ''),
+    up: path.join(MIGRATIONS_DIR, file),
+    down: path.join(MIGRATIONS_DIR, file.replace(/\.up\.sql$/, '.down.sql')),
+  }))
+  .sort((a, b) => a.version - b.version);
+
+const ensureTable = (client) => client.query(`
+  CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+
+const appliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return new Set(result.rows.map(row => row.version));
+};
+
+const runInTransaction = async (client, sql, after) => {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await after();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+};
+
+const up = async (client) => {
+  const applied = await appliedVersions(client);
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+  if (pending.length === 0) {
+    console.log('Database is up to date');
+    return;
+  }
+
+  for (const migration of pending) {
+    const sql = fs.readFileSync(migration.up, 'utf8');
+    await runInTransaction(client, sql, () => client.query(
+      'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+      [migration.version, migration.name]
+    ));
+    console.log(`Applied ${migration.label}`);
+  }
+};
+
+const down = async (client, steps) => {
+  const applied = await appliedVersions(client);
+  const toRevert = loadMigrations()
+    .filter(migration => applied.has(migration.version))
+    .reverse()
+    .slice(0, steps);
+
+  if (toRevert.length === 0) {
+    console.log('No migrations to revert');
+    return;
+  }
+
+  for (const migration of toRevert) {
+    if (!fs.existsSync(migration.down)) {
+      throw new Error(`Missing down migration for ${migration.label}`);
+    }
+    const sql = fs.readFileSync(migration.down, 'utf8');
+    await runInTransaction(client, sql, () => client.query(
+      'DELETE FROM schema_migrations WHERE version = $1',
+      [migration.version]
+    ));
+    console.log(`Reverted ${migration.label}`);
+  }
+};
+
+const status = async (client) => {
+  const applied = await appliedVersions(client);
+  for (const migration of loadMigrations()) {
+    const state = applied.has(migration.version) ? 'applied' : 'pending';
+    console.log(`${state.padEnd(8)} ${migration.label}`);
+  }
+};
+
+const main = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const commands = {
+    up: (client) => up(client),
+    down: (client) => down(client, parseInt(arg, 10) || 1),
+    status: (client) => status(client),
+  };
+
+  if (!commands[command]) {
+    throw new Error(`Unknown command '${command}'. Use up, down [n] or status.`);
+  }
+
+  const client = await pool.connect();
+  try {
+    // Keep two runners from migrating at the same time
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_ID]);
+    await ensureTable(client);
+    await commands[command](client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_ID]).catch(() => {});
+    client.release();
+  }
+};
+
+main()
+  .catch(error => {
+    console.error(`Migration failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,76 @@
+// Seed a blank database with a first Admin and sample parts.
+//
+//   SEED_ADMIN_EMAIL=admin@example.com SEED_ADMIN_PASSWORD=... node scripts/seed.js
+//
+// Safe to run more than once: existing users and SAP codes are left alone.
+const bcrypt = require('bcrypt');
+const validator = require('validator');
+const pool = require('../db');
+
+const SAMPLE_PARTS = [
+  { part_name: 'Door Hinge Bracket Die', company_name: 'Acme Stampings', sap_code: 'SAP-100001' },
+  { part_name: 'Seat Rail Progressive Die', company_name: 'Acme Stampings', sap_code: 'SAP-100002' },
+  { part_name: 'Fender Trim Die', company_name: 'Northwind Auto', sap_code: 'SAP-200001' },
+  { part_name: 'Bumper Bracket Die', company_name: 'Northwind Auto', sap_code: 'SAP-200002' },
+  { part_name: 'Gear Housing Casting Die', company_name: 'Contoso Castings', sap_code: 'SAP-300001' },
+];
+
+const seedAdmin = async (client) => {
+  const email = process.env.SEED_ADMIN_EMAIL;
+  const password = process.env.SEED_ADMIN_PASSWORD;
+  const name = process.env.SEED_ADMIN_NAME || 'Administrator';
+
+  if (!email || !password) {
+    throw new Error('SEED_ADMIN_EMAIL and SEED_ADMIN_PASSWORD are required');
+  }
+  if (!validator.isEmail(email)) {
+    throw new Error(`Invalid SEED_ADMIN_EMAIL: ${email}`);
+  }
+
+  const saltRounds = 10;
+  const hashedPassword = await bcrypt.hash(password, saltRounds);
+  const result = await client.query(
+    `INSERT INTO users (email, name, role, designation, password, status, created_at, updated_at)
+     VALUES ($1, $2, 'Admin', 'Administrator', $3, 'active', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+     ON CONFLICT (email) DO NOTHING
+     RETURNING id`,
+    [email, name, hashedPassword]
+  );
+  console.log(result.rows.length > 0 ? `Created Admin ${email}` : `Admin ${email} already exists`);
+};
+
+const seedParts = async (client) => {
+  let created = 0;
+  for (const part of SAMPLE_PARTS) {
+    const result = await client.query(
+      `INSERT INTO parts (part_name, company_name, sap_code)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (sap_code) DO NOTHING`,
+      [part.part_name, part.company_name, part.sap_code]
+    );
+    created += result.rowCount;
+  }
+  console.log(`Created ${created} sample parts`);
+};
+
+const main = async () => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await seedAdmin(client);
+    await seedParts(client);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+main()
+  .catch(error => {
+    console.error(`Seed failed: ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
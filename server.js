@@ -3,12 +3,19 @@ const cors = require('cors');
 const http = require('http');
 const socketIO = require('socket.io');
 const jwt = require('jsonwebtoken');
-const registerRoutes = require('./routes/register');
-const loginRoutes = require('./routes/login');
-const partRoutes = require('./routes/parts');
-const taskRoutes = require('./routes/tasks');
-const notificationRoutes = require('./routes/notifications');
-const winston = require('winston');
+const apiRoutes = require('./routes');
+const docsRoutes = require('./routes/docs');
+const healthRoutes = require('./routes/health');
+const { startMaintenanceScheduler } = require('./services/maintenance');
+const { startReportScheduler } = require('./services/reports');
+const { parseEventId, acknowledgeEvents, getCursor, replayEvents, startEventPruner } = require('./services/events');
+const { hasPermission } = require('./services/permissions');
+const { getSessionUser } = require('./services/sessions');
+const { requestErrorDetails, sendValidationError } = require('./middleware/validate');
+const { requestLogger } = require('./middleware/requestLogger');
+const { httpMetrics } = require('./middleware/metrics');
+const { observeSockets } = require('./services/metrics');
+const { getLogger } = require('./services/logger');
 require('dotenv').config();
 
 const app = express();
@@ -16,43 +23,129 @@ const server = http.createServer(app);
 const io = socketIO(server, {
   cors: { origin: process.env.CORS_ORIGIN || 'http://localhost:3000' },
 });
+observeSockets(io); // Clients per role room in /metrics
 
-// Logger setup
-const logger = winston.createLogger({
-  level: 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.File({ filename: process.env.LOG_FILE_PATH }),
-    new winston.transports.Console()
-  ],
-});
+const logger = getLogger('server');
 
 // Socket.IO authentication
-io.use((socket, next) => {
+// Same checks as verifyToken: open session, active user, role from the database
+io.use(async (socket, next) => {
   const token = socket.handshake.auth.token?.split(' ')[1];
   if (!token) {
     return next(new Error('Authentication error: No token provided'));
   }
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
+  } catch (error) {
+    return next(new Error('Authentication error: Invalid token'));
+  }
   try {
-    const decoded = jwt.verify(token, process.env.JWT_ACCESS_SECRET);
-    socket.user = decoded;
+    const user = await getSessionUser(decoded.sid, decoded.id);
+    if (!user) {
+      return next(new Error('Authentication error: Invalid token'));
+    }
+    socket.user = { ...decoded, email: user.email, role: user.role };
     next();
   } catch (error) {
-    next(new Error('Authentication error: Invalid token'));
+    logger.error(`Socket session lookup error: ${error.message}`);
+    next(new Error('Authentication error: Server error'));
   }
 });
 
+// Rooms whose logged events a socket may replay
+const replayRooms = (socket) => [...socket.rooms].filter(room => room !== socket.id);
+
+// Socket events carry an `event_id`. Clients acknowledge what they have handled
+// with `events:ack`, and after reconnecting receive what they missed: pass
+// `lastEventId` in the handshake auth (defaults to the last acknowledged id),
+// or emit `events:replay` after re-joining task rooms.
 io.on('connection', (socket) => {
   logger.info(`Client connected: ${socket.id}, User: ${socket.user.email}`);
   socket.join(`role:${socket.user.role}`); // Join role-specific room
+  socket.join(`user:${socket.user.id}`); // Notifications addressed to this user
+
+  // Clients viewing a task join its room to receive comments and changes
+  // live; `lastEventId` replays what the room missed
+  socket.on('task:join', async (data, ack) => {
+    const taskId = Number(data && typeof data === 'object' ? data.taskId : data);
+    const lastEventId = data && typeof data === 'object' ? parseEventId(data.lastEventId) : null;
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (!Number.isInteger(taskId) || taskId <= 0) {
+      return reply({ success: false, error: 'Invalid task id.' });
+    }
+    try {
+      if (!(await hasPermission(socket.user, 'tasks:view'))) {
+        return reply({ success: false, error: 'Access denied: Insufficient permissions' });
+      }
+      socket.join(`task:${taskId}`);
+      const replayed = lastEventId === null
+        ? null
+        : await replayEvents(socket, lastEventId, [`task:${taskId}`], { includeBroadcasts: false });
+      reply({ success: true, replayed });
+    } catch (error) {
+      logger.error(`Error joining task ${taskId} for ${socket.user.email}: ${error.message}`);
+      reply({ success: false, error: 'Server error' });
+    }
+  });
+  socket.on('task:leave', (taskId) => {
+    socket.leave(`task:${Number(taskId)}`);
+  });
+
+  socket.on('events:ack', async (data, ack) => {
+    const lastEventId = parseEventId(data && typeof data === 'object' ? data.lastEventId : data);
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (lastEventId === null) {
+      return reply({ success: false, error: 'Invalid event id.' });
+    }
+    try {
+      reply({ success: true, ...(await acknowledgeEvents(socket.user.id, lastEventId)) });
+    } catch (error) {
+      logger.error(`Error acknowledging events for ${socket.user.email}: ${error.message}`);
+      reply({ success: false, error: 'Server error' });
+    }
+  });
+
+  socket.on('events:replay', async (data, ack) => {
+    const lastEventId = parseEventId(data && typeof data === 'object' ? data.lastEventId : data);
+    const reply = typeof ack === 'function' ? ack : () => {};
+    if (lastEventId === null) {
+      return reply({ success: false, error: 'Invalid event id.' });
+    }
+    try {
+      reply({ success: true, ...(await replayEvents(socket, lastEventId, replayRooms(socket))) });
+    } catch (error) {
+      logger.error(`Error replaying events for ${socket.user.email}: ${error.message}`);
+      reply({ success: false, error: 'Server error' });
+    }
+  });
+
   socket.on('disconnect', () => {
     logger.info(`Client disconnected: ${socket.id}`);
   });
+
+  // Catch up a reconnecting client. A client that has never acknowledged
+  // anything and sends no id loads its state over the REST API instead.
+  (async () => {
+    const requested = socket.handshake.auth.lastEventId;
+    const lastEventId = requested === undefined ? await getCursor(socket.user.id) : parseEventId(requested);
+    if (lastEventId !== null) {
+      const summary = await replayEvents(socket, lastEventId, replayRooms(socket));
+      logger.info(`Replayed ${summary.count} events to ${socket.user.email} after ${lastEventId}`);
+    }
+  })().catch((error) => {
+    logger.error(`Error replaying events for ${socket.user.email}: ${error.message}`);
+  });
 });
 
+// Probes and scrapes come first so they stay out of the access log and the
+// HTTP metrics
+app.use(healthRoutes);
+
+// Request id, context for route logs and one access log line per request
+app.use(requestLogger);
+app.use(httpMetrics);
+
 // Middleware to attach io to req
 app.use((req, res, next) => {
   req.io = io;
@@ -62,28 +155,33 @@ app.use((req, res, next) => {
 app.use(cors({ origin: process.env.CORS_ORIGIN || 'http://localhost:3000' }));
 app.use(express.json());
 
-// Request logging
-app.use((req, res, next) => {
-  logger.info(`Request: ${req.method} ${req.url}`);
-  next();
-});
-
-app.use('/uploads', express.static('Uploads'));
-
 // Routes
-app.use('/api/register', registerRoutes);
-app.use('/api/login', loginRoutes);
-app.use('/api/parts', partRoutes);
-app.use('/api/tasks', taskRoutes);
-app.use('/api/notifications', notificationRoutes);
+for (const { path, router } of apiRoutes) {
+  app.use(path, router);
+}
+app.use('/api/docs', docsRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
-  logger.error(`Error: ${err.message}`);
+  // Malformed JSON and upload limits are the client's mistake
+  const details = requestErrorDetails(err);
+  if (details) {
+    return sendValidationError(res, details);
+  }
+  logger.error(`Error: ${err.message}`, { stack: err.stack });
   res.status(500).json({ error: 'Internal server error' });
 });
 
-const PORT = process.env.PORT || 3001;
-server.listen(PORT, () => {
-  logger.info(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+// Listen and start the schedulers only when run directly; tests require the
+// app and listen on a port of their own
+if (require.main === module) {
+  const PORT = process.env.PORT || 3001;
+  server.listen(PORT, () => {
+    logger.info(`Server running on port ${PORT}`);
+    startMaintenanceScheduler(io);
+    startReportScheduler();
+    startEventPruner();
+  });
+}
+
+module.exports = { app, server, io };
\ No newline at end of file
@@ -0,0 +1,9 @@
+// Retention for soft-deleted (archived) parts and users. Archived records can
+// be restored at any time and purged permanently once the period has passed.
+const parsed = parseInt(process.env.ARCHIVE_RETENTION_DAYS, 10);
+const RETENTION_DAYS = Number.isNaN(parsed) ? 90 : parsed;
+
+// SQL expression for when an archived row becomes purgeable
+const purgeAfterSql = (column = 'deleted_at') => `${column} + make_interval(days => ${RETENTION_DAYS})`;
+
+module.exports = { RETENTION_DAYS, purgeAfterSql };
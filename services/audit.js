@@ -0,0 +1,76 @@
+// Structured audit trail. Routes call recordAudit with the same client as the
+// change itself so the audit row commits or rolls back together with it.
+
+// Never copied into the audit log
+const REDACTED_FIELDS = new Set(['password', 'token', 'token_hash', 'refresh_token', 'confirm_password']);
+
+// Bookkeeping columns that change on every write and say nothing on their own
+const IGNORED_FIELDS = new Set(['updated_at']);
+
+const normalize = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  if (value === undefined) return null;
+  return value;
+};
+
+// { field: { before, after } } for every field that differs between two row
+// snapshots. Pass null as `before` for a create and as `after` for a delete.
+const diffRows = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.has(field)) continue;
+    const from = normalize(before ? before[field] : null);
+    const to = normalize(after ? after[field] : null);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.has(field)
+      ? { before: from === null ? null : '[REDACTED]', after: to === null ? null : '[REDACTED]' }
+      : { before: from, after: to };
+  }
+  return changes;
+};
+
+// Who made the change: the authenticated user, or an explicit actor for
+// unauthenticated flows such as self-registration and accepting an invite
+const actorFrom = (req, actor) => {
+  const source = actor || req.user || {};
+  return {
+    id: source.id || null,
+    email: source.email || null,
+    role: source.role || null,
+  };
+};
+
+// Record one audited action.
+//
+// entry:
+//   action      - e.g. 'create', 'update', 'delete', 'approve', 'task.assign'
+//   entityType  - e.g. 'part', 'user', 'task', 'notification', 'role'
+//   entityId    - id of the changed record; null for bulk actions
+//   before      - row snapshot before the change (null for a create)
+//   after       - row snapshot after the change (null for a delete)
+//   metadata    - extra context that is not a field change (counts, notes)
+//   actor       - overrides req.user as the actor
+const recordAudit = async (client, req, { action, entityType, entityId = null, before = null, after = null, metadata = null, actor = null }) => {
+  const who = actorFrom(req, actor);
+  await client.query(
+    `INSERT INTO audit_log (actor_id, actor_email, actor_role, action, entity_type, entity_id, changes, metadata, ip, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)`,
+    [
+      who.id,
+      who.email,
+      who.role,
+      action,
+      entityType,
+      entityId === null ? null : String(entityId),
+      JSON.stringify(diffRows(before, after)),
+      metadata === null ? null : JSON.stringify(metadata),
+      req.ip || null,
+      (req.headers && req.headers['user-agent']) || null,
+    ]
+  );
+};
+
+module.exports = { recordAudit, diffRows };
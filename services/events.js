@@ -0,0 +1,134 @@
+const { getLogger } = require('./logger');
+const pool = require('../db');
+
+const logger = getLogger('services/events');
+
+// Every Socket.IO event is written to socket_events before it is sent and
+// carries the row id as `event_id`. Clients acknowledge the highest id they
+// have handled with `events:ack`; after a reconnect they get every event
+// since that id (or since the id they pass as `lastEventId`) replayed with
+// `replayed: true`, followed by `events:replayed`.
+
+// Most events replayed in one go; the client asks again for the rest
+const REPLAY_LIMIT = parseInt(process.env.SOCKET_REPLAY_LIMIT, 10) || 500;
+
+// Events older than this are pruned and can no longer be replayed
+const RETENTION_HOURS = parseInt(process.env.SOCKET_EVENT_RETENTION_HOURS, 10) || 72;
+
+const parseEventId = (value) => {
+  const id = Number(value);
+  return Number.isSafeInteger(id) && id >= 0 ? id : null;
+};
+
+// Record an event and send it once to every socket in any of `rooms`, or to
+// every client when rooms is null. Delivery still happens if the log write
+// fails, just without an id.
+const publish = async (io, { rooms = null, event, payload, notificationId = null }) => {
+  let message = payload;
+  try {
+    const result = await pool.query(
+      'INSERT INTO socket_events (rooms, event, payload, notification_id) VALUES ($1, $2, $3, $4) RETURNING id',
+      [rooms, event, JSON.stringify(payload), notificationId]
+    );
+    message = { ...payload, event_id: Number(result.rows[0].id) };
+  } catch (error) {
+    logger.error(`Error logging socket event ${event} for ${rooms ? rooms.join(', ') : 'all'}: ${error.message}`);
+  }
+
+  (rooms ? io.to(rooms) : io).emit(event, message);
+  return message;
+};
+
+// Remember the last event a user's client handled and mark the notifications
+// delivered up to it. Acks never move the cursor backwards.
+const acknowledgeEvents = async (userId, lastEventId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO socket_event_cursors (user_id, last_event_id) VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE
+       SET last_event_id = GREATEST(socket_event_cursors.last_event_id, EXCLUDED.last_event_id),
+           updated_at = CURRENT_TIMESTAMP`,
+      [userId, lastEventId]
+    );
+    const delivered = await client.query(
+      `UPDATE notification_recipients nr
+       SET delivered_at = CURRENT_TIMESTAMP
+       FROM socket_events se
+       WHERE se.notification_id = nr.notification_id AND se.id <= $2
+         AND nr.user_id = $1 AND nr.delivered_at IS NULL`,
+      [userId, lastEventId]
+    );
+    await client.query('COMMIT');
+    return { last_event_id: lastEventId, delivered: delivered.rowCount };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Where replay starts when the client does not say: its last acknowledgement
+const getCursor = async (userId) => {
+  const result = await pool.query('SELECT last_event_id FROM socket_event_cursors WHERE user_id = $1', [userId]);
+  return result.rows.length > 0 ? Number(result.rows[0].last_event_id) : null;
+};
+
+// Send a socket the events after `lastEventId` for the given rooms (plus
+// events sent to everyone, unless `includeBroadcasts` is false). Ends with
+// `events:replayed` { count, last_event_id, more, expired }: `more` means
+// the limit was hit and the client should replay again from last_event_id;
+// `expired` means some events were already pruned and the client should
+// reload its data over the REST API.
+const replayEvents = async (socket, lastEventId, rooms, { includeBroadcasts = true } = {}) => {
+  const [result, oldest] = await Promise.all([
+    pool.query(
+      `SELECT id, event, payload FROM socket_events
+       WHERE id > $1 AND (rooms && $2 OR ($3 AND rooms IS NULL))
+       ORDER BY id
+       LIMIT $4`,
+      [lastEventId, rooms, includeBroadcasts, REPLAY_LIMIT + 1]
+    ),
+    pool.query('SELECT MIN(id) AS id FROM socket_events'),
+  ]);
+
+  const events = result.rows.slice(0, REPLAY_LIMIT);
+  for (const row of events) {
+    socket.emit(row.event, { ...row.payload, event_id: Number(row.id), replayed: true });
+  }
+
+  const summary = {
+    count: events.length,
+    last_event_id: events.length > 0 ? Number(events[events.length - 1].id) : lastEventId,
+    more: result.rows.length > REPLAY_LIMIT,
+    expired: oldest.rows[0].id !== null && lastEventId < Number(oldest.rows[0].id) - 1,
+  };
+  socket.emit('events:replayed', summary);
+  return summary;
+};
+
+// Drop events past the retention window
+const pruneEvents = async () => {
+  try {
+    const result = await pool.query(
+      `DELETE FROM socket_events WHERE created_at < CURRENT_TIMESTAMP - make_interval(hours => $1)`,
+      [RETENTION_HOURS]
+    );
+    if (result.rowCount > 0) {
+      logger.info(`Pruned ${result.rowCount} socket events older than ${RETENTION_HOURS}h`);
+    }
+  } catch (error) {
+    logger.error(`Error pruning socket events: ${error.message}`);
+  }
+};
+
+// Start pruning the event log hourly. Returns the timer so it can be cleared.
+const startEventPruner = () => {
+  const timer = setInterval(pruneEvents, 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { parseEventId, publish, acknowledgeEvents, getCursor, replayEvents, pruneEvents, startEventPruner };
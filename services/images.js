@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { putObject, deleteObject } = require('./storage');
+
+// Uploaded photos are identified by their content, never by the client's
+// mimetype header, and re-encoded so EXIF data (GPS position, camera serial)
+// is dropped. Each upload is stored in three sizes.
+const FORMATS = {
+  jpeg: { extension: 'jpg', contentType: 'image/jpeg' },
+  png: { extension: 'png', contentType: 'image/png' },
+  webp: { extension: 'webp', contentType: 'image/webp' },
+};
+
+const VARIANTS = {
+  original: { size: parseInt(process.env.IMAGE_MAX_DIMENSION, 10) || 2048, fit: 'inside' },
+  medium: { size: 1024, fit: 'inside' },
+  thumbnail: { size: 256, fit: 'cover' },
+};
+
+// PNG keeps its transparency, everything else is stored as JPEG
+const outputFormat = (format) => (format === 'png' ? 'png' : 'jpeg');
+
+const renderVariant = async (buffer, format, { size, fit }) => {
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const pipeline = sharp(buffer).rotate().resize(size, size, { fit, withoutEnlargement: true });
+  const output = format === 'png' ? pipeline.png() : pipeline.jpeg({ quality: 85, mozjpeg: true });
+  const { data, info } = await output.toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height, size: info.size };
+};
+
+// Decode the file to find its real format; returns null when it is not an
+// image we accept
+const detectFormat = async (buffer) => {
+  try {
+    const { format } = await sharp(buffer).metadata();
+    return FORMATS[format] ? format : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Remove every stored variant of previously saved images
+const discardImages = async (images) => {
+  for (const image of images) {
+    for (const variant of Object.values(image.variants)) {
+      await deleteObject(variant.key).catch(() => {});
+    }
+  }
+};
+
+// Validate, process and store multer memory-storage files. Call before the
+// database transaction and pass the result to attachImages inside it; on
+// rollback call discardImages. Returns { images }, or { details } with the
+// validation details for sendValidationError.
+const saveImages = async (files = []) => {
+  // Decode every file before storing anything, so a corrupt upload is a
+  // validation error rather than a half-stored batch
+  const processed = [];
+  for (const file of files) {
+    const invalid = {
+      details: [{
+        location: 'body', field: file.fieldname, code: 'invalid_format', message: `${file.originalname} is not a JPEG, PNG or WebP image.`,
+      }],
+    };
+    const detected = await detectFormat(file.buffer);
+    if (!detected) {
+      return invalid;
+    }
+
+    const format = outputFormat(detected);
+    const renders = {};
+    try {
+      for (const [name, options] of Object.entries(VARIANTS)) {
+        renders[name] = await renderVariant(file.buffer, format, options);
+      }
+    } catch (error) {
+      return invalid;
+    }
+    processed.push({ file, format, renders });
+  }
+
+  const images = [];
+  try {
+    for (const { file, format, renders } of processed) {
+      const { extension, contentType } = FORMATS[format];
+      const id = crypto.randomUUID();
+      const image = { id, contentType, originalName: file.originalname, variants: {} };
+      images.push(image);
+
+      for (const [name, rendered] of Object.entries(renders)) {
+        const key = `images/${id}/${name}.${extension}`;
+        await putObject(key, rendered.data, contentType);
+        image.variants[name] = { key, width: rendered.width, height: rendered.height, size: rendered.size };
+      }
+    }
+  } catch (error) {
+    await discardImages(images);
+    throw error;
+  }
+
+  return { images };
+};
+
+// Link saved images to a task, or to one of its comments
+const attachImages = async (client, images, { taskId, commentId = null, uploadedBy = null }) => {
+  for (const image of images) {
+    await client.query(
+      `INSERT INTO task_images (id, task_id, comment_id, variants, content_type, original_name, uploaded_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+      [image.id, taskId, commentId, JSON.stringify(image.variants), image.contentType, image.originalName, uploadedBy]
+    );
+  }
+};
+
+// SQL expression aggregating the task_images rows matching `condition`
+// (which may use the alias ti) into a JSON array of links for API responses
+const imagesJsonSql = (condition) => `
+  COALESCE(
+    (SELECT json_agg(json_build_object(
+       'id', ti.id,
+       'url', '/api/images/' || ti.id,
+       'medium_url', '/api/images/' || ti.id || '?variant=medium',
+       'thumbnail_url', '/api/images/' || ti.id || '?variant=thumbnail',
+       'width', (ti.variants->'original'->>'width')::int,
+       'height', (ti.variants->'original'->>'height')::int
+     ) ORDER BY ti.created_at, ti.id)
+     FROM task_images ti WHERE ${condition}),
+    '[]'
+  )
+`;
+
+module.exports = { VARIANTS, saveImages, attachImages, discardImages, imagesJsonSql };
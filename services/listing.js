@@ -0,0 +1,136 @@
+// Shared filtering, search, sorting and pagination for list endpoints.
+//
+// Query string: ?search=&from=&to=&sort=&order=asc|desc&page=&limit=
+// plus any exact-match filters the route declares.
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+// Values already coerced by validate() pass through as they are
+const parseFilterValue = (value, type) => {
+  if (type === 'integer') {
+    if (Number.isInteger(value)) return value;
+    return /^\d+$/.test(value) ? parseInt(value, 10) : undefined;
+  }
+  if (type === 'boolean') {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+  }
+  return String(value);
+};
+
+// A rejected query string parameter, in validate()'s detail format
+const invalid = (field, code, message) => ({ details: [{ location: 'query', field, code, message }] });
+
+// Build WHERE / ORDER BY / LIMIT clauses from req.query.
+//
+// options:
+//   conditions, values - route's own base conditions and their parameters
+//   search             - columns matched case-insensitively by ?search=
+//   dateColumn         - column filtered by ?from= and ?to=
+//   filters            - { queryParam: { column, type } } exact-match filters
+//   sort               - { queryParam: column } whitelist for ?sort=
+//   defaultSort        - key of `sort` used when ?sort= is absent
+//   tieBreaker         - unique column appended to ORDER BY for stable pages
+//
+// Returns { details } with the validation details for sendValidationError
+// when the query string is invalid.
+const buildListQuery = (query, options) => {
+  const conditions = [...(options.conditions || [])];
+  const values = [...(options.values || [])];
+
+  if (query.search && options.search) {
+    values.push(`%${query.search}%`);
+    const param = `$${values.length}`;
+    conditions.push(`(${options.search.map(column => `${column} ILIKE ${param}`).join(' OR ')})`);
+  }
+
+  if (options.dateColumn) {
+    for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+      if (!query[key]) continue;
+      if (Number.isNaN(Date.parse(query[key]))) {
+        return invalid(key, 'invalid_format', `${key} must be a valid date`);
+      }
+      values.push(query[key]);
+      conditions.push(`${options.dateColumn} ${operator} $${values.length}`);
+    }
+  }
+
+  for (const [key, { column, type = 'string' }] of Object.entries(options.filters || {})) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const value = parseFilterValue(query[key], type);
+    if (value === undefined) {
+      return invalid(key, 'invalid_type', `${key} must be ${type === 'integer' ? 'a whole number' : 'true or false'}`);
+    }
+    values.push(value);
+    conditions.push(`${column} = $${values.length}`);
+  }
+
+  const sortKey = query.sort || options.defaultSort;
+  if (!options.sort[sortKey]) {
+    return invalid('sort', 'invalid_value', `sort must be one of: ${Object.keys(options.sort).join(', ')}`);
+  }
+  const order = (query.order || 'desc').toLowerCase();
+  if (!['asc', 'desc'].includes(order)) {
+    return invalid('order', 'invalid_value', 'order must be one of: asc, desc');
+  }
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(page) || page < 1) {
+    return invalid('page', 'too_small', 'page must be a whole number of at least 1');
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return invalid('limit', 'invalid_value', `limit must be a whole number from 1 to ${MAX_LIMIT}`);
+  }
+
+  const orderBy = [`${options.sort[sortKey]} ${order.toUpperCase()}`];
+  if (options.tieBreaker) orderBy.push(`${options.tieBreaker} ${order.toUpperCase()}`);
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    values,
+    orderBy: `ORDER BY ${orderBy.join(', ')}`,
+    paginate: `LIMIT ${limit} OFFSET ${(page - 1) * limit}`,
+    page,
+    limit,
+  };
+};
+
+// JSON Schema for the query string buildListQuery reads with `options`,
+// for validate({ query }). `extra` adds the route's own parameters.
+const listQuerySchema = (options, extra = {}) => {
+  const properties = {};
+  if (options.search) {
+    properties.search = { type: 'string', maxLength: 255 };
+  }
+  if (options.dateColumn) {
+    properties.from = { type: 'string', format: 'timestamp' };
+    properties.to = { type: 'string', format: 'timestamp' };
+  }
+  for (const [key, { type = 'string' }] of Object.entries(options.filters || {})) {
+    properties[key] = type === 'integer' ? { type, minimum: 0, maximum: 2147483647 } : { type };
+  }
+  return {
+    type: 'object',
+    properties: {
+      ...properties,
+      sort: { type: 'string', enum: Object.keys(options.sort), default: options.defaultSort },
+      order: { type: 'string', enum: ['asc', 'desc', 'ASC', 'DESC'], default: 'desc' },
+      page: { type: 'integer', minimum: 1, default: 1 },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT },
+      ...extra,
+    },
+  };
+};
+
+// Pagination block returned alongside list results
+const paginationMeta = (list, total) => ({
+  page: list.page,
+  limit: list.limit,
+  total,
+  total_pages: Math.ceil(total / list.limit),
+});
+
+module.exports = { buildListQuery, listQuerySchema, paginationMeta };
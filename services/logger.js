@@ -0,0 +1,111 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+require('dotenv').config();
+
+// The one logger every module writes through. Modules take a child with
+// getLogger('routes/parts') so each line says where it came from.
+//
+//   LOG_LEVEL          - error, warn, info, http, verbose or debug; defaults
+//                        by NODE_ENV (production: info, test: warn,
+//                        development: debug, otherwise info)
+//   LOG_FILE_PATH      - also write to this file; console only when unset
+//   LOG_MAX_SIZE_MB    - rotate the file at this size (default 10)
+//   LOG_MAX_FILES      - rotated files to keep (default 5)
+//
+// Lines logged while handling a request carry its request_id and user_id, and
+// anything that looks like a password, token or key is redacted.
+
+const DEFAULT_LEVELS = { production: 'info', test: 'warn', development: 'debug' };
+
+const REDACTED = '[REDACTED]';
+
+// Field names whose values never reach the logs
+const SENSITIVE_KEY = /passw(or)?d|secret|token|api[-_]?key|authorization|cookie/i;
+
+// Sensitive values inside message strings: "password=...", "token": "...",
+// "Bearer ..."
+const SENSITIVE_TEXT = [
+  [/(["']?[\w-]*(?:passw(?:or)?d|secret|token|api[-_]?key)["']?\s*[:=]\s*["']?)[^"'&\s,;}]+/gi, `$1${REDACTED}`],
+  [/\b(Bearer|Basic)\s+[\w.~+/=-]+/g, `$1 ${REDACTED}`],
+];
+
+const redactText = (text) => SENSITIVE_TEXT.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+
+// Copy of `value` with sensitive fields and strings masked
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object' || depth > 5) return value;
+  if (value instanceof Error) return redactText(value.stack || value.message);
+  if (value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, field] of Object.entries(value)) {
+    copy[key] = SENSITIVE_KEY.test(key) && field !== null && field !== undefined ? REDACTED : redact(field, depth + 1);
+  }
+  return copy;
+};
+
+// A URL with the values of sensitive query parameters masked
+const redactUrl = (url) => {
+  const [pathname, query] = url.split('?');
+  if (!query) return url;
+  const params = new URLSearchParams(query);
+  for (const key of params.keys()) {
+    if (SENSITIVE_KEY.test(key)) params.set(key, REDACTED);
+  }
+  return `${pathname}?${params.toString().replaceAll(encodeURIComponent(REDACTED), REDACTED)}`;
+};
+
+// Per-request context: { requestId, req }. Set by middleware/requestLogger.
+const context = new AsyncLocalStorage();
+
+const runWithContext = (store, fn) => context.run(store, fn);
+const getContext = () => context.getStore() || null;
+
+const addRequestContext = winston.format((info) => {
+  const store = getContext();
+  if (store) {
+    if (info.request_id === undefined) info.request_id = store.requestId;
+    if (info.user_id === undefined && store.req.user) info.user_id = store.req.user.id;
+  }
+  return info;
+});
+
+const redactSecrets = winston.format((info) => {
+  for (const key of Object.keys(info)) {
+    if (key === 'level' || key === 'timestamp') continue;
+    info[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(info[key]);
+  }
+  return info;
+});
+
+const positiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isInteger(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const transports = [new winston.transports.Console()];
+if (process.env.LOG_FILE_PATH) {
+  transports.push(new winston.transports.File({
+    filename: process.env.LOG_FILE_PATH,
+    maxsize: positiveInt(process.env.LOG_MAX_SIZE_MB, 10) * 1024 * 1024,
+    maxFiles: positiveInt(process.env.LOG_MAX_FILES, 5),
+    tailable: true,
+  }));
+}
+
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV] || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    addRequestContext(),
+    redactSecrets(),
+    winston.format.json()
+  ),
+  transports,
+});
+
+const getLogger = (module) => logger.child({ module });
+
+module.exports = { logger, getLogger, redact, redactUrl, runWithContext, getContext };
@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { getLogger } = require('./logger');
+
+const logger = getLogger('services/mailer');
+
+// Transports take a message { from, to, subject, text, html, attachments }.
+// MAIL_TRANSPORT selects one: smtp, file (writes .json to MAIL_OUTBOX_DIR) or
+// console (the default, prints the message to stdout for local testing).
+const transports = {
+  smtp: () => {
+    const smtp = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT, 10) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD } : undefined,
+    });
+    return (message) => smtp.sendMail(message);
+  },
+  file: () => {
+    const outbox = process.env.MAIL_OUTBOX_DIR || 'mail-outbox';
+    fs.mkdirSync(outbox, { recursive: true });
+    return async (message) => {
+      const filename = path.join(outbox, `${Date.now()}-${Math.round(Math.random() * 1E9)}.json`);
+      // Renamed into place so readers of the outbox never see half a message
+      await fs.promises.writeFile(`${filename}.tmp`, JSON.stringify(message, null, 2));
+      await fs.promises.rename(`${filename}.tmp`, filename);
+    };
+  },
+  // Printed directly rather than logged: the logger would redact the token
+  // in reset and invitation links, and the stand-in could not be followed
+  console: () => async (message) => {
+    process.stdout.write(`--- Mail to ${message.to}: ${message.subject}\n${message.text}\n---\n`);
+  },
+};
+
+let send = null;
+
+// Replace the active transport, e.g. with a custom provider or a test spy
+const setTransport = (transport) => {
+  send = transport;
+};
+
+const sendMail = async ({ to, subject, text, html, attachments }) => {
+  if (!send) {
+    const name = process.env.MAIL_TRANSPORT || 'console';
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    send = transports[name]();
+  }
+
+  const from = process.env.MAIL_FROM || 'DieCare <no-reply@diecare.local>';
+  await send({ from, to, subject, text, html, attachments });
+  logger.info(`Mail '${subject}' sent to ${to}`);
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,146 @@
+const { getLogger } = require('./logger');
+const pool = require('../db');
+const { createTask } = require('./tasks');
+const { createNotification, emitNotification } = require('./notifications');
+const { tasksCreated } = require('./metrics');
+const { rolesWithPermission } = require('./permissions');
+
+const logger = getLogger('services/maintenance');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Roles granted this are told when a raised PM task passes its grace period
+const OVERDUE_NOTIFY_PERMISSION = 'tasks:assign';
+
+// Work out where a plan stands against its calendar and stroke intervals.
+// `strokeCount` is the die's current cumulative counter.
+const getPlanStatus = (plan, strokeCount, now = new Date()) => {
+  const dueAt = plan.interval_days
+    ? new Date(new Date(plan.last_performed_at).getTime() + plan.interval_days * DAY_MS)
+    : null;
+  const dueStrokes = plan.interval_strokes
+    ? Number(plan.last_performed_strokes) + plan.interval_strokes
+    : null;
+  const strokes = Number(strokeCount);
+
+  const overdue =
+    (dueAt && now.getTime() >= dueAt.getTime() + plan.grace_days * DAY_MS) ||
+    (dueStrokes !== null && strokes >= dueStrokes + plan.grace_strokes);
+  const due =
+    (dueAt && now >= dueAt) ||
+    (dueStrokes !== null && strokes >= dueStrokes);
+
+  let status = 'ok';
+  if (!plan.active) status = 'inactive';
+  else if (overdue) status = 'overdue';
+  else if (due) status = 'due';
+
+  return {
+    status,
+    due_at: dueAt,
+    due_strokes: dueStrokes,
+    strokes_remaining: dueStrokes !== null ? Math.max(dueStrokes - strokes, 0) : null,
+  };
+};
+
+// Raise a PM task for a plan that has come due, or an overdue notification
+// for one whose task is still outstanding. Runs in its own transaction.
+const processPlan = async (io, planId) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const planResult = await client.query(
+      `SELECT mp.*, p.part_name, p.company_name, p.sap_code, p.stroke_count
+       FROM maintenance_plans mp
+       JOIN parts p ON p.id = mp.part_id
+       WHERE mp.id = $1 AND mp.active AND p.deleted_at IS NULL
+       FOR UPDATE OF mp SKIP LOCKED`,
+      [planId]
+    );
+    if (planResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+    const plan = planResult.rows[0];
+    const { status } = getPlanStatus(plan, plan.stroke_count);
+    const part = { id: plan.part_id, part_name: plan.part_name, company_name: plan.company_name, sap_code: plan.sap_code };
+    const notifications = [];
+    let raisedTask = false;
+
+    if ((status === 'due' || status === 'overdue') && !plan.due_task_id) {
+      const label = status === 'overdue' ? 'overdue' : 'due';
+      const created = await createTask(client, {
+        part,
+        location: plan.location || 'Die maintenance',
+        comments: `Preventive maintenance ${label}: ${plan.name}`,
+      });
+      notifications.push(...created.notifications);
+      raisedTask = true;
+      await client.query(
+        `UPDATE maintenance_plans
+         SET due_task_id = $1, overdue_notified_at = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3`,
+        [created.task.id, status === 'overdue' ? new Date() : null, plan.id]
+      );
+      logger.info(`Preventive maintenance task ${created.task.id} raised for plan ${plan.id} (${label})`);
+    } else if (status === 'overdue' && plan.due_task_id && !plan.overdue_notified_at) {
+      for (const role of await rolesWithPermission(OVERDUE_NOTIFY_PERMISSION)) {
+        notifications.push(await createNotification(client, {
+          task_id: plan.due_task_id,
+          part_name: plan.part_name,
+          company_name: plan.company_name,
+          sap_code: plan.sap_code,
+          location: plan.location || 'Die maintenance',
+          comments: `Preventive maintenance overdue: ${plan.name}`,
+          recipient_role: role
+        }));
+      }
+      await client.query(
+        'UPDATE maintenance_plans SET overdue_notified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [plan.id]
+      );
+      logger.info(`Preventive maintenance plan ${plan.id} is overdue; task ${plan.due_task_id} still outstanding`);
+    }
+
+    await client.query('COMMIT');
+    if (raisedTask) tasksCreated.inc({ source: 'maintenance' });
+    for (const notification of notifications) {
+      await emitNotification(io, notification);
+    }
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error processing maintenance plan ${planId}: ${error.message}`);
+  } finally {
+    client.release();
+  }
+};
+
+let running = false;
+
+// Check every active plan once. Overlapping runs are skipped.
+const checkMaintenancePlans = async (io) => {
+  if (running) return;
+  running = true;
+  try {
+    const result = await pool.query('SELECT id FROM maintenance_plans WHERE active ORDER BY id');
+    for (const { id } of result.rows) {
+      await processPlan(io, id);
+    }
+  } catch (error) {
+    logger.error(`Error checking maintenance plans: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process PM scheduler. Returns the timer so it can be cleared.
+const startMaintenanceScheduler = (io) => {
+  const intervalMs = parseInt(process.env.PM_CHECK_INTERVAL_MS, 10) || 15 * 60 * 1000;
+  const timer = setInterval(() => checkMaintenancePlans(io), intervalMs);
+  timer.unref();
+  logger.info(`Maintenance scheduler started, checking every ${intervalMs}ms`);
+  return timer;
+};
+
+module.exports = { getPlanStatus, checkMaintenancePlans, startMaintenanceScheduler };
@@ -0,0 +1,102 @@
+const client = require('prom-client');
+const pool = require('../db');
+
+// Prometheus metrics served at GET /metrics. HTTP metrics are recorded by
+// middleware/metrics; pool and Socket.IO gauges are read at scrape time;
+// modules count business events with the counters exported here.
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const httpRequests = new client.Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route template and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds, by method, route template and status code',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+// Connections checked out right now
+const poolInUse = () => pool.totalCount - pool.idleCount;
+
+new client.Gauge({
+  name: 'pg_pool_connections',
+  help: 'Postgres pool connections by state (idle, in_use, total)',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    this.set({ state: 'idle' }, pool.idleCount);
+    this.set({ state: 'in_use' }, poolInUse());
+    this.set({ state: 'total' }, pool.totalCount);
+  },
+});
+
+new client.Gauge({
+  name: 'pg_pool_max_connections',
+  help: 'Most connections the Postgres pool will open',
+  registers: [register],
+  collect() {
+    this.set(pool.options.max);
+  },
+});
+
+new client.Gauge({
+  name: 'pg_pool_waiting_requests',
+  help: 'Queries waiting for a free Postgres pool connection',
+  registers: [register],
+  collect() {
+    this.set(pool.waitingCount);
+  },
+});
+
+let socketServer = null;
+
+// Let the role room gauge count clients on this Socket.IO server
+const observeSockets = (io) => {
+  socketServer = io;
+};
+
+new client.Gauge({
+  name: 'socketio_connected_clients',
+  help: 'Connected Socket.IO clients per role room',
+  labelNames: ['role'],
+  registers: [register],
+  collect() {
+    this.reset();
+    if (!socketServer) return;
+    for (const [room, sockets] of socketServer.of('/').adapter.rooms) {
+      if (room.startsWith('role:')) this.set({ role: room.slice('role:'.length) }, sockets.size);
+    }
+  },
+});
+
+const tasksCreated = new client.Counter({
+  name: 'diecare_tasks_created_total',
+  help: 'Quality tasks created, by source (user or maintenance)',
+  labelNames: ['source'],
+  registers: [register],
+});
+
+const notificationsEmitted = new client.Counter({
+  name: 'diecare_notifications_emitted_total',
+  help: 'Notifications pushed over Socket.IO, by event',
+  labelNames: ['event'],
+  registers: [register],
+});
+
+module.exports = {
+  register,
+  httpRequests,
+  httpRequestDuration,
+  tasksCreated,
+  notificationsEmitted,
+  poolInUse,
+  observeSockets,
+};
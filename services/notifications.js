@@ -0,0 +1,54 @@
+const { publish } = require('./events');
+const { notificationsEmitted } = require('./metrics');
+
+// Creates notifications and fans them out to every user in the target role,
+// so read and dismiss state is tracked per user. A notification with a
+// recipient_user_id (e.g. an @-mention) goes to that one user instead.
+const createNotification = async (client, notification) => {
+  const {
+    task_id, part_name, company_name, sap_code, location, comments,
+    recipient_role = null, recipient_user_id = null, comment_id = null,
+  } = notification;
+
+  const result = await client.query(
+    `INSERT INTO notifications (task_id, part_name, company_name, sap_code, location, comments, recipient_role, recipient_user_id, comment_id, read, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, FALSE, CURRENT_TIMESTAMP)
+     RETURNING id, task_id, part_name, company_name, sap_code, location, comments, recipient_role, recipient_user_id, comment_id, created_at`,
+    [task_id || null, part_name || null, company_name || null, sap_code || null, location || null, comments || null, recipient_role, recipient_user_id, comment_id]
+  );
+  const created = result.rows[0];
+
+  if (recipient_user_id) {
+    await client.query(
+      'INSERT INTO notification_recipients (notification_id, user_id) VALUES ($1, $2)',
+      [created.id, recipient_user_id]
+    );
+  } else {
+    await client.query(
+      `INSERT INTO notification_recipients (notification_id, user_id)
+       SELECT $1, id FROM users WHERE (role = $2 OR $2 = 'all') AND status = 'active' AND deleted_at IS NULL`,
+      [created.id, recipient_role]
+    );
+  }
+
+  return { ...created, read: false };
+};
+
+// Push a created notification to the sockets of its recipient user or role.
+// The payload's `id` is the notification id; `event_id` is the replay cursor.
+const emitNotification = async (io, notification) => {
+  const options = { payload: notification, notificationId: notification.id };
+  const role = notification.recipient_role;
+  let target;
+  if (notification.recipient_user_id) {
+    target = { rooms: [`user:${notification.recipient_user_id}`], event: 'notification:user' };
+  } else if (role === 'all') {
+    target = { event: 'notification:all' };
+  } else {
+    target = { rooms: [`role:${role}`], event: `notification:${role}` };
+  }
+  notificationsEmitted.inc({ event: target.event });
+  return publish(io, { ...options, ...target });
+};
+
+module.exports = { createNotification, emitNotification };
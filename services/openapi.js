@@ -0,0 +1,182 @@
+const { verifyToken, verifyTokenOrMachineKey } = require('../middleware/auth');
+const { schemas } = require('../docs/schemas');
+const operations = require('../docs/operations');
+const { version } = require('../package.json');
+
+// Build the OpenAPI 3.1 document from the mounted routers.
+//
+// Paths, parameters, request bodies, authentication and permissions come
+// from the routes themselves: their validate() schemas, verifyToken and
+// requirePermission. Summaries and response bodies come from
+// docs/operations.js, keyed by 'METHOD /path' in OpenAPI form.
+
+const JSON_TYPE = 'application/json';
+
+const VALIDATION_ERROR = { $ref: '#/components/schemas/ValidationError' };
+
+const errorResponse = (description, schema = 'Error') => ({
+  description,
+  content: { [JSON_TYPE]: { schema: { $ref: `#/components/schemas/${schema}` } } },
+});
+
+const RESPONSES = {
+  ValidationFailed: errorResponse('The request does not match its schema', 'ValidationError'),
+  Unauthorized: errorResponse('Missing, invalid or expired access token'),
+  Forbidden: errorResponse('The user lacks a required permission'),
+  ServerError: errorResponse('Unexpected server error', 'ServerError'),
+};
+
+// '/api/parts/:partId/maintenance' -> '/api/parts/{partId}/maintenance'
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+// Every route of the mounted routers as { method, path, tag, handlers }
+const listRoutes = (apiRoutes) => apiRoutes.flatMap(({ path: base, router, tag }) => router.stack
+  .filter(layer => layer.route)
+  .flatMap(({ route }) => Object.keys(route.methods).map(method => ({
+    method,
+    path: toOpenApiPath(route.path === '/' ? base : base + route.path),
+    tag,
+    handlers: route.stack.map(layer => layer.handle),
+  }))));
+
+// Path and query parameters from a validate() schema
+const parametersOf = (schema, location) => Object.entries(schema.properties || {}).map(([name, property]) => ({
+  name,
+  in: location,
+  required: location === 'path' || (schema.required || []).includes(name),
+  schema: property,
+}));
+
+// Form fields plus file fields for routes taking uploads, declared in
+// docs/operations.js as { field: { maxItems } } (arrays) or { field: {} }
+const multipartSchema = (body = { type: 'object', properties: {} }, upload) => {
+  const properties = { ...body.properties };
+  const required = [...(body.required || [])];
+  for (const [field, { maxItems, required: fileRequired }] of Object.entries(upload)) {
+    const file = { type: 'string', format: 'binary' };
+    properties[field] = maxItems ? { type: 'array', items: file, maxItems } : file;
+    if (fileRequired) required.push(field);
+  }
+  return { ...body, properties, required };
+};
+
+// A response given in docs/operations.js: an error description (a
+// validation failure for 400), a JSON body schema, or a complete OpenAPI
+// response object (anything with content)
+const toResponse = (status, response) => {
+  if (typeof response === 'string') return errorResponse(response, status === '400' ? 'ValidationError' : 'Error');
+  if (response.content || response.description) return response;
+  return {
+    description: status === '201' ? 'Created' : 'Success',
+    content: { [JSON_TYPE]: { schema: response } },
+  };
+};
+
+const buildOperation = (route, doc) => {
+  const validator = route.handlers.find(handler => handler.schemas);
+  const requestSchemas = validator ? validator.schemas : {};
+  const permissions = route.handlers.flatMap(handler => handler.permissions || []);
+
+  const description = [
+    doc.description,
+    permissions.length > 0 && `Requires ${permissions.map(permission => `\`${permission}\``).join(' and ')}.`,
+  ].filter(Boolean).join('\n\n');
+
+  const operation = {
+    tags: [route.tag],
+    summary: doc.summary,
+    ...(description ? { description } : {}),
+    ...(permissions.length > 0 ? { 'x-permissions': permissions } : {}),
+    parameters: [
+      ...parametersOf(requestSchemas.params || { properties: {} }, 'path'),
+      ...parametersOf(requestSchemas.query || { properties: {} }, 'query'),
+    ],
+    responses: {},
+  };
+
+  // Path parameters a route reads without validating
+  for (const [, name] of route.path.matchAll(/\{(\w+)\}/g)) {
+    if (!operation.parameters.some(parameter => parameter.in === 'path' && parameter.name === name)) {
+      operation.parameters.push({ name, in: 'path', required: true, schema: { type: 'string' } });
+    }
+  }
+
+  if (doc.upload) {
+    operation.requestBody = {
+      required: true,
+      content: { 'multipart/form-data': { schema: multipartSchema(requestSchemas.body, doc.upload) } },
+    };
+  } else if (requestSchemas.body) {
+    operation.requestBody = {
+      required: (requestSchemas.body.required || []).length > 0,
+      content: { [JSON_TYPE]: { schema: requestSchemas.body } },
+    };
+  }
+
+  if (route.handlers.includes(verifyToken)) {
+    operation.security = [{ bearerAuth: [] }];
+  } else if (route.handlers.includes(verifyTokenOrMachineKey)) {
+    operation.security = [{ bearerAuth: [] }, { machineKey: [] }];
+  } else {
+    operation.security = [];
+  }
+
+  for (const [status, response] of Object.entries(doc.responses || {})) {
+    operation.responses[status] = toResponse(status, response);
+  }
+  // Routes with their own 400s answer those or a validation failure
+  if (validator) {
+    const documented = operation.responses['400'];
+    const schema = documented && documented.content[JSON_TYPE].schema;
+    if (!documented) {
+      operation.responses['400'] = { $ref: '#/components/responses/ValidationFailed' };
+    } else if (schema.$ref !== VALIDATION_ERROR.$ref) {
+      operation.responses['400'] = {
+        description: documented.description,
+        content: { [JSON_TYPE]: { schema: { anyOf: [VALIDATION_ERROR, ...(schema.anyOf || [schema])] } } },
+      };
+    }
+  }
+  if (operation.security.length > 0) {
+    operation.responses['401'] = operation.responses['401'] || { $ref: '#/components/responses/Unauthorized' };
+  }
+  if (permissions.length > 0) {
+    operation.responses['403'] = operation.responses['403'] || { $ref: '#/components/responses/Forbidden' };
+  }
+  operation.responses['500'] = { $ref: '#/components/responses/ServerError' };
+
+  return operation;
+};
+
+// The OpenAPI document for `apiRoutes` (routes/index.js). Routes missing
+// from docs/operations.js are still listed, under their method and path.
+const buildSpec = (apiRoutes) => {
+  const paths = {};
+  for (const route of listRoutes(apiRoutes)) {
+    const key = `${route.method.toUpperCase()} ${route.path}`;
+    const doc = operations[key] || { summary: key };
+    paths[route.path] = paths[route.path] || {};
+    paths[route.path][route.method] = buildOperation(route, doc);
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'DieCare API',
+      version,
+      description: 'Die quality tasks, parts, maintenance and users. Validation failures share the ValidationError envelope and other errors the Error envelope.',
+    },
+    tags: [...new Set(apiRoutes.map(({ tag }) => tag))].map(name => ({ name })),
+    paths,
+    components: {
+      schemas,
+      responses: RESPONSES,
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+        machineKey: { type: 'apiKey', in: 'header', name: 'x-api-key' },
+      },
+    },
+  };
+};
+
+module.exports = { buildSpec, listRoutes };
@@ -0,0 +1,67 @@
+const pool = require('../db');
+
+// Role -> permission mappings are cached in-process and reloaded after
+// PERMISSION_CACHE_TTL_MS, or immediately when an Admin changes them here.
+const CACHE_TTL_MS = parseInt(process.env.PERMISSION_CACHE_TTL_MS, 10) || 60 * 1000;
+
+let cache = null;
+let loadedAt = 0;
+
+const loadRoles = async () => {
+  const result = await pool.query(`
+    SELECT r.name AS role, rp.permission
+    FROM roles r
+    LEFT JOIN role_permissions rp ON rp.role = r.name
+  `);
+
+  const roles = new Map();
+  for (const { role, permission } of result.rows) {
+    if (!roles.has(role)) roles.set(role, new Set());
+    if (permission) roles.get(role).add(permission);
+  }
+  return roles;
+};
+
+const getRoles = async () => {
+  if (!cache || Date.now() - loadedAt > CACHE_TTL_MS) {
+    cache = await loadRoles();
+    loadedAt = Date.now();
+  }
+  return cache;
+};
+
+// Set of permission names granted to a role (empty for unknown roles)
+const getRolePermissions = async (role) => (await getRoles()).get(role) || new Set();
+
+const roleExists = async (role) => (await getRoles()).has(role);
+
+// Names of the roles granted any of `permissions`, e.g. to pick who is
+// notified about work those permissions cover
+const rolesWithPermission = async (...permissions) => {
+  const roles = [];
+  for (const [role, granted] of await getRoles()) {
+    if (permissions.some(permission => granted.has(permission))) roles.push(role);
+  }
+  return roles.sort();
+};
+
+// Permissions for an authenticated user; machine keys carry their own list
+const getUserPermissions = async (user) => {
+  if (user.permissions) return new Set(user.permissions);
+  return getRolePermissions(user.role);
+};
+
+const hasPermission = async (user, permission) => (await getUserPermissions(user)).has(permission);
+
+const invalidatePermissions = () => {
+  cache = null;
+};
+
+module.exports = {
+  getRolePermissions,
+  getUserPermissions,
+  hasPermission,
+  roleExists,
+  rolesWithPermission,
+  invalidatePermissions,
+};
@@ -0,0 +1,516 @@
+const crypto = require('crypto');
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { CronExpressionParser } = require('cron-parser');
+const { getLogger } = require('./logger');
+const pool = require('../db');
+const { putObject, getObject, deleteObject } = require('./storage');
+const { sendMail } = require('./mailer');
+const { hasPermission } = require('./permissions');
+
+const logger = getLogger('services/reports');
+
+// Each period covers the days leading up to the moment it is generated and
+// has a default schedule used when a subscription does not give one
+const PERIODS = {
+  weekly: { label: 'Weekly', days: 7, defaultCron: '0 7 * * 1' },
+  monthly: { label: 'Monthly', days: 30, defaultCron: '0 7 1 * *' },
+};
+
+const FORMATS = {
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+const OPEN_STATUSES = ['Open', 'Assigned', 'In Progress', 'Reopened'];
+
+// Critical issues are tasks from the period that are still unresolved or
+// were reopened at some point; the report shows the worst of them with photos
+const MAX_CRITICAL_ISSUES = 20;
+const MAX_PHOTOS = parseInt(process.env.REPORT_MAX_PHOTOS, 10) || 12;
+
+// Schedules may not fire more often than this, so a typo such as
+// "* * * * *" cannot flood a mailbox
+const MIN_SCHEDULE_INTERVAL_MS = 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Next time a cron expression fires after `after`, in the given timezone
+const nextRunAt = (cronExpression, timezone, after = new Date()) =>
+  CronExpressionParser.parse(cronExpression, { tz: timezone, currentDate: after }).next().toDate();
+
+// A rejected schedule field, in validate()'s detail format
+const invalidSchedule = (field, message) => ({ details: [{ location: 'body', field, code: 'invalid_value', message }] });
+
+// Check a subscription's schedule. Returns { nextRunAt }, or { details } with
+// the validation details for sendValidationError.
+const validateSchedule = (cronExpression, timezone) => {
+  if (!isValidTimezone(timezone)) {
+    return invalidSchedule('timezone', `Unknown timezone: ${timezone}`);
+  }
+  if (String(cronExpression).trim().split(/\s+/).length !== 5) {
+    return invalidSchedule('cron_expression', 'Cron expression must have five fields: minute hour day-of-month month day-of-week');
+  }
+
+  let first;
+  let second;
+  try {
+    first = nextRunAt(cronExpression, timezone);
+    second = nextRunAt(cronExpression, timezone, first);
+  } catch (error) {
+    return invalidSchedule('cron_expression', `Invalid cron expression: ${error.message}`);
+  }
+  if (second - first < MIN_SCHEDULE_INTERVAL_MS) {
+    return invalidSchedule('cron_expression', 'Reports can be scheduled at most once an hour');
+  }
+  return { nextRunAt: first };
+};
+
+// Date range a period covers when generated at `end`
+const periodRange = (period, end = new Date()) => ({
+  from: new Date(end.getTime() - PERIODS[period].days * DAY_MS),
+  to: end,
+});
+
+const streamToBuffer = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks);
+};
+
+// Load one stored photo for embedding; null when it is missing or in a
+// format the PDF and XLSX writers cannot embed (e.g. legacy GIF uploads)
+const loadPhoto = async (image) => {
+  const variant = image.variants.medium || image.variants.original;
+  const extension = { 'image/jpeg': 'jpeg', 'image/png': 'png' }[image.content_type];
+  if (!extension) return null;
+  try {
+    const object = await getObject(variant.key);
+    return { id: image.id, extension, buffer: await streamToBuffer(object.stream) };
+  } catch (error) {
+    logger.warn(`Could not load photo ${image.id} for report: ${error.message}`);
+    return null;
+  }
+};
+
+// Gather everything a report shows with SQL aggregation
+const collectReportData = async ({ from, to, company = null }) => {
+  const values = [from, to, company];
+  const scope = `
+    FROM quality_tasks qt
+    JOIN parts p ON p.id = qt.part_id
+    WHERE qt.created_at >= $1 AND qt.created_at < $2 AND ($3::text IS NULL OR p.company_name = $3)
+  `;
+
+  const [totals, byPart, byLocation, critical, backlog] = await Promise.all([
+    pool.query(
+      `SELECT COUNT(*)::int AS new_tasks,
+              COUNT(*) FILTER (WHERE qt.status = ANY($4))::int AS open,
+              COUNT(*) FILTER (WHERE NOT qt.status = ANY($4))::int AS closed
+       ${scope}`,
+      [...values, OPEN_STATUSES]
+    ),
+    pool.query(
+      `SELECT p.part_name, p.company_name, p.sap_code,
+              COUNT(*)::int AS tasks,
+              COUNT(*) FILTER (WHERE qt.status = ANY($4))::int AS open
+       ${scope}
+       GROUP BY p.id
+       ORDER BY tasks DESC, p.sap_code`,
+      [...values, OPEN_STATUSES]
+    ),
+    pool.query(
+      `SELECT qt.location, COUNT(*)::int AS tasks,
+              COUNT(*) FILTER (WHERE qt.status = ANY($4))::int AS open
+       ${scope}
+       GROUP BY qt.location
+       ORDER BY tasks DESC, qt.location`,
+      [...values, OPEN_STATUSES]
+    ),
+    pool.query(
+      `SELECT qt.id, qt.location, qt.comments, qt.status, qt.created_at,
+              p.part_name, p.company_name, p.sap_code,
+              EXISTS (SELECT 1 FROM task_transitions tt WHERE tt.task_id = qt.id AND tt.to_status = 'Reopened') AS reopened,
+              COALESCE(
+                (SELECT json_agg(json_build_object('id', ti.id, 'variants', ti.variants, 'content_type', ti.content_type)
+                                 ORDER BY ti.created_at, ti.id)
+                 FROM task_images ti WHERE ti.task_id = qt.id AND ti.comment_id IS NULL),
+                '[]'
+              ) AS images
+       ${scope}
+         AND (qt.status = ANY($4)
+              OR EXISTS (SELECT 1 FROM task_transitions tt WHERE tt.task_id = qt.id AND tt.to_status = 'Reopened'))
+       ORDER BY reopened DESC, qt.created_at ASC
+       LIMIT ${MAX_CRITICAL_ISSUES}`,
+      [...values, OPEN_STATUSES]
+    ),
+    // Everything still unresolved at generation time, whenever it was raised
+    pool.query(
+      `SELECT COUNT(*)::int AS count
+       FROM quality_tasks qt JOIN parts p ON p.id = qt.part_id
+       WHERE qt.status = ANY($1) AND ($2::text IS NULL OR p.company_name = $2)`,
+      [OPEN_STATUSES, company]
+    ),
+  ]);
+
+  // One photo per issue first, so the budget is spread across issues
+  const issues = critical.rows.map(issue => ({ ...issue, photos: [] }));
+  let remaining = MAX_PHOTOS;
+  for (let round = 0; remaining > 0; round++) {
+    const candidates = issues.filter(issue => issue.images[round]);
+    if (candidates.length === 0) break;
+    for (const issue of candidates) {
+      if (remaining === 0) break;
+      const photo = await loadPhoto(issue.images[round]);
+      if (photo) {
+        issue.photos.push(photo);
+        remaining--;
+      }
+    }
+  }
+
+  return {
+    from,
+    to,
+    company,
+    summary: { ...totals.rows[0], open_backlog: backlog.rows[0].count },
+    byPart: byPart.rows,
+    byLocation: byLocation.rows,
+    criticalIssues: issues,
+  };
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+const reportTitle = (period, data) =>
+  `${PERIODS[period].label} die quality report${data.company ? ` - ${data.company}` : ''}`;
+
+const renderPdf = (period, data) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: reportTitle(period, data) } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const table = (title, columns, rows) => {
+    doc.moveDown().font('Helvetica-Bold').fontSize(13).text(title);
+    doc.moveDown(0.3).fontSize(10);
+    if (rows.length === 0) {
+      doc.font('Helvetica').text('No tasks in this period.');
+      return;
+    }
+    const widths = columns.map(column => column.width);
+    const line = (cells, font) => {
+      if (doc.y > doc.page.height - 80) doc.addPage();
+      const y = doc.y;
+      let x = doc.page.margins.left;
+      doc.font(font);
+      cells.forEach((cell, index) => {
+        doc.text(String(cell ?? ''), x, y, { width: widths[index] - 6, lineBreak: false, ellipsis: true });
+        x += widths[index];
+      });
+      doc.x = doc.page.margins.left;
+      doc.y = y + 16;
+    };
+    line(columns.map(column => column.header), 'Helvetica-Bold');
+    rows.forEach(row => line(columns.map(column => row[column.key]), 'Helvetica'));
+  };
+
+  doc.font('Helvetica-Bold').fontSize(18).text(reportTitle(period, data));
+  doc.font('Helvetica').fontSize(10).fillColor('#555')
+    .text(`${formatDate(data.from)} to ${formatDate(data.to)} - generated ${new Date().toISOString()}`)
+    .fillColor('black');
+
+  const { summary } = data;
+  doc.moveDown().font('Helvetica-Bold').fontSize(13).text('Summary');
+  doc.font('Helvetica').fontSize(11)
+    .text(`New tasks: ${summary.new_tasks}`)
+    .text(`Still open: ${summary.open}`)
+    .text(`Closed (resolved or verified): ${summary.closed}`)
+    .text(`Open backlog across all periods: ${summary.open_backlog}`);
+
+  table('New tasks by part', [
+    { header: 'Part', key: 'part_name', width: 190 },
+    { header: 'SAP Code', key: 'sap_code', width: 110 },
+    { header: 'Company', key: 'company_name', width: 125 },
+    { header: 'Tasks', key: 'tasks', width: 45 },
+    { header: 'Open', key: 'open', width: 45 },
+  ], data.byPart);
+
+  table('New tasks by location', [
+    { header: 'Location', key: 'location', width: 300 },
+    { header: 'Tasks', key: 'tasks', width: 60 },
+    { header: 'Open', key: 'open', width: 60 },
+  ], data.byLocation);
+
+  doc.addPage().font('Helvetica-Bold').fontSize(13).text('Critical issues');
+  doc.font('Helvetica').fontSize(10)
+    .text('Tasks raised in this period that are still unresolved or were reopened.');
+  if (data.criticalIssues.length === 0) {
+    doc.moveDown().text('None.');
+  }
+  for (const issue of data.criticalIssues) {
+    if (doc.y > doc.page.height - 120) doc.addPage();
+    doc.moveDown().font('Helvetica-Bold').fontSize(11)
+      .text(`#${issue.id} ${issue.part_name} (${issue.sap_code}) - ${issue.status}${issue.reopened ? ', reopened' : ''}`);
+    doc.font('Helvetica').fontSize(10)
+      .text(`${issue.location} - raised ${formatDate(issue.created_at)}`);
+    if (issue.comments) doc.text(issue.comments);
+
+    for (const photo of issue.photos) {
+      if (doc.y > doc.page.height - 220) doc.addPage();
+      try {
+        doc.image(photo.buffer, { fit: [240, 180] });
+        doc.moveDown(0.5);
+      } catch (error) {
+        logger.warn(`Could not embed photo ${photo.id} in report: ${error.message}`);
+      }
+    }
+  }
+
+  doc.end();
+});
+
+const renderXlsx = async (period, data) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.title = reportTitle(period, data);
+
+  const summary = workbook.addWorksheet('Summary');
+  summary.columns = [{ header: 'Metric', key: 'metric', width: 36 }, { header: 'Value', key: 'value', width: 24 }];
+  [
+    ['Report', reportTitle(period, data)],
+    ['From', formatDate(data.from)],
+    ['To', formatDate(data.to)],
+    ['New tasks', data.summary.new_tasks],
+    ['Still open', data.summary.open],
+    ['Closed (resolved or verified)', data.summary.closed],
+    ['Open backlog across all periods', data.summary.open_backlog],
+  ].forEach(([metric, value]) => summary.addRow({ metric, value }));
+
+  const byPart = workbook.addWorksheet('By part');
+  byPart.columns = [
+    { header: 'Part Name', key: 'part_name', width: 30 },
+    { header: 'SAP Code', key: 'sap_code', width: 18 },
+    { header: 'Company Name', key: 'company_name', width: 24 },
+    { header: 'Tasks', key: 'tasks', width: 10 },
+    { header: 'Open', key: 'open', width: 10 },
+  ];
+  data.byPart.forEach(row => byPart.addRow(row));
+
+  const byLocation = workbook.addWorksheet('By location');
+  byLocation.columns = [
+    { header: 'Location', key: 'location', width: 36 },
+    { header: 'Tasks', key: 'tasks', width: 10 },
+    { header: 'Open', key: 'open', width: 10 },
+  ];
+  data.byLocation.forEach(row => byLocation.addRow(row));
+
+  // The first photo of each issue is embedded next to its row
+  const critical = workbook.addWorksheet('Critical issues');
+  critical.columns = [
+    { header: 'Task', key: 'id', width: 8 },
+    { header: 'Part Name', key: 'part_name', width: 28 },
+    { header: 'SAP Code', key: 'sap_code', width: 16 },
+    { header: 'Location', key: 'location', width: 24 },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Reopened', key: 'reopened', width: 10 },
+    { header: 'Raised', key: 'raised', width: 12 },
+    { header: 'Comments', key: 'comments', width: 40 },
+    { header: 'Photo', key: 'photo', width: 20 },
+  ];
+  data.criticalIssues.forEach((issue, index) => {
+    const row = critical.addRow({
+      ...issue,
+      reopened: issue.reopened ? 'Yes' : 'No',
+      raised: formatDate(issue.created_at),
+    });
+    const [photo] = issue.photos;
+    if (photo) {
+      row.height = 90;
+      const imageId = workbook.addImage({ buffer: photo.buffer, extension: photo.extension });
+      critical.addImage(imageId, { tl: { col: 8, row: index + 1 }, ext: { width: 140, height: 110 } });
+    }
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+const RENDERERS = { pdf: renderPdf, xlsx: renderXlsx };
+
+// Generate a report, store its files and archive it in `reports`.
+// Returns { report, files } where files holds the rendered buffers by format
+// so callers can attach them to an email without reading them back.
+const generateReport = async ({
+  period, from, to, company = null, formats = Object.keys(FORMATS),
+  subscriptionId = null, recipientId = null, requestedBy = null,
+}) => {
+  const data = await collectReportData({ from, to, company });
+  const id = crypto.randomUUID();
+  const files = {};
+  const stored = {};
+
+  try {
+    for (const format of formats) {
+      const buffer = await RENDERERS[format](period, data);
+      const filename = `die-quality-${period}-${formatDate(to)}.${FORMATS[format].extension}`;
+      const key = `reports/${id}/${filename}`;
+      await putObject(key, buffer, FORMATS[format].contentType);
+      files[format] = { buffer, filename };
+      stored[format] = { key, filename, size: buffer.length };
+    }
+
+    const result = await pool.query(
+      `INSERT INTO reports (subscription_id, period, range_start, range_end, company_name, files, summary, recipient_id, requested_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [subscriptionId, period, from, to, company, JSON.stringify(stored), JSON.stringify(data.summary), recipientId, requestedBy]
+    );
+    return { report: result.rows[0], files };
+  } catch (error) {
+    for (const file of Object.values(stored)) {
+      await deleteObject(file.key).catch(() => {});
+    }
+    throw error;
+  }
+};
+
+// Email a generated report and record the outcome on its archive row
+const deliverReport = async (report, files, recipient) => {
+  const range = `${formatDate(report.range_start)} to ${formatDate(report.range_end)}`;
+  const { summary } = report;
+  try {
+    await sendMail({
+      to: recipient.email,
+      subject: `${PERIODS[report.period].label} die quality report (${range})`,
+      text: `Hello ${recipient.name || recipient.email},\n\n`
+        + `Attached is the ${report.period} die quality report${report.company_name ? ` for ${report.company_name}` : ''} covering ${range}.\n\n`
+        + `New tasks: ${summary.new_tasks}\nStill open: ${summary.open}\nClosed: ${summary.closed}\nOpen backlog: ${summary.open_backlog}\n\n`
+        + `Archived copies can be downloaded from:\n`
+        + Object.keys(files).map(format => `/api/reports/${report.id}/download?format=${format}`).join('\n'),
+      attachments: Object.entries(files).map(([format, file]) => ({
+        filename: file.filename,
+        content: file.buffer,
+        contentType: FORMATS[format].contentType,
+      })),
+    });
+    await pool.query('UPDATE reports SET delivered_at = CURRENT_TIMESTAMP, delivery_error = NULL WHERE id = $1', [report.id]);
+    return true;
+  } catch (error) {
+    logger.error(`Error emailing report ${report.id} to ${recipient.email}: ${error.message}`);
+    await pool.query('UPDATE reports SET delivery_error = $1 WHERE id = $2', [error.message, report.id]);
+    return false;
+  }
+};
+
+// Run one due subscription. The schedule is advanced before generating so a
+// failing report is retried at its next slot rather than on every check.
+const runSubscription = async (subscriptionId, now = new Date()) => {
+  const client = await pool.connect();
+  let subscription;
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(
+      `SELECT rs.*, u.email, u.name, u.role, u.status AS user_status, u.deleted_at AS user_deleted_at
+       FROM report_subscriptions rs
+       JOIN users u ON u.id = rs.user_id
+       WHERE rs.id = $1 AND rs.active AND rs.next_run_at <= $2
+       FOR UPDATE OF rs SKIP LOCKED`,
+      [subscriptionId, now]
+    );
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return;
+    }
+    subscription = result.rows[0];
+
+    await client.query(
+      `UPDATE report_subscriptions
+       SET last_run_at = $1, next_run_at = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [now, nextRunAt(subscription.cron_expression, subscription.timezone, now), subscription.id]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error(`Error scheduling report subscription ${subscriptionId}: ${error.message}`);
+    return;
+  } finally {
+    client.release();
+  }
+
+  const recipient = { id: subscription.user_id, email: subscription.email, name: subscription.name, role: subscription.role };
+  if (subscription.user_status !== 'active' || subscription.user_deleted_at || !(await hasPermission(recipient, 'reports:view'))) {
+    logger.warn(`Skipping report subscription ${subscription.id}: ${recipient.email} can no longer receive reports`);
+    return;
+  }
+
+  try {
+    const { from, to } = periodRange(subscription.period, now);
+    const { report, files } = await generateReport({
+      period: subscription.period,
+      from,
+      to,
+      company: subscription.company_name,
+      formats: subscription.formats,
+      subscriptionId: subscription.id,
+      recipientId: recipient.id,
+    });
+    await deliverReport(report, files, recipient);
+    logger.info(`Report ${report.id} (${subscription.period}) generated for ${recipient.email}`);
+  } catch (error) {
+    logger.error(`Error generating report for subscription ${subscription.id}: ${error.message}`);
+  }
+};
+
+let running = false;
+
+// Run every subscription that has come due. Overlapping runs are skipped.
+const checkReportSubscriptions = async () => {
+  if (running) return;
+  running = true;
+  try {
+    const now = new Date();
+    const result = await pool.query(
+      'SELECT id FROM report_subscriptions WHERE active AND next_run_at <= $1 ORDER BY next_run_at, id',
+      [now]
+    );
+    for (const { id } of result.rows) {
+      await runSubscription(id, now);
+    }
+  } catch (error) {
+    logger.error(`Error checking report subscriptions: ${error.message}`);
+  } finally {
+    running = false;
+  }
+};
+
+// Start the in-process report scheduler. Returns the timer so it can be cleared.
+const startReportScheduler = () => {
+  const intervalMs = parseInt(process.env.REPORT_CHECK_INTERVAL_MS, 10) || 60 * 1000;
+  const timer = setInterval(checkReportSubscriptions, intervalMs);
+  timer.unref();
+  logger.info(`Report scheduler started, checking every ${intervalMs}ms`);
+  return timer;
+};
+
+module.exports = {
+  PERIODS,
+  FORMATS,
+  validateSchedule,
+  periodRange,
+  generateReport,
+  deliverReport,
+  checkReportSubscriptions,
+  startReportScheduler,
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const { hashToken } = require('./userTokens');
+
+const REFRESH_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Access tokens are checked against their session and user on every request.
+// Lookups are cached in-process for SESSION_CACHE_TTL_MS; revoking a session
+// here clears the cache straight away.
+const CACHE_TTL_MS = parseInt(process.env.SESSION_CACHE_TTL_MS, 10) || 5 * 1000;
+const CACHE_MAX_ENTRIES = 10000;
+
+const sessionUsers = new Map();
+
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Sign a refresh token for a session and store its hash
+const issueRefreshToken = async (client, userId, sessionId) => {
+  const refreshToken = jwt.sign(
+    { id: userId, sid: sessionId, jti: crypto.randomUUID() },
+    process.env.JWT_REFRESH_SECRET,
+    { expiresIn: '7d' }
+  );
+
+  const expiresAt = new Date(Date.now() + REFRESH_TTL_MS);
+  await client.query(
+    'INSERT INTO refresh_tokens (user_id, session_id, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+    [userId, sessionId, hashToken(refreshToken), expiresAt]
+  );
+
+  return refreshToken;
+};
+
+// Start a session for a fresh login. `meta` is { userAgent, ip }.
+const createSession = async (client, userId, meta) => {
+  const sessionId = crypto.randomUUID();
+  await client.query(
+    'INSERT INTO user_sessions (id, user_id, user_agent, ip) VALUES ($1, $2, $3, $4)',
+    [sessionId, userId, meta.userAgent || null, meta.ip || null]
+  );
+
+  const refreshToken = await issueRefreshToken(client, userId, sessionId);
+  return { sessionId, refreshToken };
+};
+
+// Exchange a refresh token for a new one in the same session.
+// Presenting a token that was already exchanged means it has leaked, so the
+// whole session is revoked. Call inside a transaction.
+//
+// Returns { status: 'ok', sessionId, refreshToken } or { status: 'invalid' | 'reused' }.
+const rotateRefreshToken = async (client, refreshToken, userId, meta) => {
+  const result = await client.query(
+    `SELECT rt.session_id, rt.expires_at, rt.used_at, s.user_id, s.revoked_at
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON s.id = rt.session_id
+     WHERE rt.token_hash = $1
+     FOR UPDATE OF rt`,
+    [hashToken(refreshToken)]
+  );
+  const token = result.rows[0];
+
+  if (!token || token.user_id !== userId || token.revoked_at || token.expires_at <= new Date()) {
+    return { status: 'invalid' };
+  }
+
+  if (token.used_at) {
+    await revokeSession(client, token.session_id, 'reuse_detected');
+    return { status: 'reused', sessionId: token.session_id };
+  }
+
+  await client.query('UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP WHERE token_hash = $1', [hashToken(refreshToken)]);
+  await client.query(
+    `UPDATE user_sessions
+     SET last_used_at = CURRENT_TIMESTAMP, ip = COALESCE($1, ip), user_agent = COALESCE($2, user_agent)
+     WHERE id = $3`,
+    [meta.ip || null, meta.userAgent || null, token.session_id]
+  );
+
+  const nextToken = await issueRefreshToken(client, userId, token.session_id);
+  return { status: 'ok', sessionId: token.session_id, refreshToken: nextToken };
+};
+
+// Look up the session a refresh token belongs to, without using it
+const findSessionByToken = async (client, refreshToken) => {
+  const result = await client.query(
+    `SELECT s.id, s.user_id, s.revoked_at
+     FROM refresh_tokens rt
+     JOIN user_sessions s ON s.id = rt.session_id
+     WHERE rt.token_hash = $1`,
+    [hashToken(refreshToken)]
+  );
+  return result.rows[0] || null;
+};
+
+// { id, email, name, role } for an access token while its session is open and
+// its user is active and not archived; null otherwise
+const getSessionUser = async (sessionId, userId) => {
+  if (!UUID.test(String(sessionId)) || !Number.isInteger(userId)) return null;
+
+  const key = `${sessionId}:${userId}`;
+  const cached = sessionUsers.get(key);
+  if (cached && Date.now() - cached.loadedAt <= CACHE_TTL_MS) return cached.user;
+
+  const result = await pool.query(
+    `SELECT u.id, u.email, u.name, u.role
+     FROM user_sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.id = $1 AND s.user_id = $2 AND s.revoked_at IS NULL
+       AND u.status = 'active' AND u.deleted_at IS NULL`,
+    [sessionId, userId]
+  );
+  const user = result.rows[0] || null;
+
+  if (sessionUsers.size >= CACHE_MAX_ENTRIES) sessionUsers.clear();
+  sessionUsers.set(key, { user, loadedAt: Date.now() });
+  return user;
+};
+
+// Revoke one session; returns false when it was already revoked or missing
+const revokeSession = async (client, sessionId, reason, userId = null) => {
+  const result = await client.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE id = $2 AND revoked_at IS NULL AND ($3::int IS NULL OR user_id = $3)`,
+    [reason, sessionId, userId]
+  );
+  sessionUsers.clear();
+  return result.rowCount > 0;
+};
+
+// Revoke every open session of a user; returns how many were revoked
+const revokeAllSessions = async (client, userId, reason) => {
+  const result = await client.query(
+    `UPDATE user_sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $1
+     WHERE user_id = $2 AND revoked_at IS NULL`,
+    [reason, userId]
+  );
+  sessionUsers.clear();
+  return result.rowCount;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  findSessionByToken,
+  revokeSession,
+  revokeAllSessions,
+  getSessionUser,
+};
@@ -0,0 +1,76 @@
+const path = require('path');
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// "Part Name" / "part-name" / "PART_NAME" -> "part_name"
+const normalizeHeader = (header) => String(header).trim().toLowerCase().replace(/[\s-]+/g, '_');
+
+// Spreadsheet apps run text starting with one of these as a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Prefix formula-like text with ' so it opens as plain text
+const escapeCell = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+// Undo escapeCell, so exported files import unchanged
+const unescapeCell = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+// Work out the format of an uploaded file from its name, then its mimetype
+const detectFormat = (file) => {
+  const extension = path.extname(file.originalname || '').slice(1).toLowerCase();
+  if (FORMATS[extension]) return extension;
+  return Object.keys(FORMATS).find(format => FORMATS[format].contentType === file.mimetype) || null;
+};
+
+// Read the first worksheet of a CSV/XLSX upload into plain objects keyed by
+// normalized header. `rowNumber` is the 1-based row in the sheet.
+const readRows = async (file) => {
+  const format = detectFormat(file);
+  if (!format) {
+    throw new Error('Unsupported file type. Please upload a CSV or XLSX file.');
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  let worksheet;
+  if (format === 'csv') {
+    // Keep cells as text so SAP codes like 000123 keep their leading zeros
+    worksheet = await workbook.csv.read(Readable.from(file.buffer), { map: value => value });
+  } else {
+    await workbook.xlsx.load(file.buffer);
+    worksheet = workbook.worksheets[0];
+  }
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = normalizeHeader(cell.text);
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = { rowNumber };
+    headers.forEach((header, column) => {
+      if (header) record[header] = unescapeCell(row.getCell(column).text.trim());
+    });
+    if (headers.some(header => header && record[header])) rows.push(record);
+  });
+  return rows;
+};
+
+// Write records to a CSV or XLSX buffer. `columns` is a list of { header, key }.
+// Text that would run as a formula is written with a leading '.
+const writeRows = async (format, sheetName, columns, records) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(column => ({ width: 20, ...column }));
+  records.forEach(record => worksheet.addRow(Object.fromEntries(columns.map(({ key }) => [key, escapeCell(record[key])]))));
+
+  return format === 'csv' ? workbook.csv.writeBuffer() : workbook.xlsx.writeBuffer();
+};
+
+module.exports = { FORMATS, readRows, writeRows };
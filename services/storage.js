@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Object storage for uploaded files. Drivers expose put/get/remove on keys
+// such as "images/<image id>/thumbnail.jpg". STORAGE_DRIVER selects one:
+//   local - files under STORAGE_LOCAL_DIR (default "Uploads"), the default
+//   s3    - any S3-compatible service; S3_ENDPOINT and S3_FORCE_PATH_STYLE
+//           point it at MinIO or another local stand-in
+//
+// get() resolves to { stream, contentType, size } and rejects with
+// error.code === 'NotFound' when the key does not exist.
+
+const notFound = (key) => {
+  const error = new Error(`Stored object not found: ${key}`);
+  error.code = 'NotFound';
+  return error;
+};
+
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+};
+
+const drivers = {
+  local: () => {
+    const root = path.resolve(process.env.STORAGE_LOCAL_DIR || 'Uploads');
+
+    // Keys are always relative to the storage root
+    const resolve = (key) => {
+      const file = path.resolve(root, key);
+      if (!file.startsWith(root + path.sep)) {
+        throw new Error(`Invalid storage key: ${key}`);
+      }
+      return file;
+    };
+
+    return {
+      put: async (key, body) => {
+        const file = resolve(key);
+        await fs.promises.mkdir(path.dirname(file), { recursive: true });
+        await fs.promises.writeFile(file, body);
+      },
+      get: async (key) => {
+        const file = resolve(key);
+        let stat;
+        try {
+          stat = await fs.promises.stat(file);
+        } catch (error) {
+          if (error.code === 'ENOENT') throw notFound(key);
+          throw error;
+        }
+        return {
+          stream: fs.createReadStream(file),
+          contentType: CONTENT_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream',
+          size: stat.size,
+        };
+      },
+      remove: async (key) => {
+        await fs.promises.rm(resolve(key), { force: true });
+      },
+    };
+  },
+  s3: () => {
+    const { S3Client, PutObjectCommand, GetObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const bucket = process.env.S3_BUCKET;
+    if (!bucket) {
+      throw new Error('S3_BUCKET is required for the s3 storage driver');
+    }
+
+    const client = new S3Client({
+      region: process.env.S3_REGION || 'us-east-1',
+      endpoint: process.env.S3_ENDPOINT || undefined,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+      credentials: process.env.S3_ACCESS_KEY_ID
+        ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+        : undefined,
+    });
+
+    return {
+      put: async (key, body, contentType) => {
+        await client.send(new PutObjectCommand({ Bucket: bucket, Key: key, Body: body, ContentType: contentType }));
+      },
+      get: async (key) => {
+        try {
+          const result = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+          return { stream: result.Body, contentType: result.ContentType, size: result.ContentLength };
+        } catch (error) {
+          if (error.name === 'NoSuchKey' || error.$metadata?.httpStatusCode === 404) throw notFound(key);
+          throw error;
+        }
+      },
+      remove: async (key) => {
+        await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+      },
+    };
+  },
+};
+
+let driver = null;
+
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) {
+      throw new Error(`Unknown storage driver: ${name}`);
+    }
+    driver = drivers[name]();
+  }
+  return driver;
+};
+
+// Replace the active driver, e.g. with an in-memory store in tests
+const setStorageDriver = (replacement) => {
+  driver = replacement;
+};
+
+const putObject = (key, body, contentType) => getDriver().put(key, body, contentType);
+const getObject = (key) => getDriver().get(key);
+const deleteObject = (key) => getDriver().remove(key);
+
+// Write and remove a scratch object; rejects when uploads cannot be stored
+const probeWrite = async () => {
+  const key = `.probes/${crypto.randomUUID()}`;
+  await putObject(key, Buffer.alloc(0), 'application/octet-stream');
+  await deleteObject(key);
+};
+
+module.exports = { putObject, getObject, deleteObject, probeWrite, setStorageDriver };
@@ -0,0 +1,41 @@
+const { createNotification } = require('./notifications');
+const { rolesWithPermission } = require('./permissions');
+
+// Roles granted any of these are notified whenever a new quality task is raised
+const TASK_NOTIFY_PERMISSIONS = ['tasks:assign', 'tasks:work'];
+
+// Insert a quality task for a part, record its initial status and create the
+// role notifications. Runs on the caller's client so it joins their
+// transaction; the returned notifications should be emitted after COMMIT.
+const createTask = async (client, { part, location, comments, actorId = null }) => {
+  const query = `
+    INSERT INTO quality_tasks (part_id, location, comments, status, created_by, created_at)
+    VALUES ($1, $2, $3, 'Open', $4, CURRENT_TIMESTAMP)
+    RETURNING id, part_id, location, comments, status, created_by, created_at
+  `;
+  const values = [part.id, location, comments || null, actorId];
+  const taskResult = await client.query(query, values);
+  const task = taskResult.rows[0];
+
+  await client.query(
+    'INSERT INTO task_transitions (task_id, from_status, to_status, actor_id) VALUES ($1, NULL, $2, $3)',
+    [task.id, task.status, actorId]
+  );
+
+  const notifications = [];
+  for (const role of await rolesWithPermission(...TASK_NOTIFY_PERMISSIONS)) {
+    notifications.push(await createNotification(client, {
+      task_id: task.id,
+      part_name: part.part_name,
+      company_name: part.company_name,
+      sap_code: part.sap_code,
+      location: task.location,
+      comments: task.comments,
+      recipient_role: role
+    }));
+  }
+
+  return { task, notifications };
+};
+
+module.exports = { createTask, TASK_NOTIFY_PERMISSIONS };
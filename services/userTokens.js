@@ -0,0 +1,35 @@
+const crypto = require('crypto');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a single-use token for a user, replacing any unused token with the
+// same purpose. Returns the raw token; only its hash is stored.
+const issueToken = async (client, userId, purpose, ttlMs) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  await client.query(
+    'DELETE FROM user_tokens WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL',
+    [userId, purpose]
+  );
+  await client.query(
+    'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES ($1, $2, $3, $4)',
+    [userId, purpose, hashToken(token), expiresAt]
+  );
+
+  return token;
+};
+
+// Mark a valid, unexpired token as used and return its row, or null.
+// Call inside a transaction so the token cannot be redeemed twice.
+const consumeToken = async (client, token, purpose) => {
+  const result = await client.query(
+    `UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1 AND purpose = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING id, user_id`,
+    [hashToken(String(token)), purpose]
+  );
+  return result.rows[0] || null;
+};
+
+module.exports = { hashToken, issueToken, consumeToken };
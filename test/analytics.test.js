@@ -0,0 +1,135 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('analytics', () => {
+  let app;
+  let hod;
+
+  const analytics = (report, query) => app.request('GET', `/api/analytics/${report}`, { token: hod.token, query });
+  const in2025 = { from: '2025-01-01T00:00:00Z', to: '2025-12-31T23:59:59Z' };
+
+  const createTask = async (sapCode, createdAt) => {
+    const form = new FormData();
+    form.append('partName', `Die ${sapCode}`);
+    form.append('sapCode', sapCode);
+    form.append('location', 'Press line 2');
+    const { body: { task } } = await app.request('POST', '/api/tasks', { token: app.users.PDC.token, form });
+    if (createdAt) {
+      await app.pool.query('UPDATE quality_tasks SET created_at = $2 WHERE id = $1', [task.id, createdAt]);
+    }
+    return task;
+  };
+
+  // Marks a task resolved the given number of hours after it was raised
+  const resolveAfter = (task, hours) => app.pool.query(
+    `UPDATE quality_tasks SET status = 'Resolved', resolved_at = created_at + make_interval(hours => $2) WHERE id = $1`,
+    [task.id, hours]
+  );
+
+  before(async () => {
+    app = await startApp();
+    hod = app.users.HOD;
+    for (const [sapCode, company] of [['ALPHA-1', 'Alpha Press'], ['BETA-1', 'Beta Press']]) {
+      await app.request('POST', '/api/parts', {
+        token: hod.token,
+        json: { part_name: `Die ${sapCode}`, company_name: company, sap_code: sapCode },
+      });
+    }
+
+    const first = await createTask('ALPHA-1', '2025-01-06T09:00:00Z');
+    await createTask('ALPHA-1', '2025-01-07T09:00:00Z');
+    const beta = await createTask('BETA-1', '2025-01-08T09:00:00Z');
+    await createTask('ALPHA-1', '2025-01-14T09:00:00Z');
+    await createTask('BETA-1');
+    await resolveAfter(first, 10);
+    await resolveAfter(beta, 4);
+  });
+
+  after(() => app.close());
+
+  it('counts tasks per week and company, folding the rest into Other', async () => {
+    let res = await analytics('tasks-over-time', { ...in2025, group_by: 'company' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.interval, 'week');
+    assert.deepEqual(res.body.series, [
+      { bucket: '2025-01-06T00:00:00.000Z', key: 'Alpha Press', label: 'Alpha Press', count: 2 },
+      { bucket: '2025-01-06T00:00:00.000Z', key: 'Beta Press', label: 'Beta Press', count: 1 },
+      { bucket: '2025-01-13T00:00:00.000Z', key: 'Alpha Press', label: 'Alpha Press', count: 1 },
+    ]);
+
+    res = await analytics('tasks-over-time', { ...in2025, group_by: 'part', interval: 'month', top: 1 });
+    assert.deepEqual(res.body.series.map(({ key, label, count }) => ({ key, label, count })), [
+      { key: 'ALPHA-1', label: 'Die ALPHA-1', count: 3 },
+      { key: null, label: 'Other', count: 1 },
+    ]);
+
+    res = await analytics('tasks-over-time', { interval: 'year' });
+    assert.equal(res.status, 400);
+  });
+
+  it('ranks the dies with the most tasks', async () => {
+    let res = await analytics('top-dies', in2025);
+    assert.deepEqual(res.body.dies.map(({ sap_code: sapCode, task_count: tasks, open_count: open }) => [sapCode, tasks, open]), [
+      ['ALPHA-1', 3, 2],
+      ['BETA-1', 1, 0],
+    ]);
+
+    res = await analytics('top-dies', { company: 'Beta Press', limit: 1 });
+    assert.equal(res.body.dies.length, 1);
+    assert.equal(res.body.dies[0].task_count, 2);
+    assert.equal(res.body.dies[0].reopen_count, 0);
+  });
+
+  it('reports how long tasks take to resolve', async () => {
+    let res = await analytics('resolution-time');
+    assert.deepEqual(res.body.overall, { resolved_count: 2, mean_hours: 7, median_hours: 7 });
+    assert.deepEqual(res.body.by_company, [
+      { company_name: 'Alpha Press', resolved_count: 1, mean_hours: 10, median_hours: 10 },
+      { company_name: 'Beta Press', resolved_count: 1, mean_hours: 4, median_hours: 4 },
+    ]);
+
+    res = await analytics('resolution-time', { company: 'Beta Press' });
+    assert.equal(res.body.overall.mean_hours, 4);
+    res = await analytics('resolution-time', { from: '2030-01-01T00:00:00Z' });
+    assert.deepEqual(res.body.overall, { resolved_count: 0, mean_hours: null, median_hours: null });
+  });
+
+  it('buckets open tasks by age', async () => {
+    const res = await analytics('open-task-aging');
+    assert.equal(res.body.total, 3);
+    assert.deepEqual(res.body.buckets.map(bucket => [bucket.label, bucket.count, bucket.by_status]), [
+      ['0-1 days', 1, { Open: 1 }],
+      ['1-3 days', 0, {}],
+      ['3-7 days', 0, {}],
+      ['7-30 days', 0, {}],
+      ['30+ days', 2, { Open: 2 }],
+    ]);
+  });
+
+  it('reports how each role responds to notifications', async () => {
+    const { body } = await app.request('GET', '/api/notifications', { token: hod.token, query: { limit: 1 } });
+    await app.request('PATCH', `/api/notifications/${body.notifications[0].id}/read`, { token: hod.token });
+    await app.request('PATCH', '/api/notifications/read-all', { token: app.users.Employee.token });
+
+    // Direct notifications are not counted against the recipient's role
+    const { createNotification } = require('../services/notifications');
+    await createNotification(app.pool, { comments: 'You were mentioned', recipient_user_id: hod.id });
+
+    const res = await analytics('notification-response');
+    const byRole = Object.fromEntries(res.body.roles.map(row => [row.role, row]));
+    assert.deepEqual(Object.keys(byRole), ['Employee', 'HOD', 'PDC']);
+    assert.deepEqual([byRole.HOD.delivered, byRole.HOD.read, byRole.HOD.read_rate], [5, 1, 20]);
+    assert.deepEqual([byRole.Employee.read, byRole.Employee.response_rate], [5, 100]);
+    assert.deepEqual([byRole.PDC.responded, byRole.PDC.mean_minutes_to_respond], [0, null]);
+  });
+
+  it('is limited to admins and HODs', async () => {
+    let res = await app.request('GET', '/api/analytics/top-dies', { token: app.users.Admin.token });
+    assert.equal(res.status, 200);
+    for (const role of ['PDC', 'Employee', 'Quality']) {
+      res = await app.request('GET', '/api/analytics/top-dies', { token: app.users[role].token });
+      assert.equal(res.status, 403, role);
+    }
+  });
+});
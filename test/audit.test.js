@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('audit log', () => {
+  let app;
+  let admin;
+  let part;
+
+  const audit = (query) => app.request('GET', '/api/audit', { token: admin.token, query });
+
+  before(async () => {
+    app = await startApp();
+    admin = app.users.Admin;
+    const hod = app.users.HOD;
+    const res = await app.request('POST', '/api/parts', {
+      token: hod.token,
+      json: { part_name: 'Roof die', company_name: 'Acme Stamping', sap_code: 'AUD-1' },
+    });
+    part = res.body.part;
+    await app.request('PUT', `/api/parts/${part.id}`, { token: hod.token, json: { company_name: 'Acme Tooling' } });
+    await app.request('DELETE', `/api/parts/${part.id}`, { token: admin.token });
+  });
+
+  after(() => app.close());
+
+  it('records who changed what, newest first', async () => {
+    const res = await audit({ entity_type: 'part', entity_id: part.id });
+    assert.equal(res.status, 200);
+    const [archive, update, create] = res.body.entries;
+    assert.deepEqual([archive.action, update.action, create.action], ['archive', 'update', 'create']);
+
+    assert.equal(create.actor_email, app.users.HOD.email);
+    assert.equal(create.actor_role, 'HOD');
+    assert.deepEqual(create.changes.sap_code, { before: null, after: 'AUD-1' });
+    assert.deepEqual(update.changes, { company_name: { before: 'Acme Stamping', after: 'Acme Tooling' } });
+    assert.equal(archive.actor_id, admin.id);
+    assert.equal(archive.changes.deleted_by.after, admin.id);
+  });
+
+  it('never stores passwords', async () => {
+    await app.request('POST', '/api/register', {
+      json: { name: 'New Hire', email: 'new.hire@diecare.test', password: 'Secret-456', confirm_password: 'Secret-456' },
+    });
+    const res = await audit({ entity_type: 'user', action: 'register' });
+    assert.equal(res.body.entries.length, 1);
+    const { changes } = res.body.entries[0];
+    assert.equal(changes.email.after, 'new.hire@diecare.test');
+    assert.ok(!JSON.stringify(changes).includes('Secret-456'));
+    assert.ok(!('password' in changes));
+
+    // Snapshots that do carry secrets are masked
+    const { diffRows } = require('../services/audit');
+    assert.deepEqual(diffRows({ password: 'old-hash' }, { password: 'new-hash' }), {
+      password: { before: '[REDACTED]', after: '[REDACTED]' },
+    });
+  });
+
+  it('filters, searches and pages the trail', async () => {
+    let res = await audit({ actor_email: app.users.HOD.email, entity_type: 'part' });
+    assert.deepEqual(res.body.entries.map(entry => entry.action), ['update', 'create']);
+
+    res = await audit({ search: 'archive' });
+    assert.ok(res.body.entries.length >= 1);
+    assert.ok(res.body.entries.every(entry => entry.action.includes('archive')));
+
+    res = await audit({ entity_type: 'part', limit: 1, page: 2 });
+    assert.equal(res.body.entries[0].action, 'update');
+    assert.equal(res.body.pagination.total, 3);
+
+    res = await audit({ from: '2000-01-01', to: '2000-12-31' });
+    assert.equal(res.body.entries.length, 0);
+    res = await audit({ actor_id: 'abc' });
+    assert.equal(res.status, 400);
+  });
+
+  it('is only readable by admins', async () => {
+    for (const role of ['HOD', 'PDC', 'Employee', 'Quality']) {
+      const res = await app.request('GET', '/api/audit', { token: app.users[role].token });
+      assert.equal(res.status, 403, role);
+    }
+  });
+});
@@ -0,0 +1,196 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('login, sessions and password reset', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('signs in with the role permissions and rejects bad credentials', async () => {
+    const { body } = await app.request('POST', '/api/login', { json: { email: 'hod@diecare.test', password: app.PASSWORD } });
+    assert.equal(body.user.role, 'HOD');
+    assert.ok(body.user.permissions.includes('tasks:assign'));
+    assert.ok(!body.user.permissions.includes('users:manage'));
+
+    let res = await app.request('POST', '/api/login', { json: { email: 'hod@diecare.test', password: 'wrong' } });
+    assert.equal(res.status, 401);
+    res = await app.request('POST', '/api/login', { json: { email: 'nobody@diecare.test', password: 'wrong' } });
+    assert.equal(res.status, 401);
+    res = await app.request('POST', '/api/login', { json: { email: 'hod@diecare.test' } });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+  });
+
+  it('locks an account after five wrong passwords', async () => {
+    const user = await app.createUser('Employee', 'locked');
+    for (let attempt = 1; attempt < 5; attempt++) {
+      const res = await app.request('POST', '/api/login', { json: { email: user.email, password: 'wrong' } });
+      assert.equal(res.status, 401);
+    }
+    let res = await app.request('POST', '/api/login', { json: { email: user.email, password: 'wrong' } });
+    assert.equal(res.status, 423);
+    assert.equal(res.body.code, 'LOCKED');
+    assert.ok(res.body.locked_until);
+    res = await app.request('POST', '/api/login', { json: { email: user.email, password: app.PASSWORD } });
+    assert.equal(res.status, 423);
+
+    res = await app.request('POST', `/api/register/${user.id}/unlock`, { token: app.users.Admin.token });
+    assert.equal(res.status, 200);
+    await app.login(user.email);
+  });
+
+  it('counts failures from zero again once a lockout expires', async () => {
+    const user = await app.createUser('Employee', 'relocked');
+    for (let attempt = 1; attempt <= 5; attempt++) {
+      await app.request('POST', '/api/login', { json: { email: user.email, password: 'wrong' } });
+    }
+    await app.pool.query("UPDATE users SET locked_until = CURRENT_TIMESTAMP - INTERVAL '1 minute' WHERE id = $1", [user.id]);
+
+    const res = await app.request('POST', '/api/login', { json: { email: user.email, password: 'wrong' } });
+    assert.equal(res.status, 401);
+    const { rows: [row] } = await app.pool.query('SELECT failed_login_attempts, locked_until FROM users WHERE id = $1', [user.id]);
+    assert.deepEqual(row, { failed_login_attempts: 1, locked_until: null });
+    await app.login(user.email);
+  });
+
+  it('keeps inactive accounts out', async () => {
+    const user = await app.createUser('Employee', 'disabled');
+    await app.pool.query("UPDATE users SET status = 'disabled' WHERE id = $1", [user.id]);
+    let res = await app.request('POST', '/api/login', { json: { email: user.email, password: app.PASSWORD } });
+    assert.equal(res.status, 403);
+    assert.equal(res.body.error, 'Account is disabled');
+
+    // Without the password the status stays hidden and the failure counts
+    res = await app.request('POST', '/api/login', { json: { email: user.email, password: 'wrong' } });
+    assert.equal(res.status, 401);
+    const { rows: [{ failed_login_attempts }] } = await app.pool.query('SELECT failed_login_attempts FROM users WHERE id = $1', [user.id]);
+    assert.equal(failed_login_attempts, 1);
+  });
+
+  it('rotates refresh tokens and revokes the session when one is reused', async () => {
+    const { refreshToken } = await app.login('pdc@diecare.test');
+    const first = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken } });
+    assert.equal(first.status, 200);
+    assert.notEqual(first.body.refreshToken, refreshToken);
+
+    const reused = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken } });
+    assert.equal(reused.status, 401);
+    // The reuse ended the whole session, rotated token included
+    const after = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken: first.body.refreshToken } });
+    assert.equal(after.status, 401);
+
+    const forged = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken: 'not-a-token' } });
+    assert.equal(forged.status, 401);
+  });
+
+  it('lists, revokes and logs out sessions', async () => {
+    const user = await app.createUser('Quality', 'sessions');
+    const other = await app.login(user.email);
+
+    let res = await app.request('GET', '/api/login/sessions', { token: user.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.sessions.length, 2);
+    assert.equal(res.body.sessions.filter(session => session.current).length, 1);
+
+    const { id } = res.body.sessions.find(session => !session.current);
+    res = await app.request('DELETE', `/api/login/sessions/${id}`, { token: user.token });
+    assert.equal(res.status, 200);
+    res = await app.request('DELETE', `/api/login/sessions/${id}`, { token: user.token });
+    assert.equal(res.status, 404);
+    res = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken: other.refreshToken } });
+    assert.equal(res.status, 401);
+
+    const third = await app.login(user.email);
+    res = await app.request('POST', '/api/login/logout', { json: { refreshToken: third.refreshToken } });
+    assert.equal(res.status, 200);
+    res = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken: third.refreshToken } });
+    assert.equal(res.status, 401);
+
+    await app.login(user.email);
+    res = await app.request('POST', '/api/login/logout-all', { token: user.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.revoked, 2);
+    res = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken: user.refreshToken } });
+    assert.equal(res.status, 401);
+  });
+
+  it('stops accepting access tokens of ended sessions and changed accounts', async () => {
+    const admin = app.users.Admin;
+    const sessions = (user) => app.request('GET', '/api/login/sessions', { token: user.token });
+
+    const loggedOut = await app.createUser('Quality', 'loggedout');
+    assert.equal((await sessions(loggedOut)).status, 200);
+    await app.request('POST', '/api/login/logout-all', { token: loggedOut.token });
+    assert.equal((await sessions(loggedOut)).status, 401);
+    await assert.rejects(app.connect(loggedOut), /Authentication error/);
+
+    const demoted = await app.createUser('HOD', 'demoted');
+    let res = await app.request('PUT', `/api/register/${demoted.id}`, { token: admin.token, json: { role: 'Employee' } });
+    assert.equal(res.status, 200);
+    res = await app.request('POST', '/api/parts', { token: demoted.token, json: { part_name: 'Door die', company_name: 'Acme', sap_code: 'DEMOTED-1' } });
+    assert.equal(res.status, 401);
+
+    const disabled = await app.createUser('HOD', 'revoked');
+    await app.connect(disabled);
+    await app.request('POST', `/api/register/${disabled.id}/disable`, { token: admin.token });
+    assert.equal((await sessions(disabled)).status, 401);
+    await assert.rejects(app.connect(disabled), /Authentication error/);
+
+    const archived = await app.createUser('Employee', 'gone');
+    await app.request('DELETE', `/api/register/${archived.id}`, { token: admin.token });
+    assert.equal((await sessions(archived)).status, 401);
+  });
+
+  it('requires an access token', async () => {
+    let res = await app.request('GET', '/api/login/sessions');
+    assert.equal(res.status, 401);
+    res = await app.request('GET', '/api/login/sessions', { token: 'not-a-token' });
+    assert.equal(res.status, 401);
+  });
+
+  it('resets a password with a mailed single-use token', async () => {
+    const user = await app.createUser('Employee', 'forgetful');
+
+    let res = await app.request('POST', '/api/password/forgot', { json: { email: user.email } });
+    assert.equal(res.status, 200);
+    const unknown = await app.request('POST', '/api/password/forgot', { json: { email: 'ghost@diecare.test' } });
+    assert.deepEqual(unknown.body, res.body);
+
+    const token = await app.mailedToken(user.email);
+    res = await app.request('POST', '/api/password/reset', { json: { token, password: 'New-secret-1', confirm_password: 'Other' } });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map(detail => `${detail.field}:${detail.code}`), ['confirm_password:invalid_value']);
+    res = await app.request('POST', '/api/password/reset', { json: { token, password: 'New-secret-1', confirm_password: 'New-secret-1' } });
+    assert.equal(res.status, 200);
+    res = await app.request('POST', '/api/password/reset', { json: { token, password: 'Again-1', confirm_password: 'Again-1' } });
+    assert.equal(res.status, 400);
+
+    // Old sessions end with the reset
+    res = await app.request('POST', '/api/login/refresh-token', { json: { refreshToken: user.refreshToken } });
+    assert.equal(res.status, 401);
+    res = await app.request('POST', '/api/login', { json: { email: user.email, password: app.PASSWORD } });
+    assert.equal(res.status, 401);
+    await app.login(user.email, 'New-secret-1');
+  });
+
+  it('answers a reset request the same way when the mail cannot be sent', async () => {
+    const { setTransport } = require('../services/mailer');
+    const user = await app.createUser('Employee', 'unmailable');
+    setTransport(async () => {
+      throw new Error('SMTP down');
+    });
+    try {
+      const known = await app.request('POST', '/api/password/forgot', { json: { email: user.email } });
+      const unknown = await app.request('POST', '/api/password/forgot', { json: { email: 'ghost@diecare.test' } });
+      assert.equal(known.status, 200);
+      assert.deepEqual(known.body, unknown.body);
+    } finally {
+      setTransport(null);
+    }
+  });
+});
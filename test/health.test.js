@@ -0,0 +1,139 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.READY_TIMEOUT_MS = '300';
+const { startApp } = require('./support/app');
+
+describe('health, readiness and metrics', () => {
+  let app;
+
+  // Value of one sample in the /metrics text, e.g. metric('x_total{a="b"}')
+  const metric = (text, sample) => {
+    const line = text.split('\n').find(candidate => candidate.startsWith(`${sample} `));
+    return line === undefined ? undefined : Number(line.slice(sample.length + 1));
+  };
+  const scrape = async () => (await app.request('GET', '/metrics')).body.toString('utf8');
+
+  before(async () => {
+    app = await startApp();
+  });
+
+  after(() => app.close());
+
+  it('reports liveness', async () => {
+    const res = await app.request('GET', '/health');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ok');
+    assert.equal(typeof res.body.uptime_seconds, 'number');
+  });
+
+  it('reports readiness with each check', async () => {
+    const res = await app.request('GET', '/ready');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'ready');
+    const { database, pool, uploads } = res.body.checks;
+    assert.equal(database.ok, true);
+    assert.equal(pool.ok, true);
+    assert.equal(pool.max, 10);
+    assert.equal(pool.waiting, 0);
+    assert.deepEqual([uploads.ok, uploads.driver], [true, 'local']);
+  });
+
+  it('is not ready when uploads cannot be written', async () => {
+    const { setStorageDriver } = require('../services/storage');
+    setStorageDriver({
+      put: async () => { throw new Error('EROFS: read-only file system'); },
+      remove: async () => {},
+    });
+    try {
+      const res = await app.request('GET', '/ready');
+      assert.equal(res.status, 503);
+      assert.equal(res.body.status, 'not_ready');
+      assert.equal(res.body.checks.uploads.ok, false);
+      assert.match(res.body.checks.uploads.error, /read-only/);
+      assert.equal(res.body.checks.database.ok, true);
+    } finally {
+      setStorageDriver(null);
+    }
+  });
+
+  it('is not ready when the pool is saturated', async () => {
+    const clients = await Promise.all(Array.from({ length: app.pool.options.max }, () => app.pool.connect()));
+    const queued = app.pool.query('SELECT 1');
+    try {
+      const res = await app.request('GET', '/ready');
+      assert.equal(res.status, 503);
+      const { pool, database } = res.body.checks;
+      assert.deepEqual([pool.ok, pool.in_use, pool.saturation, pool.error], [false, 10, 1, 'Pool saturated']);
+      assert.ok(pool.waiting >= 1);
+      assert.equal(database.ok, false);
+      assert.match(database.error, /timed out/);
+    } finally {
+      clients.forEach(client => client.release());
+      await queued;
+    }
+    assert.equal((await app.request('GET', '/ready')).status, 200);
+  });
+
+  it('exposes request, pool, socket and business metrics', async () => {
+    const { Admin: admin, HOD: hod, PDC: pdc } = app.users;
+    await app.request('POST', '/api/parts', {
+      token: hod.token,
+      json: { part_name: 'Trunk die', company_name: 'Acme Stamping', sap_code: 'MET-1' },
+    });
+    await app.request('GET', '/api/parts/999999', { token: hod.token });
+    await app.request('GET', '/api/parts/999998', { token: hod.token });
+    const form = new FormData();
+    form.append('partName', 'Trunk die');
+    form.append('sapCode', 'MET-1');
+    form.append('location', 'Press line 3');
+    await app.request('POST', '/api/tasks', { token: pdc.token, form });
+    await app.connect(hod);
+    await app.connect(admin);
+    await app.connect(admin);
+
+    const res = await app.request('GET', '/metrics');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = res.body.toString('utf8');
+
+    assert.equal(metric(text, 'http_requests_total{method="GET",route="/api/parts/:id",status="404"}'), 2);
+    assert.equal(metric(text, 'http_requests_total{method="POST",route="/api/tasks",status="201"}'), 1);
+    assert.equal(metric(text, 'http_request_duration_seconds_count{method="GET",route="/api/parts/:id",status="404"}'), 2);
+    assert.ok(!text.includes('route="/health"'), 'probes are not counted');
+    assert.equal(metric(text, 'pg_pool_max_connections'), 10);
+    assert.equal(metric(text, 'pg_pool_waiting_requests'), 0);
+    assert.ok(metric(text, 'pg_pool_connections{state="total"}') >= 1);
+    assert.equal(metric(text, 'socketio_connected_clients{role="HOD"}'), 1);
+    assert.equal(metric(text, 'socketio_connected_clients{role="Admin"}'), 2);
+    assert.equal(metric(text, 'diecare_tasks_created_total{source="user"}'), 1);
+    assert.equal(metric(text, 'diecare_notifications_emitted_total{event="notification:HOD"}'), 1);
+    assert.equal(metric(text, 'diecare_notifications_emitted_total{event="notification:Employee"}'), 1);
+    assert.ok(metric(text, 'process_cpu_seconds_total') >= 0);
+  });
+
+  it('counts tasks raised by preventive maintenance', async () => {
+    const { body: { parts: [part] } } = await app.request('GET', '/api/parts', { token: app.users.HOD.token, query: { search: 'MET-1' } });
+    await app.request('POST', `/api/parts/${part.id}/maintenance-plans`, {
+      token: app.users.HOD.token,
+      json: { name: 'Quarterly check', interval_days: 90, last_performed_at: '2026-01-01T00:00:00Z' },
+    });
+    await require('../services/maintenance').checkMaintenancePlans(app.io);
+
+    assert.equal(metric(await scrape(), 'diecare_tasks_created_total{source="maintenance"}'), 1);
+  });
+
+  it('guards /metrics with METRICS_TOKEN when it is set', async () => {
+    process.env.METRICS_TOKEN = 'scrape-token';
+    try {
+      let res = await app.request('GET', '/metrics');
+      assert.equal(res.status, 401);
+      res = await app.request('GET', '/metrics', { headers: { authorization: 'Bearer wrong-token!' } });
+      assert.equal(res.status, 401);
+      res = await app.request('GET', '/metrics', { headers: { authorization: 'Bearer scrape-token' } });
+      assert.equal(res.status, 200);
+    } finally {
+      delete process.env.METRICS_TOKEN;
+    }
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startApp } = require('./support/app');
+const { redact, redactUrl } = require('../services/logger');
+
+describe('request logging', () => {
+  let app;
+  let hod;
+
+  // Log lines matching `predicate`, waiting for the file transport to flush
+  const logLines = async (predicate, { wait = 2000 } = {}) => {
+    const deadline = Date.now() + wait;
+    for (;;) {
+      const lines = fs.readFileSync(process.env.LOG_FILE_PATH, 'utf8').trim().split('\n')
+        .map(line => JSON.parse(line))
+        .filter(predicate);
+      if (lines.length > 0 || Date.now() > deadline) return lines;
+      await new Promise(resolve => setTimeout(resolve, 50));
+    }
+  };
+
+  before(async () => {
+    app = await startApp();
+    hod = app.users.HOD;
+  });
+
+  after(() => app.close());
+
+  it('gives every request an id and returns it in X-Request-Id', async () => {
+    let res = await app.request('GET', '/api/parts', { token: hod.token });
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+    const other = await app.request('GET', '/api/parts', { token: hod.token });
+    assert.notEqual(other.headers.get('x-request-id'), res.headers.get('x-request-id'));
+
+    res = await app.request('GET', '/api/parts', { token: hod.token, headers: { 'x-request-id': 'edge-7f3a.42' } });
+    assert.equal(res.headers.get('x-request-id'), 'edge-7f3a.42');
+    res = await app.request('GET', '/api/parts', { token: hod.token, headers: { 'x-request-id': 'not <a> valid id' } });
+    assert.match(res.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('logs one line per request with its user, status and latency', async () => {
+    await app.request('GET', '/api/parts/999999', { token: hod.token, headers: { 'x-request-id': 'access-1' } });
+
+    const [line] = await logLines(entry => entry.request_id === 'access-1' && entry.module === 'http');
+    assert.equal(line.level, 'warn');
+    assert.equal(line.method, 'GET');
+    assert.equal(line.url, '/api/parts/999999');
+    assert.equal(line.route, '/api/parts/:id');
+    assert.equal(line.status, 404);
+    assert.equal(line.user_id, hod.id);
+    assert.equal(typeof line.duration_ms, 'number');
+  });
+
+  it('tags route logs with the request they belong to', async () => {
+    const form = new FormData();
+    form.append('file', new Blob(['Part Name,Company Name,SAP Code\nTagged,Delta,LOG-1\n'], { type: 'text/csv' }), 'parts.csv');
+    const res = await app.request('POST', '/api/parts/import', { token: app.users.Admin.token, form, headers: { 'x-request-id': 'import-1' } });
+    assert.equal(res.status, 201);
+
+    const lines = await logLines(entry => entry.request_id === 'import-1' && entry.module === 'routes/parts');
+    assert.equal(lines.length, 1);
+    assert.match(lines[0].message, /Part import by admin@diecare.test/);
+    assert.equal(lines[0].user_id, app.users.Admin.id);
+  });
+
+  it('keeps passwords and tokens out of the logs', async () => {
+    await app.request('POST', '/api/login', {
+      json: { email: hod.email, password: 'Hunter2-not-mine' },
+      headers: { 'x-request-id': 'login-1' },
+    });
+    await app.request('GET', '/api/register/invite', { query: { token: 'invite-secret-123' }, headers: { 'x-request-id': 'invite-1' } });
+
+    const [invite] = await logLines(entry => entry.request_id === 'invite-1' && entry.module === 'http');
+    assert.equal(invite.url, '/api/register/invite?token=[REDACTED]');
+    await logLines(entry => entry.request_id === 'login-1' && entry.module === 'http');
+    const log = fs.readFileSync(process.env.LOG_FILE_PATH, 'utf8');
+    assert.ok(!log.includes('Hunter2-not-mine'));
+    assert.ok(!log.includes('invite-secret-123'));
+    assert.ok(!log.includes(hod.token));
+  });
+
+  it('prints console mail with its links intact', async () => {
+    const { sendMail, setTransport } = require('../services/mailer');
+    const transport = process.env.MAIL_TRANSPORT;
+    const write = process.stdout.write;
+    let printed = '';
+    process.env.MAIL_TRANSPORT = 'console';
+    setTransport(null);
+    process.stdout.write = (chunk) => {
+      printed += chunk;
+      return true;
+    };
+    try {
+      await sendMail({ to: 'a@b.c', subject: 'Reset', text: 'Open http://localhost:3000/reset-password?token=abc123' });
+    } finally {
+      process.stdout.write = write;
+      process.env.MAIL_TRANSPORT = transport;
+      setTransport(null);
+    }
+    assert.match(printed, /reset-password\?token=abc123/);
+  });
+
+  it('redacts sensitive fields and values', () => {
+    assert.deepEqual(redact({ email: 'a@b.c', password: 'pw', session: { refresh_token: 'rt' }, note: 'reset?token=abc&x=1' }), {
+      email: 'a@b.c',
+      password: '[REDACTED]',
+      session: { refresh_token: '[REDACTED]' },
+      note: 'reset?token=[REDACTED]&x=1',
+    });
+    assert.equal(redact('Authorization: Bearer eyJhbGciOi.abc.def'), 'Authorization: Bearer [REDACTED]');
+    assert.equal(redact('{"password":"pw","email":"a@b.c"}'), '{"password":"[REDACTED]","email":"a@b.c"}');
+    assert.equal(redactUrl('/api/parts?search=die&page=2'), '/api/parts?search=die&page=2');
+    assert.equal(redactUrl('/api/reset?token=abc&page=2'), '/api/reset?token=[REDACTED]&page=2');
+  });
+});
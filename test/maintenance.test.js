@@ -0,0 +1,179 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('die maintenance', () => {
+  let app;
+  let users;
+  let part;
+
+  const path = (suffix) => `/api/parts/${part.id}/${suffix}`;
+
+  before(async () => {
+    app = await startApp();
+    ({ users } = app);
+    const res = await app.request('POST', '/api/parts', {
+      token: users.HOD.token,
+      json: { part_name: 'Fender die', company_name: 'Acme Stamping', sap_code: 'PM-1' },
+    });
+    part = res.body.part;
+  });
+
+  after(() => app.close());
+
+  it('records maintenance and totals the downtime', async () => {
+    let res = await app.request('POST', path('maintenance'), {
+      token: users.Employee.token,
+      json: {
+        performed_at: '2026-03-01T08:00:00Z',
+        work_done: 'Replaced guide pins',
+        technician: 'R. Patel',
+        downtime_minutes: 45,
+        spares_used: [{ part: 'Guide pin', quantity: 4 }],
+      },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.record.downtime_minutes, 45);
+    assert.deepEqual(res.body.record.spares_used, [{ part: 'Guide pin', quantity: 4 }]);
+
+    await app.request('POST', path('maintenance'), {
+      token: users.PDC.token,
+      json: { performed_at: '2026-04-01T08:00:00Z', work_done: 'Cleaned', technician: 'S. Kim', downtime_minutes: 15 },
+    });
+
+    res = await app.request('GET', path('maintenance'), { token: users.Quality.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 2);
+    assert.equal(res.body.total_downtime_minutes, 60);
+    assert.deepEqual(res.body.records.map(record => record.work_done), ['Cleaned', 'Replaced guide pins']);
+
+    const { rows: audited } = await app.pool.query(
+      "SELECT actor_email FROM audit_log WHERE entity_type = 'maintenance_record' AND action = 'create' ORDER BY id"
+    );
+    assert.deepEqual(audited.map(row => row.actor_email), [users.Employee.email, users.PDC.email]);
+  });
+
+  it('rejects bad maintenance records', async () => {
+    let res = await app.request('POST', path('maintenance'), {
+      token: users.Quality.token,
+      json: { performed_at: '2026-03-01T08:00:00Z', work_done: 'x', technician: 'y' },
+    });
+    assert.equal(res.status, 403);
+    res = await app.request('POST', path('maintenance'), { token: users.Employee.token, json: { work_done: 'x' } });
+    assert.equal(res.status, 400);
+    res = await app.request('POST', path('maintenance'), {
+      token: users.Employee.token,
+      json: { performed_at: '2026-03-01T08:00:00Z', work_done: 'x', technician: 'y', plan_id: 999999 },
+    });
+    assert.equal(res.status, 400);
+    res = await app.request('POST', '/api/parts/999999/maintenance', {
+      token: users.Employee.token,
+      json: { performed_at: '2026-03-01T08:00:00Z', work_done: 'x', technician: 'y' },
+    });
+    assert.equal(res.status, 404);
+    res = await app.request('GET', '/api/parts/999999/maintenance', { token: users.Employee.token });
+    assert.equal(res.status, 404);
+  });
+
+  it('manages preventive maintenance plans and reports when they are due', async () => {
+    let res = await app.request('POST', path('maintenance-plans'), {
+      token: users.HOD.token,
+      json: { name: 'Sharpen', interval_strokes: 1000, grace_strokes: 100 },
+    });
+    assert.equal(res.status, 201);
+    const plan = res.body.plan;
+    assert.equal(plan.status, 'ok');
+    assert.equal(plan.strokes_remaining, 1000);
+
+    res = await app.request('POST', path('maintenance-plans'), { token: users.HOD.token, json: { name: 'No interval' } });
+    assert.equal(res.status, 400);
+    res = await app.request('POST', path('maintenance-plans'), {
+      token: users.Employee.token,
+      json: { name: 'Lubricate', interval_days: 7 },
+    });
+    assert.equal(res.status, 403);
+
+    await app.request('POST', '/api/strokes', { token: users.PDC.token, json: { sap_code: 'PM-1', strokes: 1050 } });
+    res = await app.request('GET', path('maintenance-plans'), { token: users.Employee.token });
+    assert.equal(res.body.count, 1);
+    assert.equal(res.body.plans[0].status, 'due');
+    assert.equal(res.body.plans[0].strokes_remaining, 0);
+
+    res = await app.request('PUT', path(`maintenance-plans/${plan.id}`), { token: users.HOD.token, json: { grace_strokes: 10 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.plan.status, 'overdue');
+    res = await app.request('PUT', path(`maintenance-plans/${plan.id}`), { token: users.HOD.token, json: { active: false } });
+    assert.equal(res.body.plan.status, 'inactive');
+    res = await app.request('PUT', path(`maintenance-plans/${plan.id}`), {
+      token: users.HOD.token,
+      json: { active: true, interval_strokes: null },
+    });
+    assert.equal(res.status, 400);
+    res = await app.request('PUT', path('maintenance-plans/999999'), { token: users.HOD.token, json: { name: 'Gone' } });
+    assert.equal(res.status, 404);
+
+    // Planned work restarts the interval
+    res = await app.request('POST', path('maintenance'), {
+      token: users.Employee.token,
+      json: { performed_at: new Date().toISOString(), work_done: 'Sharpened', technician: 'R. Patel', plan_id: plan.id },
+    });
+    assert.equal(res.status, 201);
+    res = await app.request('PUT', path(`maintenance-plans/${plan.id}`), { token: users.HOD.token, json: { active: true } });
+    assert.equal(res.body.plan.status, 'ok');
+    assert.equal(res.body.plan.due_strokes, 2050);
+    res = await app.request('GET', path('maintenance'), { token: users.Employee.token });
+    assert.equal(res.body.records[0].plan_name, 'Sharpen');
+
+    res = await app.request('DELETE', path(`maintenance-plans/${plan.id}`), { token: users.HOD.token });
+    assert.equal(res.status, 200);
+    res = await app.request('DELETE', path(`maintenance-plans/${plan.id}`), { token: users.HOD.token });
+    assert.equal(res.status, 404);
+
+    const { rows } = await app.pool.query(
+      "SELECT action, actor_email FROM audit_log WHERE entity_type = 'maintenance_plan' AND entity_id = $1 ORDER BY id",
+      [plan.id]
+    );
+    assert.deepEqual(rows.map(row => row.action), ['create', 'update', 'update', 'update', 'delete']);
+    assert.ok(rows.every(row => row.actor_email === users.HOD.email));
+  });
+
+  it('leaves the plans of archived parts alone', async () => {
+    let res = await app.request('POST', '/api/parts', {
+      token: users.HOD.token,
+      json: { part_name: 'Hood die', company_name: 'Acme Stamping', sap_code: 'PM-ARCH' },
+    });
+    const archived = res.body.part;
+    res = await app.request('POST', `/api/parts/${archived.id}/maintenance-plans`, {
+      token: users.HOD.token,
+      json: { name: 'Polish', interval_days: 30 },
+    });
+    const plan = res.body.plan;
+    await app.request('DELETE', `/api/parts/${archived.id}`, { token: users.Admin.token });
+
+    res = await app.request('PUT', `/api/parts/${archived.id}/maintenance-plans/${plan.id}`, { token: users.HOD.token, json: { name: 'Buff' } });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Part not found');
+    res = await app.request('DELETE', `/api/parts/${archived.id}/maintenance-plans/${plan.id}`, { token: users.HOD.token });
+    assert.equal(res.status, 404);
+    assert.equal(res.body.error, 'Part not found');
+    const { rows } = await app.pool.query('SELECT id FROM maintenance_plans WHERE id = $1', [plan.id]);
+    assert.equal(rows.length, 1);
+  });
+
+  it('raises a task once for a plan that has come due', async () => {
+    const { checkMaintenancePlans } = require('../services/maintenance');
+    let res = await app.request('POST', path('maintenance-plans'), {
+      token: users.HOD.token,
+      json: { name: 'Spring check', interval_days: 30, last_performed_at: '2026-01-01T00:00:00Z', location: 'Tool room' },
+    });
+    assert.equal(res.body.plan.status, 'overdue');
+
+    await checkMaintenancePlans(app.io);
+    await checkMaintenancePlans(app.io);
+
+    res = await app.request('GET', '/api/tasks', { token: users.HOD.token, query: { search: 'Spring check' } });
+    assert.equal(res.body.tasks.length, 1);
+    assert.equal(res.body.tasks[0].location, 'Tool room');
+    assert.equal(res.body.tasks[0].comments, 'Preventive maintenance overdue: Spring check');
+  });
+});
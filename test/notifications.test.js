@@ -0,0 +1,213 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, nextEvent, noEvent } = require('./support/app');
+
+describe('notifications', () => {
+  let app;
+  let users;
+
+  const createTask = async (location, user = users.PDC) => {
+    const form = new FormData();
+    form.append('partName', 'Hood die');
+    form.append('sapCode', 'NOTE-1');
+    form.append('location', location);
+    const res = await app.request('POST', '/api/tasks', { token: user.token, form });
+    assert.equal(res.status, 201);
+    return res.body.task;
+  };
+
+  const inbox = async (user, query) => (await app.request('GET', '/api/notifications', { token: user.token, query })).body;
+
+  before(async () => {
+    app = await startApp();
+    ({ users } = app);
+    await app.request('POST', '/api/parts', {
+      token: users.HOD.token,
+      json: { part_name: 'Hood die', company_name: 'Acme Stamping', sap_code: 'NOTE-1' },
+    });
+  });
+
+  after(() => app.close());
+
+  describe('over Socket.IO', () => {
+    it('refuses clients without a valid token', async () => {
+      await assert.rejects(app.connect({ token: 'not-a-token' }));
+    });
+
+    it('sends new tasks to the notified roles only', async () => {
+      const hod = await app.connect(users.HOD);
+      const employee = await app.connect(users.Employee);
+      const quality = await app.connect(users.Quality);
+
+      const received = Promise.all([
+        nextEvent(hod, 'notification:HOD'),
+        nextEvent(employee, 'notification:Employee'),
+        noEvent(quality, 'notification:Quality'),
+      ]);
+      const task = await createTask('Press line 4');
+      const [toHod, toEmployee, qualityLeftOut] = await received;
+
+      assert.equal(toHod.task_id, task.id);
+      assert.equal(toHod.recipient_role, 'HOD');
+      assert.equal(toHod.sap_code, 'NOTE-1');
+      assert.equal(toHod.location, 'Press line 4');
+      assert.equal(toEmployee.task_id, task.id);
+      assert.equal(toEmployee.recipient_role, 'Employee');
+      assert.notEqual(toEmployee.id, toHod.id);
+      assert.ok(qualityLeftOut, 'Quality is not notified of new tasks');
+
+      // The pushed notification is the one in the user's inbox
+      const { notifications } = await inbox(users.Employee, { task_id: task.id });
+      assert.deepEqual(notifications.map(notification => notification.id), [toEmployee.id]);
+    });
+
+    it('notifies custom roles granted the task permissions', async () => {
+      const res = await app.request('POST', '/api/roles', {
+        token: users.Admin.token,
+        json: { name: 'Setter', permissions: ['tasks:view', 'tasks:work'] },
+      });
+      assert.equal(res.status, 201);
+      const setter = await app.connect(await app.createUser('Setter'));
+
+      const received = nextEvent(setter, 'notification:Setter');
+      const task = await createTask('Press line 6');
+      assert.equal((await received).task_id, task.id);
+    });
+
+    it('sends mentions to the mentioned user', async () => {
+      const task = await createTask('Press line 5');
+      const quality = await app.connect(users.Quality);
+      const pdc = await app.connect(users.PDC);
+
+      const received = Promise.all([nextEvent(quality, 'notification:user'), noEvent(pdc, 'notification:user')]);
+      const res = await app.request('POST', `/api/tasks/${task.id}/comments`, {
+        token: users.HOD.token,
+        json: { body: `@${users.Quality.email} can you verify the trim?` },
+      });
+      assert.equal(res.status, 201);
+      const [mention, pdcLeftOut] = await received;
+
+      assert.equal(mention.task_id, task.id);
+      assert.equal(mention.comment_id, res.body.comment.id);
+      assert.match(mention.comments, /mentioned you on task/);
+      assert.ok(pdcLeftOut);
+    });
+
+    it('sends task changes to the notified roles and to clients viewing the task', async () => {
+      const task = await createTask('Press line 6');
+      const hod = await app.connect(users.HOD);
+      const quality = await app.connect(users.Quality);
+      assert.deepEqual(await quality.emitWithAck('task:join', { taskId: task.id }), { success: true, replayed: null });
+      assert.equal((await quality.emitWithAck('task:join', { taskId: 'abc' })).success, false);
+
+      const received = Promise.all([nextEvent(hod, 'task:assigned'), nextEvent(quality, 'task:assigned')]);
+      await app.request('PATCH', `/api/tasks/${task.id}/assign`, {
+        token: users.HOD.token,
+        json: { assigneeId: users.Employee.id },
+      });
+      const [toHod, toViewer] = await received;
+      assert.equal(toHod.task_id, task.id);
+      assert.equal(toHod.status, 'Assigned');
+      assert.equal(toViewer.assigned_to, users.Employee.id);
+
+      quality.emit('task:leave', task.id);
+      const left = noEvent(quality, 'task:started');
+      await app.request('PATCH', `/api/tasks/${task.id}/start`, { token: users.Employee.token, json: {} });
+      assert.ok(await left);
+    });
+
+    it('replays what a client missed while disconnected', async () => {
+      const employee = await app.connect(users.Employee);
+      const first = nextEvent(employee, 'notification:Employee');
+      await createTask('Press line 7');
+      const seen = await first;
+      const ack = await employee.emitWithAck('events:ack', { lastEventId: seen.event_id });
+      assert.equal(ack.success, true);
+      assert.equal(ack.last_event_id, seen.event_id);
+      employee.close();
+
+      const missed = await createTask('Press line 8');
+      const back = await app.connect(users.Employee, { lastEventId: seen.event_id });
+      const replayed = await nextEvent(back, 'notification:Employee');
+      assert.equal(replayed.task_id, missed.id);
+      assert.equal(replayed.replayed, true);
+    });
+  });
+
+  describe('over REST', () => {
+    let user;
+    let tasks;
+
+    before(async () => {
+      user = await app.createUser('Employee', 'reader');
+      tasks = [await createTask('Bay 1'), await createTask('Bay 2'), await createTask('Bay 3')];
+    });
+
+    it('lists the inbox with unread counts and filters', async () => {
+      let body = await inbox(user);
+      assert.deepEqual(body.notifications.map(notification => notification.task_id), tasks.map(task => task.id).reverse());
+      assert.ok(body.notifications.every(notification => !notification.read));
+      assert.equal(body.pagination.total, 3);
+
+      body = await inbox(user, { search: 'Bay 2' });
+      assert.deepEqual(body.notifications.map(notification => notification.location), ['Bay 2']);
+
+      const res = await app.request('GET', '/api/notifications/unread-count', { token: user.token });
+      assert.deepEqual(res.body, { success: true, count: 3 });
+
+      const invalid = await app.request('GET', '/api/notifications', { token: user.token, query: { read: 'maybe' } });
+      assert.equal(invalid.status, 400);
+    });
+
+    it('marks one or all notifications read', async () => {
+      const [latest] = (await inbox(user)).notifications;
+      let res = await app.request('PATCH', `/api/notifications/${latest.id}/read`, { token: user.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.notification.read, true);
+
+      // Someone else's copy is untouched
+      const other = (await inbox(users.Employee, { task_id: latest.task_id })).notifications[0];
+      assert.equal(other.read, false);
+      res = await app.request('PATCH', `/api/notifications/${latest.id}/read`, { token: users.Quality.token });
+      assert.equal(res.status, 404);
+
+      let body = await inbox(user, { read: 'true' });
+      assert.deepEqual(body.notifications.map(notification => notification.id), [latest.id]);
+      res = await app.request('GET', '/api/notifications/unread-count', { token: user.token });
+      assert.equal(res.body.count, 2);
+
+      res = await app.request('PATCH', '/api/notifications/read-all', { token: user.token });
+      assert.deepEqual(res.body, { success: true, updated: 2 });
+      body = await inbox(user, { read: 'false' });
+      assert.equal(body.notifications.length, 0);
+    });
+
+    it('dismisses one or all notifications', async () => {
+      const [latest] = (await inbox(user)).notifications;
+      let res = await app.request('DELETE', `/api/notifications/${latest.id}`, { token: user.token });
+      assert.equal(res.status, 200);
+      res = await app.request('DELETE', `/api/notifications/${latest.id}`, { token: user.token });
+      assert.equal(res.status, 404);
+      assert.equal((await inbox(user)).notifications.length, 2);
+
+      res = await app.request('DELETE', '/api/notifications/clear', { token: user.token });
+      assert.equal(res.status, 200);
+      assert.equal((await inbox(user)).notifications.length, 0);
+
+      // Clearing is per user
+      assert.ok((await inbox(users.Employee)).notifications.length > 0);
+    });
+
+    it('leaves accounts that are not active out of role notifications', async () => {
+      const pending = await app.createUser('Employee', 'pending-reader');
+      await app.pool.query("UPDATE users SET status = 'pending' WHERE id = $1", [pending.id]);
+      await createTask('Bay 4');
+
+      const { rows: [{ count }] } = await app.pool.query(
+        'SELECT COUNT(*)::int AS count FROM notification_recipients WHERE user_id = $1',
+        [pending.id]
+      );
+      assert.equal(count, 0);
+    });
+  });
+});
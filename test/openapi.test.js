@@ -0,0 +1,391 @@
+// The OpenAPI document (GET /api/docs/openapi.json) against the routes.
+//
+// The static checks need nothing but the code. The live checks call every
+// auth, user, part, task and notification operation on a throwaway database
+// and fail when a response's status, content type or body is not what the
+// spec documents.
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, png } = require('./support/app');
+
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const apiRoutes = require('../routes');
+const operations = require('../docs/operations');
+const { buildSpec, listRoutes } = require('../services/openapi');
+
+const DOCUMENTED_TAGS = ['Auth', 'Users', 'Parts', 'Tasks', 'Notifications'];
+const JSON_TYPE = 'application/json';
+
+const spec = buildSpec(apiRoutes);
+const routes = listRoutes(apiRoutes).map(route => ({ ...route, key: `${route.method.toUpperCase()} ${route.path}` }));
+const documentedKeys = routes.filter(route => DOCUMENTED_TAGS.includes(route.tag)).map(route => route.key);
+
+const ajv = new Ajv({ strict: false, allErrors: true, validateSchema: false });
+addFormats(ajv);
+for (const format of ['binary', 'timestamp', 'phone']) ajv.addFormat(format, true);
+ajv.addSchema(spec, 'openapi.json');
+
+const pointer = (...segments) => segments.map(segment => String(segment).replace(/~/g, '~0').replace(/\//g, '~1')).join('/');
+
+// The spec's response for an operation and status, as
+// { response, location } with component $refs followed
+const documentedResponse = (key, status) => {
+  const [method, template] = key.split(' ');
+  const operation = spec.paths[template] && spec.paths[template][method.toLowerCase()];
+  const response = operation && operation.responses[status];
+  if (!response) return null;
+  if (response.$ref) {
+    const name = response.$ref.split('/').pop();
+    return { response: spec.components.responses[name], location: pointer('components', 'responses', name) };
+  }
+  return { response, location: pointer('paths', template, method.toLowerCase(), 'responses', status) };
+};
+
+const validators = new Map();
+const bodyValidator = (location) => {
+  if (!validators.has(location)) {
+    validators.set(location, ajv.compile({ $ref: `openapi.json#/${pointer(...location.split('/').map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~')), 'content', JSON_TYPE, 'schema')}` }));
+  }
+  return validators.get(location);
+};
+
+// Fail unless the spec documents this answer of `key`
+const assertDocumented = (key, status, type, body) => {
+  const documented = documentedResponse(key, status);
+  assert.ok(documented, `${key} answered ${status}, which the spec does not list`);
+  const content = documented.response.content || {};
+  assert.ok(content[type], `${key} ${status} answered ${type}; the spec lists ${Object.keys(content).join(', ') || 'no body'}`);
+  if (type === JSON_TYPE) {
+    const validate = bodyValidator(documented.location);
+    assert.ok(validate(body), `${key} ${status} drifted from the spec: ${ajv.errorsText(validate.errors)}\n${JSON.stringify(body, null, 2)}`);
+  }
+};
+
+describe('OpenAPI document', () => {
+  it('documents every route and nothing else', () => {
+    const keys = routes.map(route => route.key);
+    assert.deepEqual(keys.filter(key => !operations[key]), [], 'routes missing from docs/operations.js');
+    assert.deepEqual(Object.keys(operations).filter(key => !keys.includes(key)), [], 'docs/operations.js entries without a route');
+  });
+
+  it('gives auth, user, part, task and notification successes a response body', () => {
+    for (const key of documentedKeys) {
+      const [method, template] = key.split(' ');
+      const { responses } = spec.paths[template][method.toLowerCase()];
+      const successes = Object.keys(responses).filter(status => status.startsWith('2'));
+      assert.ok(successes.length > 0, `${key} documents no success response`);
+      for (const status of successes) {
+        assert.ok(responses[status].content, `${key} ${status} has no body schema`);
+      }
+    }
+  });
+
+  it('compiles every JSON response schema', () => {
+    for (const [template, item] of Object.entries(spec.paths)) {
+      for (const [method, operation] of Object.entries(item)) {
+        for (const status of Object.keys(operation.responses)) {
+          const { response, location } = documentedResponse(`${method.toUpperCase()} ${template}`, status);
+          if (response.content && response.content[JSON_TYPE]) {
+            assert.doesNotThrow(() => bodyValidator(location), `${method.toUpperCase()} ${template} ${status}`);
+          }
+        }
+      }
+    }
+  });
+
+  it('documents uploads as multipart form data', () => {
+    const { requestBody } = spec.paths['/api/tasks'].post;
+    const schema = requestBody.content['multipart/form-data'].schema;
+    assert.equal(schema.properties.images.type, 'array');
+    assert.equal(schema.properties.images.items.format, 'binary');
+    assert.deepEqual(schema.required, ['partName', 'sapCode', 'location']);
+  });
+});
+
+describe('API responses match the OpenAPI document', () => {
+  let app;
+  let users;
+  const exercised = new Set();
+  const run = Date.now();
+
+  // Call the operation `key` ('METHOD /path/{param}') and check the answer
+  const call = async (key, { params = {}, ...options } = {}) => {
+    const [method, template] = key.split(' ');
+    const url = template.replace(/\{(\w+)\}/g, (match, name) => encodeURIComponent(params[name]));
+    const response = await app.request(method, url, options);
+    const type = (response.headers.get('content-type') || '').split(';')[0];
+    assertDocumented(key, String(response.status), type, response.body);
+    exercised.add(key);
+    return response;
+  };
+
+  const mailedToken = (email) => app.mailedToken(email);
+
+  const login = async (email, password = 'Secret-123') => {
+    const { status, body } = await call('POST /api/login', { json: { email, password } });
+    assert.equal(status, 200);
+    return body;
+  };
+
+  before(async () => {
+    app = await startApp();
+    ({ users } = app);
+  });
+
+  after(() => app.close());
+
+  it('auth', async () => {
+    const admin = users.Admin;
+    let res = await call('POST /api/login', { json: { email: admin.email, password: 'wrong' } });
+    assert.equal(res.status, 401);
+
+    res = await call('POST /api/login/refresh-token', { json: { refreshToken: admin.refreshToken } });
+    assert.equal(res.status, 200);
+    admin.refreshToken = res.body.refreshToken;
+    res = await call('POST /api/login/refresh-token', { json: { refreshToken: 'not-a-token' } });
+    assert.equal(res.status, 401);
+
+    const second = await login(admin.email);
+    res = await call('GET /api/login/sessions', { token: admin.token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.sessions.length >= 2);
+    res = await call('DELETE /api/login/sessions/{id}', { token: admin.token, params: { id: '00000000-0000-4000-8000-000000000000' } });
+    assert.equal(res.status, 404);
+    const { sessions } = (await call('GET /api/login/sessions', { token: second.accessToken })).body;
+    const current = JSON.parse(Buffer.from(admin.token.split('.')[1], 'base64url')).sid;
+    const other = sessions.find(session => session.id !== current);
+    res = await call('DELETE /api/login/sessions/{id}', { token: admin.token, params: { id: other.id } });
+    assert.equal(res.status, 200);
+
+    const third = await login(admin.email);
+    res = await call('POST /api/login/logout', { json: { refreshToken: third.refreshToken } });
+    assert.equal(res.status, 200);
+
+    res = await call('POST /api/password/forgot', { json: { email: users.Quality.email } });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/password/reset', {
+      json: { token: await mailedToken(users.Quality.email), password: 'Secret-123', confirm_password: 'Secret-123' },
+    });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/password/reset', { json: { token: 'expired', password: 'a', confirm_password: 'a' } });
+    assert.equal(res.status, 400);
+    users.Quality.token = (await login(users.Quality.email)).accessToken;
+  });
+
+  it('users', async () => {
+    const token = users.Admin.token;
+    const email = (name) => `drift-${run}-${name}@example.com`;
+
+    let res = await call('POST /api/register', {
+      json: { email: email('applicant'), name: 'Applicant', password: 'Secret-123', confirm_password: 'Secret-123' },
+    });
+    assert.equal(res.status, 201);
+    const applicant = res.body.user;
+    res = await call('POST /api/register', {
+      json: { email: email('rejected'), name: 'Rejected', password: 'Secret-123', confirm_password: 'Secret-123' },
+    });
+    const rejected = res.body.user;
+    res = await call('POST /api/register', { json: { email: 'not-an-email', name: 'x', password: 'a', confirm_password: 'a' } });
+    assert.equal(res.status, 400);
+
+    res = await call('GET /api/register/pending', { token });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/register/{id}/approve', { token, params: { id: applicant.id }, json: { role: 'Employee' } });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/register/{id}/reject', { token, params: { id: rejected.id }, json: { reason: 'Unknown' } });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/register/{id}/approve', { token, params: { id: rejected.id }, json: {} });
+    assert.equal(res.status, 404);
+
+    res = await call('POST /api/register/invite', { token, json: { email: email('invitee'), name: 'Invitee', role: 'Quality' } });
+    assert.equal(res.status, 201);
+    res = await call('POST /api/register/accept-invite', {
+      json: { token: await mailedToken(email('invitee')), password: 'Secret-123', confirm_password: 'Secret-123' },
+    });
+    assert.equal(res.status, 200);
+
+    res = await call('GET /api/register', { token, query: { search: `drift-${run}`, limit: 50 } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/register', { token: users.Employee.token });
+    assert.equal(res.status, 403);
+    res = await call('GET /api/register/login-history', { token, query: { user_id: users.Admin.id } });
+    assert.equal(res.status, 200);
+
+    res = await call('GET /api/register/{id}', { token: users.Employee.token, params: { id: users.Employee.id } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/register/{id}', { token: users.Employee.token, params: { id: users.Admin.id } });
+    assert.equal(res.status, 403);
+    res = await call('GET /api/register/{id}', { token, params: { id: 'abc' } });
+    assert.equal(res.status, 400);
+    res = await call('PUT /api/register/{id}', { token, params: { id: applicant.id }, json: { designation: 'Fitter' } });
+    assert.equal(res.status, 200);
+
+    res = await call('POST /api/register/{id}/disable', { token, params: { id: applicant.id } });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/register/{id}/enable', { token, params: { id: applicant.id } });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/register/{id}/unlock', { token, params: { id: applicant.id } });
+    assert.equal(res.status, 200);
+
+    res = await call('DELETE /api/register/{id}', { token, params: { id: applicant.id } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/register/archived', { token });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/register/archived/{id}/restore', { token, params: { id: applicant.id } });
+    assert.equal(res.status, 200);
+    await call('DELETE /api/register/{id}', { token, params: { id: applicant.id } });
+    res = await call('DELETE /api/register/archived/{id}', { token, params: { id: applicant.id } });
+    assert.equal(res.status, 409);
+    res = await call('DELETE /api/register/archived', { token });
+    assert.equal(res.status, 200);
+  });
+
+  it('parts', async () => {
+    const token = users.Admin.token;
+    const sapCode = `DRIFT-${run}`;
+
+    let res = await call('POST /api/parts', { token, json: { part_name: 'Drift Die', company_name: 'Drift Co', sap_code: sapCode } });
+    assert.equal(res.status, 201);
+    const part = res.body.part;
+    res = await call('POST /api/parts', { token, json: { part_name: 'Duplicate', sap_code: sapCode } });
+    assert.equal(res.status, 400);
+
+    res = await call('GET /api/parts', { token, query: { search: sapCode } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/parts/{id}', { token, params: { id: part.id } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/parts/{id}', { token, params: { id: 2147483647 } });
+    assert.equal(res.status, 404);
+    res = await call('PUT /api/parts/{id}', { token, params: { id: part.id }, json: { company_name: 'Drift Holdings' } });
+    assert.equal(res.status, 200);
+
+    res = await call('GET /api/parts/export', { token, query: { search: sapCode } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/parts/export', { token, query: { format: 'xlsx' } });
+    assert.equal(res.status, 200);
+
+    const csv = (rows) => {
+      const form = new FormData();
+      form.append('file', new Blob([`Part Name,Company Name,SAP Code\n${rows}\n`], { type: 'text/csv' }), 'parts.csv');
+      return form;
+    };
+    res = await call('POST /api/parts/import', { token, query: { dry_run: 'true' }, form: csv(`Imported,Drift Co,${sapCode}-I`) });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/parts/import', { token, form: csv(`Imported,Drift Co,${sapCode}-I`) });
+    assert.equal(res.status, 201);
+    res = await call('POST /api/parts/import', { token, form: csv(`Again,Drift Co,${sapCode}-I`) });
+    assert.equal(res.status, 400);
+
+    res = await call('DELETE /api/parts/{id}', { token, params: { id: part.id } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/parts/archived', { token });
+    assert.equal(res.status, 200);
+    res = await call('POST /api/parts/archived/{id}/restore', { token, params: { id: part.id } });
+    assert.equal(res.status, 200);
+    await call('DELETE /api/parts/{id}', { token, params: { id: part.id } });
+    res = await call('DELETE /api/parts/archived/{id}', { token, params: { id: part.id } });
+    assert.equal(res.status, 409);
+    res = await call('DELETE /api/parts/archived', { token });
+    assert.equal(res.status, 200);
+  });
+
+  it('tasks', async () => {
+    const { HOD, Employee, Quality, Admin } = users;
+    const sapCode = `DRIFT-${run}-T`;
+    await call('POST /api/parts', { token: Admin.token, json: { part_name: 'Task Die', sap_code: sapCode } });
+
+    const taskForm = (location) => async () => {
+      const form = new FormData();
+      form.append('partName', 'Task Die');
+      form.append('sapCode', sapCode);
+      form.append('location', location);
+      form.append('comments', 'Burr on the edge');
+      form.append('images', new Blob([await png()], { type: 'image/png' }), 'burr.png');
+      return form;
+    };
+    let res = await call('POST /api/tasks', { token: HOD.token, form: await taskForm('Line 1')() });
+    assert.equal(res.status, 201);
+    const task = res.body.task;
+    res = await call('POST /api/tasks', { token: HOD.token, json: { partName: 'Task Die' } });
+    assert.equal(res.status, 400);
+
+    res = await call('GET /api/tasks', { token: Employee.token, query: { sap_code: sapCode } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/tasks/{id}', { token: Employee.token, params: { id: task.id } });
+    assert.equal(res.status, 200);
+    res = await call('PATCH /api/tasks/{id}', { token: HOD.token, params: { id: task.id }, json: { location: 'Line 2' } });
+    assert.equal(res.status, 200);
+
+    res = await call('PATCH /api/tasks/{id}/assign', { token: HOD.token, params: { id: task.id }, json: { assigneeId: Employee.id } });
+    assert.equal(res.status, 200);
+    res = await call('PATCH /api/tasks/{id}/start', { token: Employee.token, params: { id: task.id }, json: {} });
+    assert.equal(res.status, 200);
+    res = await call('PATCH /api/tasks/{id}/start', { token: Employee.token, params: { id: task.id }, json: {} });
+    assert.equal(res.status, 409);
+    res = await call('PATCH /api/tasks/{id}/resolve', { token: Employee.token, params: { id: task.id }, json: { resolution: 'Deburred' } });
+    assert.equal(res.status, 200);
+    res = await call('PATCH /api/tasks/{id}/reopen', { token: Quality.token, params: { id: task.id }, json: { reason: 'Still sharp' } });
+    assert.equal(res.status, 200);
+    await call('PATCH /api/tasks/{id}/assign', { token: HOD.token, params: { id: task.id }, json: { assigneeId: Employee.id } });
+    await call('PATCH /api/tasks/{id}/start', { token: Employee.token, params: { id: task.id }, json: {} });
+    await call('PATCH /api/tasks/{id}/resolve', { token: Employee.token, params: { id: task.id }, json: { resolution: 'Reground' } });
+    res = await call('PATCH /api/tasks/{id}/verify', { token: Quality.token, params: { id: task.id }, json: { note: 'OK' } });
+    assert.equal(res.status, 200);
+
+    const comment = new FormData();
+    comment.append('body', `@${Employee.email} thanks`);
+    comment.append('images', new Blob([await png()], { type: 'image/png' }), 'after.png');
+    res = await call('POST /api/tasks/{id}/comments', { token: Quality.token, params: { id: task.id }, form: comment });
+    assert.equal(res.status, 201);
+    res = await call('GET /api/tasks/{id}/comments', { token: Employee.token, params: { id: task.id } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/tasks/{id}/activity', { token: Employee.token, params: { id: task.id } });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.activity.some(item => item.type === 'comment'));
+    res = await call('GET /api/tasks/{id}/history', { token: Employee.token, params: { id: task.id } });
+    assert.equal(res.status, 200);
+
+    // A task of its own: deleting one drops its notifications, which the next test reads
+    const { body: { task: doomed } } = await call('POST /api/tasks', { token: HOD.token, form: await taskForm('Line 3')() });
+    res = await call('DELETE /api/tasks/{id}', { token: Employee.token, params: { id: doomed.id } });
+    assert.equal(res.status, 403);
+    res = await call('DELETE /api/tasks/{id}', { token: Admin.token, params: { id: doomed.id } });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/tasks/{id}', { token: Employee.token, params: { id: doomed.id } });
+    assert.equal(res.status, 404);
+  });
+
+  it('notifications', async () => {
+    const token = users.Employee.token;
+    let res = await call('GET /api/notifications', { token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.notifications.length >= 2, 'the task tests notify the Employee role');
+    const [first, second] = res.body.notifications;
+
+    res = await call('GET /api/notifications/unread-count', { token });
+    assert.equal(res.status, 200);
+    res = await call('PATCH /api/notifications/{id}/read', { token, params: { id: first.id } });
+    assert.equal(res.status, 200);
+    res = await call('PATCH /api/notifications/{id}/read', { token, params: { id: 2147483647 } });
+    assert.equal(res.status, 404);
+    res = await call('PATCH /api/notifications/read-all', { token });
+    assert.equal(res.status, 200);
+    res = await call('DELETE /api/notifications/{id}', { token, params: { id: second.id } });
+    assert.equal(res.status, 200);
+    res = await call('DELETE /api/notifications/clear', { token });
+    assert.equal(res.status, 200);
+    res = await call('GET /api/notifications', { token, query: { read: 'maybe' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('logs out everywhere', async () => {
+    const res = await call('POST /api/login/logout-all', { token: users.HOD.token });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.revoked >= 1);
+  });
+
+  it('exercised every documented operation', () => {
+    assert.deepEqual(documentedKeys.filter(key => !exercised.has(key)), []);
+  });
+});
@@ -0,0 +1,210 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { startApp } = require('./support/app');
+
+describe('parts', () => {
+  let app;
+  let admin;
+  let hod;
+
+  const createPart = (sapCode, extra = {}) => app.request('POST', '/api/parts', {
+    token: hod.token,
+    json: { part_name: `Die ${sapCode}`, company_name: 'Acme Stamping', sap_code: sapCode, ...extra },
+  });
+
+  const csvUpload = (csv, filename = 'parts.csv') => {
+    const form = new FormData();
+    form.append('file', new Blob([csv], { type: 'text/csv' }), filename);
+    return form;
+  };
+
+  before(async () => {
+    app = await startApp();
+    ({ Admin: admin, HOD: hod } = app.users);
+  });
+
+  after(() => app.close());
+
+  it('creates, reads and updates parts', async () => {
+    let res = await createPart('SAP-100');
+    assert.equal(res.status, 201);
+    const { part } = res.body;
+    assert.equal(part.sap_code, 'SAP-100');
+    assert.equal(part.stroke_count, '0');
+
+    res = await createPart('SAP-100');
+    assert.equal(res.status, 400);
+    res = await createPart('SAP-101', { part_name: '' });
+    assert.equal(res.status, 400);
+    res = await app.request('POST', '/api/parts', { token: app.users.Employee.token, json: { part_name: 'Die', sap_code: 'SAP-102' } });
+    assert.equal(res.status, 403);
+
+    res = await app.request('GET', `/api/parts/${part.id}`, { token: app.users.Employee.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.part.part_name, 'Die SAP-100');
+    res = await app.request('GET', '/api/parts/999999', { token: hod.token });
+    assert.equal(res.status, 404);
+    assert.deepEqual(res.body, { success: false, error: 'Part not found', code: 'NOT_FOUND' });
+    res = await app.request('GET', '/api/parts/abc', { token: hod.token });
+    assert.equal(res.status, 400);
+
+    res = await app.request('PUT', `/api/parts/${part.id}`, { token: hod.token, json: { company_name: 'Acme Tooling' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.part.company_name, 'Acme Tooling');
+    res = await app.request('PUT', `/api/parts/${part.id}`, { token: hod.token, json: {} });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    await createPart('SAP-103');
+    res = await app.request('PUT', `/api/parts/${part.id}`, { token: hod.token, json: { sap_code: 'SAP-103' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('lists parts with search, filters, sorting and paging', async () => {
+    await createPart('LIST-1', { company_name: 'Beta Press' });
+    await createPart('LIST-2', { company_name: 'Beta Press' });
+    await createPart('LIST-3', { company_name: 'Gamma Dies' });
+
+    let res = await app.request('GET', '/api/parts', { token: hod.token, query: { company_name: 'Beta Press', sort: 'sap_code', order: 'desc' } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.parts.map(part => part.sap_code), ['LIST-2', 'LIST-1']);
+
+    res = await app.request('GET', '/api/parts', { token: hod.token, query: { search: 'LIST', limit: 2 } });
+    assert.equal(res.body.parts.length, 2);
+    assert.equal(res.body.pagination.total, 3);
+    assert.equal(res.body.pagination.total_pages, 2);
+
+    res = await app.request('GET', '/api/parts', { token: hod.token, query: { sort: 'colour' } });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map(detail => `${detail.location}:${detail.field}`), ['query:sort']);
+  });
+
+  it('exports the filtered parts as CSV and XLSX', async () => {
+    let res = await app.request('GET', '/api/parts/export', { token: hod.token, query: { search: 'LIST' } });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /text\/csv/);
+    assert.match(res.headers.get('content-disposition'), /attachment; filename="parts-.*\.csv"/);
+    const lines = res.body.toString('utf8').trim().split(/\r?\n/);
+    assert.equal(lines.length, 4);
+    assert.ok(lines.slice(1).every(line => line.includes('LIST-')));
+
+    res = await app.request('GET', '/api/parts/export', { token: hod.token, query: { format: 'xlsx', company_name: 'Gamma Dies' } });
+    assert.equal(res.status, 200);
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    assert.equal(workbook.worksheets[0].rowCount, 2);
+
+    res = await app.request('GET', '/api/parts/export', { token: hod.token, query: { format: 'pdf' } });
+    assert.equal(res.status, 400);
+  });
+
+  it('exports formula-like text as plain text and imports it back unchanged', async () => {
+    const partName = '=HYPERLINK("http://evil.test","Open")';
+    await createPart('FORMULA-1', { part_name: partName, company_name: '@SUM(1)' });
+
+    let res = await app.request('GET', '/api/parts/export', { token: hod.token, query: { search: 'FORMULA-' } });
+    const csv = res.body.toString('utf8');
+    assert.ok(csv.includes(`"'=HYPERLINK(""http://evil.test"",""Open"")"`));
+    assert.ok(csv.includes("'@SUM(1)"));
+
+    res = await app.request('GET', '/api/parts/export', { token: hod.token, query: { search: 'FORMULA-', format: 'xlsx' } });
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(res.body);
+    const cell = workbook.worksheets[0].getCell('B2');
+    assert.equal(cell.type, ExcelJS.ValueType.String);
+    assert.equal(cell.value, `'${partName}`);
+
+    const form = csvUpload(csv);
+    form.append('upsert', 'true');
+    res = await app.request('POST', '/api/parts/import', { token: admin.token, form });
+    assert.equal(res.status, 201);
+    res = await app.request('GET', '/api/parts', { token: hod.token, query: { search: 'FORMULA-1' } });
+    assert.equal(res.body.parts[0].part_name, partName);
+    assert.equal(res.body.parts[0].company_name, '@SUM(1)');
+  });
+
+  it('imports parts, all or nothing', async () => {
+    const csv = 'Part Name,Company Name,SAP Code\nImported A,Delta,IMP-1\nImported B,Delta,IMP-2\n';
+
+    let res = await app.request('POST', '/api/parts/import', { token: admin.token, query: { dry_run: 'true' }, form: csvUpload(csv) });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.summary, { total: 2, created: 2, updated: 0, errors: 0 });
+    res = await app.request('GET', '/api/parts', { token: admin.token, query: { search: 'IMP-' } });
+    assert.equal(res.body.parts.length, 0);
+
+    res = await app.request('POST', '/api/parts/import', { token: admin.token, form: csvUpload(csv) });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.summary.created, 2);
+
+    // One bad row rejects the file
+    res = await app.request('POST', '/api/parts/import', {
+      token: admin.token,
+      form: csvUpload('Part Name,SAP Code\nRenamed A,IMP-1\n,IMP-3\n'),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.rows.map(row => row.action), ['error', 'error']);
+
+    // Rows are held to the same limits as POST /api/parts
+    res = await app.request('POST', '/api/parts/import', {
+      token: admin.token,
+      query: { dry_run: 'true' },
+      form: csvUpload(`Part Name,SAP Code\n${'x'.repeat(256)},IMP-4\n   ,IMP-5\nFine,${'9'.repeat(101)}\n`),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.summary.errors, 3);
+    assert.deepEqual(res.body.rows.map(row => row.details.map(({ field, code }) => `${field}:${code}`)), [
+      ['part_name:too_long'],
+      ['part_name:required'],
+      ['sap_code:too_long'],
+    ]);
+    assert.equal(res.body.rows[0].error, 'part_name must be at most 255 characters');
+
+    const form = csvUpload('Part Name,SAP Code\nRenamed A,IMP-1\nImported C,IMP-3\n');
+    form.append('upsert', 'true');
+    res = await app.request('POST', '/api/parts/import', { token: admin.token, form });
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.summary, { total: 2, created: 1, updated: 1, errors: 0 });
+    res = await app.request('GET', '/api/parts', { token: admin.token, query: { search: 'IMP-1' } });
+    assert.equal(res.body.parts[0].part_name, 'Renamed A');
+
+    res = await app.request('POST', '/api/parts/import', { token: admin.token, form: new FormData() });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map(detail => `${detail.field}:${detail.code}`), ['file:required']);
+    res = await app.request('POST', '/api/parts/import', { token: app.users.Employee.token, form: csvUpload(csv) });
+    assert.equal(res.status, 403);
+  });
+
+  it('archives, restores and purges parts', async () => {
+    const { body: { part } } = await createPart('ARCH-1');
+
+    let res = await app.request('DELETE', `/api/parts/${part.id}`, { token: hod.token });
+    assert.equal(res.status, 403);
+    res = await app.request('DELETE', `/api/parts/${part.id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('GET', `/api/parts/${part.id}`, { token: admin.token });
+    assert.equal(res.status, 404);
+    res = await createPart('ARCH-1');
+    assert.equal(res.status, 400);
+
+    res = await app.request('GET', '/api/parts/archived', { token: admin.token });
+    assert.deepEqual(res.body.parts.map(archived => archived.sap_code), ['ARCH-1']);
+    assert.equal(res.body.parts[0].deleted_by_email, admin.email);
+
+    res = await app.request('POST', `/api/parts/archived/${part.id}/restore`, { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('GET', `/api/parts/${part.id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+
+    await app.request('DELETE', `/api/parts/${part.id}`, { token: admin.token });
+    res = await app.request('DELETE', `/api/parts/archived/${part.id}`, { token: admin.token });
+    assert.equal(res.status, 409);
+
+    await app.pool.query("UPDATE parts SET deleted_at = NOW() - INTERVAL '91 days' WHERE id = $1", [part.id]);
+    res = await app.request('DELETE', `/api/parts/archived/${part.id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('DELETE', '/api/parts/archived', { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('POST', `/api/parts/archived/${part.id}/restore`, { token: admin.token });
+    assert.equal(res.status, 404);
+  });
+});
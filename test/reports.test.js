@@ -0,0 +1,197 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { startApp } = require('./support/app');
+
+describe('reports', () => {
+  let app;
+  let admin;
+  let hod;
+
+  // Mails sent to `email`, oldest first
+  const mailsTo = (email) => {
+    const outbox = process.env.MAIL_OUTBOX_DIR;
+    return (fs.existsSync(outbox) ? fs.readdirSync(outbox).filter(name => name.endsWith('.json')).sort() : [])
+      .map(name => JSON.parse(fs.readFileSync(path.join(outbox, name), 'utf8')))
+      .filter(mail => mail.to === email);
+  };
+
+  before(async () => {
+    app = await startApp();
+    ({ Admin: admin, HOD: hod } = app.users);
+    await app.request('POST', '/api/parts', {
+      token: hod.token,
+      json: { part_name: 'Bonnet die', company_name: 'Acme Stamping', sap_code: 'REP-1' },
+    });
+    for (const location of ['Press line 1', 'Press line 2']) {
+      const form = new FormData();
+      form.append('partName', 'Bonnet die');
+      form.append('sapCode', 'REP-1');
+      form.append('location', location);
+      await app.request('POST', '/api/tasks', { token: app.users.PDC.token, form });
+    }
+  });
+
+  after(() => app.close());
+
+  describe('subscriptions', () => {
+    it('subscribes users to scheduled reports', async () => {
+      let res = await app.request('POST', '/api/reports/subscriptions', { token: hod.token, json: { period: 'weekly' } });
+      assert.equal(res.status, 201);
+      const own = res.body.subscription;
+      assert.equal(own.user_id, hod.id);
+      assert.equal(own.cron_expression, '0 7 * * 1');
+      assert.deepEqual(own.formats, ['pdf', 'xlsx']);
+      assert.equal(new Date(own.next_run_at).getUTCDay(), 1);
+
+      res = await app.request('POST', '/api/reports/subscriptions', {
+        token: admin.token,
+        json: { period: 'monthly', user_id: hod.id, formats: ['xlsx'], company_name: 'Acme Stamping', timezone: 'Asia/Kolkata' },
+      });
+      assert.equal(res.status, 201);
+
+      res = await app.request('POST', '/api/reports/subscriptions', { token: hod.token, json: { period: 'weekly', user_id: admin.id } });
+      assert.equal(res.status, 403);
+      res = await app.request('POST', '/api/reports/subscriptions', { token: admin.token, json: { period: 'weekly', user_id: app.users.PDC.id } });
+      assert.equal(res.status, 400);
+      res = await app.request('POST', '/api/reports/subscriptions', { token: hod.token, json: { period: 'weekly', cron_expression: 'every monday' } });
+      assert.equal(res.status, 400);
+      res = await app.request('POST', '/api/reports/subscriptions', { token: hod.token, json: { period: 'weekly', timezone: 'Mars/Olympus' } });
+      assert.equal(res.status, 400);
+      res = await app.request('POST', '/api/reports/subscriptions', { token: hod.token, json: { period: 'daily' } });
+      assert.equal(res.status, 400);
+      res = await app.request('GET', '/api/reports/subscriptions', { token: app.users.Employee.token });
+      assert.equal(res.status, 403);
+    });
+
+    it('lets users manage their own subscriptions and managers everyone\'s', async () => {
+      await app.request('POST', '/api/reports/subscriptions', { token: admin.token, json: { period: 'weekly' } });
+
+      let res = await app.request('GET', '/api/reports/subscriptions', { token: hod.token });
+      assert.deepEqual(res.body.subscriptions.map(subscription => subscription.user_email), [hod.email, hod.email]);
+      res = await app.request('GET', '/api/reports/subscriptions', { token: admin.token });
+      assert.equal(res.body.subscriptions.length, 3);
+      res = await app.request('GET', '/api/reports/subscriptions', { token: admin.token, query: { user_id: admin.id } });
+      const [adminSubscription] = res.body.subscriptions;
+      assert.equal(res.body.subscriptions.length, 1);
+
+      res = await app.request('PUT', `/api/reports/subscriptions/${adminSubscription.id}`, { token: hod.token, json: { active: false } });
+      assert.equal(res.status, 403);
+      res = await app.request('PUT', `/api/reports/subscriptions/${adminSubscription.id}`, {
+        token: admin.token,
+        json: { cron_expression: '30 6 * * 5', active: false },
+      });
+      assert.equal(res.status, 200);
+      assert.equal(res.body.subscription.active, false);
+      assert.equal(new Date(res.body.subscription.next_run_at).getUTCDay(), 5);
+      res = await app.request('PUT', `/api/reports/subscriptions/${adminSubscription.id}`, { token: admin.token, json: { cron_expression: '61 * * * *' } });
+      assert.equal(res.status, 400);
+
+      res = await app.request('DELETE', `/api/reports/subscriptions/${adminSubscription.id}`, { token: hod.token });
+      assert.equal(res.status, 403);
+      res = await app.request('DELETE', `/api/reports/subscriptions/${adminSubscription.id}`, { token: admin.token });
+      assert.equal(res.status, 200);
+      res = await app.request('PUT', `/api/reports/subscriptions/${adminSubscription.id}`, { token: admin.token, json: { active: true } });
+      assert.equal(res.status, 404);
+    });
+
+    it('generates and mails reports when a subscription comes due', async () => {
+      const { checkReportSubscriptions } = require('../services/reports');
+      await app.pool.query("UPDATE report_subscriptions SET next_run_at = NOW() - INTERVAL '1 minute' WHERE user_id = $1", [hod.id]);
+
+      await checkReportSubscriptions();
+
+      const res = await app.request('GET', '/api/reports', { token: hod.token, query: { recipient_id: hod.id, sort: 'created_at', order: 'asc' } });
+      assert.deepEqual(res.body.reports.map(report => [report.period, report.formats]), [
+        ['weekly', ['pdf', 'xlsx']],
+        ['monthly', ['xlsx']],
+      ]);
+      assert.equal(res.body.reports[0].summary.new_tasks, 2);
+      assert.ok(res.body.reports.every(report => report.delivered_at && !report.delivery_error));
+
+      const mails = mailsTo(hod.email);
+      assert.equal(mails.length, 2);
+      assert.match(mails[0].subject, /Weekly die quality report/);
+      assert.deepEqual(mails[0].attachments.map(attachment => path.extname(attachment.filename)), ['.pdf', '.xlsx']);
+      const links = mails[0].text.match(/\/api\/reports\/\S+/g);
+      assert.deepEqual(links, ['pdf', 'xlsx'].map(format => `/api/reports/${res.body.reports[0].id}/download?format=${format}`));
+      const download = await app.request('GET', links[1], { token: hod.token });
+      assert.equal(download.status, 200);
+
+      // Not again until the next slot
+      const { rows } = await app.pool.query('SELECT next_run_at FROM report_subscriptions WHERE user_id = $1', [hod.id]);
+      assert.ok(rows.every(row => row.next_run_at > new Date()));
+      await checkReportSubscriptions();
+      assert.equal(mailsTo(hod.email).length, 2);
+    });
+  });
+
+  describe('on demand', () => {
+    let report;
+
+    it('generates a report for any range and archives it', async () => {
+      let res = await app.request('POST', '/api/reports/generate', {
+        token: admin.token,
+        json: { period: 'weekly', company_name: 'Acme Stamping', email: true },
+      });
+      assert.equal(res.status, 201);
+      report = res.body.report;
+      assert.equal(res.body.emailed, true);
+      assert.equal(report.company_name, 'Acme Stamping');
+      assert.deepEqual(report.summary, { new_tasks: 2, open: 2, closed: 0, open_backlog: 2 });
+      assert.equal(mailsTo(admin.email).length, 1);
+
+      res = await app.request('POST', '/api/reports/generate', {
+        token: hod.token,
+        json: { period: 'monthly', from: '2020-01-01T00:00:00Z', to: '2020-02-01T00:00:00Z', formats: ['pdf'] },
+      });
+      assert.equal(res.status, 201);
+      assert.equal(res.body.emailed, false);
+      assert.equal(res.body.report.summary.new_tasks, 0);
+
+      res = await app.request('POST', '/api/reports/generate', {
+        token: hod.token,
+        json: { period: 'weekly', from: '2020-02-01T00:00:00Z', to: '2020-01-01T00:00:00Z' },
+      });
+      assert.equal(res.status, 400);
+      res = await app.request('POST', '/api/reports/generate', { token: app.users.Quality.token, json: { period: 'weekly' } });
+      assert.equal(res.status, 403);
+    });
+
+    it('downloads archived reports as PDF and XLSX', async () => {
+      let res = await app.request('GET', `/api/reports/${report.id}/download`, { token: hod.token });
+      assert.equal(res.status, 200);
+      assert.equal(res.headers.get('content-type'), 'application/pdf');
+      assert.match(res.headers.get('content-disposition'), /die-quality-weekly-.*\.pdf/);
+      assert.equal(res.body.subarray(0, 5).toString(), '%PDF-');
+
+      res = await app.request('GET', `/api/reports/${report.id}/download`, { token: hod.token, query: { format: 'xlsx' } });
+      assert.equal(res.status, 200);
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(res.body);
+      const summary = workbook.getWorksheet('Summary');
+      const newTasks = summary.getRows(1, summary.rowCount).find(row => row.getCell(1).value === 'New tasks');
+      assert.equal(newTasks.getCell(2).value, 2);
+
+      const { body: { reports } } = await app.request('GET', '/api/reports', { token: hod.token, query: { period: 'monthly', from: '2000-01-01T00:00:00Z' } });
+      const pdfOnly = reports.find(archived => archived.formats.length === 1 && archived.formats[0] === 'pdf');
+      res = await app.request('GET', `/api/reports/${pdfOnly.id}/download`, { token: hod.token, query: { format: 'xlsx' } });
+      assert.equal(res.status, 404);
+      res = await app.request('GET', `/api/reports/${report.id}/download`, { token: hod.token, query: { format: 'docx' } });
+      assert.equal(res.status, 400);
+    });
+
+    it('lets report managers delete archived reports', async () => {
+      let res = await app.request('DELETE', `/api/reports/${report.id}`, { token: hod.token });
+      assert.equal(res.status, 403);
+      res = await app.request('DELETE', `/api/reports/${report.id}`, { token: admin.token });
+      assert.equal(res.status, 200);
+      res = await app.request('GET', `/api/reports/${report.id}/download`, { token: admin.token });
+      assert.equal(res.status, 404);
+      res = await app.request('DELETE', `/api/reports/${report.id}`, { token: admin.token });
+      assert.equal(res.status, 404);
+    });
+  });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('roles and permissions', () => {
+  let app;
+  let admin;
+
+  before(async () => {
+    app = await startApp();
+    admin = app.users.Admin;
+  });
+
+  after(() => app.close());
+
+  it('lists the built-in roles and grantable permissions to admins only', async () => {
+    let res = await app.request('GET', '/api/roles', { token: admin.token });
+    assert.equal(res.status, 200);
+    const names = res.body.roles.map(role => role.name);
+    assert.deepEqual(names.slice(0, 5).sort(), ['Admin', 'Employee', 'HOD', 'PDC', 'Quality']);
+    const quality = res.body.roles.find(role => role.name === 'Quality');
+    assert.ok(quality.built_in);
+    assert.ok(quality.permissions.includes('tasks:verify'));
+    assert.ok(quality.user_count >= 1);
+
+    res = await app.request('GET', '/api/roles/permissions', { token: admin.token });
+    assert.ok(res.body.permissions.some(permission => permission.name === 'parts:create'));
+
+    res = await app.request('GET', '/api/roles', { token: app.users.HOD.token });
+    assert.equal(res.status, 403);
+  });
+
+  it('grants a custom role exactly the permissions it is given', async () => {
+    let res = await app.request('POST', '/api/roles', {
+      token: admin.token,
+      json: { name: 'Toolmaker', description: 'Die shop', permissions: ['tasks:view'] },
+    });
+    assert.equal(res.status, 201);
+    assert.deepEqual(res.body.role.permissions, ['tasks:view']);
+
+    res = await app.request('POST', '/api/roles', { token: admin.token, json: { name: 'toolmaker' } });
+    assert.equal(res.status, 400);
+    res = await app.request('POST', '/api/roles', { token: admin.token, json: { name: 'Fitter', permissions: ['parts:fly'] } });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /parts:fly/);
+    res = await app.request('POST', '/api/roles', { token: admin.token, json: { name: '9lives' } });
+    assert.equal(res.status, 400);
+
+    const toolmaker = await app.createUser('Toolmaker');
+    const createPart = (sapCode) => app.request('POST', '/api/parts', {
+      token: toolmaker.token,
+      json: { part_name: 'Door die', company_name: 'Acme Stamping', sap_code: sapCode },
+    });
+    res = await createPart('ROLE-1');
+    assert.equal(res.status, 403);
+
+    // Permission changes apply to tokens that were already issued
+    res = await app.request('PUT', '/api/roles/Toolmaker/permissions', {
+      token: admin.token,
+      json: { permissions: ['tasks:view', 'parts:create'] },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.role.permissions, ['parts:create', 'tasks:view']);
+    res = await createPart('ROLE-1');
+    assert.equal(res.status, 201);
+
+    res = await app.request('PUT', '/api/roles/Nobody/permissions', { token: admin.token, json: { permissions: [] } });
+    assert.equal(res.status, 404);
+  });
+
+  it('keeps admins able to manage roles and users', async () => {
+    const res = await app.request('PUT', '/api/roles/Admin/permissions', { token: admin.token, json: { permissions: ['roles:manage'] } });
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /users:manage/);
+  });
+
+  it('deletes only custom roles that nobody holds', async () => {
+    let res = await app.request('DELETE', '/api/roles/PDC', { token: admin.token });
+    assert.equal(res.status, 400);
+    res = await app.request('DELETE', '/api/roles/Toolmaker', { token: admin.token });
+    assert.equal(res.status, 409);
+
+    await app.request('POST', '/api/roles', { token: admin.token, json: { name: 'Temp' } });
+    res = await app.request('DELETE', '/api/roles/Temp', { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('DELETE', '/api/roles/Temp', { token: admin.token });
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const BUCKET = 'diecare-test';
+
+// Just enough of the S3 REST API (path-style PutObject, GetObject and
+// DeleteObject) for the s3 storage driver
+const startFakeS3 = async () => {
+  const objects = new Map();
+  const requests = [];
+
+  const sendError = (res, status, code, message) => {
+    res.writeHead(status, { 'content-type': 'application/xml' });
+    res.end(`<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`);
+  };
+
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const { pathname } = new URL(req.url, 'http://s3.local');
+    const [, bucket, ...key] = pathname.split('/');
+    const objectKey = decodeURIComponent(key.join('/'));
+    requests.push({ method: req.method, bucket, key: objectKey, authorization: req.headers['authorization'] });
+
+    if (bucket !== BUCKET) return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+    if (objectKey.startsWith('forbidden/')) return sendError(res, 403, 'AccessDenied', 'Access Denied');
+
+    if (req.method === 'PUT') {
+      objects.set(objectKey, { body: Buffer.concat(chunks), contentType: req.headers['content-type'] });
+      res.writeHead(200, { etag: '"fake"' });
+      return res.end();
+    }
+    if (req.method === 'GET') {
+      const object = objects.get(objectKey);
+      if (!object) return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+      res.writeHead(200, { 'content-type': object.contentType, 'content-length': object.body.length });
+      return res.end(object.body);
+    }
+    if (req.method === 'DELETE') {
+      objects.delete(objectKey);
+      res.writeHead(204);
+      return res.end();
+    }
+    sendError(res, 405, 'MethodNotAllowed', 'The specified method is not allowed');
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, objects, requests, endpoint: `http://127.0.0.1:${server.address().port}` };
+};
+
+describe('s3 storage driver', () => {
+  let s3;
+  let storage;
+  const saved = {};
+
+  const readAll = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+  };
+
+  before(async () => {
+    s3 = await startFakeS3();
+    const settings = {
+      STORAGE_DRIVER: 's3',
+      S3_BUCKET: BUCKET,
+      S3_ENDPOINT: s3.endpoint,
+      S3_FORCE_PATH_STYLE: 'true',
+      S3_REGION: 'us-east-1',
+      S3_ACCESS_KEY_ID: 'test-access-key',
+      S3_SECRET_ACCESS_KEY: 'test-secret-key',
+    };
+    for (const [name, value] of Object.entries(settings)) {
+      saved[name] = process.env[name];
+      process.env[name] = value;
+    }
+    storage = require('../services/storage');
+    storage.setStorageDriver(null);
+  });
+
+  after(async () => {
+    storage.setStorageDriver(null);
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    s3.server.closeAllConnections();
+    await new Promise(resolve => s3.server.close(resolve));
+  });
+
+  it('stores, reads and removes objects in the bucket', async () => {
+    const key = 'images/4f1c2a7e/thumbnail.jpg';
+    const body = Buffer.from('not really a jpeg');
+    await storage.putObject(key, body, 'image/jpeg');
+
+    assert.deepEqual(s3.objects.get(key), { body, contentType: 'image/jpeg' });
+    const put = s3.requests.find(request => request.method === 'PUT');
+    assert.equal(put.bucket, BUCKET);
+    assert.match(put.authorization, /^AWS4-HMAC-SHA256 Credential=test-access-key\//);
+
+    const object = await storage.getObject(key);
+    assert.equal(object.contentType, 'image/jpeg');
+    assert.equal(object.size, body.length);
+    assert.deepEqual(await readAll(object.stream), body);
+
+    await storage.deleteObject(key);
+    assert.equal(s3.objects.has(key), false);
+  });
+
+  it('reports missing keys as NotFound and passes other errors through', async () => {
+    await assert.rejects(storage.getObject('images/missing/original.png'), (error) => {
+      assert.equal(error.code, 'NotFound');
+      assert.match(error.message, /images\/missing\/original\.png/);
+      return true;
+    });
+
+    await assert.rejects(storage.getObject('forbidden/original.png'), (error) => {
+      assert.notEqual(error.code, 'NotFound');
+      assert.equal(error.$metadata.httpStatusCode, 403);
+      return true;
+    });
+  });
+
+  it('passes the readiness write probe', async () => {
+    await storage.probeWrite();
+    assert.ok(s3.requests.some(request => request.method === 'PUT' && request.key.startsWith('.probes/')));
+    assert.equal([...s3.objects.keys()].filter(key => key.startsWith('.probes/')).length, 0);
+  });
+});
@@ -0,0 +1,134 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, nextEvent } = require('./support/app');
+
+describe('stroke counters', () => {
+  let app;
+  let users;
+
+  const record = (json, options = {}) => app.request('POST', '/api/strokes', { token: users.PDC.token, json, ...options });
+
+  before(async () => {
+    app = await startApp();
+    ({ users } = app);
+    for (const sapCode of ['STK-1', 'STK-2']) {
+      await app.request('POST', '/api/parts', {
+        token: users.HOD.token,
+        json: { part_name: `Die ${sapCode}`, company_name: 'Acme Stamping', sap_code: sapCode },
+      });
+    }
+  });
+
+  after(() => app.close());
+
+  it('counts readings from users and press machines', async () => {
+    let res = await record({ sap_code: 'STK-1', strokes: 120, recorded_at: '2026-05-01T06:00:00Z' });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.stroke_count, 120);
+
+    res = await app.request('POST', '/api/strokes', {
+      headers: { 'x-api-key': process.env.MACHINE_API_KEY },
+      json: { sap_code: 'STK-1', strokes: 80, recorded_at: '2026-05-01T18:00:00Z', source: 'press-7' },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.stroke_count, 200);
+
+    res = await app.request('POST', '/api/strokes', { headers: { 'x-api-key': 'wrong' }, json: { sap_code: 'STK-1', strokes: 1 } });
+    assert.equal(res.status, 401);
+    res = await record({ sap_code: 'STK-1', strokes: 5 }, { token: users.Quality.token });
+    assert.equal(res.status, 403);
+    res = await record({ sap_code: 'STK-1', strokes: 0 });
+    assert.equal(res.status, 400);
+    res = await record({ sap_code: 'NOPE', strokes: 5 });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.details, [
+      { location: 'body', field: 'sap_code', code: 'invalid_value', message: "Part with SAP Code 'NOPE' not found" },
+    ]);
+
+    res = await app.request('GET', '/api/strokes/STK-1', { token: users.Quality.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.counter.stroke_count, 200);
+    assert.equal(res.body.counter.last_recorded_at, '2026-05-01T18:00:00.000Z');
+    res = await app.request('GET', '/api/strokes/NOPE', { token: users.Quality.token });
+    assert.equal(res.status, 404);
+  });
+
+  it('ignores repeated readings with the same idempotency key', async () => {
+    const reading = { sap_code: 'STK-2', strokes: 50 };
+    let res = await record(reading, { headers: { 'idempotency-key': 'press-9-0001' } });
+    assert.equal(res.status, 201);
+    res = await record(reading, { headers: { 'idempotency-key': 'press-9-0001' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.status, 'duplicate');
+
+    res = await record({
+      readings: [
+        { ...reading, idempotency_key: 'press-9-0001' },
+        { ...reading, idempotency_key: 'press-9-0002' },
+        { sap_code: 'STK-1', strokes: 10 },
+      ],
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.accepted, 2);
+    assert.equal(res.body.duplicates, 1);
+    assert.deepEqual(res.body.results.map(result => result.status), ['duplicate', 'accepted', 'accepted']);
+
+    res = await app.request('GET', '/api/strokes/STK-2', { token: users.PDC.token });
+    assert.equal(res.body.counter.stroke_count, 100);
+
+    // A batch with an unknown die records nothing
+    res = await record({ readings: [{ sap_code: 'STK-2', strokes: 5 }, { sap_code: 'NOPE', strokes: 5 }] });
+    assert.equal(res.status, 400);
+    res = await app.request('GET', '/api/strokes/STK-2', { token: users.PDC.token });
+    assert.equal(res.body.counter.stroke_count, 100);
+  });
+
+  it('alerts HOD and PDC each time a threshold is crossed', async () => {
+    let res = await app.request('PUT', '/api/strokes/STK-2/threshold', { token: users.Employee.token, json: { threshold: 150 } });
+    assert.equal(res.status, 403);
+    res = await app.request('PUT', '/api/strokes/STK-2/threshold', { token: users.HOD.token, json: { threshold: 150 } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.part.stroke_alert_threshold, '150');
+    res = await app.request('PUT', '/api/strokes/NOPE/threshold', { token: users.HOD.token, json: { threshold: 150 } });
+    assert.equal(res.status, 404);
+
+    const hod = await app.connect(users.HOD);
+    const alert = nextEvent(hod, 'notification:HOD');
+    res = await record({ sap_code: 'STK-2', strokes: 60 });
+    assert.equal(res.body.stroke_count, 160);
+    assert.match((await alert).comments, /Stroke count reached 160 \(threshold every 150 strokes\)/);
+
+    await record({ sap_code: 'STK-2', strokes: 100 });
+    await record({ sap_code: 'STK-2', strokes: 50 });
+    const { body } = await app.request('GET', '/api/notifications', { token: users.PDC.token, query: { sap_code: 'STK-2', search: 'Stroke count' } });
+    assert.equal(body.notifications.length, 2);
+
+    res = await app.request('PUT', '/api/strokes/STK-2/threshold', { token: users.HOD.token, json: { threshold: null } });
+    assert.equal(res.body.part.stroke_alert_threshold, null);
+
+    res = await app.request('GET', '/api/audit', { token: users.Admin.token, query: { entity_type: 'part', entity_id: res.body.part.id, action: 'update' } });
+    assert.deepEqual(res.body.entries.map(entry => entry.changes), [
+      { stroke_alert_threshold: { before: '150', after: null } },
+      { stroke_alert_threshold: { before: null, after: '150' } },
+    ]);
+    assert.equal(res.body.entries[0].actor_email, users.HOD.email);
+  });
+
+  it('sums readings per time bucket', async () => {
+    let res = await app.request('GET', '/api/strokes/STK-1/series', { token: users.Quality.token, query: { bucket: 'day', to: '2026-06-01T00:00:00Z' } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.series, [{ bucket_start: '2026-05-01T00:00:00.000Z', strokes: 200, readings: 2 }]);
+
+    res = await app.request('GET', '/api/strokes/STK-1/series', {
+      token: users.Quality.token,
+      query: { bucket: 'hour', from: '2026-05-01T00:00:00Z', to: '2026-05-02T00:00:00Z' },
+    });
+    assert.deepEqual(res.body.series.map(point => point.strokes), [120, 80]);
+
+    res = await app.request('GET', '/api/strokes/STK-1/series', { token: users.Quality.token, query: { bucket: 'fortnight' } });
+    assert.equal(res.status, 400);
+    res = await app.request('GET', '/api/strokes/NOPE/series', { token: users.Quality.token });
+    assert.equal(res.status, 404);
+  });
+});
@@ -0,0 +1,163 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startPostgres } = require('./postgres');
+
+const ROLES = ['Admin', 'HOD', 'PDC', 'Employee', 'Quality'];
+const PASSWORD = 'Secret-123';
+
+// Routes read their settings when first required, so this module must be
+// required before anything from the app
+const scratch = fs.mkdtempSync(path.join(os.tmpdir(), 'diecare-app-'));
+const outbox = path.join(scratch, 'outbox');
+Object.assign(process.env, {
+  LOG_FILE_PATH: path.join(scratch, 'app.log'),
+  JWT_ACCESS_SECRET: 'test-access-secret',
+  JWT_REFRESH_SECRET: 'test-refresh-secret',
+  MACHINE_API_KEY: 'test-machine-key',
+  RATE_LIMIT_WINDOW_MS: '60000',
+  RATE_LIMIT_MAX: '10000',
+  LOGIN_DELAY_BASE_MS: '1',
+  LOGIN_DELAY_MAX_MS: '5',
+  MAIL_TRANSPORT: 'file',
+  MAIL_OUTBOX_DIR: outbox,
+  STORAGE_DRIVER: 'local',
+  STORAGE_LOCAL_DIR: path.join(scratch, 'uploads'),
+  REGISTRATION_MODE: 'approval',
+});
+process.on('exit', () => fs.rmSync(scratch, { recursive: true, force: true }));
+
+// Boot server.js on a free port against a throwaway Postgres, with one active
+// user per role signed in. Each test file gets its own app and database.
+const startApp = async () => {
+  const cluster = await startPostgres();
+
+  const { server, io } = require('../../server');
+  const pool = require('../../db');
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // { status, headers, body }; JSON bodies are parsed, anything else is a Buffer
+  const request = async (method, url, { token, json, form, query, headers = {} } = {}) => {
+    const target = new URL(url, baseUrl);
+    if (query) target.search = new URLSearchParams(query);
+    const options = { method, headers: { ...headers } };
+    if (token) options.headers.authorization = `Bearer ${token}`;
+    if (json !== undefined) {
+      options.headers['content-type'] = 'application/json';
+      options.body = JSON.stringify(json);
+    } else if (form) {
+      options.body = form;
+    }
+
+    const response = await fetch(target, options);
+    const type = response.headers.get('content-type') || '';
+    const body = type.startsWith('application/json')
+      ? await response.json()
+      : Buffer.from(await response.arrayBuffer());
+    return { status: response.status, headers: response.headers, body };
+  };
+
+  const login = async (email, password = PASSWORD) => {
+    const { status, body } = await request('POST', '/api/login', { json: { email, password } });
+    if (status !== 200) throw new Error(`Login as ${email} failed with ${status}: ${JSON.stringify(body)}`);
+    return body;
+  };
+
+  // An active user of `role` with the test password, signed in
+  const createUser = async (role, name = role.toLowerCase()) => {
+    const bcrypt = require('bcrypt');
+    const email = `${name}@diecare.test`;
+    const hash = await bcrypt.hash(PASSWORD, 4);
+    await pool.query(
+      `INSERT INTO users (email, name, role, password, status) VALUES ($1, $2, $3, $4, 'active')`,
+      [email, `Test ${name}`, role, hash]
+    );
+    const { accessToken, refreshToken, user } = await login(email);
+    return { ...user, token: accessToken, refreshToken };
+  };
+
+  const users = {};
+  try {
+    for (const role of ROLES) {
+      users[role] = await createUser(role);
+    }
+  } catch (error) {
+    // Leave nothing running to keep the test process alive
+    io.close();
+    await pool.end();
+    await cluster.stop();
+    throw error;
+  }
+
+  // Token from the newest mail sent to `email`. Some mail is sent after the
+  // response, so this waits up to `timeout` ms for it.
+  const mailedToken = async (email, timeout = 2000) => {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const mails = fs.existsSync(outbox) ? fs.readdirSync(outbox).filter(name => name.endsWith('.json')).sort().reverse() : [];
+      for (const name of mails) {
+        const mail = JSON.parse(fs.readFileSync(path.join(outbox, name), 'utf8'));
+        if (mail.to === email) return mail.text.match(/token=([^\s&]+)/)[1];
+      }
+      if (Date.now() > deadline) throw new Error(`No mail sent to ${email}`);
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+  };
+
+  const sockets = [];
+  // A connected Socket.IO client signed in as `user`
+  const connect = (user, auth = {}) => new Promise((resolve, reject) => {
+    const { io: client } = require('socket.io-client');
+    const socket = client(baseUrl, {
+      auth: { token: `Bearer ${user.token}`, ...auth },
+      transports: ['websocket'],
+      reconnection: false,
+    });
+    sockets.push(socket);
+    socket.once('connect', () => resolve(socket));
+    socket.once('connect_error', reject);
+  });
+
+  const close = async () => {
+    for (const socket of sockets) socket.close();
+    io.close();
+    await pool.end();
+    await cluster.stop();
+  };
+
+  return { baseUrl, pool, io, request, login, createUser, users, mailedToken, connect, close, scratch, PASSWORD };
+};
+
+// Resolve with the next `event` on `socket`, or reject after `timeout` ms
+const nextEvent = (socket, event, timeout = 2000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    socket.off(event, onEvent);
+    reject(new Error(`No ${event} within ${timeout} ms`));
+  }, timeout);
+  const onEvent = (payload) => {
+    clearTimeout(timer);
+    resolve(payload);
+  };
+  socket.once(event, onEvent);
+});
+
+// Resolve true unless `event` arrives on `socket` within `wait` ms
+const noEvent = (socket, event, wait = 300) => new Promise((resolve) => {
+  const onEvent = () => {
+    clearTimeout(timer);
+    resolve(false);
+  };
+  const timer = setTimeout(() => {
+    socket.off(event, onEvent);
+    resolve(true);
+  }, wait);
+  socket.once(event, onEvent);
+});
+
+// A small PNG, made with sharp like the stored variants
+const png = (width = 16, height = 12) => require('sharp')({
+  create: { width, height, channels: 3, background: { r: 200, g: 40, b: 40 } },
+}).png().toBuffer();
+
+module.exports = { startApp, nextEvent, noEvent, png };
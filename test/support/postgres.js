@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { promisify } = require('util');
+const { execFile, execFileSync } = require('child_process');
+const EmbeddedPostgres = require('embedded-postgres').default;
+
+const MIGRATE = path.join(__dirname, '..', '..', 'scripts', 'migrate.js');
+
+// Longest initdb, start-up or migration may take before the file fails
+const STARTUP_TIMEOUT_MS = 60 * 1000;
+
+// Chosen when this module loads, so db.js builds its pool for the throwaway
+// cluster whatever requires it first (and never for a database in .env)
+const settings = {
+  DB_HOST: '127.0.0.1',
+  DB_PORT: execFileSync(process.execPath, ['-e', `
+    const probe = require('net').createServer().listen(0, '127.0.0.1', () => {
+      process.stdout.write(String(probe.address().port));
+      probe.close();
+    });
+  `]).toString(),
+  DB_USER: 'postgres',
+  DB_PASSWORD: crypto.randomBytes(12).toString('hex'),
+  DB_NAME: 'diecare_test',
+};
+Object.assign(process.env, settings);
+
+// Settle with `step`, or reject when it overruns or when a child process
+// fails to spawn. embedded-postgres attaches no 'error' listener to the
+// processes it spawns, so a spawn failure (e.g. EACCES on initdb) surfaces as
+// an uncaught exception and would otherwise leave the promise pending forever.
+const startupStep = (what, step) => new Promise((resolve, reject) => {
+  const fail = (error) => {
+    cleanup();
+    reject(new Error(`${what} failed: ${error ? error.message : 'Postgres exited early'}`));
+  };
+  const timer = setTimeout(() => fail(new Error(`timed out after ${STARTUP_TIMEOUT_MS}ms`)), STARTUP_TIMEOUT_MS);
+  const cleanup = () => {
+    clearTimeout(timer);
+    process.removeListener('uncaughtException', fail);
+  };
+  process.on('uncaughtException', fail);
+  step().then((value) => {
+    cleanup();
+    resolve(value);
+  }, fail);
+});
+
+// Start a throwaway Postgres cluster and apply the migrations. stop() on the
+// result deletes its files. Rejects, leaving nothing running, when Postgres
+// cannot be started.
+const startPostgres = async () => {
+  const databaseDir = path.join(os.tmpdir(), `diecare-test-${crypto.randomUUID()}`);
+  const cluster = new EmbeddedPostgres({
+    databaseDir,
+    port: Number(settings.DB_PORT),
+    user: settings.DB_USER,
+    password: settings.DB_PASSWORD,
+    persistent: false,
+    // Postgres refuses to run as root; run it as a 'postgres' system user instead
+    createPostgresUser: process.getuid?.() === 0,
+    onLog: () => {},
+  });
+
+  let started = false;
+  try {
+    await startupStep('initdb', () => cluster.initialise());
+    started = true;
+    await startupStep('Postgres start-up', () => cluster.start());
+    await startupStep('Creating the test database', () => cluster.createDatabase(settings.DB_NAME));
+    await startupStep('Migrations', () => promisify(execFile)(process.execPath, [MIGRATE, 'up'], { env: process.env }));
+  } catch (error) {
+    if (started) await cluster.stop().catch(() => {});
+    fs.rmSync(databaseDir, { recursive: true, force: true });
+    throw error;
+  }
+
+  return cluster;
+};
+
+module.exports = { startPostgres };
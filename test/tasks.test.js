@@ -0,0 +1,259 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { startApp, png } = require('./support/app');
+
+describe('quality tasks', () => {
+  let app;
+  let users;
+
+  // A multipart task form; `images` is a list of PNG buffers
+  const taskForm = (fields, images = []) => {
+    const form = new FormData();
+    for (const [name, value] of Object.entries(fields)) form.append(name, value);
+    images.forEach((image, index) => form.append('images', new Blob([image], { type: 'image/png' }), `photo-${index}.png`));
+    return form;
+  };
+
+  const createTask = async (user, fields = {}, images = []) => {
+    const res = await app.request('POST', '/api/tasks', {
+      token: user.token,
+      form: taskForm({ partName: 'Door panel die', sapCode: 'TASK-1', location: 'Press line 2', ...fields }, images),
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.task;
+  };
+
+  const move = (user, id, action, json = {}) => app.request('PATCH', `/api/tasks/${id}/${action}`, { token: user.token, json });
+
+  before(async () => {
+    app = await startApp();
+    ({ users } = app);
+    for (const sapCode of ['TASK-1', 'TASK-2']) {
+      await app.request('POST', '/api/parts', {
+        token: users.HOD.token,
+        json: { part_name: `Die ${sapCode}`, company_name: 'Acme Stamping', sap_code: sapCode },
+      });
+    }
+  });
+
+  after(() => app.close());
+
+  it('creates tasks with photos and serves every size', async () => {
+    const task = await createTask(users.Employee, { comments: 'Crack near the flange' }, [await png(3000, 2000)]);
+    assert.equal(task.status, 'Open');
+    assert.equal(task.sapCode, 'TASK-1');
+    assert.equal(task.partName, 'Die TASK-1');
+    assert.equal(task.images.length, 1);
+
+    const [image] = task.images;
+    assert.equal(image.width, 2048);
+    assert.equal(image.height, 1365);
+
+    let res = await app.request('GET', image.url, { token: users.Quality.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('content-type'), 'image/png');
+    assert.equal((await sharp(res.body).metadata()).width, 2048);
+
+    res = await app.request('GET', image.thumbnail_url, { token: users.Quality.token });
+    const thumbnail = await sharp(res.body).metadata();
+    assert.deepEqual([thumbnail.width, thumbnail.height], [256, 256]);
+    res = await app.request('GET', image.medium_url, { token: users.Quality.token });
+    assert.equal((await sharp(res.body).metadata()).width, 1024);
+
+    res = await app.request('GET', image.url);
+    assert.equal(res.status, 401);
+    res = await app.request('GET', `/api/images/${image.id}`, { token: users.Quality.token, query: { variant: 'huge' } });
+    assert.equal(res.status, 400);
+    res = await app.request('GET', '/api/images/00000000-0000-4000-8000-000000000000', { token: users.Quality.token });
+    assert.equal(res.status, 404);
+  });
+
+  it('rejects bad task submissions', async () => {
+    let res = await app.request('POST', '/api/tasks', {
+      token: users.Employee.token,
+      form: taskForm({ partName: 'Door panel die', sapCode: 'TASK-1' }),
+    });
+    assert.equal(res.status, 400);
+    assert.deepEqual(res.body.details.map(detail => detail.field), ['location']);
+
+    res = await app.request('POST', '/api/tasks', {
+      token: users.Employee.token,
+      form: taskForm({ partName: 'Die', sapCode: 'TASK-1', location: 'Line 1' }, [Buffer.from('not a picture')]),
+    });
+    assert.equal(res.status, 400);
+
+    const six = await Promise.all(Array.from({ length: 6 }, () => png()));
+    res = await app.request('POST', '/api/tasks', {
+      token: users.Employee.token,
+      form: taskForm({ partName: 'Die', sapCode: 'TASK-1', location: 'Line 1' }, six),
+    });
+    assert.equal(res.status, 400);
+
+    res = await app.request('POST', '/api/tasks', {
+      token: users.Employee.token,
+      form: taskForm({ partName: 'Die', sapCode: 'NO-SUCH-DIE', location: 'Line 1' }, [await png()]),
+    });
+    assert.equal(res.status, 400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.deepEqual(res.body.details.map(detail => `${detail.field}:${detail.code}`), ['sapCode:invalid_value']);
+
+    res = await app.request('GET', '/api/tasks', { token: users.Employee.token, query: { search: 'Line 1' } });
+    assert.equal(res.body.tasks.length, 0);
+  });
+
+  it('lists and reads tasks with their part and people', async () => {
+    await createTask(users.Quality, { sapCode: 'TASK-2', location: 'Press line 9' });
+
+    let res = await app.request('GET', '/api/tasks', { token: users.PDC.token, query: { sap_code: 'TASK-2' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.tasks.length, 1);
+    assert.equal(res.body.tasks[0].location, 'Press line 9');
+    assert.equal(res.body.pagination.total, 1);
+
+    res = await app.request('GET', '/api/tasks', { token: users.PDC.token, query: { status: 'Open', sort: 'created_at', order: 'asc' } });
+    assert.ok(res.body.tasks.length >= 2);
+    assert.ok(res.body.tasks.every(task => task.status === 'Open'));
+    res = await app.request('GET', '/api/tasks', { token: users.PDC.token, query: { sort: 'colour' } });
+    assert.equal(res.status, 400);
+
+    const { id } = (await app.request('GET', '/api/tasks', { token: users.PDC.token, query: { sap_code: 'TASK-2' } })).body.tasks[0];
+    res = await app.request('GET', `/api/tasks/${id}`, { token: users.PDC.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.created_by_name, 'Test quality');
+    assert.equal(res.body.task.sap_code, 'TASK-2');
+    res = await app.request('GET', '/api/tasks/999999', { token: users.PDC.token });
+    assert.equal(res.status, 404);
+  });
+
+  it('lets the raiser or a manager edit a task and its photos', async () => {
+    const task = await createTask(users.Employee, {}, [await png(), await png()]);
+    const [kept, dropped] = task.images;
+
+    let res = await app.request('PATCH', `/api/tasks/${task.id}`, {
+      token: users.Employee.token,
+      form: taskForm({ location: 'Press line 3', removeImages: dropped.id }, [await png(40, 30)]),
+    });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.location, 'Press line 3');
+    assert.ok(res.body.task.images.some(image => image.id === kept.id));
+    assert.equal(res.body.task.images.length, 2);
+    assert.ok(!res.body.task.images.some(image => image.id === dropped.id));
+
+    res = await app.request('GET', dropped.url, { token: users.Employee.token });
+    assert.equal(res.status, 404);
+
+    res = await app.request('PATCH', `/api/tasks/${task.id}`, { token: users.HOD.token, json: { sapCode: 'TASK-2' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.sap_code, 'TASK-2');
+
+    res = await app.request('PATCH', `/api/tasks/${task.id}`, { token: users.Quality.token, json: { location: 'Elsewhere' } });
+    assert.equal(res.status, 403);
+    res = await app.request('PATCH', `/api/tasks/${task.id}`, { token: users.Employee.token, json: {} });
+    assert.equal(res.status, 400);
+    res = await app.request('PATCH', `/api/tasks/${task.id}`, { token: users.Employee.token, json: { sapCode: 'NOPE' } });
+    assert.equal(res.status, 400);
+    res = await app.request('PATCH', `/api/tasks/${task.id}`, {
+      token: users.Employee.token,
+      json: { removeImages: ['00000000-0000-4000-8000-000000000000'] },
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('moves tasks through the workflow by role and records the history', async () => {
+    const task = await createTask(users.PDC);
+    const { Employee: employee, HOD: hod, Quality: quality } = users;
+
+    let res = await move(hod, task.id, 'assign', { assigneeId: quality.id });
+    assert.equal(res.status, 400);
+    res = await move(employee, task.id, 'assign', { assigneeId: employee.id });
+    assert.equal(res.status, 403);
+    res = await move(hod, task.id, 'assign', { assigneeId: employee.id, note: 'Urgent' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.status, 'Assigned');
+    assert.equal(res.body.transition.note, 'Urgent');
+
+    const other = await app.createUser('Employee', 'other-fitter');
+    res = await move(other, task.id, 'start');
+    assert.equal(res.status, 403);
+    res = await move(employee, task.id, 'resolve', { resolution: 'Too early' });
+    assert.equal(res.status, 409);
+    res = await move(employee, task.id, 'start');
+    assert.equal(res.status, 200);
+    res = await move(employee, task.id, 'resolve', {});
+    assert.equal(res.status, 400);
+    res = await move(employee, task.id, 'resolve', { resolution: 'Reground the edge' });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.task.resolved_at);
+
+    res = await move(employee, task.id, 'verify');
+    assert.equal(res.status, 403);
+    res = await move(quality, task.id, 'reopen', { reason: 'Burr remains' });
+    assert.equal(res.status, 200);
+    res = await move(hod, task.id, 'assign', { assigneeId: employee.id });
+    await move(employee, task.id, 'start');
+    await move(employee, task.id, 'resolve', { resolution: 'Polished' });
+    res = await move(quality, task.id, 'verify', { note: 'Good' });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.task.status, 'Verified');
+
+    res = await app.request('PATCH', `/api/tasks/${task.id}`, { token: hod.token, json: { location: 'Late edit' } });
+    assert.equal(res.status, 409);
+
+    res = await app.request('GET', `/api/tasks/${task.id}/history`, { token: employee.token });
+    assert.deepEqual(
+      res.body.history.map(entry => entry.to_status),
+      ['Open', 'Assigned', 'In Progress', 'Resolved', 'Reopened', 'Assigned', 'In Progress', 'Resolved', 'Verified'],
+    );
+    assert.equal(res.body.history[1].actor_name, 'Test hod');
+  });
+
+  it('takes comments with photos and mentions and merges them into the activity', async () => {
+    const task = await createTask(users.Employee);
+
+    const form = taskForm({ body: `@${users.Quality.email} please check` }, [await png()]);
+    form.append('mentions', String(users.PDC.id));
+    let res = await app.request('POST', `/api/tasks/${task.id}/comments`, { token: users.HOD.token, form });
+    assert.equal(res.status, 201);
+    const { comment } = res.body;
+    assert.equal(comment.author_name, 'Test hod');
+    assert.equal(comment.images.length, 1);
+    assert.deepEqual(comment.mentions.map(user => user.email).sort(), [users.PDC.email, users.Quality.email].sort());
+
+    res = await app.request('POST', `/api/tasks/${task.id}/comments`, { token: users.Admin.token, json: { body: 'Admins only watch' } });
+    assert.equal(res.status, 403);
+    res = await app.request('POST', `/api/tasks/${task.id}/comments`, { token: users.HOD.token, json: {} });
+    assert.equal(res.status, 400);
+    res = await app.request('POST', '/api/tasks/999999/comments', { token: users.HOD.token, json: { body: 'Lost' } });
+    assert.equal(res.status, 404);
+
+    res = await app.request('GET', `/api/tasks/${task.id}/comments`, { token: users.Employee.token });
+    assert.deepEqual(res.body.comments.map(entry => entry.id), [comment.id]);
+    res = await app.request('GET', comment.images[0].url, { token: users.Employee.token });
+    assert.equal(res.status, 200);
+
+    await move(users.HOD, task.id, 'assign', { assigneeId: users.Employee.id });
+    res = await app.request('GET', `/api/tasks/${task.id}/activity`, { token: users.Employee.token });
+    assert.deepEqual(res.body.activity.map(item => item.type), ['transition', 'comment', 'transition']);
+  });
+
+  it('lets raisers delete their unstarted tasks and managers any task', async () => {
+    const task = await createTask(users.Employee, {}, [await png()]);
+    let res = await app.request('DELETE', `/api/tasks/${task.id}`, { token: users.Quality.token });
+    assert.equal(res.status, 403);
+    res = await app.request('DELETE', `/api/tasks/${task.id}`, { token: users.Employee.token });
+    assert.equal(res.status, 200);
+    res = await app.request('GET', task.images[0].url, { token: users.Employee.token });
+    assert.equal(res.status, 404);
+    res = await app.request('DELETE', `/api/tasks/${task.id}`, { token: users.Employee.token });
+    assert.equal(res.status, 404);
+
+    const started = await createTask(users.Employee);
+    await move(users.HOD, started.id, 'assign', { assigneeId: users.Employee.id });
+    await move(users.Employee, started.id, 'start');
+    res = await app.request('DELETE', `/api/tasks/${started.id}`, { token: users.Employee.token });
+    assert.equal(res.status, 409);
+    res = await app.request('DELETE', `/api/tasks/${started.id}`, { token: users.Admin.token });
+    assert.equal(res.status, 200);
+  });
+});
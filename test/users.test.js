@@ -0,0 +1,216 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp } = require('./support/app');
+
+describe('registration and user management', () => {
+  let app;
+  let admin;
+
+  const register = (email, extra = {}) => app.request('POST', '/api/register', {
+    json: { email, name: 'Applicant', password: app.PASSWORD, confirm_password: app.PASSWORD, ...extra },
+  });
+
+  before(async () => {
+    app = await startApp();
+    admin = app.users.Admin;
+  });
+
+  after(() => app.close());
+
+  it('holds self-registrations for Admin approval', async () => {
+    let res = await register('applicant@diecare.test');
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.status, 'pending');
+    const { id } = res.body.user;
+
+    res = await app.request('POST', '/api/login', { json: { email: 'applicant@diecare.test', password: app.PASSWORD } });
+    assert.equal(res.status, 403);
+
+    res = await app.request('GET', '/api/register/pending', { token: admin.token });
+    assert.deepEqual(res.body.users.map(user => user.id), [id]);
+    res = await app.request('GET', '/api/register/pending', { token: app.users.HOD.token });
+    assert.equal(res.status, 403);
+
+    res = await app.request('POST', `/api/register/${id}/approve`, { token: admin.token, json: { role: 'Quality' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.role, 'Quality');
+    assert.equal(res.body.user.status, 'active');
+    res = await app.request('POST', `/api/register/${id}/approve`, { token: admin.token, json: {} });
+    assert.equal(res.status, 404);
+    await app.login('applicant@diecare.test');
+  });
+
+  it('rejects registrations and refuses duplicates and role picks', async () => {
+    let res = await register('rejected@diecare.test');
+    const { id } = res.body.user;
+    res = await app.request('POST', `/api/register/${id}/reject`, { token: admin.token, json: { reason: 'Unknown applicant' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.status, 'rejected');
+    res = await app.request('POST', '/api/login', { json: { email: 'rejected@diecare.test', password: app.PASSWORD } });
+    assert.equal(res.status, 403);
+
+    res = await register('rejected@diecare.test');
+    assert.equal(res.status, 400);
+    res = await register('picky@diecare.test', { role: 'Admin' });
+    assert.equal(res.status, 403);
+    res = await register('mismatch@diecare.test', { confirm_password: 'other' });
+    assert.equal(res.status, 400);
+    res = await register('not-an-email');
+    assert.equal(res.status, 400);
+    assert.equal(res.body.details[0].field, 'email');
+  });
+
+  it('refuses self-registration while the default role can manage users', async () => {
+    const { rows } = await app.pool.query("SELECT permission FROM role_permissions WHERE role = 'Employee'");
+    const permissions = rows.map(row => row.permission);
+    const grant = (list) => app.request('PUT', '/api/roles/Employee/permissions', { token: admin.token, json: { permissions: list } });
+
+    assert.equal((await grant([...permissions, 'users:manage'])).status, 200);
+    try {
+      const res = await register('escalator@diecare.test');
+      assert.equal(res.status, 503);
+      const { rowCount } = await app.pool.query("SELECT 1 FROM users WHERE email = 'escalator@diecare.test'");
+      assert.equal(rowCount, 0);
+    } finally {
+      await grant(permissions);
+    }
+    assert.equal((await register('escalator@diecare.test')).status, 201);
+  });
+
+  it('invites users who set their own password', async () => {
+    let res = await app.request('POST', '/api/register/invite', {
+      token: admin.token,
+      json: { email: 'invitee@diecare.test', name: 'Invitee', role: 'PDC' },
+    });
+    assert.equal(res.status, 201);
+    assert.equal(res.body.user.status, 'invited');
+
+    // Inviting again sends a fresh link
+    res = await app.request('POST', '/api/register/invite', {
+      token: admin.token,
+      json: { email: 'invitee@diecare.test', name: 'Invitee', role: 'PDC' },
+    });
+    assert.equal(res.status, 201);
+    res = await app.request('POST', '/api/register/invite', {
+      token: admin.token,
+      json: { email: 'hod@diecare.test', name: 'HOD', role: 'PDC' },
+    });
+    assert.equal(res.status, 400);
+    res = await app.request('POST', '/api/register/invite', {
+      token: app.users.HOD.token,
+      json: { email: 'other@diecare.test', name: 'Other', role: 'PDC' },
+    });
+    assert.equal(res.status, 403);
+
+    const token = await app.mailedToken('invitee@diecare.test');
+    res = await app.request('POST', '/api/register/accept-invite', {
+      json: { token, password: 'Invited-1', confirm_password: 'Invited-1' },
+    });
+    assert.equal(res.status, 200);
+    res = await app.request('POST', '/api/register/accept-invite', {
+      json: { token, password: 'Invited-1', confirm_password: 'Invited-1' },
+    });
+    assert.equal(res.status, 400);
+
+    const { user } = await app.login('invitee@diecare.test', 'Invited-1');
+    assert.equal(user.role, 'PDC');
+  });
+
+  it('lists users with search, filters and paging', async () => {
+    let res = await app.request('GET', '/api/register', { token: admin.token, query: { role: 'HOD' } });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.users.map(user => user.email), ['hod@diecare.test']);
+
+    res = await app.request('GET', '/api/register', { token: admin.token, query: { search: 'diecare.test', limit: 2, page: 2 } });
+    assert.equal(res.body.users.length, 2);
+    assert.equal(res.body.pagination.page, 2);
+    assert.ok(res.body.pagination.total >= 5);
+
+    res = await app.request('GET', '/api/register', { token: admin.token, query: { limit: 'lots' } });
+    assert.equal(res.status, 400);
+    res = await app.request('GET', '/api/register', { token: app.users.Employee.token });
+    assert.equal(res.status, 403);
+  });
+
+  it('records sign-in attempts', async () => {
+    await app.request('POST', '/api/login', { json: { email: 'quality@diecare.test', password: 'wrong' } });
+    const res = await app.request('GET', '/api/register/login-history', {
+      token: admin.token,
+      query: { user_id: app.users.Quality.id },
+    });
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.history.map(entry => entry.success), [false, true]);
+    assert.equal(res.body.history[0].reason, 'invalid_password');
+  });
+
+  it('lets users read and edit themselves but only Admins change roles', async () => {
+    const employee = app.users.Employee;
+    let res = await app.request('GET', `/api/register/${employee.id}`, { token: employee.token });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.email, employee.email);
+    res = await app.request('GET', `/api/register/${admin.id}`, { token: employee.token });
+    assert.equal(res.status, 403);
+    res = await app.request('GET', '/api/register/999999', { token: admin.token });
+    assert.equal(res.status, 404);
+
+    res = await app.request('PUT', `/api/register/${employee.id}`, { token: employee.token, json: { designation: 'Fitter' } });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.user.designation, 'Fitter');
+    res = await app.request('PUT', `/api/register/${employee.id}`, { token: employee.token, json: { role: 'Admin' } });
+    assert.equal(res.status, 403);
+    res = await app.request('PUT', `/api/register/${app.users.PDC.id}`, { token: employee.token, json: { name: 'Renamed' } });
+    assert.equal(res.status, 403);
+    res = await app.request('PUT', `/api/register/${employee.id}`, { token: employee.token, json: { email: 'hod@diecare.test' } });
+    assert.equal(res.status, 400);
+    res = await app.request('PUT', `/api/register/${employee.id}`, { token: employee.token, json: { shoe_size: 42 } });
+    assert.equal(res.status, 400);
+  });
+
+  it('disables and enables accounts', async () => {
+    const user = await app.createUser('Employee', 'toggled');
+    let res = await app.request('POST', `/api/register/${user.id}/disable`, { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('POST', '/api/login', { json: { email: user.email, password: app.PASSWORD } });
+    assert.equal(res.status, 403);
+    res = await app.request('POST', `/api/register/${user.id}/disable`, { token: admin.token });
+    assert.equal(res.status, 404);
+    res = await app.request('POST', `/api/register/${admin.id}/disable`, { token: admin.token });
+    assert.equal(res.status, 400);
+
+    res = await app.request('POST', `/api/register/${user.id}/enable`, { token: admin.token });
+    assert.equal(res.status, 200);
+    await app.login(user.email);
+  });
+
+  it('archives, restores and purges users after the retention period', async () => {
+    const user = await app.createUser('Employee', 'archived');
+    let res = await app.request('DELETE', `/api/register/${user.id}`, { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('DELETE', `/api/register/${admin.id}`, { token: admin.token });
+    assert.equal(res.status, 400);
+    res = await app.request('GET', `/api/register/${user.id}`, { token: admin.token });
+    assert.equal(res.status, 404);
+
+    res = await app.request('GET', '/api/register/archived', { token: admin.token });
+    assert.deepEqual(res.body.users.map(archived => archived.id), [user.id]);
+    assert.equal(res.body.users[0].deleted_by_email, admin.email);
+
+    res = await app.request('POST', `/api/register/archived/${user.id}/restore`, { token: admin.token });
+    assert.equal(res.status, 200);
+    res = await app.request('POST', `/api/register/archived/${user.id}/restore`, { token: admin.token });
+    assert.equal(res.status, 404);
+    await app.login(user.email);
+
+    await app.request('DELETE', `/api/register/${user.id}`, { token: admin.token });
+    res = await app.request('DELETE', `/api/register/archived/${user.id}`, { token: admin.token });
+    assert.equal(res.status, 409);
+    res = await app.request('DELETE', '/api/register/archived', { token: admin.token });
+    assert.equal(res.body.purged, 0);
+
+    await app.pool.query("UPDATE users SET deleted_at = NOW() - INTERVAL '91 days' WHERE id = $1", [user.id]);
+    res = await app.request('DELETE', '/api/register/archived', { token: admin.token });
+    assert.equal(res.body.purged, 1);
+    res = await app.request('DELETE', `/api/register/archived/${user.id}`, { token: admin.token });
+    assert.equal(res.status, 404);
+  });
+});